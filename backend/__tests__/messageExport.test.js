@@ -0,0 +1,98 @@
+const { PassThrough } = require('stream');
+
+// Modules below schedule cleanups when they load
+jest.useFakeTimers();
+
+jest.mock('../config/database', () => ({
+    query: jest.fn(),
+    connect: jest.fn()
+}));
+
+const db = require('../config/database');
+const messageSystem = require('../modules/messages');
+const preferences = require('../modules/preferences');
+const messageExport = require('../modules/messageExport');
+const security = require('../websocket/security');
+
+const OWNER = { id: 1, display_name: 'Alice "A" <3' };
+const BUDDY = { id: 2, display_name: '<b>Bob</b>' };
+
+const row = (id, fromUserId, text, extra = {}) => ({
+    id,
+    from_user_id: fromUserId,
+    from_display_name: fromUserId === OWNER.id ? OWNER.display_name : BUDDY.display_name,
+    created_at: '2026-01-02T03:04:05Z',
+    // Stored the way sendMessage stores it
+    message: security.sanitizeMessageContent(text),
+    ...extra
+});
+
+// Run writeConversation and return everything it wrote
+const exportConversation = async (rows, format, { emoticons = true } = {}) => {
+    db.query.mockResolvedValue({ rows: [OWNER] });
+    jest.spyOn(preferences, 'getPreferences').mockResolvedValue({ success: true, preferences: { emoticons } });
+    jest.spyOn(messageSystem, 'getConversation').mockResolvedValue({ messages: rows, hasMore: false });
+
+    const out = new PassThrough();
+    const chunks = [];
+    out.on('data', chunk => chunks.push(chunk));
+
+    await messageExport.writeConversation(out, OWNER.id, BUDDY, { format, timezone: 'UTC' });
+    return chunks.join('');
+};
+
+describe('HTML export', () => {
+    test('escapes a script in a message', async () => {
+        const html = await exportConversation([row(1, 2, '<script>alert("x")</script>')], 'html');
+
+        expect(html).not.toContain('<script>');
+        expect(html).toContain('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;');
+    });
+
+    test('escapes display names in the title and on each message', async () => {
+        const html = await exportConversation([row(1, 1, 'hi'), row(2, 2, 'hey')], 'html');
+
+        expect(html).not.toContain('<b>Bob</b>');
+        expect(html).toContain('<title>Conversation between Alice &quot;A&quot; &lt;3 and &lt;b&gt;Bob&lt;/b&gt;</title>');
+        expect(html).toContain('<span class="from">&lt;b&gt;Bob&lt;/b&gt;:</span> hey');
+    });
+
+    test('shows emoticons as spans and escapes the text around them', async () => {
+        const html = await exportConversation([row(1, 2, 'a<b :) c\nd')], 'html');
+
+        expect(html).toContain('a&lt;b <span class="emoticon" title=":)">🙂</span> c<br>d');
+    });
+
+    test('leaves shortcodes as text when emoticons are turned off', async () => {
+        const html = await exportConversation([row(1, 2, '<i> :)')], 'html', { emoticons: false });
+
+        expect(html).toContain('&lt;i&gt; :)</div>');
+        expect(html).not.toContain('class="emoticon"');
+    });
+
+    test('does not export the text of deleted messages', async () => {
+        const html = await exportConversation([row(1, 2, 'secret', { deleted_at: '2026-01-02T04:00:00Z' })], 'html');
+
+        expect(html).toContain('<span class="deleted">This message was deleted</span>');
+        expect(html).not.toContain('secret');
+    });
+});
+
+describe('other formats', () => {
+    test('text export shows messages as typed', async () => {
+        const txt = await exportConversation([row(1, 2, '<script> & :)')], 'txt');
+
+        expect(txt).toContain('<b>Bob</b>: <script> & :)\n');
+        expect(txt).toContain('\n1 message\n');
+    });
+
+    test('JSON export is valid and holds the typed text', async () => {
+        const json = JSON.parse(await exportConversation([row(1, 1, 'a "quote"'), row(2, 2, '<b>')], 'json'));
+
+        expect(json.participants).toEqual([
+            { id: 1, displayName: OWNER.display_name },
+            { id: 2, displayName: BUDDY.display_name }
+        ]);
+        expect(json.messages.map(m => m.message)).toEqual(['a "quote"', '<b>']);
+    });
+});
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const { body } = require('express-validator');
+
+// Modules below schedule cleanups when they load
+jest.useFakeTimers();
+
+jest.mock('../config/database', () => ({
+    query: jest.fn(),
+    connect: jest.fn()
+}));
+
+const db = require('../config/database');
+const messageSystem = require('../modules/messages');
+const security = require('../websocket/security');
+const { decodeStoredText } = require('../utils/messageFormat');
+
+// Apply decode_stored_text from the schema the way Postgres would
+const schema = fs.readFileSync(path.join(__dirname, '../../database/schema-complete.sql'), 'utf8');
+const functionBody = schema.match(/FUNCTION decode_stored_text[\s\S]*?\$\$([\s\S]*?)\$\$/)[1];
+const replacements = [...functionBody.matchAll(/'((?:[^']|'')*)', '((?:[^']|'')*)'\)/g)]
+    .map(([, from, to]) => [from.replace(/''/g, "'"), to.replace(/''/g, "'")]);
+const decodeInSql = (text) => replacements.reduce((result, [from, to]) => result.split(from).join(to), text);
+
+const TYPED = 'don\'t stop & "go" <now> 1/2 a\\b `c`';
+
+// What messageValidation's .escape() stores for REST messages
+const escapeLikeRest = async (message) => {
+    const req = { body: { message } };
+    await body('message').escape().run(req);
+    return req.body.message;
+};
+
+describe('decode_stored_text', () => {
+    test('undoes the escaping of WebSocket messages', () => {
+        expect(decodeInSql(security.sanitizeMessageContent(TYPED))).toBe(TYPED);
+    });
+
+    test('undoes the escaping of REST messages', async () => {
+        expect(decodeInSql(await escapeLikeRest(TYPED))).toBe(TYPED);
+    });
+
+    test('agrees with decodeStoredText', async () => {
+        const stored = await escapeLikeRest(TYPED);
+        expect(decodeInSql(stored)).toBe(decodeStoredText(stored));
+    });
+});
+
+describe('searchMessages', () => {
+    let client;
+
+    beforeEach(() => {
+        client = {
+            query: jest.fn(async (sql) => (sql.includes('ts_headline')
+                ? { rows: [{ id: 7, from_user_id: 1, to_user_id: 2, buddy_id: 2, snippet: 'I <mark>don\'t</mark> know & <b>', total: '1' }] }
+                : { rows: [] })),
+            release: jest.fn()
+        };
+        db.connect.mockResolvedValue(client);
+    });
+
+    test('searches for an apostrophe as typed and matches the decoded text', async () => {
+        const result = await messageSystem.searchMessages(1, { query: 'don\'t' });
+
+        const [sql, params] = client.query.mock.calls.find(([text]) => text.includes('ts_headline'));
+        expect(params[1]).toBe('don\'t');
+        expect(sql).toContain('decode_stored_text(m.message)');
+        expect(result.results[0].snippet).toBe('I <mark>don&#x27;t</mark> know &amp; &lt;b&gt;');
+    });
+});
@@ -0,0 +1,24 @@
+// The security module schedules an hourly cleanup when it loads
+jest.useFakeTimers();
+
+const security = require('../websocket/security');
+const { EMOTICONS } = require('../utils/emoticons');
+
+describe('validateMessageContent', () => {
+    test.each(EMOTICONS.flatMap(emoticon => emoticon.codes))('accepts %s sent on its own', (code) => {
+        expect(security.validateMessageContent(code)).toBe(true);
+    });
+
+    test('accepts emoticons next to text', () => {
+        expect(security.validateMessageContent('hi :) see you =))')).toBe(true);
+    });
+
+    test('still refuses text that is mostly special characters', () => {
+        expect(security.validateMessageContent('((((;;;;))))')).toBe(false);
+        expect(security.validateMessageContent('{"a":[1]}')).toBe(false);
+    });
+
+    test('still refuses dangerous patterns', () => {
+        expect(security.validateMessageContent(':) <script>alert(1)</script>')).toBe(false);
+    });
+});
@@ -0,0 +1,80 @@
+// The security module schedules an hourly cleanup when it loads
+jest.useFakeTimers();
+
+jest.mock('../config/database', () => ({
+    query: jest.fn(),
+    connect: jest.fn()
+}));
+
+const yahooImport = require('../modules/yahooImport');
+
+const OWNER = 'ym_owner';
+
+// Build an archive record the way YM wrote it: header, text XORed with the owner's ID, terminator
+const record = (time, direction, text, encoding = 'utf8') => {
+    const key = Buffer.from(OWNER, 'latin1');
+    const bytes = Buffer.from(text, encoding);
+    const header = Buffer.alloc(16);
+    header.writeUInt32LE(time, 0);
+    header.writeUInt32LE(6, 4);
+    header.writeUInt32LE(direction, 8);
+    header.writeUInt32LE(bytes.length, 12);
+    return Buffer.concat([header, bytes.map((byte, i) => byte ^ key[i % key.length]), Buffer.alloc(4)]);
+};
+
+describe('decodeArchive', () => {
+    test('decodes sent and received records', () => {
+        const buffer = Buffer.concat([
+            record(1100000000, 0, 'hey there'),
+            record(1100000060, 1, 'hi! ünïcode')
+        ]);
+
+        const { records, truncatedBytes } = yahooImport.decodeArchive(buffer, OWNER);
+
+        expect(truncatedBytes).toBe(0);
+        expect(records).toEqual([
+            { time: new Date(1100000000 * 1000), outgoing: true, text: 'hey there' },
+            { time: new Date(1100000060 * 1000), outgoing: false, text: 'hi! ünïcode' }
+        ]);
+    });
+
+    test('stops at a record cut short and reports the leftover bytes', () => {
+        const complete = record(1100000000, 0, 'first');
+        const cut = record(1100000060, 1, 'second message').subarray(0, 20);
+
+        const { records, truncatedBytes } = yahooImport.decodeArchive(Buffer.concat([complete, cut]), OWNER);
+
+        expect(records.map(r => r.text)).toEqual(['first']);
+        expect(truncatedBytes).toBe(cut.length);
+    });
+
+    test('reads text that is not valid UTF-8 as latin1', () => {
+        const buffer = record(1100000000, 1, 'café à bientôt', 'latin1');
+
+        const { records } = yahooImport.decodeArchive(buffer, OWNER);
+
+        expect(records[0].text).toBe('café à bientôt');
+    });
+
+    test('strips styling from decoded records', () => {
+        const buffer = record(1100000000, 0, '\x1b[1m<font face="Arial" size="10">bold</font>\x1b[x1m');
+
+        expect(yahooImport.decodeArchive(buffer, OWNER).records[0].text).toBe('bold');
+    });
+});
+
+describe('cleanText', () => {
+    test('strips escape codes, colours and font, fade and alt tags', () => {
+        const styled = '\x1b[#ff0000m<fade #ff0000,#0000ff><alt #00ff00,#000000>hello</alt></fade>\x1b[2m world';
+
+        expect(yahooImport.cleanText(styled)).toBe('hello world');
+    });
+
+    test('keeps other angle brackets as typed', () => {
+        expect(yahooImport.cleanText('1 < 2 <b>not a style</b>')).toBe('1 < 2 <b>not a style</b>');
+    });
+
+    test('normalises line endings and trims', () => {
+        expect(yahooImport.cleanText('  one\r\ntwo\rthree  ')).toBe('one\ntwo\nthree');
+    });
+});
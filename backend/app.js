@@ -21,6 +21,8 @@ const verificationRoutes = require('./routes/verification');
 const buddyRoutes = require('./routes/buddies');
 const messageRoutes = require('./routes/messages');
 const userRoutes = require('./routes/users');
+const roomRoutes = require('./routes/rooms');
+const fileRoutes = require('./routes/files');
 
 /**
  * YM7 Hobby - Main Application Entry Point
@@ -133,6 +135,8 @@ app.use('/api', verificationRoutes);
 app.use('/api/buddies', buddyRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/rooms', roomRoutes);
+app.use('/api/files', fileRoutes);
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
@@ -175,6 +179,8 @@ app.get('/api', (req, res) => {
             buddies: '/api/buddies',
             messages: '/api/messages',
             users: '/api/users',
+            rooms: '/api/rooms',
+            files: '/api/files',
             verification: '/api/verify-email'
         },
         documentation: 'https://github.com/ishantsingh665/ym-hobby'
@@ -10,6 +10,9 @@ const tokenBlacklist = require('../modules/tokenBlacklist');
 // WebSocket connection tracking
 const wsConnections = new Map();
 
+// Cross-node delivery, set by modules/cluster when running several app instances
+let clusterTransport = null;
+
 const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -123,44 +126,161 @@ const safeErrorHandler = (err, req, res, next) => {
 };
 
 // WebSocket connection management
-const disconnectUserWebSocket = (userId) => {
-    const connection = wsConnections.get(userId);
-    if (connection) {
+// Each user may be connected from several devices: userId -> Set of sockets
+const getUserSockets = (userId) => {
+    return wsConnections.get(Number(userId));
+};
+
+const disconnectLocalUserWebSocket = (userId, token = null) => {
+    const sockets = getUserSockets(userId);
+    if (!sockets) {
+        return;
+    }
+
+    // With a token only the sessions opened with it are closed (single-device logout)
+    for (const connection of Array.from(sockets)) {
+        if (token && connection.authToken !== token) {
+            continue;
+        }
+
         try {
             connection.close(1000, 'Logged out');
             console.log(`Disconnected WebSocket for user ${userId}`);
         } catch (error) {
             console.error('Error disconnecting WebSocket:', error);
         }
-        wsConnections.delete(userId);
+        sockets.delete(connection);
+    }
+
+    if (sockets.size === 0) {
+        wsConnections.delete(Number(userId));
+    }
+};
+
+// Close a user's sessions on this node and on every other node
+const disconnectUserWebSocket = (userId, token = null) => {
+    disconnectLocalUserWebSocket(userId, token);
+
+    if (clusterTransport) {
+        clusterTransport.publishDisconnect(userId, token);
     }
 };
 
 const registerWebSocketConnection = (userId, ws) => {
-    // Disconnect existing connection if any
-    const existing = wsConnections.get(userId);
-    if (existing) {
+    const key = Number(userId);
+    let sockets = wsConnections.get(key);
+
+    if (!sockets) {
+        sockets = new Set();
+        wsConnections.set(key, sockets);
+    }
+
+    sockets.add(ws);
+    console.log(`Registered WebSocket for user ${userId} (${sockets.size} device(s))`);
+
+    return sockets.size;
+};
+
+const unregisterWebSocketConnection = (userId, ws) => {
+    const key = Number(userId);
+    const sockets = wsConnections.get(key);
+
+    if (!sockets) {
+        return 0;
+    }
+
+    sockets.delete(ws);
+    if (sockets.size === 0) {
+        wsConnections.delete(key);
+    }
+
+    return sockets.size;
+};
+
+const getUserConnections = (userId) => {
+    const sockets = getUserSockets(userId);
+    if (!sockets) {
+        return [];
+    }
+
+    return Array.from(sockets).filter(ws => ws.readyState === 1);
+};
+
+const isUserConnected = (userId) => {
+    return getUserConnections(userId).length > 0;
+};
+
+// Remember the newest message and event each socket was sent so the
+// device's sync cursor can be saved when it disconnects
+const trackSyncPosition = (ws, message) => {
+    if (message.type === 'private_message' && message.messageId > (ws.lastMessageId || 0)) {
+        ws.lastMessageId = message.messageId;
+    }
+    if (message.eventId > (ws.lastEventId || 0)) {
+        ws.lastEventId = message.eventId;
+    }
+};
+
+// Sockets are told apart by connectionId, so one on another node can be skipped too
+const isSameSocket = (ws, other) => {
+    return ws === other || Boolean(ws && other && ws.connectionId && ws.connectionId === other.connectionId);
+};
+
+// Send a message to every open device of a user on this node, optionally skipping one socket
+const sendToLocalUser = (userId, message, excludeWs = null) => {
+    const payload = typeof message === 'string' ? message : JSON.stringify(message);
+    let delivered = 0;
+
+    for (const ws of getUserConnections(userId)) {
+        if (isSameSocket(ws, excludeWs)) {
+            continue;
+        }
+
         try {
-            existing.close(1000, 'New connection established');
+            ws.send(payload);
+            if (typeof message === 'object') {
+                trackSyncPosition(ws, message);
+            }
+            delivered++;
         } catch (error) {
-            console.error('Error closing existing WebSocket:', error);
+            console.error(`Error sending to WebSocket of user ${userId}:`, error);
         }
     }
-    
-    wsConnections.set(userId, ws);
-    console.log(`Registered WebSocket for user ${userId}`);
+
+    return delivered;
+};
+
+// Send to a user's devices wherever they are connected
+// Returns the number of devices reached on this node; other nodes deliver
+// asynchronously
+const sendToUser = (userId, message, excludeWs = null) => {
+    const delivered = sendToLocalUser(userId, message, excludeWs);
+
+    if (clusterTransport) {
+        clusterTransport.publishToUser(userId, message, excludeWs ? excludeWs.connectionId : null);
+    }
+
+    return delivered;
 };
 
-const getWebSocketConnection = (userId) => {
-    return wsConnections.get(userId);
+const setClusterTransport = (transport) => {
+    clusterTransport = transport;
 };
 
 const getConnectionCount = () => {
-    return wsConnections.size;
+    let count = 0;
+    wsConnections.forEach(sockets => {
+        count += sockets.size;
+    });
+    return count;
 };
 
 const getAllConnections = () => {
-    return Array.from(wsConnections.entries());
+    const connections = [];
+    wsConnections.forEach((sockets, userId) => {
+        sockets.forEach(ws => connections.push([userId, ws]));
+    });
+    return connections;
 };
 
 module.exports = {
@@ -168,8 +288,15 @@ module.exports = {
     optionalAuth,
     safeErrorHandler,
     disconnectUserWebSocket,
+    disconnectLocalUserWebSocket,
     registerWebSocketConnection,
-    getWebSocketConnection,
+    unregisterWebSocketConnection,
+    getUserConnections,
+    isUserConnected,
+    sendToUser,
+    sendToLocalUser,
+    isSameSocket,
+    setClusterTransport,
     getConnectionCount,
     getAllConnections,
     wsConnections
@@ -1,4 +1,8 @@
 const { body, validationResult, param, query } = require('express-validator');
+const security = require('../websocket/security');
+const { isTimezone } = require('../utils/messageFormat');
+const { THUMBNAIL_SIZES } = require('../utils/imageProcessor');
+const { FONTS, isColor } = require('../utils/richText');
 
 /**
  * Input validation middleware for YM7 Hobby
@@ -10,7 +14,9 @@ const patterns = {
     email: /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
     password: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/, // At least one lowercase, one uppercase, one number
     displayName: /^[a-zA-Z0-9 _-]{2,50}$/,
-    hexToken: /^[a-f0-9]{64}$/
+    hexToken: /^[a-f0-9]{64}$/,
+    yahooId: /^[a-zA-Z0-9._@-]{1,64}$/,
+    yahooArchiveFile: /^[a-zA-Z0-9._-]{1,100}\.dat$/i
 };
 
 // User registration validation
@@ -56,6 +62,100 @@ const messageValidation = [
         .escape()
 ];
 
+// Private message addressing and idempotency key
+const privateMessageValidation = [
+    body('toUserId')
+        .isInt({ min: 1 })
+        .withMessage('toUserId must be a positive integer')
+        .toInt(),
+
+    body('clientMessageId')
+        .optional()
+        .isUUID()
+        .withMessage('clientMessageId must be a UUID'),
+
+    body('replyToId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('replyToId must be a positive integer')
+        .toInt()
+];
+
+// Message id in the URL
+const messageIdValidation = [
+    param('messageId')
+        .isInt({ min: 1 })
+        .withMessage('Message ID must be a positive integer')
+        .toInt()
+];
+
+// Message to several buddies: user ids, a buddy group, or both
+const broadcastValidation = [
+    body('toUserIds')
+        .optional()
+        .isArray({ min: 1, max: security.MAX_BROADCAST_RECIPIENTS })
+        .withMessage(`toUserIds must list 1 to ${security.MAX_BROADCAST_RECIPIENTS} user ids`),
+
+    body('toUserIds.*')
+        .isInt({ min: 1 })
+        .withMessage('toUserIds must be positive integers')
+        .toInt(),
+
+    body('groupName')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('groupName must be between 1 and 100 characters'),
+
+    body()
+        .custom(value => value.toUserIds !== undefined || value.groupName !== undefined)
+        .withMessage('Give toUserIds, groupName or both')
+];
+
+// Message edit validation; content checks and escaping happen in websocket/security.js
+const messageEditValidation = [
+    body('message')
+        .isString()
+        .isLength({ min: 1, max: 1000 })
+        .withMessage('Message must be between 1 and 1000 characters')
+];
+
+// Message delete mode: hide it for yourself, or (sender only) for everyone
+const messageDeleteValidation = [
+    query('mode')
+        .optional()
+        .isIn(['me', 'everyone'])
+        .withMessage('Mode must be me or everyone')
+];
+
+// Reaction validation: one emoji, in the body when adding and in the path when removing
+const reactionValidation = [
+    body('emoji')
+        .custom(value => security.isReactionEmoji(value))
+        .withMessage('Reaction must be a single emoji')
+];
+
+const reactionEmojiValidation = [
+    param('emoji')
+        .custom(value => security.isReactionEmoji(value))
+        .withMessage('Reaction must be a single emoji')
+];
+
+// Read receipt range validation
+const readReceiptValidation = [
+    param('userId')
+        .isInt({ min: 1 })
+        .withMessage('User ID must be a positive integer')
+        .toInt(),
+
+    body('upToMessageId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('upToMessageId must be a positive integer')
+        .toInt()
+];
+
 // Buddy request validation
 const buddyValidation = [
     body('email')
@@ -64,6 +164,173 @@ const buddyValidation = [
         .isLength({ min: 5, max: 255 })
 ];
 
+// Per-buddy presence visibility validation
+const buddyVisibilityValidation = [
+    param('buddyId')
+        .isInt({ min: 1 })
+        .withMessage('Buddy ID must be a positive integer')
+        .toInt(),
+
+    body('appearOffline')
+        .isBoolean()
+        .withMessage('appearOffline must be true or false')
+        .toBoolean()
+];
+
+// Chat room creation validation
+const roomValidation = [
+    body('name')
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Room name must be between 1 and 100 characters')
+        .trim()
+        .escape(),
+
+    body('description')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Description must be less than 500 characters')
+        .trim()
+        .escape(),
+
+    body('isPublic')
+        .optional()
+        .isBoolean()
+        .withMessage('isPublic must be a boolean')
+        .toBoolean(),
+
+    body('maxUsers')
+        .optional()
+        .isInt({ min: 2, max: 500 })
+        .withMessage('maxUsers must be between 2 and 500')
+        .toInt()
+];
+
+// Room ID parameter validation
+const roomIdValidation = [
+    param('roomId')
+        .isInt({ min: 1 })
+        .withMessage('Room ID must be a positive integer')
+        .toInt()
+];
+
+// Room message ID parameter validation
+const roomMessageIdValidation = [
+    param('messageId')
+        .isInt({ min: 1 })
+        .withMessage('Message ID must be a positive integer')
+        .toInt()
+];
+
+// Room invitation ID parameter validation
+const invitationIdValidation = [
+    param('invitationId')
+        .isInt({ min: 1 })
+        .withMessage('Invitation ID must be a positive integer')
+        .toInt()
+];
+
+// Room invitation validation
+const roomInviteValidation = [
+    body('userId')
+        .isInt({ min: 1 })
+        .withMessage('userId must be a positive integer')
+        .toInt()
+];
+
+// Room moderation target validation
+const roomMemberValidation = [
+    param('userId')
+        .isInt({ min: 1 })
+        .withMessage('User ID must be a positive integer')
+        .toInt(),
+
+    body('reason')
+        .optional()
+        .isLength({ max: 255 })
+        .withMessage('Reason must be less than 255 characters')
+        .trim()
+        .escape()
+];
+
+// Room ban validation
+const roomBanValidation = [
+    body('durationMinutes')
+        .isInt({ min: 1, max: 43200 })
+        .withMessage('Ban duration must be between 1 minute and 30 days')
+        .toInt()
+];
+
+// Room mute validation (0 lifts the mute)
+const roomMuteValidation = [
+    body('durationMinutes')
+        .isInt({ min: 0, max: 10080 })
+        .withMessage('Mute duration must be between 0 minutes and 7 days')
+        .toInt()
+];
+
+// Room role validation
+const roomRoleValidation = [
+    body('role')
+        .isIn(['moderator', 'member'])
+        .withMessage('Role must be moderator or member')
+];
+
+// Room slow mode validation (0 disables)
+const slowModeValidation = [
+    body('seconds')
+        .isInt({ min: 0, max: 3600 })
+        .withMessage('Slow mode interval must be between 0 and 3600 seconds')
+        .toInt()
+];
+
+// Custom status message validation (expiry up to 7 days)
+const statusMessageValidation = [
+    body('text')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Status message must be between 1 and 100 characters')
+        .escape(),
+
+    body('emoji')
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ max: 16 })
+        .withMessage('Emoji must be at most 16 characters')
+        .escape(),
+
+    body('expiresInMinutes')
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: 10080 })
+        .withMessage('Expiry must be between 1 minute and 7 days')
+        .toInt()
+];
+
+// Settings: every field is optional, only the ones sent change
+const preferencesValidation = [
+    body('emoticons')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('emoticons must be true or false')
+        .toBoolean(),
+
+    body('showFormatting')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('showFormatting must be true or false')
+        .toBoolean(),
+
+    body('font')
+        .optional({ nullable: true })
+        .isIn(FONTS)
+        .withMessage(`font must be one of: ${FONTS.join(', ')}`),
+
+    body('color')
+        .optional({ nullable: true })
+        .custom(value => isColor(value))
+        .withMessage('color must be a colour like #ff0000')
+];
+
 // Password reset request validation
 const passwordResetValidation = [
     body('email')
@@ -106,6 +373,165 @@ const paginationValidation = [
         .withMessage('Limit must be between 1 and 100')
 ];
 
+// Conversation page: at most one of the before/after message-id cursors
+const conversationPageValidation = [
+    query('before')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('before must be a message ID')
+        .toInt(),
+
+    query('after')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('after must be a message ID')
+        .toInt()
+        .custom((value, { req }) => req.query.before === undefined)
+        .withMessage('Use either before or after, not both'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100')
+        .toInt()
+];
+
+// Message search validation; the query is passed to websearch_to_tsquery as typed
+const messageSearchValidation = [
+    query('query')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('Search query must be between 1 and 200 characters'),
+
+    query('buddyId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Buddy ID must be a positive integer')
+        .toInt(),
+
+    query('from')
+        .optional()
+        .isISO8601()
+        .withMessage('From must be an ISO 8601 date'),
+
+    query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('To must be an ISO 8601 date'),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer')
+        .toInt(),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+        .toInt()
+];
+
+// Conversation export validation; times are shown in timezone (IANA name, UTC by default)
+const exportValidation = [
+    param('userId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('User ID must be a positive integer')
+        .toInt(),
+
+    query('format')
+        .optional()
+        .isIn(['json', 'html', 'txt'])
+        .withMessage('Format must be json, html or txt'),
+
+    query('timezone')
+        .optional()
+        .custom(value => isTimezone(value))
+        .withMessage('Timezone must be an IANA time zone name such as Europe/London')
+];
+
+// Yahoo Messenger archive upload: one .dat file per request, described in the query
+const yahooImportValidation = [
+    query('yahooId')
+        .matches(patterns.yahooId)
+        .withMessage('yahooId must be the Yahoo ID that owns the archive'),
+
+    query('remoteYahooId')
+        .matches(patterns.yahooId)
+        .withMessage('remoteYahooId must be the buddy\'s Yahoo ID (the archive folder name)'),
+
+    query('fileName')
+        .matches(patterns.yahooArchiveFile)
+        .withMessage('fileName must be the name of a .dat file'),
+
+    query('buddyUserId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('buddyUserId must be a positive integer')
+        .toInt(),
+
+    query('dryRun')
+        .optional()
+        .isBoolean()
+        .withMessage('dryRun must be true or false')
+        .toBoolean()
+];
+
+// File upload: the file is the request body, everything else is in the query
+const fileUploadValidation = [
+    query('toUserId')
+        .isInt({ min: 1 })
+        .withMessage('toUserId must be a positive integer')
+        .toInt(),
+
+    query('transferId')
+        .isUUID()
+        .withMessage('transferId must be a UUID'),
+
+    query('name')
+        .isString()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('name must be the file name'),
+
+    query('replyToId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('replyToId must be a message ID')
+        .toInt()
+];
+
+const fileIdValidation = [
+    param('fileId')
+        .isUUID()
+        .withMessage('File ID must be a UUID')
+];
+
+// Picture previews come in the thumbnail sizes only
+const imageValidation = [
+    ...fileIdValidation,
+
+    query('size')
+        .optional()
+        .isIn(Object.keys(THUMBNAIL_SIZES))
+        .withMessage(`size must be one of: ${Object.keys(THUMBNAIL_SIZES).join(', ')}`)
+];
+
+// Signed download links work without a session
+const fileDownloadValidation = [
+    ...fileIdValidation,
+
+    query('expires')
+        .isInt({ min: 1 })
+        .withMessage('Invalid download link')
+        .toInt(),
+
+    query('signature')
+        .matches(/^[a-f0-9]{64}$/)
+        .withMessage('Invalid download link')
+];
+
 // Search validation
 const searchValidation = [
     query('query')
@@ -163,12 +589,41 @@ module.exports = {
     registrationValidation,
     loginValidation,
     messageValidation,
+    privateMessageValidation,
+    broadcastValidation,
+    messageIdValidation,
+    messageEditValidation,
+    messageDeleteValidation,
+    reactionValidation,
+    reactionEmojiValidation,
+    readReceiptValidation,
     buddyValidation,
+    buddyVisibilityValidation,
+    roomValidation,
+    roomIdValidation,
+    roomMessageIdValidation,
+    invitationIdValidation,
+    roomInviteValidation,
+    roomMemberValidation,
+    roomBanValidation,
+    roomMuteValidation,
+    roomRoleValidation,
+    slowModeValidation,
+    statusMessageValidation,
+    preferencesValidation,
     passwordResetValidation,
     passwordChangeValidation,
     idValidation,
     paginationValidation,
+    conversationPageValidation,
     searchValidation,
+    messageSearchValidation,
+    exportValidation,
+    yahooImportValidation,
+    fileUploadValidation,
+    fileIdValidation,
+    imageValidation,
+    fileDownloadValidation,
     handleValidationErrors,
     sanitizeInput,
     patterns
@@ -4,6 +4,7 @@ const { v4: uuidv4 } = require('uuid');
 const nodemailer = require('nodemailer');
 const crypto = require('crypto');
 const tokenManager = require('./tokenManager');
+const presence = require('./presence');
 
 class Auth {
     /**
@@ -461,7 +462,21 @@ class Auth {
      */
     async updateProfile(userId, updates) {
         try {
-            const allowedUpdates = ['display_name', 'status'];
+            // Status changes go through presence so buddies are told live
+            if (updates.status !== undefined) {
+                const statusResult = await presence.setStatus(userId, updates.status);
+                if (statusResult.error) {
+                    return statusResult;
+                }
+
+                const { status, ...otherUpdates } = updates;
+                if (Object.keys(otherUpdates).length === 0) {
+                    return this.getProfile(userId);
+                }
+                updates = otherUpdates;
+            }
+
+            const allowedUpdates = ['display_name'];
             const updateFields = {};
             const updateValues = [];
             let paramCount = 1;
@@ -1,5 +1,6 @@
 const db = require('../config/database');
-const { getWebSocketConnection } = require('../middleware/auth');
+const sync = require('./sync');
+const presence = require('./presence');
 const { logUserAction } = require('../utils/security');
 
 /**
@@ -25,7 +26,7 @@ const buddySystem = {
     },
 
     /**
-     * Get user's online status
+     * Get user's online status as buddies see it
      */
     async getUserStatus(userId) {
         try {
@@ -33,7 +34,7 @@ const buddySystem = {
                 'SELECT status FROM users WHERE id = $1',
                 [userId]
             );
-            return result.rows[0]?.status || 'offline';
+            return presence.publicStatus(result.rows[0]?.status);
         } catch (error) {
             console.error('Get user status error:', error);
             return 'offline';
@@ -45,19 +46,17 @@ const buddySystem = {
      */
     async notifyBuddyAdded(userId, buddyId) {
         try {
-            const ws = getWebSocketConnection(userId);
-            if (ws && ws.readyState === 1) {
-                const buddyName = await this.getDisplayName(buddyId);
-                const buddyStatus = await this.getUserStatus(buddyId);
-                
-                ws.send(JSON.stringify({
-                    type: 'buddy_added',
-                    buddyId: buddyId,
-                    displayName: buddyName,
-                    status: buddyStatus,
-                    timestamp: new Date().toISOString()
-                }));
-            }
+            const buddyName = await this.getDisplayName(buddyId);
+            const buddyStatus = await this.getUserStatus(buddyId);
+
+            // Recorded so devices that are offline get it on their next sync
+            await sync.publishUserEvent(userId, {
+                type: 'buddy_added',
+                buddyId: buddyId,
+                displayName: buddyName,
+                status: buddyStatus,
+                timestamp: new Date().toISOString()
+            });
         } catch (error) {
             console.error('Buddy notification error:', error);
         }
@@ -156,18 +155,15 @@ const buddySystem = {
                 to_email: toUserEmail
             });
 
-            // Notify target user via WebSocket
-            const targetWs = getWebSocketConnection(toUserId);
-            if (targetWs) {
-                const fromDisplayName = await this.getDisplayName(fromUserId);
-                targetWs.send(JSON.stringify({
-                    type: 'buddy_request',
-                    requestId: request.rows[0].id,
-                    fromUserId: fromUserId,
-                    fromDisplayName: fromDisplayName,
-                    timestamp: new Date().toISOString()
-                }));
-            }
+            // Notify target user via WebSocket (or on their next sync)
+            const fromDisplayName = await this.getDisplayName(fromUserId);
+            await sync.publishUserEvent(toUserId, {
+                type: 'buddy_request',
+                requestId: request.rows[0].id,
+                fromUserId: fromUserId,
+                fromDisplayName: fromDisplayName,
+                timestamp: new Date().toISOString()
+            });
 
             return { 
                 success: true, 
@@ -314,17 +310,29 @@ const buddySystem = {
     async getBuddies(userId) {
         try {
             const buddies = await db.query(
-                `SELECT u.id, u.email, u.display_name, u.status, u.avatar_url, b.nickname, b.group_name
+                `SELECT u.id, u.email, u.display_name,
+                        CASE WHEN rb.appear_offline THEN 'offline' ELSE u.status END AS status,
+                        u.status_message, u.status_emoji, u.status_message_expires_at,
+                        u.avatar_url, b.nickname, b.group_name, b.appear_offline
                  FROM buddies b
                  JOIN users u ON b.buddy_user_id = u.id
+                 LEFT JOIN buddies rb ON rb.user_id = u.id AND rb.buddy_user_id = b.user_id
                  WHERE b.user_id = $1
-                 ORDER BY u.status DESC, u.display_name ASC`,
+                 ORDER BY CASE WHEN rb.appear_offline OR u.status = 'invisible' THEN 'offline' ELSE u.status END DESC,
+                          u.display_name ASC`,
                 [userId]
             );
 
             return { 
                 success: true, 
-                buddies: buddies.rows 
+                buddies: buddies.rows.map(buddy => {
+                    const { status_emoji, status_message_expires_at, ...fields } = buddy;
+                    return {
+                        ...fields,
+                        status: presence.publicStatus(buddy.status),
+                        status_message: presence.publicStatusMessage(buddy)
+                    };
+                })
             };
 
         } catch (error) {
@@ -353,14 +361,17 @@ const buddySystem = {
                 buddy_id: buddyId
             });
 
-            // Notify the other user if online
-            const buddyWs = getWebSocketConnection(buddyId);
-            if (buddyWs) {
-                buddyWs.send(JSON.stringify({
-                    type: 'buddy_removed',
-                    buddyId: userId
-                }));
-            }
+            // Notify the other user on all devices
+            await sync.publishUserEvent(buddyId, {
+                type: 'buddy_removed',
+                buddyId: userId
+            });
+
+            // Keep the remover's other devices in sync
+            await sync.publishUserEvent(userId, {
+                type: 'buddy_removed',
+                buddyId: Number(buddyId)
+            });
 
             return { 
                 success: true, 
@@ -376,6 +387,47 @@ const buddySystem = {
         }
     },
 
+    /**
+     * Appear offline to (or visible to) one buddy
+     * The buddy is told right away so their list flips without a refresh
+     */
+    async setVisibility(userId, buddyId, appearOffline) {
+        try {
+            const result = await db.query(
+                `UPDATE buddies SET appear_offline = $3
+                 WHERE user_id = $1 AND buddy_user_id = $2
+                 RETURNING appear_offline`,
+                [userId, buddyId, appearOffline]
+            );
+
+            if (result.rowCount === 0) {
+                return {
+                    error: 'Buddy relationship not found',
+                    code: 'BUDDY_NOT_FOUND'
+                };
+            }
+
+            await presence.notifyBuddyOfStatus(userId, buddyId);
+
+            await logUserAction(userId, 'buddy_visibility_changed', null, null, {
+                buddy_id: buddyId,
+                appear_offline: appearOffline
+            });
+
+            return {
+                success: true,
+                appearOffline: result.rows[0].appear_offline
+            };
+
+        } catch (error) {
+            console.error('Set buddy visibility error:', error);
+            return {
+                error: 'Failed to update buddy visibility',
+                code: 'BUDDY_UPDATE_FAILED'
+            };
+        }
+    },
+
     /**
      * Update buddy nickname or group
      */
@@ -0,0 +1,609 @@
+const os = require('os');
+const db = require('../config/database');
+const {
+    sendToLocalUser,
+    disconnectLocalUserWebSocket,
+    setClusterTransport,
+    isUserConnected,
+    getUserConnections,
+    wsConnections
+} = require('../middleware/auth');
+
+/**
+ * Cluster module for YM7 Hobby
+ * Lets several app.js instances share WebSocket delivery through Postgres
+ * LISTEN/NOTIFY, and keeps a cluster-wide registry of who is connected where.
+ * Calls and direct file transfers live on the node that started them; the
+ * other party's node forwards its signaling there (cluster_sessions says where).
+ * Disabled unless CLUSTER_ENABLED=true; a single node then behaves exactly
+ * as before.
+ */
+
+const CLUSTER_ENABLED = process.env.CLUSTER_ENABLED === 'true';
+
+// Used as part of a LISTEN channel name, so keep it identifier-safe
+const NODE_ID = (process.env.NODE_ID || `${os.hostname()}-${process.pid}`)
+    .replace(/[^A-Za-z0-9_-]/g, '_')
+    .slice(0, 48);
+
+const CHANNEL_PREFIX = 'ym7_node_';
+const HEARTBEAT_INTERVAL = 10 * 1000;
+const NODE_TIMEOUT_SECONDS = 30;
+const RECONNECT_DELAY = 5 * 1000;
+
+// NOTIFY payloads are capped at 8000 bytes; bigger ones go through a table
+const MAX_NOTIFY_PAYLOAD = 7900;
+
+const cluster = {
+    nodeId: NODE_ID,
+    enabled: CLUSTER_ENABLED,
+
+    listener: null,
+    heartbeatTimer: null,
+    stopped: false,
+    onUsersOrphaned: null,
+    remoteDeliveryHandlers: [],
+    signalHandlers: [],
+
+    // Publishes and received notifications are each handled one at a time
+    // so a user's messages arrive in the order they were sent
+    publishQueue: Promise.resolve(),
+    receiveQueue: Promise.resolve(),
+
+    /**
+     * Join the cluster: register this node, start listening and heartbeating
+     * onUsersOrphaned(userIds) is called for users whose only node went away
+     */
+    async start({ onUsersOrphaned = null } = {}) {
+        if (!this.enabled) {
+            return;
+        }
+
+        this.onUsersOrphaned = onUsersOrphaned;
+        this.stopped = false;
+
+        try {
+            await db.query(
+                `INSERT INTO cluster_nodes (node_id)
+                 VALUES ($1)
+                 ON CONFLICT (node_id)
+                 DO UPDATE SET started_at = NOW(), last_seen_at = NOW()`,
+                [NODE_ID]
+            );
+
+            // A restart under the same NODE_ID: its old sessions are gone
+            await db.query('DELETE FROM cluster_sessions WHERE node_id = $1', [NODE_ID]);
+            const previous = await db.query(
+                `DELETE FROM cluster_connections WHERE node_id = $1 RETURNING user_id`,
+                [NODE_ID]
+            );
+            await this.releaseUsers(previous.rows.map(row => row.user_id));
+
+            await this.listen();
+        } catch (error) {
+            console.error('Cluster start error:', error);
+        }
+
+        if (!this.listener) {
+            this.scheduleReconnect();
+        }
+
+        setClusterTransport(this);
+
+        this.heartbeatTimer = setInterval(() => {
+            this.heartbeat();
+        }, HEARTBEAT_INTERVAL);
+
+        console.log(`✅ Cluster node ${NODE_ID} started`);
+    },
+
+    /**
+     * Leave the cluster; other nodes stop routing to this one immediately
+     */
+    async stop() {
+        if (!this.enabled) {
+            return;
+        }
+
+        this.stopped = true;
+        clearInterval(this.heartbeatTimer);
+        setClusterTransport(null);
+
+        try {
+            await db.query('DELETE FROM cluster_nodes WHERE node_id = $1', [NODE_ID]);
+        } catch (error) {
+            console.error('Cluster stop error:', error);
+        }
+
+        if (this.listener) {
+            // Destroy rather than return to the pool: it is still LISTENing
+            this.listener.release(true);
+            this.listener = null;
+        }
+    },
+
+    /**
+     * Hold one pool client for LISTEN; reconnect if it drops
+     */
+    async listen() {
+        const client = await db.connect();
+
+        client.on('notification', (notification) => {
+            this.receiveQueue = this.receiveQueue
+                .then(() => this.handleNotification(notification))
+                .catch(error => console.error('Cluster notification error:', error));
+        });
+
+        client.on('error', (error) => {
+            console.error('Cluster listener error:', error);
+            if (this.listener === client) {
+                this.listener = null;
+                client.release(error);
+                this.scheduleReconnect();
+            }
+        });
+
+        await client.query(`LISTEN "${CHANNEL_PREFIX}${NODE_ID}"`);
+        this.listener = client;
+    },
+
+    scheduleReconnect() {
+        if (this.stopped) {
+            return;
+        }
+
+        setTimeout(async () => {
+            try {
+                await this.listen();
+                console.log(`Cluster listener for ${NODE_ID} reconnected`);
+            } catch (error) {
+                console.error('Cluster listener reconnect error:', error);
+                this.scheduleReconnect();
+            }
+        }, RECONNECT_DELAY);
+    },
+
+    /**
+     * Deliver something another node sent us
+     */
+    async handleNotification(notification) {
+        let envelope = JSON.parse(notification.payload);
+
+        if (envelope.ref) {
+            const stored = await db.query(
+                'SELECT payload FROM cluster_payloads WHERE id = $1',
+                [envelope.ref]
+            );
+            envelope = stored.rows[0]?.payload;
+            if (!envelope) {
+                return;
+            }
+        }
+
+        switch (envelope.kind) {
+            case 'user': {
+                const exclude = envelope.exclude ? { connectionId: envelope.exclude } : null;
+                const delivered = sendToLocalUser(envelope.userId, envelope.message, exclude);
+                for (const handler of this.remoteDeliveryHandlers) {
+                    await handler(envelope.userId, envelope.message, delivered);
+                }
+                break;
+            }
+
+            case 'socket': {
+                const ws = getUserConnections(envelope.userId)
+                    .find(socket => socket.connectionId === envelope.connectionId);
+                if (ws) {
+                    ws.send(envelope.data);
+                }
+                break;
+            }
+
+            case 'signal':
+                for (const handler of this.signalHandlers) {
+                    await handler(envelope);
+                }
+                break;
+
+            case 'disconnect':
+                disconnectLocalUserWebSocket(envelope.userId, envelope.token);
+                break;
+
+            default:
+                console.warn('Unknown cluster message kind:', envelope.kind);
+        }
+    },
+
+    /**
+     * Run code after another node delivers a message to its local devices,
+     * e.g. to mark a private message delivered
+     */
+    onRemoteDelivery(handler) {
+        this.remoteDeliveryHandlers.push(handler);
+    },
+
+    /**
+     * Handle call and file transfer signaling forwarded from another node
+     * handler({ origin, userId, connectionId, othersOnNode, message })
+     */
+    onSignal(handler) {
+        this.signalHandlers.push(handler);
+    },
+
+    /**
+     * Forward a message to other nodes the user is connected to,
+     * optionally skipping one of their sockets (by connectionId)
+     */
+    publishToUser(userId, message, excludeConnectionId = null) {
+        this.enqueuePublish(userId, {
+            kind: 'user',
+            userId: Number(userId),
+            exclude: excludeConnectionId,
+            message
+        });
+    },
+
+    /**
+     * Send raw data to one socket on another node
+     */
+    sendToSocket(nodeId, userId, connectionId, data) {
+        this.enqueueNodePublish(nodeId, {
+            kind: 'socket',
+            userId: Number(userId),
+            connectionId,
+            data
+        });
+    },
+
+    /**
+     * Hand a client's signaling message to the node holding the call or transfer
+     * Replies come back to the same socket through sendToSocket.
+     */
+    forwardSignal(nodeId, ws, message) {
+        this.enqueueNodePublish(nodeId, {
+            kind: 'signal',
+            origin: NODE_ID,
+            userId: ws.userId,
+            connectionId: ws.connectionId,
+            // The user's other devices on this node, e.g. for a ringing callee going offline
+            othersOnNode: getUserConnections(ws.userId).filter(socket => socket !== ws).length,
+            message
+        });
+    },
+
+    /**
+     * Close a user's sessions on other nodes (logout)
+     */
+    publishDisconnect(userId, token = null) {
+        this.enqueuePublish(userId, {
+            kind: 'disconnect',
+            userId: Number(userId),
+            token
+        });
+    },
+
+    enqueuePublish(userId, envelope) {
+        this.publishQueue = this.publishQueue
+            .then(() => this.publish(userId, envelope))
+            .catch(error => console.error('Cluster publish error:', error));
+    },
+
+    enqueueNodePublish(nodeId, envelope) {
+        this.publishQueue = this.publishQueue
+            .then(() => this.publishToNode(nodeId, envelope))
+            .catch(error => console.error('Cluster publish error:', error));
+    },
+
+    /**
+     * NOTIFY one node; big payloads are stored and sent by reference
+     */
+    async publishToNode(nodeId, envelope) {
+        let payload = JSON.stringify(envelope);
+
+        if (Buffer.byteLength(payload) > MAX_NOTIFY_PAYLOAD) {
+            const stored = await db.query(
+                'INSERT INTO cluster_payloads (payload) VALUES ($1) RETURNING id',
+                [payload]
+            );
+            payload = JSON.stringify({ ref: stored.rows[0].id });
+        }
+
+        await db.query('SELECT pg_notify($1, $2)', [`${CHANNEL_PREFIX}${nodeId}`, payload]);
+    },
+
+    /**
+     * NOTIFY every other live node holding a connection for the user
+     */
+    async publish(userId, envelope) {
+        let payload = JSON.stringify(envelope);
+
+        if (Buffer.byteLength(payload) > MAX_NOTIFY_PAYLOAD) {
+            // Only worth storing if some other node will actually read it
+            if (!(await this.hasRemoteConnections(userId))) {
+                return;
+            }
+
+            const stored = await db.query(
+                'INSERT INTO cluster_payloads (payload) VALUES ($1) RETURNING id',
+                [payload]
+            );
+            payload = JSON.stringify({ ref: stored.rows[0].id });
+        }
+
+        await db.query(
+            `SELECT pg_notify($3 || cc.node_id, $4)
+             FROM cluster_connections cc
+             JOIN cluster_nodes n ON n.node_id = cc.node_id
+             WHERE cc.user_id = $1 AND cc.node_id <> $2
+               AND n.last_seen_at > NOW() - make_interval(secs => $5)`,
+            [userId, NODE_ID, CHANNEL_PREFIX, payload, NODE_TIMEOUT_SECONDS]
+        );
+    },
+
+    async hasRemoteConnections(userId) {
+        const result = await db.query(
+            `SELECT 1
+             FROM cluster_connections cc
+             JOIN cluster_nodes n ON n.node_id = cc.node_id
+             WHERE cc.user_id = $1 AND cc.node_id <> $2
+               AND n.last_seen_at > NOW() - make_interval(secs => $3)
+             LIMIT 1`,
+            [userId, NODE_ID, NODE_TIMEOUT_SECONDS]
+        );
+        return result.rows.length > 0;
+    },
+
+    /**
+     * Keep this node alive in the registry and clear out dead ones
+     */
+    async heartbeat() {
+        try {
+            const node = await db.query(
+                `INSERT INTO cluster_nodes (node_id)
+                 VALUES ($1)
+                 ON CONFLICT (node_id) DO UPDATE SET last_seen_at = NOW()
+                 RETURNING (xmax = 0) AS inserted`,
+                [NODE_ID]
+            );
+
+            // Another node swept us as stale (e.g. a long database stall):
+            // put our connections back so delivery to our users resumes
+            if (node.rows[0].inserted) {
+                await this.reregisterConnections();
+            }
+
+            await this.sweepStaleNodes();
+
+            await db.query(
+                `DELETE FROM cluster_payloads WHERE created_at < NOW() - INTERVAL '5 minutes'`
+            );
+        } catch (error) {
+            console.error('Cluster heartbeat error:', error);
+        }
+    },
+
+    async reregisterConnections() {
+        for (const [userId, sockets] of wsConnections) {
+            await db.query(
+                `INSERT INTO cluster_connections (node_id, user_id, device_count)
+                 VALUES ($1, $2, $3)
+                 ON CONFLICT (node_id, user_id) DO UPDATE SET device_count = $3`,
+                [NODE_ID, userId, sockets.size]
+            );
+        }
+        console.warn(`Cluster node ${NODE_ID} re-registered ${wsConnections.size} user(s)`);
+    },
+
+    /**
+     * Remove nodes that stopped heartbeating; users who were only connected
+     * there are reported as orphaned so they can be set offline
+     * Concurrent sweeps are safe: each stale node is deleted exactly once
+     */
+    async sweepStaleNodes() {
+        const result = await db.query(
+            `WITH stale AS (
+                 DELETE FROM cluster_nodes
+                 WHERE node_id <> $1 AND last_seen_at < NOW() - make_interval(secs => $2)
+                 RETURNING node_id
+             )
+             SELECT DISTINCT cc.user_id
+             FROM cluster_connections cc
+             JOIN stale s ON s.node_id = cc.node_id`,
+            [NODE_ID, NODE_TIMEOUT_SECONDS]
+        );
+
+        if (result.rows.length > 0) {
+            console.warn(`Cluster removed stale node(s); ${result.rows.length} user(s) affected`);
+        }
+
+        await this.releaseUsers(result.rows.map(row => row.user_id));
+    },
+
+    /**
+     * Report users that no longer have a connection on any live node
+     */
+    async releaseUsers(userIds) {
+        if (userIds.length === 0 || !this.onUsersOrphaned) {
+            return;
+        }
+
+        const stillConnected = await db.query(
+            `SELECT DISTINCT cc.user_id
+             FROM cluster_connections cc
+             JOIN cluster_nodes n ON n.node_id = cc.node_id
+             WHERE cc.user_id = ANY($1)
+               AND n.last_seen_at > NOW() - make_interval(secs => $2)`,
+            [userIds, NODE_TIMEOUT_SECONDS]
+        );
+
+        const connected = new Set(stillConnected.rows.map(row => row.user_id));
+        const orphaned = userIds.filter(userId => !connected.has(userId));
+
+        if (orphaned.length > 0) {
+            await this.onUsersOrphaned(orphaned);
+        }
+    },
+
+    /**
+     * Record how many devices a user has on this node and return how many
+     * they have across the cluster
+     * A per-user advisory lock serialises nodes updating the same user, so
+     * exactly one node sees the first connection and one sees the last.
+     * Never throws: when the database can't be reached it falls back to localCount.
+     */
+    async updateConnectionCount(userId, localCount) {
+        if (!this.enabled) {
+            return localCount;
+        }
+
+        let client;
+
+        try {
+            client = await db.connect();
+            await client.query('BEGIN');
+            await client.query(
+                `SELECT pg_advisory_xact_lock(hashtext('ym7_presence'), $1)`,
+                [userId]
+            );
+
+            if (localCount > 0) {
+                await client.query(
+                    `INSERT INTO cluster_connections (node_id, user_id, device_count)
+                     VALUES ($1, $2, $3)
+                     ON CONFLICT (node_id, user_id) DO UPDATE SET device_count = $3`,
+                    [NODE_ID, userId, localCount]
+                );
+            } else {
+                await client.query(
+                    'DELETE FROM cluster_connections WHERE node_id = $1 AND user_id = $2',
+                    [NODE_ID, userId]
+                );
+            }
+
+            const total = await client.query(
+                `SELECT COALESCE(SUM(cc.device_count), 0) AS devices
+                 FROM cluster_connections cc
+                 JOIN cluster_nodes n ON n.node_id = cc.node_id
+                 WHERE cc.user_id = $1
+                   AND (cc.node_id = $2 OR n.last_seen_at > NOW() - make_interval(secs => $3))`,
+                [userId, NODE_ID, NODE_TIMEOUT_SECONDS]
+            );
+
+            await client.query('COMMIT');
+            return Number(total.rows[0].devices);
+
+        } catch (error) {
+            if (client) {
+                await client.query('ROLLBACK').catch(() => {});
+            }
+            console.error('Cluster connection registry error:', error);
+            // Fall back to what this node knows
+            return localCount;
+        } finally {
+            if (client) {
+                client.release();
+            }
+        }
+    },
+
+    /**
+     * Whether a user has a connected device on any node
+     */
+    /**
+     * Record that this node holds a call or direct file transfer
+     * Returns false if the id is already taken (e.g. a transfer offered twice).
+     */
+    async registerSession(kind, sessionId, initiatorId, peerId) {
+        if (!this.enabled) {
+            return true;
+        }
+
+        const result = await db.query(
+            `INSERT INTO cluster_sessions (session_id, kind, node_id, initiator_id, peer_id)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (session_id) DO NOTHING`,
+            [sessionId, kind, NODE_ID, initiatorId, peerId]
+        );
+        return result.rowCount > 0;
+    },
+
+    unregisterSession(sessionId) {
+        if (!this.enabled) {
+            return;
+        }
+
+        db.query('DELETE FROM cluster_sessions WHERE session_id = $1', [sessionId])
+            .catch(error => console.error('Cluster session removal error:', error));
+    },
+
+    /**
+     * Find the live node holding a call or transfer: { session_id, node_id, ... } or null
+     */
+    async findSession(sessionId) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const result = await db.query(
+            `SELECT s.session_id, s.kind, s.node_id, s.initiator_id, s.peer_id
+             FROM cluster_sessions s
+             JOIN cluster_nodes n ON n.node_id = s.node_id
+             WHERE s.session_id = $1
+               AND n.last_seen_at > NOW() - make_interval(secs => $2)`,
+            [String(sessionId), NODE_TIMEOUT_SECONDS]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * Find a call a user is ringing or talking in on any live node,
+     * optionally only one with a given other user
+     */
+    async findCall(userId, otherUserId = null) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const result = await db.query(
+            `SELECT s.session_id, s.kind, s.node_id, s.initiator_id, s.peer_id
+             FROM cluster_sessions s
+             JOIN cluster_nodes n ON n.node_id = s.node_id
+             WHERE s.kind = 'call'
+               AND (s.initiator_id = $1 OR s.peer_id = $1)
+               AND ($2::INTEGER IS NULL OR s.initiator_id = $2 OR s.peer_id = $2)
+               AND n.last_seen_at > NOW() - make_interval(secs => $3)
+             LIMIT 1`,
+            [userId, otherUserId, NODE_TIMEOUT_SECONDS]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * Other live nodes holding a call or transfer the user takes part in
+     */
+    async findSessionNodes(userId) {
+        if (!this.enabled) {
+            return [];
+        }
+
+        const result = await db.query(
+            `SELECT DISTINCT s.node_id
+             FROM cluster_sessions s
+             JOIN cluster_nodes n ON n.node_id = s.node_id
+             WHERE (s.initiator_id = $1 OR s.peer_id = $1) AND s.node_id <> $2
+               AND n.last_seen_at > NOW() - make_interval(secs => $3)`,
+            [userId, NODE_ID, NODE_TIMEOUT_SECONDS]
+        );
+        return result.rows.map(row => row.node_id);
+    },
+
+    async isUserOnline(userId) {
+        if (isUserConnected(userId)) {
+            return true;
+        }
+
+        return this.enabled && this.hasRemoteConnections(userId);
+    }
+};
+
+module.exports = cluster;
@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const messageSystem = require('./messages');
+const fileStore = require('../utils/fileStore');
+const { processImage, THUMBNAIL_MIME_TYPE } = require('../utils/imageProcessor');
+const security = require('../websocket/security');
+
+/**
+ * File transfer for YM7 Hobby ("Send a File")
+ * Files normally go straight between browsers over WebRTC and only the fact
+ * of the transfer is recorded; when that fails the sender uploads the file
+ * here instead. Either way the conversation gets a message with
+ * message_type 'file'. Stored files are fetched through short-lived signed
+ * links and removed once they expire.
+ *
+ * Pictures (message_type 'image') are always uploaded. They are cleaned of
+ * metadata and thumbnailed on the way in, and their previews are served only
+ * to the two people in the conversation.
+ */
+
+// Largest file kept on the server
+const MAX_FILE_SIZE = parseInt(process.env.FILE_UPLOAD_MAX_SIZE) || 25 * 1024 * 1024;
+
+// Largest picture accepted; pictures are processed in memory
+const MAX_IMAGE_SIZE = parseInt(process.env.IMAGE_UPLOAD_MAX_SIZE) || 10 * 1024 * 1024;
+
+// Largest file offered directly; the receiving browser holds it in memory
+const MAX_DIRECT_FILE_SIZE = 500 * 1024 * 1024;
+
+// How long a stored file is kept, and how long one download link works
+const FILE_RETENTION_MS = (parseInt(process.env.FILE_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const LINK_TTL_SECONDS = parseInt(process.env.FILE_LINK_TTL) || 60 * 60;
+
+const MAX_FILE_NAME_LENGTH = 200;
+
+const MIME_TYPE = /^[a-z0-9][a-z0-9!#$&^_.+-]{0,63}\/[a-z0-9][a-z0-9!#$&^_.+-]{0,63}$/i;
+
+const linkSignature = (fileId, expires) => crypto
+    .createHmac('sha256', process.env.FILE_LINK_SECRET || process.env.JWT_SECRET)
+    .update(`${fileId}:${expires}`)
+    .digest('hex');
+
+const files = {
+    MAX_FILE_SIZE,
+    MAX_IMAGE_SIZE,
+    MAX_DIRECT_FILE_SIZE,
+
+    /**
+     * Keep only the last part of a path, without control characters
+     */
+    cleanFileName(name) {
+        const base = String(name || '').split(/[\\/]/).pop();
+        const cleaned = base.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_FILE_NAME_LENGTH);
+        return cleaned && cleaned !== '.' && cleaned !== '..' ? cleaned : 'file';
+    },
+
+    /**
+     * Store the file message; the message text is the escaped file name so
+     * history and search show something sensible
+     */
+    async sendFileMessage(userId, toUserId, { transferId, replyToId = null, messageType = 'file', file }) {
+        const content = security.sanitizeMessageContent(file.name)
+            .slice(0, 1000)
+            .replace(/&[^;\s]*$/, '');
+
+        return messageSystem.sendPrivateMessage(userId, toUserId, content, {
+            clientMessageId: transferId,
+            replyToId,
+            messageType,
+            file
+        });
+    },
+
+    /**
+     * Record a file that went directly between the two browsers
+     * The server never saw the bytes, so name, size and type are as the sender described them.
+     */
+    async recordDirectTransfer(userId, toUserId, { transferId, name, size, mimeType }) {
+        return this.sendFileMessage(userId, toUserId, {
+            transferId,
+            file: {
+                id: uuidv4(),
+                name: this.cleanFileName(name),
+                mimeType: MIME_TYPE.test(mimeType || '') ? mimeType.toLowerCase() : 'application/octet-stream',
+                size,
+                transport: 'p2p',
+                storageKey: null,
+                expiresAt: null
+            }
+        });
+    },
+
+    /**
+     * Store an uploaded file and send it as a message
+     * transferId is the id of the offer the upload replaces (or a fresh UUID),
+     * so a retried upload, or one racing a finished direct transfer, is kept once.
+     */
+    async uploadFile(userId, { toUserId, transferId, name, replyToId = null }, input) {
+        const permissionError = await messageSystem.checkContactPermission(userId, toUserId);
+        if (permissionError) {
+            return permissionError;
+        }
+
+        let stored;
+        try {
+            stored = await fileStore.saveStream(input, MAX_FILE_SIZE);
+        } catch (error) {
+            if (error.code === 'FILE_TOO_LARGE') {
+                return {
+                    error: `Files sent through the server can be at most ${Math.floor(MAX_FILE_SIZE / (1024 * 1024))} MB`,
+                    code: 'FILE_TOO_LARGE'
+                };
+            }
+            throw error;
+        }
+
+        if (stored.size === 0) {
+            await fileStore.remove(stored.key);
+            return {
+                error: 'File is empty',
+                code: 'FILE_EMPTY'
+            };
+        }
+
+        let result;
+        try {
+            result = await this.sendFileMessage(userId, toUserId, {
+                transferId,
+                replyToId,
+                file: {
+                    id: uuidv4(),
+                    name: this.cleanFileName(name),
+                    mimeType: stored.mimeType,
+                    size: stored.size,
+                    transport: 'server',
+                    storageKey: stored.key,
+                    expiresAt: new Date(Date.now() + FILE_RETENTION_MS)
+                }
+            });
+        } catch (error) {
+            await fileStore.remove(stored.key);
+            throw error;
+        }
+
+        if (result.error || result.duplicate) {
+            await fileStore.remove(stored.key);
+        }
+
+        return result;
+    },
+
+    /**
+     * Check, clean and store a picture and send it as a message
+     * The original is stored without its metadata, next to thumbnails in
+     * each of the imageProcessor sizes.
+     */
+    async uploadImage(userId, { toUserId, transferId, name, replyToId = null }, buffer) {
+        const permissionError = await messageSystem.checkContactPermission(userId, toUserId);
+        if (permissionError) {
+            return permissionError;
+        }
+
+        let image;
+        try {
+            image = await processImage(buffer);
+        } catch (error) {
+            if (error.code === 'INVALID_IMAGE') {
+                return {
+                    error: error.message,
+                    code: 'INVALID_IMAGE'
+                };
+            }
+            throw error;
+        }
+
+        const stored = await fileStore.saveBuffer(image.data);
+
+        let result;
+        try {
+            for (const [variant, thumbnail] of Object.entries(image.thumbnails)) {
+                await fileStore.saveVariant(stored.key, variant, thumbnail);
+            }
+
+            result = await this.sendFileMessage(userId, toUserId, {
+                transferId,
+                replyToId,
+                messageType: 'image',
+                file: {
+                    id: uuidv4(),
+                    name: this.cleanFileName(name),
+                    mimeType: image.mimeType,
+                    size: stored.size,
+                    transport: 'server',
+                    storageKey: stored.key,
+                    expiresAt: new Date(Date.now() + FILE_RETENTION_MS),
+                    width: image.width,
+                    height: image.height
+                }
+            });
+        } catch (error) {
+            await fileStore.remove(stored.key);
+            throw error;
+        }
+
+        if (result.error || result.duplicate) {
+            await fileStore.remove(stored.key);
+        }
+
+        return result;
+    },
+
+    /**
+     * Find a stored file the user can still see in one of their conversations
+     */
+    async findStoredFile(userId, fileId) {
+        const result = await db.query(
+            `SELECT f.id, f.storage_key, f.expires_at, m.message_type
+             FROM message_files f
+             JOIN messages m ON m.id = f.message_id
+             WHERE f.id = $1 AND f.storage_key IS NOT NULL AND f.expires_at > NOW()
+               AND m.deleted_at IS NULL
+               AND ((m.from_user_id = $2 AND NOT m.hidden_for_sender)
+                 OR (m.to_user_id = $2 AND NOT m.hidden_for_recipient))`,
+            [fileId, userId]
+        );
+
+        return result.rows[0] || null;
+    },
+
+    /**
+     * Open a picture thumbnail for one of the two participants
+     * Returns { mimeType, stream } or an error result
+     */
+    async openImage(userId, fileId, size) {
+        const file = await this.findStoredFile(userId, fileId);
+        if (!file || file.message_type !== 'image') {
+            return {
+                error: 'Picture not found or no longer available',
+                code: 'FILE_NOT_FOUND'
+            };
+        }
+
+        return {
+            mimeType: THUMBNAIL_MIME_TYPE,
+            stream: fileStore.openStream(file.storage_key, size)
+        };
+    },
+
+    /**
+     * Issue a download link for a stored file to one of its two participants
+     * Links are signed and stop working after LINK_TTL_SECONDS (or when the file expires).
+     */
+    async createDownloadLink(userId, fileId) {
+        const file = await this.findStoredFile(userId, fileId);
+        if (!file) {
+            return {
+                error: 'File not found or no longer available',
+                code: 'FILE_NOT_FOUND'
+            };
+        }
+
+        const fileExpires = Math.floor(new Date(file.expires_at).getTime() / 1000);
+        const expires = Math.min(Math.floor(Date.now() / 1000) + LINK_TTL_SECONDS, fileExpires);
+        const params = new URLSearchParams({ expires: String(expires), signature: linkSignature(file.id, expires) });
+
+        return {
+            success: true,
+            url: `/api/files/${file.id}/download?${params}`,
+            expiresAt: new Date(expires * 1000).toISOString()
+        };
+    },
+
+    /**
+     * Open a stored file for a signed download link
+     * Returns { file, stream } or an error result
+     */
+    async openDownload(fileId, expires, signature) {
+        const expected = Buffer.from(linkSignature(fileId, expires), 'hex');
+        const given = Buffer.from(signature, 'hex');
+
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return {
+                error: 'Invalid download link',
+                code: 'INVALID_LINK'
+            };
+        }
+
+        if (expires * 1000 <= Date.now()) {
+            return {
+                error: 'Download link has expired',
+                code: 'LINK_EXPIRED'
+            };
+        }
+
+        const result = await db.query(
+            `SELECT f.file_name, f.mime_type, f.size_bytes, f.storage_key
+             FROM message_files f
+             JOIN messages m ON m.id = f.message_id
+             WHERE f.id = $1 AND f.storage_key IS NOT NULL AND f.expires_at > NOW()
+               AND m.deleted_at IS NULL`,
+            [fileId]
+        );
+
+        const file = result.rows[0];
+        if (!file) {
+            return {
+                error: 'File not found or no longer available',
+                code: 'FILE_NOT_FOUND'
+            };
+        }
+
+        return {
+            file: {
+                name: file.file_name,
+                mimeType: file.mime_type,
+                size: Number(file.size_bytes)
+            },
+            stream: fileStore.openStream(file.storage_key)
+        };
+    },
+
+    /**
+     * Remove stored files past their expiry; the messages stay and show the file as gone
+     */
+    async removeExpiredFiles() {
+        const expired = await db.query(
+            `WITH expired AS (
+                 SELECT id, storage_key FROM message_files
+                 WHERE storage_key IS NOT NULL AND expires_at <= NOW()
+                 FOR UPDATE SKIP LOCKED
+             )
+             UPDATE message_files f SET storage_key = NULL
+             FROM expired e
+             WHERE f.id = e.id
+             RETURNING e.storage_key`
+        );
+
+        for (const row of expired.rows) {
+            await fileStore.remove(row.storage_key);
+        }
+
+        return expired.rows.length;
+    }
+};
+
+// Clear out expired files every hour
+setInterval(() => {
+    files.removeExpiredFiles().catch(error => {
+        console.error('Expired file cleanup error:', error);
+    });
+}, 60 * 60 * 1000);
+
+module.exports = files;
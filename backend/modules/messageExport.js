@@ -0,0 +1,298 @@
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const db = require('../config/database');
+const messageSystem = require('./messages');
+const preferences = require('./preferences');
+const { decodeStoredText, createTimestampFormatter } = require('../utils/messageFormat');
+const { tokenize } = require('../utils/emoticons');
+
+/**
+ * Conversation export for YM7 Hobby, in the spirit of the Message Archive
+ * Conversations are read through getConversation a batch at a time and
+ * written straight to the response, so the same buddy and deleted-message
+ * rules apply as in the chat window and long histories are never held in memory
+ */
+
+// Messages fetched per query while exporting
+const EXPORT_BATCH_SIZE = 500;
+
+const EXPORT_FORMATS = ['json', 'html', 'txt'];
+
+const CONTENT_TYPES = {
+    json: 'application/json; charset=utf-8',
+    html: 'text/html; charset=utf-8',
+    txt: 'text/plain; charset=utf-8',
+    zip: 'application/zip'
+};
+
+const DELETED_TEXT = 'This message was deleted';
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#x27;');
+
+// Message text as HTML, with emoticons shown as in the chat window
+const messageHtml = (text, emoticons) => tokenize(text, { emoticons })
+    .map(token => (token.type === 'emoticon'
+        ? `<span class="emoticon" title="${escapeHtml(token.shortcode)}">${token.emoji}</span>`
+        : escapeHtml(token.text)))
+    .join('')
+    .replace(/\n/g, '<br>');
+
+// Display names end up in file names; keep those to a safe set of characters
+const safeFileName = (name) => String(name).replace(/[^a-zA-Z0-9_-]+/g, '_').slice(0, 50) || 'buddy';
+
+/**
+ * Write a chunk, waiting for the reader when its buffer is full
+ * Rejects if the stream is closed underneath us (e.g. the download was cancelled)
+ */
+const write = (out, chunk) => new Promise((resolve, reject) => {
+    if (out.destroyed) {
+        reject(new Error('Export stream closed'));
+        return;
+    }
+
+    if (out.write(chunk)) {
+        resolve();
+        return;
+    }
+
+    const onDrain = () => {
+        out.off('close', onClose);
+        resolve();
+    };
+    const onClose = () => {
+        out.off('drain', onDrain);
+        reject(new Error('Export stream closed'));
+    };
+    out.once('drain', onDrain);
+    out.once('close', onClose);
+});
+
+/**
+ * Output formats: each returns the text for the start of the file, one
+ * message (index counts from 0) and the end of the file
+ */
+const WRITERS = {
+    json: {
+        start: (meta) => JSON.stringify({
+            exportedAt: meta.exportedAt.toISOString(),
+            timezone: meta.timezone,
+            participants: meta.participants
+        }, null, 2).replace(/\n}$/, ',\n  "messages": [\n'),
+
+        message: (entry, index) => (index > 0 ? ',\n' : '') +
+            JSON.stringify(entry, null, 2).replace(/^/gm, '    '),
+
+        end: (count) => (count > 0 ? '\n' : '') + '  ]\n}\n'
+    },
+
+    html: {
+        start: (meta) => {
+            const names = meta.participants.map(p => escapeHtml(p.displayName)).join(' and ');
+            return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Conversation between ${names}</title>
+<style>
+body { font-family: Tahoma, Verdana, sans-serif; font-size: 13px; margin: 20px; }
+.message { margin: 4px 0; }
+.time { color: #888; }
+.from { font-weight: bold; color: #5f0fa0; }
+.own .from { color: #0d47a1; }
+.deleted { color: #888; font-style: italic; }
+.edited { color: #888; font-size: 11px; }
+.emoticon { font-size: 16px; line-height: 1; }
+</style>
+</head>
+<body>
+<h1>Conversation between ${names}</h1>
+<p>Exported ${escapeHtml(meta.formatTime(meta.exportedAt))} (${escapeHtml(meta.timezone)})</p>
+`;
+        },
+
+        message: (entry, index, meta) => {
+            const own = entry.fromUserId === meta.ownerId ? ' own' : '';
+            const text = entry.deleted
+                ? `<span class="deleted">${DELETED_TEXT}</span>`
+                : messageHtml(entry.message, meta.emoticons);
+            const edited = entry.edited ? ' <span class="edited">(edited)</span>' : '';
+
+            return `<div class="message${own}"><span class="time">[${escapeHtml(entry.localTime)}]</span> ` +
+                `<span class="from">${escapeHtml(entry.fromDisplayName)}:</span> ${text}${edited}</div>\n`;
+        },
+
+        end: (count) => `<p>${count} message${count === 1 ? '' : 's'}</p>\n</body>\n</html>\n`
+    },
+
+    txt: {
+        start: (meta) => `Conversation between ${meta.participants.map(p => p.displayName).join(' and ')}\n` +
+            `Exported ${meta.formatTime(meta.exportedAt)} (${meta.timezone})\n\n`,
+
+        message: (entry) => {
+            const text = entry.deleted ? `<${DELETED_TEXT}>` : entry.message;
+            return `[${entry.localTime}] ${entry.fromDisplayName}: ${text}${entry.edited ? ' (edited)' : ''}\n`;
+        },
+
+        end: (count) => `\n${count} message${count === 1 ? '' : 's'}\n`
+    }
+};
+
+const messageExport = {
+    EXPORT_FORMATS,
+    CONTENT_TYPES,
+
+    /**
+     * File name for one conversation, e.g. ym7-conversation-Alice-12.html
+     */
+    conversationFileName(buddy, format) {
+        return `ym7-conversation-${safeFileName(buddy.display_name)}-${buddy.id}.${format}`;
+    },
+
+    /**
+     * Get a buddy's id and display name if the user may export their conversation
+     */
+    async getExportBuddy(userId, buddyId) {
+        const accessError = await messageSystem.checkConversationAccess(userId, buddyId);
+        if (accessError) {
+            return accessError;
+        }
+
+        const result = await db.query(
+            'SELECT id, display_name FROM users WHERE id = $1',
+            [buddyId]
+        );
+
+        return { buddy: result.rows[0] };
+    },
+
+    /**
+     * Shape a conversation row for export; times are given both in UTC and
+     * in the requested time zone
+     */
+    formatEntry(row, formatTime) {
+        const deleted = Boolean(row.deleted_at);
+
+        return {
+            id: row.id,
+            fromUserId: row.from_user_id,
+            fromDisplayName: row.from_display_name,
+            timestamp: new Date(row.created_at).toISOString(),
+            localTime: formatTime(row.created_at),
+            message: deleted ? null : decodeStoredText(row.message),
+            edited: Boolean(row.edited_at),
+            deleted,
+            imported: Boolean(row.imported),
+            replyToId: row.reply_to_id
+        };
+    },
+
+    /**
+     * Stream a whole conversation, oldest first, to a writable stream
+     * Access must have been checked with getExportBuddy first.
+     */
+    async writeConversation(out, userId, buddy, { format, timezone }) {
+        const writer = WRITERS[format];
+        const formatTime = createTimestampFormatter(timezone);
+        const owner = await db.query('SELECT id, display_name FROM users WHERE id = $1', [userId]);
+        const settings = await preferences.getPreferences(userId);
+
+        const meta = {
+            ownerId: userId,
+            exportedAt: new Date(),
+            timezone,
+            formatTime,
+            emoticons: settings.preferences ? settings.preferences.emoticons : true,
+            participants: [owner.rows[0], buddy].map(user => ({
+                id: user.id,
+                displayName: user.display_name
+            }))
+        };
+
+        await write(out, writer.start(meta));
+
+        let count = 0;
+        let page = await messageSystem.getConversation(userId, buddy.id, {
+            fromStart: true,
+            limit: EXPORT_BATCH_SIZE
+        });
+
+        while (true) {
+            // The buddy was removed while we were exporting
+            if (page.error) {
+                throw new Error(page.error);
+            }
+
+            for (const row of page.messages) {
+                await write(out, writer.message(this.formatEntry(row, formatTime), count, meta));
+                count++;
+            }
+
+            if (!page.hasMore || page.messages.length === 0) {
+                break;
+            }
+
+            page = await messageSystem.getConversation(userId, buddy.id, {
+                after: page.messages[page.messages.length - 1].id,
+                limit: EXPORT_BATCH_SIZE
+            });
+        }
+
+        await write(out, writer.end(count));
+
+        return count;
+    },
+
+    /**
+     * Stream a ZIP of every conversation the user has with a current buddy,
+     * one file per buddy
+     */
+    async writeArchive(out, userId, { format, timezone }) {
+        const buddies = await db.query(
+            `SELECT u.id, u.display_name
+             FROM users u
+             WHERE u.id IN (SELECT buddy_user_id FROM buddies WHERE user_id = $1
+                            UNION SELECT user_id FROM buddies WHERE buddy_user_id = $1)
+               AND EXISTS (SELECT 1 FROM messages m
+                           WHERE (m.from_user_id = $1 AND m.to_user_id = u.id AND NOT m.hidden_for_sender)
+                              OR (m.from_user_id = u.id AND m.to_user_id = $1 AND NOT m.hidden_for_recipient))
+             ORDER BY u.display_name, u.id`,
+            [userId]
+        );
+
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        let entry = null;
+
+        archive.on('error', error => out.destroy(error));
+
+        // Stop reading the database as soon as the download goes away;
+        // the pending write then rejects and ends the loop below
+        out.on('close', () => {
+            archive.abort();
+            if (entry) {
+                entry.destroy();
+            }
+        });
+
+        archive.pipe(out);
+
+        // Conversations are written one after another; archiver reads entries in order
+        for (const buddy of buddies.rows) {
+            entry = new PassThrough();
+            archive.append(entry, { name: this.conversationFileName(buddy, format) });
+            await this.writeConversation(entry, userId, buddy, { format, timezone });
+            entry.end();
+        }
+
+        entry = null;
+        await archive.finalize();
+
+        return buddies.rows.length;
+    }
+};
+
+module.exports = messageExport;
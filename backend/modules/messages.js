@@ -0,0 +1,1001 @@
+const db = require('../config/database');
+const { sendToUser } = require('../middleware/auth');
+const presence = require('./presence');
+const cluster = require('./cluster');
+const sync = require('./sync');
+const fileStore = require('../utils/fileStore');
+const security = require('../websocket/security');
+const preferences = require('./preferences');
+const { formatReplyTo, formatFile, safeHighlight } = require('../utils/messageFormat');
+const { buildFormatting, toMarkup } = require('../utils/richText');
+
+/**
+ * Private messaging module for YM7 Hobby
+ * Shared by the WebSocket handler and the REST API so both paths store,
+ * dedupe and deliver messages the same way
+ */
+
+// How long after sending a message its sender may still edit it
+const EDIT_WINDOW_MINUTES = 15;
+
+// Conversation message columns, with the message it replies to joined as p
+// and the file it carries as f
+const MESSAGE_COLUMNS = `m.id, m.from_user_id, m.to_user_id, m.message, m.message_type, m.formatting, m.created_at, m.read,
+        m.client_message_id, m.delivered_at, m.edited_at, m.deleted_at, m.imported,
+        m.reply_to_id, p.from_user_id AS reply_from_user_id,
+        p.message AS reply_message, p.deleted_at AS reply_deleted_at,
+        f.id AS file_id, f.file_name, f.mime_type AS file_mime_type, f.size_bytes AS file_size,
+        f.transport AS file_transport, f.expires_at AS file_expires_at,
+        f.storage_key IS NOT NULL AS file_stored, f.width AS file_width, f.height AS file_height,
+        u1.display_name as from_display_name,
+        u2.display_name as to_display_name`;
+
+const MESSAGE_JOINS = `JOIN users u1 ON m.from_user_id = u1.id
+     JOIN users u2 ON m.to_user_id = u2.id
+     LEFT JOIN messages p ON p.id = m.reply_to_id
+     LEFT JOIN message_files f ON f.message_id = m.id`;
+
+// Messages between $1 (the viewer) and $2, less those the viewer deleted for themselves
+// Written as LEAST/GREATEST so it matches idx_messages_conversation
+const CONVERSATION_FILTER = `LEAST(m.from_user_id, m.to_user_id) = LEAST($1::INTEGER, $2::INTEGER)
+        AND GREATEST(m.from_user_id, m.to_user_id) = GREATEST($1::INTEGER, $2::INTEGER)
+        AND NOT CASE WHEN m.from_user_id = $1 THEN m.hidden_for_sender ELSE m.hidden_for_recipient END`;
+
+// Search result highlighting; text is stored escaped so only <mark> is markup
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=10';
+
+const messageSystem = {
+    /**
+     * Check buddy relationship and blocks between two users
+     * Returns null when allowed, otherwise an error result
+     */
+    async checkContactPermission(fromUserId, toUserId) {
+        const areBuddies = await db.query(
+            `SELECT 1 FROM buddies
+             WHERE (user_id = $1 AND buddy_user_id = $2)
+             OR (user_id = $2 AND buddy_user_id = $1)`,
+            [fromUserId, toUserId]
+        );
+
+        if (areBuddies.rows.length === 0) {
+            return {
+                error: 'You can only message your buddies',
+                code: 'NOT_BUDDIES'
+            };
+        }
+
+        const isBlocked = await db.query(
+            `SELECT 1 FROM blocks
+             WHERE blocker_id = $1 AND blocked_id = $2`,
+            [toUserId, fromUserId]
+        );
+
+        if (isBlocked.rows.length > 0) {
+            return {
+                error: 'Cannot send message to this user',
+                code: 'USER_BLOCKED'
+            };
+        }
+
+        return null;
+    },
+
+    /**
+     * Check two users are buddies (either direction) before showing history
+     */
+    async checkConversationAccess(userId, buddyId) {
+        const areBuddies = await db.query(
+            `SELECT 1 FROM buddies
+             WHERE (user_id = $1 AND buddy_user_id = $2)
+             OR (user_id = $2 AND buddy_user_id = $1)`,
+            [userId, buddyId]
+        );
+
+        if (areBuddies.rows.length === 0) {
+            return {
+                error: 'You can only view conversations with your buddies',
+                code: 'NOT_BUDDIES'
+            };
+        }
+
+        return null;
+    },
+
+    /**
+     * Shape a conversation row: the joined reply columns become a quote and
+     * the file columns a file description
+     */
+    formatMessageRow({
+        reply_from_user_id, reply_message, reply_deleted_at,
+        file_id, file_name, file_mime_type, file_size, file_transport, file_expires_at, file_stored,
+        file_width, file_height,
+        ...row
+    }) {
+        return {
+            ...row,
+            reply_to: formatReplyTo({
+                id: row.reply_to_id,
+                from_user_id: reply_from_user_id,
+                message: reply_message,
+                deleted_at: reply_deleted_at
+            }),
+            file: formatFile({
+                id: file_id,
+                file_name,
+                mime_type: file_mime_type,
+                size_bytes: file_size,
+                transport: file_transport,
+                expires_at: file_expires_at,
+                stored: file_stored,
+                width: file_width,
+                height: file_height
+            })
+        };
+    },
+
+    /**
+     * Get a page of a conversation in chronological order
+     * With no cursor the newest messages are returned, or the oldest with
+     * fromStart; before/after are message ids and return the page just
+     * older/newer than that message.
+     * hasMore says whether there is more in the direction being paged.
+     * Messages deleted for the viewer are left out; messages deleted for
+     * everyone come back as tombstones.
+     */
+    async getConversation(userId, buddyId, { before = null, after = null, fromStart = false, limit = 50 } = {}) {
+        const accessError = await this.checkConversationAccess(userId, buddyId);
+        if (accessError) {
+            return accessError;
+        }
+
+        let cursor = null;
+        const cursorId = before || after;
+
+        if (cursorId) {
+            const cursorResult = await db.query(
+                `SELECT m.id, m.created_at FROM messages m
+                 WHERE m.id = $3
+                   AND LEAST(m.from_user_id, m.to_user_id) = LEAST($1::INTEGER, $2::INTEGER)
+                   AND GREATEST(m.from_user_id, m.to_user_id) = GREATEST($1::INTEGER, $2::INTEGER)`,
+                [userId, buddyId, cursorId]
+            );
+
+            cursor = cursorResult.rows[0];
+            if (!cursor) {
+                return {
+                    error: 'Cursor is not a message in this conversation',
+                    code: 'INVALID_CURSOR'
+                };
+            }
+        }
+
+        // One extra row tells us whether another page follows
+        const newer = Boolean(after) || (fromStart && !before);
+        const messages = await db.query(
+            `SELECT ${MESSAGE_COLUMNS}
+             FROM messages m
+             ${MESSAGE_JOINS}
+             WHERE ${CONVERSATION_FILTER}
+               AND ($3::TIMESTAMP IS NULL OR (m.created_at, m.id) ${newer ? '>' : '<'} ($3::TIMESTAMP, $4::INTEGER))
+             ORDER BY m.created_at ${newer ? 'ASC' : 'DESC'}, m.id ${newer ? 'ASC' : 'DESC'}
+             LIMIT $5`,
+            [userId, buddyId, cursor?.created_at ?? null, cursor?.id ?? null, limit + 1]
+        );
+
+        const hasMore = messages.rows.length > limit;
+        const page = messages.rows.slice(0, limit).map(row => this.formatMessageRow(row));
+
+        return {
+            success: true,
+            messages: newer ? page : page.reverse(),
+            hasMore
+        };
+    },
+
+    /**
+     * Get the messages around one message of a conversation, in chronological
+     * order, so a search result can be shown in context
+     */
+    async getMessageContext(userId, messageId, limit = 20) {
+        const target = await db.query(
+            `SELECT id, created_at,
+                    CASE WHEN from_user_id = $2 THEN to_user_id ELSE from_user_id END AS buddy_id
+             FROM messages
+             WHERE id = $1
+               AND ((from_user_id = $2 AND NOT hidden_for_sender)
+                 OR (to_user_id = $2 AND NOT hidden_for_recipient))`,
+            [messageId, userId]
+        );
+
+        const message = target.rows[0];
+        if (!message) {
+            return {
+                error: 'Message not found',
+                code: 'MESSAGE_NOT_FOUND'
+            };
+        }
+
+        const accessError = await this.checkConversationAccess(userId, message.buddy_id);
+        if (accessError) {
+            return accessError;
+        }
+
+        // Half the page up to and including the message, the rest after it
+        const before = Math.ceil(limit / 2);
+        const result = await db.query(
+            `(SELECT ${MESSAGE_COLUMNS}
+              FROM messages m
+              ${MESSAGE_JOINS}
+              WHERE ${CONVERSATION_FILTER} AND (m.created_at, m.id) <= ($3, $4)
+              ORDER BY m.created_at DESC, m.id DESC
+              LIMIT $5)
+             UNION ALL
+             (SELECT ${MESSAGE_COLUMNS}
+              FROM messages m
+              ${MESSAGE_JOINS}
+              WHERE ${CONVERSATION_FILTER} AND (m.created_at, m.id) > ($3, $4)
+              ORDER BY m.created_at ASC, m.id ASC
+              LIMIT $6)
+             ORDER BY created_at ASC, id ASC`,
+            [userId, message.buddy_id, message.created_at, message.id, before, limit - before]
+        );
+
+        return {
+            success: true,
+            messageId: message.id,
+            buddyId: message.buddy_id,
+            messages: result.rows.map(row => this.formatMessageRow(row))
+        };
+    },
+
+    /**
+     * Full-text search over the user's conversations, newest first
+     * Runs with the user's RLS context on top of the explicit participant
+     * filter; messages deleted for everyone or for this user never match.
+     */
+    async searchMessages(userId, { query, buddyId = null, from = null, to = null, page = 1, limit = 20 }) {
+        const client = await db.connect();
+
+        try {
+            await client.query('BEGIN READ ONLY');
+            await client.query(
+                `SELECT set_config('app.current_user_id', $1, TRUE)`,
+                [String(userId)]
+            );
+
+            const result = await client.query(
+                `SELECT m.id, m.from_user_id, m.to_user_id, m.created_at, m.edited_at,
+                        b.id AS buddy_id, b.display_name AS buddy_display_name,
+                        ts_headline('english', decode_stored_text(m.message), q, '${HEADLINE_OPTIONS}') AS snippet,
+                        COUNT(*) OVER () AS total
+                 FROM messages m
+                 CROSS JOIN websearch_to_tsquery('english', $2) q
+                 JOIN users b ON b.id = CASE WHEN m.from_user_id = $1 THEN m.to_user_id ELSE m.from_user_id END
+                 WHERE m.search_vector @@ q
+                   AND m.deleted_at IS NULL
+                   AND ((m.from_user_id = $1 AND NOT m.hidden_for_sender)
+                     OR (m.to_user_id = $1 AND NOT m.hidden_for_recipient))
+                   AND ($3::INTEGER IS NULL OR b.id = $3)
+                   AND ($4::TIMESTAMP IS NULL OR m.created_at >= $4)
+                   AND ($5::TIMESTAMP IS NULL OR m.created_at <= $5)
+                 ORDER BY m.created_at DESC, m.id DESC
+                 LIMIT $6 OFFSET $7`,
+                [userId, query, buddyId, from, to, limit, (page - 1) * limit]
+            );
+
+            await client.query('COMMIT');
+
+            const total = result.rows.length > 0 ? parseInt(result.rows[0].total) : 0;
+
+            return {
+                success: true,
+                results: result.rows.map(row => ({
+                    messageId: row.id,
+                    fromUserId: row.from_user_id,
+                    toUserId: row.to_user_id,
+                    buddyId: row.buddy_id,
+                    buddyDisplayName: row.buddy_display_name,
+                    snippet: safeHighlight(row.snippet),
+                    editedAt: row.edited_at,
+                    timestamp: row.created_at
+                })),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    },
+
+    /**
+     * Find the message a reply quotes; it must be in the same conversation
+     * and not deleted for everyone or hidden by the person replying
+     */
+    async getReplyTarget(fromUserId, toUserId, replyToId) {
+        const result = await db.query(
+            `SELECT id, from_user_id, message, deleted_at FROM messages
+             WHERE id = $3 AND deleted_at IS NULL
+               AND ((from_user_id = $1 AND to_user_id = $2 AND NOT hidden_for_sender)
+                 OR (from_user_id = $2 AND to_user_id = $1 AND NOT hidden_for_recipient))`,
+            [fromUserId, toUserId, replyToId]
+        );
+
+        return result.rows[0] || null;
+    },
+
+    /**
+     * Store and deliver a private message
+     * Content must already be validated and sanitized. A repeated
+     * clientMessageId from the same sender returns the original row
+     * instead of storing a duplicate. replyToId quotes an earlier message
+     * of the same conversation. A file or picture message (messageType
+     * 'file' or 'image') passes
+     * file: { id, name, mimeType, size, transport, storageKey, expiresAt, width?, height? }
+     * and the file row is stored with the message. Text messages pass the
+     * tags parsed from the content as nodes and are stored with the
+     * sender's default font and colour.
+     */
+    async sendPrivateMessage(fromUserId, toUserId, content, {
+        clientMessageId = null,
+        replyToId = null,
+        excludeWs = null,
+        messageType = 'text',
+        file = null,
+        nodes = null
+    } = {}) {
+        const permissionError = await this.checkContactPermission(fromUserId, toUserId);
+        if (permissionError) {
+            return permissionError;
+        }
+
+        let replyTarget = null;
+        if (replyToId) {
+            replyTarget = await this.getReplyTarget(fromUserId, toUserId, replyToId);
+            if (!replyTarget) {
+                return {
+                    error: 'The message you are replying to is not in this conversation',
+                    code: 'INVALID_REPLY_TARGET'
+                };
+            }
+        }
+
+        let formatting = null;
+        if (messageType === 'text') {
+            const settings = await preferences.getPreferences(fromUserId);
+            formatting = buildFormatting(nodes, settings.preferences);
+        }
+
+        // The file row is written in the same statement so a message never lacks its file
+        const inserted = file
+            ? await db.query(
+                `WITH saved AS (
+                     INSERT INTO messages (from_user_id, to_user_id, message, client_message_id, reply_to_id, message_type)
+                     VALUES ($1, $2, $3, $4, $5, $6)
+                     ON CONFLICT (from_user_id, client_message_id) DO NOTHING
+                     RETURNING id, created_at, delivered_at
+                 ), attached AS (
+                     INSERT INTO message_files (id, message_id, file_name, mime_type, size_bytes,
+                                                transport, storage_key, expires_at, width, height)
+                     SELECT $7, id, $8, $9, $10, $11, $12, $13, $14, $15 FROM saved
+                 )
+                 SELECT * FROM saved`,
+                [fromUserId, toUserId, content, clientMessageId, replyToId, messageType,
+                    file.id, file.name, file.mimeType, file.size, file.transport,
+                    file.storageKey || null, file.expiresAt || null,
+                    file.width || null, file.height || null]
+            )
+            : await db.query(
+                `INSERT INTO messages (from_user_id, to_user_id, message, client_message_id, reply_to_id,
+                                       message_type, formatting)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)
+                 ON CONFLICT (from_user_id, client_message_id) DO NOTHING
+                 RETURNING id, created_at, delivered_at`,
+                [fromUserId, toUserId, content, clientMessageId, replyToId, messageType,
+                    formatting && JSON.stringify(formatting)]
+            );
+
+        if (inserted.rows.length === 0) {
+            // Retry of a message we already stored: acknowledge, don't redeliver
+            const existing = await db.query(
+                `SELECT m.id, m.to_user_id, m.message, m.created_at, m.delivered_at, m.read,
+                        p.id AS reply_id, p.from_user_id AS reply_from_user_id,
+                        p.message AS reply_message, p.deleted_at AS reply_deleted_at
+                 FROM messages m
+                 LEFT JOIN messages p ON p.id = m.reply_to_id
+                 WHERE m.from_user_id = $1 AND m.client_message_id = $2`,
+                [fromUserId, clientMessageId]
+            );
+
+            const row = existing.rows[0];
+            return {
+                success: true,
+                duplicate: true,
+                messageId: row.id,
+                clientMessageId,
+                replyTo: formatReplyTo({
+                    id: row.reply_id,
+                    from_user_id: row.reply_from_user_id,
+                    message: row.reply_message,
+                    deleted_at: row.reply_deleted_at
+                }),
+                toUserId: row.to_user_id,
+                timestamp: row.created_at,
+                status: row.read ? 'read' : (row.delivered_at ? 'delivered' : 'sent')
+            };
+        }
+
+        const saved = inserted.rows[0];
+        const deliveryMessage = {
+            type: 'private_message',
+            fromUserId: fromUserId,
+            toUserId: toUserId,
+            message: content,
+            messageType: messageType,
+            formatting,
+            messageId: saved.id,
+            clientMessageId: clientMessageId,
+            replyTo: formatReplyTo(replyTarget),
+            file: file && formatFile({
+                id: file.id,
+                file_name: file.name,
+                mime_type: file.mimeType,
+                size_bytes: file.size,
+                transport: file.transport,
+                expires_at: file.expiresAt,
+                stored: Boolean(file.storageKey),
+                width: file.width,
+                height: file.height
+            }),
+            timestamp: saved.created_at
+        };
+
+        const status = await this.deliverMessage(deliveryMessage, excludeWs);
+
+        return {
+            success: true,
+            duplicate: false,
+            messageId: saved.id,
+            clientMessageId,
+            replyTo: deliveryMessage.replyTo,
+            file: deliveryMessage.file,
+            toUserId,
+            timestamp: saved.created_at,
+            status
+        };
+    },
+
+    /**
+     * Push a stored private_message to both people's devices
+     * Returns its status for the sender: 'delivered' when one of the
+     * recipient's devices got it, otherwise 'sent'.
+     */
+    async deliverMessage(deliveryMessage, excludeWs = null) {
+        const { fromUserId, toUserId, messageId } = deliveryMessage;
+
+        // Echo to the sender's devices so every open window shows the message
+        sendToUser(fromUserId, {
+            ...deliveryMessage,
+            direction: 'outgoing'
+        }, excludeWs);
+
+        // Send to every device of the recipient
+        const delivered = sendToUser(toUserId, {
+            ...deliveryMessage,
+            direction: 'incoming'
+        });
+
+        if (delivered === 0) {
+            return 'sent';
+        }
+
+        await this.markDelivered(toUserId, [messageId]);
+        // A recipient appearing offline to the sender must look undelivered
+        return (await presence.appearsOfflineTo(toUserId, fromUserId)) ? 'sent' : 'delivered';
+    },
+
+    /**
+     * Send one text message to several buddies at once: a list of user ids,
+     * one of the sender's buddy groups, or both
+     * Content must already be validated and sanitized, with its tags parsed
+     * into nodes. Every recipient gets the usual buddy/block checks; the
+     * allowed ones get their copy written in one transaction, so either all
+     * of them are stored or none. Returns a result per recipient, in the
+     * order given (group members after the listed ids).
+     */
+    async broadcastMessage(fromUserId, { toUserIds = [], groupName = null }, content, { nodes = null } = {}) {
+        const recipientIds = [...toUserIds];
+        if (groupName) {
+            const members = await db.query(
+                `SELECT buddy_user_id FROM buddies
+                 WHERE user_id = $1 AND group_name = $2
+                 ORDER BY buddy_user_id`,
+                [fromUserId, groupName]
+            );
+            recipientIds.push(...members.rows.map(row => row.buddy_user_id));
+        }
+
+        const recipients = [...new Set(recipientIds.map(Number))];
+
+        if (recipients.length === 0) {
+            return {
+                error: groupName ? `There are no buddies in ${groupName}` : 'Choose at least one buddy',
+                code: 'NO_RECIPIENTS'
+            };
+        }
+
+        if (recipients.length > security.MAX_BROADCAST_RECIPIENTS) {
+            return {
+                error: `A message can go to at most ${security.MAX_BROADCAST_RECIPIENTS} buddies at once`,
+                code: 'TOO_MANY_RECIPIENTS'
+            };
+        }
+
+        const settings = await preferences.getPreferences(fromUserId);
+        const formatting = buildFormatting(nodes, settings.preferences);
+
+        const results = new Map();
+        const client = await db.connect();
+        let saved;
+
+        try {
+            await client.query('BEGIN');
+
+            // The same rules as checkContactPermission, for everyone at once
+            const checks = await client.query(
+                `SELECT r.id,
+                        EXISTS (SELECT 1 FROM buddies
+                                WHERE (user_id = $1 AND buddy_user_id = r.id)
+                                   OR (user_id = r.id AND buddy_user_id = $1)) AS buddies,
+                        EXISTS (SELECT 1 FROM blocks
+                                WHERE blocker_id = r.id AND blocked_id = $1) AS blocked
+                 FROM unnest($2::INTEGER[]) AS r(id)`,
+                [fromUserId, recipients]
+            );
+
+            const allowed = [];
+            checks.rows.forEach(row => {
+                if (row.id === fromUserId) {
+                    results.set(row.id, { error: 'You cannot message yourself', code: 'INVALID_RECIPIENT' });
+                } else if (!row.buddies) {
+                    results.set(row.id, { error: 'You can only message your buddies', code: 'NOT_BUDDIES' });
+                } else if (row.blocked) {
+                    results.set(row.id, { error: 'Cannot send message to this user', code: 'USER_BLOCKED' });
+                } else {
+                    allowed.push(row.id);
+                }
+            });
+
+            // Only buddies the message can actually reach count towards the limits
+            const wait = allowed.length > 0 ? security.checkBroadcastRateLimit(fromUserId, allowed.length) : 0;
+            if (wait > 0) {
+                await client.query('ROLLBACK');
+                return {
+                    error: `Too many messages to several buddies; try again in ${Math.ceil(wait / 60000)} minutes`,
+                    code: 'BROADCAST_RATE_LIMITED',
+                    retryAfter: Math.ceil(wait / 1000)
+                };
+            }
+
+            saved = await client.query(
+                `INSERT INTO messages (from_user_id, to_user_id, message, message_type, formatting)
+                 SELECT $1, recipient, $3, 'text', $4
+                 FROM unnest($2::INTEGER[]) AS recipient
+                 RETURNING id, to_user_id, created_at`,
+                [fromUserId, allowed, content, formatting && JSON.stringify(formatting)]
+            );
+
+            await client.query('COMMIT');
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        if (saved.rows.length > 0) {
+            security.recordBroadcast(fromUserId, saved.rows.length);
+        }
+
+        for (const row of saved.rows) {
+            const status = await this.deliverMessage({
+                type: 'private_message',
+                fromUserId: fromUserId,
+                toUserId: row.to_user_id,
+                message: content,
+                messageType: 'text',
+                formatting,
+                messageId: row.id,
+                clientMessageId: null,
+                replyTo: null,
+                file: null,
+                timestamp: row.created_at
+            });
+
+            results.set(row.to_user_id, {
+                success: true,
+                messageId: row.id,
+                status,
+                timestamp: row.created_at
+            });
+        }
+
+        const sent = saved.rows.length;
+
+        return {
+            success: true,
+            sent,
+            failed: recipients.length - sent,
+            results: recipients.map(toUserId => ({ toUserId, ...results.get(toUserId) }))
+        };
+    },
+
+    /**
+     * Edit a sent message within the edit window, keeping the old text as a revision
+     * Content must already be validated and sanitized, with its tags parsed
+     * into nodes; the message keeps the font and colour it was sent in. Both
+     * participants' devices are told, and offline devices catch up through sync.
+     */
+    async editMessage(userId, messageId, content, nodes = null) {
+        const client = await db.connect();
+        let edited;
+
+        try {
+            await client.query('BEGIN');
+
+            const existing = await client.query(
+                `SELECT id, from_user_id, to_user_id, message, message_type, formatting, deleted_at,
+                        hidden_for_sender,
+                        created_at > NOW() - make_interval(mins => $2) AS editable
+                 FROM messages
+                 WHERE id = $1
+                 FOR UPDATE`,
+                [messageId, EDIT_WINDOW_MINUTES]
+            );
+
+            const message = existing.rows[0];
+
+            // Hidden for the sender covers their side of an archive a buddy imported
+            if (!message || message.from_user_id !== userId || message.deleted_at || message.hidden_for_sender) {
+                await client.query('ROLLBACK');
+                return {
+                    error: 'Message not found or you are not the sender',
+                    code: 'MESSAGE_NOT_FOUND'
+                };
+            }
+
+            if (message.message_type !== 'text') {
+                await client.query('ROLLBACK');
+                return {
+                    error: 'Only text messages can be edited',
+                    code: 'MESSAGE_NOT_EDITABLE'
+                };
+            }
+
+            if (!message.editable) {
+                await client.query('ROLLBACK');
+                return {
+                    error: `Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`,
+                    code: 'EDIT_WINDOW_EXPIRED'
+                };
+            }
+
+            const formatting = buildFormatting(nodes, message.formatting || {});
+            const unchanged = message.message === content &&
+                toMarkup((message.formatting && message.formatting.nodes) || []) ===
+                toMarkup((formatting && formatting.nodes) || []);
+
+            if (unchanged) {
+                await client.query('ROLLBACK');
+                return {
+                    error: 'Message is unchanged',
+                    code: 'MESSAGE_UNCHANGED'
+                };
+            }
+
+            await client.query(
+                `INSERT INTO message_revisions (message_id, message)
+                 VALUES ($1, $2)`,
+                [messageId, message.message]
+            );
+
+            const updated = await client.query(
+                `UPDATE messages SET message = $2, formatting = $3, edited_at = NOW()
+                 WHERE id = $1
+                 RETURNING edited_at`,
+                [messageId, content, formatting && JSON.stringify(formatting)]
+            );
+
+            await client.query('COMMIT');
+
+            edited = {
+                messageId: message.id,
+                fromUserId: message.from_user_id,
+                toUserId: message.to_user_id,
+                formatting,
+                editedAt: updated.rows[0].edited_at
+            };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        const event = {
+            type: 'message_edited',
+            messageId: edited.messageId,
+            fromUserId: edited.fromUserId,
+            toUserId: edited.toUserId,
+            message: content,
+            formatting: edited.formatting,
+            editedAt: edited.editedAt
+        };
+
+        await sync.publishUserEvent(edited.toUserId, event);
+        await sync.publishUserEvent(edited.fromUserId, event);
+
+        return {
+            success: true,
+            ...edited,
+            message: content
+        };
+    },
+
+    /**
+     * Get the earlier versions of a message, oldest first
+     * Visible to both participants
+     */
+    async getRevisions(userId, messageId) {
+        const message = await db.query(
+            `SELECT message, edited_at FROM messages
+             WHERE id = $1 AND deleted_at IS NULL
+               AND ((from_user_id = $2 AND NOT hidden_for_sender)
+                 OR (to_user_id = $2 AND NOT hidden_for_recipient))`,
+            [messageId, userId]
+        );
+
+        if (message.rows.length === 0) {
+            return {
+                error: 'Message not found',
+                code: 'MESSAGE_NOT_FOUND'
+            };
+        }
+
+        const revisions = await db.query(
+            `SELECT message, replaced_at
+             FROM message_revisions
+             WHERE message_id = $1
+             ORDER BY id ASC`,
+            [messageId]
+        );
+
+        return {
+            success: true,
+            messageId: Number(messageId),
+            current: message.rows[0],
+            revisions: revisions.rows
+        };
+    },
+
+    /**
+     * Delete a message for everyone: only the sender may, and the row is kept
+     * as a tombstone without its text, revisions or reactions so both sides
+     * see it went.
+     */
+    async deleteForEveryone(userId, messageId) {
+        const client = await db.connect();
+        let deleted;
+
+        try {
+            await client.query('BEGIN');
+
+            const updated = await client.query(
+                `UPDATE messages SET message = '', formatting = NULL, deleted_at = NOW()
+                 WHERE id = $1 AND from_user_id = $2 AND deleted_at IS NULL AND NOT hidden_for_sender
+                 RETURNING id, from_user_id, to_user_id, deleted_at`,
+                [messageId, userId]
+            );
+
+            if (updated.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return {
+                    error: 'Message not found or you are not the sender',
+                    code: 'MESSAGE_NOT_FOUND'
+                };
+            }
+
+            await client.query(
+                'DELETE FROM message_revisions WHERE message_id = $1',
+                [messageId]
+            );
+
+            await client.query(
+                'DELETE FROM message_reactions WHERE message_id = $1',
+                [messageId]
+            );
+
+            const files = await client.query(
+                'DELETE FROM message_files WHERE message_id = $1 RETURNING storage_key',
+                [messageId]
+            );
+
+            await client.query('COMMIT');
+            deleted = updated.rows[0];
+            deleted.storageKeys = files.rows.map(row => row.storage_key).filter(Boolean);
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        const event = {
+            type: 'message_deleted',
+            messageId: deleted.id,
+            fromUserId: deleted.from_user_id,
+            toUserId: deleted.to_user_id,
+            forEveryone: true,
+            deletedAt: deleted.deleted_at
+        };
+
+        await sync.publishUserEvent(deleted.to_user_id, event);
+        await sync.publishUserEvent(deleted.from_user_id, event);
+
+        // A file sent through the server goes with its message
+        for (const key of deleted.storageKeys) {
+            await fileStore.remove(key);
+        }
+
+        return {
+            success: true,
+            messageId: deleted.id,
+            forEveryone: true,
+            deletedAt: deleted.deleted_at
+        };
+    },
+
+    /**
+     * Delete a message for me: hide it from one participant's history only
+     * The other participant is not told; the user's own devices are.
+     */
+    async deleteForMe(userId, messageId) {
+        const updated = await db.query(
+            `UPDATE messages
+             SET hidden_for_sender = hidden_for_sender OR from_user_id = $2,
+                 hidden_for_recipient = hidden_for_recipient OR to_user_id = $2
+             WHERE id = $1 AND (from_user_id = $2 OR to_user_id = $2)
+             RETURNING id, from_user_id, to_user_id`,
+            [messageId, userId]
+        );
+
+        if (updated.rows.length === 0) {
+            return {
+                error: 'Message not found',
+                code: 'MESSAGE_NOT_FOUND'
+            };
+        }
+
+        const row = updated.rows[0];
+
+        await sync.publishUserEvent(userId, {
+            type: 'message_deleted',
+            messageId: row.id,
+            fromUserId: row.from_user_id,
+            toUserId: row.to_user_id,
+            forEveryone: false
+        });
+
+        return {
+            success: true,
+            messageId: row.id,
+            forEveryone: false
+        };
+    },
+
+    /**
+     * Delete a message in the given mode: 'me' or 'everyone'
+     */
+    async deleteMessage(userId, messageId, mode) {
+        return mode === 'me'
+            ? this.deleteForMe(userId, messageId)
+            : this.deleteForEveryone(userId, messageId);
+    },
+
+    /**
+     * Mark a conversation read up to a message (or entirely) and send one
+     * range receipt to the sender instead of a receipt per message
+     */
+    async markRead(readerId, senderId, upToMessageId = null) {
+        const updated = await db.query(
+            `UPDATE messages
+             SET read = TRUE, delivered_at = COALESCE(delivered_at, NOW())
+             WHERE to_user_id = $1 AND from_user_id = $2 AND read = FALSE AND NOT imported
+               AND ($3::INTEGER IS NULL OR id <= $3)
+             RETURNING id`,
+            [readerId, senderId, upToMessageId]
+        );
+
+        if (updated.rows.length === 0) {
+            return 0;
+        }
+
+        // No read receipts while the reader appears offline to the sender
+        if (await presence.appearsOfflineTo(readerId, senderId)) {
+            return updated.rows.length;
+        }
+
+        const lastReadId = updated.rows.reduce((max, row) => Math.max(max, row.id), 0);
+
+        sendToUser(senderId, {
+            type: 'message_read',
+            readerId: readerId,
+            upToMessageId: lastReadId,
+            timestamp: new Date().toISOString()
+        });
+
+        return updated.rows.length;
+    },
+
+    /**
+     * Mark messages to a recipient as delivered and tell their senders
+     * Only messages not yet delivered are updated, so senders are notified once
+     */
+    async markDelivered(recipientId, messageIds) {
+        if (messageIds.length === 0) {
+            return;
+        }
+
+        try {
+            const updated = await db.query(
+                `UPDATE messages SET delivered_at = NOW()
+                 WHERE to_user_id = $1 AND id = ANY($2) AND delivered_at IS NULL AND NOT imported
+                 RETURNING id, from_user_id, client_message_id, delivered_at`,
+                [recipientId, messageIds]
+            );
+
+            // Delivery would give away that an invisible or hidden recipient is online
+            const hiddenFrom = new Set();
+            for (const senderId of new Set(updated.rows.map(row => row.from_user_id))) {
+                if (await presence.appearsOfflineTo(recipientId, senderId)) {
+                    hiddenFrom.add(senderId);
+                }
+            }
+
+            for (const row of updated.rows) {
+                if (hiddenFrom.has(row.from_user_id)) {
+                    continue;
+                }
+
+                sendToUser(row.from_user_id, {
+                    type: 'message_delivered',
+                    messageId: row.id,
+                    clientMessageId: row.client_message_id,
+                    toUserId: recipientId,
+                    deliveredAt: row.delivered_at
+                });
+            }
+        } catch (error) {
+            console.error('Mark delivered error:', error);
+        }
+    }
+};
+
+// A recipient reached through another node counts as delivered too
+cluster.onRemoteDelivery(async (userId, message, delivered) => {
+    if (delivered > 0 && message.type === 'private_message' && message.direction === 'incoming') {
+        await messageSystem.markDelivered(userId, [message.messageId]);
+    }
+});
+
+module.exports = messageSystem;
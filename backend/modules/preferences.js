@@ -0,0 +1,81 @@
+const db = require('../config/database');
+const sync = require('./sync');
+
+/**
+ * Per-user settings for YM7 Hobby
+ * Kept as one JSON object on the user, so a new setting needs no migration;
+ * anything not set falls back to DEFAULTS. Changes reach the user's other
+ * devices as a preferences_updated event.
+ */
+
+const DEFAULTS = {
+    emoticons: true, // Show shortcodes like :) as emoticons
+    font: null, // Default font for messages I send, one of richText.FONTS
+    color: null, // Default text colour for messages I send, #rrggbb
+    showFormatting: true // Show buddies' fonts, colours and bold/italic/underline
+};
+
+// Only settings we know about, so stale or stray keys never reach clients
+const known = (values) => Object.fromEntries(
+    Object.entries(values || {}).filter(([key]) => Object.prototype.hasOwnProperty.call(DEFAULTS, key))
+);
+
+const preferences = {
+    DEFAULTS,
+
+    /**
+     * Get a user's settings, defaults filled in
+     */
+    async getPreferences(userId) {
+        const result = await db.query(
+            'SELECT preferences FROM users WHERE id = $1',
+            [userId]
+        );
+
+        if (result.rows.length === 0) {
+            return {
+                error: 'User not found',
+                code: 'USER_NOT_FOUND'
+            };
+        }
+
+        return {
+            success: true,
+            preferences: { ...DEFAULTS, ...known(result.rows[0].preferences) }
+        };
+    },
+
+    /**
+     * Change some of a user's settings, leaving the others as they are
+     */
+    async updatePreferences(userId, changes) {
+        const result = await db.query(
+            `UPDATE users SET preferences = preferences || $2::jsonb
+             WHERE id = $1
+             RETURNING preferences`,
+            [userId, JSON.stringify(known(changes))]
+        );
+
+        if (result.rows.length === 0) {
+            return {
+                error: 'User not found',
+                code: 'USER_NOT_FOUND'
+            };
+        }
+
+        const updated = { ...DEFAULTS, ...known(result.rows[0].preferences) };
+
+        await sync.publishUserEvent(userId, {
+            type: 'preferences_updated',
+            preferences: updated,
+            timestamp: new Date().toISOString()
+        });
+
+        return {
+            success: true,
+            preferences: updated
+        };
+    }
+};
+
+module.exports = preferences;
@@ -0,0 +1,406 @@
+const db = require('../config/database');
+const { sendToUser } = require('../middleware/auth');
+const cluster = require('./cluster');
+
+/**
+ * Presence module for YM7 Hobby
+ * Tracks each user's chosen status, their custom status message and what
+ * their buddies are shown
+ */
+
+// Statuses a user can pick; 'offline' is set by the server when no device is connected
+const SELECTABLE_STATUSES = ['online', 'away', 'busy', 'invisible'];
+
+// Recently used status messages kept per user
+const STATUS_HISTORY_SIZE = 10;
+
+const presence = {
+    SELECTABLE_STATUSES,
+
+    /**
+     * Status as buddies see it: invisible users appear offline
+     */
+    publicStatus(status) {
+        return status === 'invisible' ? 'offline' : (status || 'offline');
+    },
+
+    isSelectableStatus(status) {
+        return SELECTABLE_STATUSES.includes(status);
+    },
+
+    /**
+     * Build a status message from a users row, or null if unset or expired
+     */
+    formatStatusMessage(row) {
+        if (!row || !row.status_message) {
+            return null;
+        }
+
+        if (row.status_message_expires_at && new Date(row.status_message_expires_at) <= new Date()) {
+            return null;
+        }
+
+        return {
+            text: row.status_message,
+            emoji: row.status_emoji || null,
+            expiresAt: row.status_message_expires_at || null
+        };
+    },
+
+    /**
+     * Status message as buddies see it: nothing while offline or invisible
+     */
+    publicStatusMessage(row) {
+        if (this.publicStatus(row?.status) === 'offline') {
+            return null;
+        }
+        return this.formatStatusMessage(row);
+    },
+
+    /**
+     * Whether a user has chosen to appear offline to one of their buddies
+     */
+    async isHiddenFrom(userId, viewerId) {
+        const result = await db.query(
+            `SELECT 1 FROM buddies
+             WHERE user_id = $1 AND buddy_user_id = $2 AND appear_offline = TRUE`,
+            [userId, viewerId]
+        );
+        return result.rows.length > 0;
+    },
+
+    /**
+     * Whether a user looks offline to someone: invisible to everyone, or
+     * appearing offline to that buddy. Anything that shows the user is
+     * connected (delivery, read receipts, typing, ringing) is held back then.
+     */
+    async appearsOfflineTo(userId, viewerId) {
+        const result = await db.query(
+            `SELECT u.status = 'invisible' OR COALESCE(b.appear_offline, FALSE) AS hidden
+             FROM users u
+             LEFT JOIN buddies b ON b.user_id = u.id AND b.buddy_user_id = $2
+             WHERE u.id = $1`,
+            [userId, viewerId]
+        );
+        return Boolean(result.rows[0] && result.rows[0].hidden);
+    },
+
+    /**
+     * Tell every buddy about a user's public status and status message
+     * Buddies the user appears offline to are skipped; they already see offline
+     */
+    async notifyBuddiesStatusChange(userId, status, statusMessage = null) {
+        try {
+            const buddies = await db.query(
+                `SELECT buddy_user_id FROM buddies
+                 WHERE user_id = $1 AND appear_offline = FALSE`,
+                [userId]
+            );
+
+            for (const buddy of buddies.rows) {
+                sendToUser(buddy.buddy_user_id, {
+                    type: 'buddy_status_change',
+                    userId: userId,
+                    status: status,
+                    statusMessage: statusMessage,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            console.error('Error notifying buddies about status change:', error);
+        }
+    },
+
+    /**
+     * Send one buddy what they should currently see of a user
+     * Used when per-buddy visibility changes
+     */
+    async notifyBuddyOfStatus(userId, buddyId) {
+        const result = await db.query(
+            `SELECT CASE WHEN b.appear_offline THEN 'offline' ELSE u.status END AS status,
+                    u.status_message, u.status_emoji, u.status_message_expires_at
+             FROM buddies b
+             JOIN users u ON u.id = b.user_id
+             WHERE b.user_id = $1 AND b.buddy_user_id = $2`,
+            [userId, buddyId]
+        );
+
+        const row = result.rows[0];
+        if (!row) {
+            return;
+        }
+
+        sendToUser(buddyId, {
+            type: 'buddy_status_change',
+            userId: userId,
+            status: this.publicStatus(row.status),
+            statusMessage: this.publicStatusMessage(row),
+            timestamp: new Date().toISOString()
+        });
+    },
+
+    /**
+     * Confirm a user's own status to every device so their selectors stay in sync
+     */
+    notifyOwnDevices(row) {
+        sendToUser(row.id, {
+            type: 'status_updated',
+            status: row.preferred_status,
+            statusMessage: this.formatStatusMessage(row)
+        });
+    },
+
+    /**
+     * Store a custom status message (null clears it) and remember it in
+     * the user's recent list. Text must already be validated and sanitized.
+     */
+    async saveStatusMessage(userId, statusMessage) {
+        if (!statusMessage) {
+            await db.query(
+                `UPDATE users
+                 SET status_message = NULL, status_emoji = NULL, status_message_expires_at = NULL
+                 WHERE id = $1`,
+                [userId]
+            );
+            return;
+        }
+
+        const { text, emoji = null, expiresInMinutes = null } = statusMessage;
+
+        await db.query(
+            `UPDATE users
+             SET status_message = $2,
+                 status_emoji = $3,
+                 status_message_expires_at = CASE
+                     WHEN $4::INTEGER IS NULL THEN NULL
+                     ELSE NOW() + make_interval(mins => $4::INTEGER)
+                 END
+             WHERE id = $1`,
+            [userId, text, emoji, expiresInMinutes]
+        );
+
+        await db.query(
+            `INSERT INTO status_message_history (user_id, message, emoji)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (user_id, message)
+             DO UPDATE SET emoji = EXCLUDED.emoji, last_used_at = NOW()`,
+            [userId, text, emoji]
+        );
+
+        await db.query(
+            `DELETE FROM status_message_history
+             WHERE user_id = $1 AND id NOT IN (
+                 SELECT id FROM status_message_history
+                 WHERE user_id = $1
+                 ORDER BY last_used_at DESC
+                 LIMIT $2
+             )`,
+            [userId, STATUS_HISTORY_SIZE]
+        );
+    },
+
+    /**
+     * Set the status a user picked and broadcast it
+     * The choice is remembered so reconnects restore it; while no device
+     * is connected the user stays offline until they sign in again.
+     * statusMessage: undefined leaves the custom message alone, null clears it
+     */
+    async setStatus(userId, status, statusMessage = undefined) {
+        if (!this.isSelectableStatus(status)) {
+            return {
+                error: 'Invalid status',
+                code: 'INVALID_STATUS'
+            };
+        }
+
+        if (statusMessage !== undefined) {
+            await this.saveStatusMessage(userId, statusMessage);
+        }
+
+        const result = await db.query(
+            `UPDATE users u
+             SET preferred_status = $2,
+                 status = CASE WHEN $3 THEN $2 ELSE u.status END
+             FROM (SELECT status FROM users WHERE id = $1) previous
+             WHERE u.id = $1
+             RETURNING previous.status AS previous_status, u.id, u.status, u.preferred_status,
+                       u.status_message, u.status_emoji, u.status_message_expires_at`,
+            [userId, status, await cluster.isUserOnline(userId)]
+        );
+
+        if (result.rows.length === 0) {
+            return {
+                error: 'User not found',
+                code: 'USER_NOT_FOUND'
+            };
+        }
+
+        const row = result.rows[0];
+        const visibleStatus = this.publicStatus(row.status);
+
+        // Buddies only hear about changes they can see: away -> invisible
+        // reads as going offline, invisible -> offline is no change at all
+        const statusChanged = this.publicStatus(row.previous_status) !== visibleStatus;
+        const messageChanged = statusMessage !== undefined && visibleStatus !== 'offline';
+
+        if (statusChanged || messageChanged) {
+            await this.notifyBuddiesStatusChange(userId, visibleStatus, this.publicStatusMessage(row));
+        }
+
+        this.notifyOwnDevices(row);
+
+        return {
+            success: true,
+            status: status,
+            statusMessage: this.formatStatusMessage(row)
+        };
+    },
+
+    /**
+     * Set or clear (null) the custom status message without changing status
+     */
+    async setStatusMessage(userId, statusMessage) {
+        await this.saveStatusMessage(userId, statusMessage);
+
+        const result = await db.query(
+            `SELECT id, status, preferred_status, status_message, status_emoji, status_message_expires_at
+             FROM users WHERE id = $1`,
+            [userId]
+        );
+
+        if (result.rows.length === 0) {
+            return {
+                error: 'User not found',
+                code: 'USER_NOT_FOUND'
+            };
+        }
+
+        const row = result.rows[0];
+        const visibleStatus = this.publicStatus(row.status);
+
+        if (visibleStatus !== 'offline') {
+            await this.notifyBuddiesStatusChange(userId, visibleStatus, this.publicStatusMessage(row));
+        }
+
+        this.notifyOwnDevices(row);
+
+        return {
+            success: true,
+            statusMessage: this.formatStatusMessage(row)
+        };
+    },
+
+    /**
+     * Get the user's recently used status messages, newest first
+     */
+    async getStatusMessageHistory(userId) {
+        const result = await db.query(
+            `SELECT message AS text, emoji, last_used_at
+             FROM status_message_history
+             WHERE user_id = $1
+             ORDER BY last_used_at DESC
+             LIMIT $2`,
+            [userId, STATUS_HISTORY_SIZE]
+        );
+
+        return result.rows;
+    },
+
+    /**
+     * Clear status messages past their expiry and tell buddies
+     */
+    async expireStatusMessages() {
+        try {
+            const result = await db.query(
+                `UPDATE users
+                 SET status_message = NULL, status_emoji = NULL, status_message_expires_at = NULL
+                 WHERE status_message_expires_at <= NOW()
+                 RETURNING id, status, preferred_status`
+            );
+
+            for (const row of result.rows) {
+                const visibleStatus = this.publicStatus(row.status);
+                if (visibleStatus !== 'offline') {
+                    await this.notifyBuddiesStatusChange(row.id, visibleStatus, null);
+                }
+                this.notifyOwnDevices(row);
+            }
+
+            return result.rowCount;
+        } catch (error) {
+            console.error('Status message expiry error:', error);
+            return 0;
+        }
+    },
+
+    /**
+     * Get a user's own (unmasked) status and status message
+     */
+    async getPresence(userId) {
+        const result = await db.query(
+            `SELECT status, status_message, status_emoji, status_message_expires_at
+             FROM users WHERE id = $1`,
+            [userId]
+        );
+
+        const row = result.rows[0];
+        return {
+            status: row?.status || 'offline',
+            statusMessage: this.formatStatusMessage(row)
+        };
+    },
+
+    /**
+     * First device connected: restore the user's chosen status
+     */
+    async userConnected(userId) {
+        const result = await db.query(
+            `UPDATE users
+             SET status = COALESCE(preferred_status, 'online')
+             WHERE id = $1
+             RETURNING status, status_message, status_emoji, status_message_expires_at`,
+            [userId]
+        );
+
+        const row = result.rows[0];
+        const status = row?.status || 'online';
+        const visible = this.publicStatus(status);
+
+        if (visible !== 'offline') {
+            await this.notifyBuddiesStatusChange(userId, visible, this.publicStatusMessage(row));
+        }
+
+        return {
+            status,
+            statusMessage: this.formatStatusMessage(row)
+        };
+    },
+
+    /**
+     * Last device disconnected: the user goes offline
+     */
+    async userDisconnected(userId) {
+        const result = await db.query(
+            `UPDATE users u
+             SET status = 'offline'
+             FROM (SELECT status FROM users WHERE id = $1) previous
+             WHERE u.id = $1
+             RETURNING previous.status AS previous_status`,
+            [userId]
+        );
+
+        const previousStatus = result.rows[0]?.previous_status;
+
+        // Invisible users already looked offline
+        if (this.publicStatus(previousStatus) !== 'offline') {
+            await this.notifyBuddiesStatusChange(userId, 'offline');
+        }
+    }
+};
+
+// Clear expired status messages every minute
+setInterval(() => {
+    presence.expireStatusMessages();
+}, 60 * 1000);
+
+module.exports = presence;
@@ -0,0 +1,202 @@
+const db = require('../config/database');
+const messageSystem = require('./messages');
+const rooms = require('./rooms');
+const sync = require('./sync');
+
+/**
+ * Emoji reactions for YM7 Hobby
+ * Each user can put a set of emoji on a private or room message;
+ * everyone who can see the message gets the updated count for that emoji
+ */
+
+// Distinct emoji one user may put on a single message
+const MAX_REACTIONS_PER_USER = 10;
+
+// Reaction tables by message kind
+const TABLES = {
+    private: 'message_reactions',
+    room: 'room_message_reactions'
+};
+
+const reactions = {
+    /**
+     * Check a user may react to a private message: a participant who still
+     * sees it, and still allowed to contact the other side
+     */
+    async checkPrivateMessage(userId, messageId) {
+        const result = await db.query(
+            `SELECT id, from_user_id, to_user_id FROM messages
+             WHERE id = $1 AND deleted_at IS NULL
+               AND ((from_user_id = $2 AND NOT hidden_for_sender)
+                 OR (to_user_id = $2 AND NOT hidden_for_recipient))`,
+            [messageId, userId]
+        );
+
+        const message = result.rows[0];
+        if (!message) {
+            return {
+                error: 'Message not found',
+                code: 'MESSAGE_NOT_FOUND'
+            };
+        }
+
+        const otherUserId = message.from_user_id === userId ? message.to_user_id : message.from_user_id;
+        const permissionError = await messageSystem.checkContactPermission(userId, otherUserId);
+        if (permissionError) {
+            return permissionError;
+        }
+
+        return { message };
+    },
+
+    /**
+     * Check a user may react to a room message: a member of its room
+     */
+    async checkRoomMessage(userId, roomId, messageId) {
+        const result = await db.query(
+            `SELECT m.id, m.room_id FROM room_messages m
+             JOIN room_members rm ON rm.room_id = m.room_id AND rm.user_id = $3
+             WHERE m.id = $1 AND m.room_id = $2`,
+            [messageId, roomId, userId]
+        );
+
+        if (result.rows.length === 0) {
+            return {
+                error: 'Message not found',
+                code: 'MESSAGE_NOT_FOUND'
+            };
+        }
+
+        return { message: result.rows[0] };
+    },
+
+    /**
+     * Add or remove one emoji and tell everyone who can see the message
+     * target: { messageId } for private messages, { roomId, messageId } for rooms.
+     * The emoji must already be validated.
+     */
+    async setReaction(userId, target, emoji, added) {
+        const kind = target.roomId ? 'room' : 'private';
+        const checked = kind === 'room'
+            ? await this.checkRoomMessage(userId, target.roomId, target.messageId)
+            : await this.checkPrivateMessage(userId, target.messageId);
+
+        if (checked.error) {
+            return checked;
+        }
+
+        const table = TABLES[kind];
+        const messageId = checked.message.id;
+
+        if (added) {
+            const inserted = await db.query(
+                `INSERT INTO ${table} (message_id, user_id, emoji)
+                 SELECT $1, $2, $3
+                 WHERE (SELECT COUNT(*) FROM ${table} WHERE message_id = $1 AND user_id = $2) < $4
+                 ON CONFLICT (message_id, user_id, emoji) DO NOTHING
+                 RETURNING emoji`,
+                [messageId, userId, emoji, MAX_REACTIONS_PER_USER]
+            );
+
+            if (inserted.rows.length === 0) {
+                const existing = await db.query(
+                    `SELECT 1 FROM ${table} WHERE message_id = $1 AND user_id = $2 AND emoji = $3`,
+                    [messageId, userId, emoji]
+                );
+                if (existing.rows.length === 0) {
+                    return {
+                        error: `You can add at most ${MAX_REACTIONS_PER_USER} reactions to a message`,
+                        code: 'TOO_MANY_REACTIONS'
+                    };
+                }
+            }
+        } else {
+            await db.query(
+                `DELETE FROM ${table} WHERE message_id = $1 AND user_id = $2 AND emoji = $3`,
+                [messageId, userId, emoji]
+            );
+        }
+
+        const countResult = await db.query(
+            `SELECT COUNT(*) AS count FROM ${table} WHERE message_id = $1 AND emoji = $2`,
+            [messageId, emoji]
+        );
+
+        const update = {
+            type: 'reaction_update',
+            messageId: messageId,
+            userId: userId,
+            emoji: emoji,
+            added: added,
+            count: parseInt(countResult.rows[0].count)
+        };
+
+        if (kind === 'room') {
+            await rooms.broadcastToRoom(checked.message.room_id, {
+                ...update,
+                roomId: checked.message.room_id
+            });
+        } else {
+            // Recorded per user so devices that were offline catch up on sync
+            const event = {
+                ...update,
+                fromUserId: checked.message.from_user_id,
+                toUserId: checked.message.to_user_id
+            };
+            await sync.publishUserEvent(checked.message.to_user_id, event);
+            await sync.publishUserEvent(checked.message.from_user_id, event);
+        }
+
+        return {
+            success: true,
+            messageId: messageId,
+            emoji: emoji,
+            added: added,
+            count: update.count
+        };
+    },
+
+    async addReaction(userId, target, emoji) {
+        return this.setReaction(userId, target, emoji, true);
+    },
+
+    async removeReaction(userId, target, emoji) {
+        return this.setReaction(userId, target, emoji, false);
+    },
+
+    /**
+     * Attach aggregated reactions to a page of messages
+     * Each message gets reactions: [{ emoji, count, reacted }] in the order
+     * the emoji were first used; reacted says whether userId is among them.
+     */
+    async attachReactions(kind, messages, userId) {
+        const ids = messages.map(message => message.id);
+        const byMessage = new Map(ids.map(id => [id, []]));
+
+        if (ids.length > 0) {
+            const result = await db.query(
+                `SELECT message_id, emoji, COUNT(*) AS count, BOOL_OR(user_id = $2) AS reacted
+                 FROM ${TABLES[kind]}
+                 WHERE message_id = ANY($1)
+                 GROUP BY message_id, emoji
+                 ORDER BY MIN(created_at) ASC`,
+                [ids, userId]
+            );
+
+            for (const row of result.rows) {
+                byMessage.get(row.message_id).push({
+                    emoji: row.emoji,
+                    count: parseInt(row.count),
+                    reacted: row.reacted
+                });
+            }
+        }
+
+        return messages.map(message => ({
+            ...message,
+            reactions: byMessage.get(message.id)
+        }));
+    }
+};
+
+module.exports = reactions;
@@ -0,0 +1,463 @@
+const db = require('../config/database');
+const rooms = require('./rooms');
+const { sendToUser } = require('../middleware/auth');
+const { logUserAction } = require('../utils/security');
+
+/**
+ * Chat room moderation for YM7 Hobby
+ * Roles, kicks, time-limited bans, mutes, slow mode and message removal
+ */
+
+const ROLE_RANK = {
+    owner: 3,
+    moderator: 2,
+    member: 1
+};
+
+const MAX_BAN_MINUTES = 30 * 24 * 60;  // 30 days
+const MAX_MUTE_MINUTES = 7 * 24 * 60;  // 7 days
+const MAX_SLOW_MODE_SECONDS = 3600;
+
+const roomModeration = {
+    /**
+     * Get a member's role in a room (the room creator is always owner)
+     */
+    getRole(roomId, userId) {
+        return rooms.getRole(roomId, userId);
+    },
+
+    /**
+     * Check that the actor may moderate the room and, when a target is given,
+     * that the actor outranks the target
+     */
+    async authorize(roomId, actorId, targetId = null) {
+        const actorRole = await this.getRole(roomId, actorId);
+
+        if (!actorRole || ROLE_RANK[actorRole] < ROLE_RANK.moderator) {
+            return {
+                error: 'Only room moderators can do this',
+                code: 'INSUFFICIENT_ROOM_PERMISSIONS'
+            };
+        }
+
+        if (targetId === null) {
+            return { actorRole };
+        }
+
+        if (Number(targetId) === Number(actorId)) {
+            return {
+                error: 'You cannot moderate yourself',
+                code: 'SELF_MODERATION_NOT_ALLOWED'
+            };
+        }
+
+        const targetRole = await this.getRole(roomId, targetId);
+
+        if (targetRole && ROLE_RANK[targetRole] >= ROLE_RANK[actorRole]) {
+            return {
+                error: 'You cannot moderate a user with an equal or higher role',
+                code: 'INSUFFICIENT_ROOM_PERMISSIONS'
+            };
+        }
+
+        return { actorRole, targetRole };
+    },
+
+    /**
+     * Record a moderation action and push it to the room
+     * The target user also receives it so removed users learn why
+     */
+    async publish(roomId, actorId, action, targetId, event, ipAddress, details = {}) {
+        await logUserAction(actorId, `room_${action}`, ipAddress, null, {
+            room_id: Number(roomId),
+            target_user_id: targetId !== null ? Number(targetId) : null,
+            ...details
+        });
+
+        const payload = {
+            ...event,
+            roomId: Number(roomId),
+            byUserId: actorId,
+            timestamp: new Date().toISOString()
+        };
+
+        await rooms.broadcastToRoom(roomId, payload);
+
+        if (targetId !== null) {
+            sendToUser(targetId, payload);
+        }
+    },
+
+    /**
+     * Promote a member to moderator or demote to member (owner only)
+     */
+    async setRole(roomId, actorId, targetId, role, ipAddress = null) {
+        try {
+            const actorRole = await this.getRole(roomId, actorId);
+            if (actorRole !== 'owner') {
+                return {
+                    error: 'Only the room owner can change roles',
+                    code: 'INSUFFICIENT_ROOM_PERMISSIONS'
+                };
+            }
+
+            if (Number(targetId) === Number(actorId)) {
+                return {
+                    error: 'You cannot change your own role',
+                    code: 'SELF_MODERATION_NOT_ALLOWED'
+                };
+            }
+
+            const result = await db.query(
+                `UPDATE room_members SET role = $3
+                 WHERE room_id = $1 AND user_id = $2
+                 RETURNING id`,
+                [roomId, targetId, role]
+            );
+
+            if (result.rows.length === 0) {
+                return {
+                    error: 'User is not a member of this room',
+                    code: 'MEMBER_NOT_FOUND'
+                };
+            }
+
+            await this.publish(roomId, actorId, 'role_changed', null, {
+                type: 'room_role_changed',
+                userId: Number(targetId),
+                role
+            }, ipAddress, { role });
+
+            return {
+                success: true,
+                message: 'Role updated'
+            };
+
+        } catch (error) {
+            console.error('Set room role error:', error);
+            return {
+                error: 'Failed to update role',
+                code: 'ROOM_ROLE_UPDATE_FAILED'
+            };
+        }
+    },
+
+    /**
+     * Remove a member from a room; they may rejoin
+     */
+    async kickMember(roomId, actorId, targetId, reason = null, ipAddress = null) {
+        try {
+            const auth = await this.authorize(roomId, actorId, targetId);
+            if (auth.error) {
+                return auth;
+            }
+
+            const result = await db.query(
+                `DELETE FROM room_members WHERE room_id = $1 AND user_id = $2`,
+                [roomId, targetId]
+            );
+
+            if (result.rowCount === 0) {
+                return {
+                    error: 'User is not a member of this room',
+                    code: 'MEMBER_NOT_FOUND'
+                };
+            }
+
+            await this.publish(roomId, actorId, 'member_kicked', targetId, {
+                type: 'room_member_kicked',
+                userId: Number(targetId),
+                reason
+            }, ipAddress, { reason });
+
+            return {
+                success: true,
+                message: 'User kicked from room'
+            };
+
+        } catch (error) {
+            console.error('Kick room member error:', error);
+            return {
+                error: 'Failed to kick user',
+                code: 'ROOM_KICK_FAILED'
+            };
+        }
+    },
+
+    /**
+     * Ban a user from a room for a limited time
+     */
+    async banMember(roomId, actorId, targetId, durationMinutes, reason = null, ipAddress = null) {
+        const client = await db.connect();
+
+        try {
+            const auth = await this.authorize(roomId, actorId, targetId);
+            if (auth.error) {
+                return auth;
+            }
+
+            const minutes = Math.min(durationMinutes, MAX_BAN_MINUTES);
+
+            await client.query('BEGIN');
+
+            const ban = await client.query(
+                `INSERT INTO room_bans (room_id, user_id, banned_by, reason, expires_at)
+                 VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))
+                 ON CONFLICT (room_id, user_id)
+                 DO UPDATE SET banned_by = $3, reason = $4,
+                               expires_at = NOW() + make_interval(mins => $5), created_at = NOW()
+                 RETURNING expires_at`,
+                [roomId, targetId, actorId, reason, minutes]
+            );
+
+            await client.query(
+                `DELETE FROM room_members WHERE room_id = $1 AND user_id = $2`,
+                [roomId, targetId]
+            );
+
+            // Outstanding invitations would otherwise let them straight back in
+            await client.query(
+                `UPDATE room_invitations SET status = 'declined', updated_at = NOW()
+                 WHERE room_id = $1 AND invited_user_id = $2 AND status = 'pending'`,
+                [roomId, targetId]
+            );
+
+            await client.query('COMMIT');
+
+            const expiresAt = ban.rows[0].expires_at;
+
+            await this.publish(roomId, actorId, 'member_banned', targetId, {
+                type: 'room_member_banned',
+                userId: Number(targetId),
+                reason,
+                expiresAt
+            }, ipAddress, { reason, duration_minutes: minutes });
+
+            return {
+                success: true,
+                message: 'User banned from room',
+                expiresAt
+            };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Ban room member error:', error);
+            return {
+                error: 'Failed to ban user',
+                code: 'ROOM_BAN_FAILED'
+            };
+        } finally {
+            client.release();
+        }
+    },
+
+    /**
+     * Lift a ban before it expires
+     */
+    async unbanMember(roomId, actorId, targetId, ipAddress = null) {
+        try {
+            const auth = await this.authorize(roomId, actorId);
+            if (auth.error) {
+                return auth;
+            }
+
+            const result = await db.query(
+                `DELETE FROM room_bans
+                 WHERE room_id = $1 AND user_id = $2 AND expires_at > NOW()`,
+                [roomId, targetId]
+            );
+
+            if (result.rowCount === 0) {
+                return {
+                    error: 'User is not banned from this room',
+                    code: 'BAN_NOT_FOUND'
+                };
+            }
+
+            await this.publish(roomId, actorId, 'member_unbanned', targetId, {
+                type: 'room_member_unbanned',
+                userId: Number(targetId)
+            }, ipAddress);
+
+            return {
+                success: true,
+                message: 'Ban lifted'
+            };
+
+        } catch (error) {
+            console.error('Unban room member error:', error);
+            return {
+                error: 'Failed to lift ban',
+                code: 'ROOM_UNBAN_FAILED'
+            };
+        }
+    },
+
+    /**
+     * List active bans for a room (moderators only)
+     */
+    async getBans(roomId, actorId) {
+        try {
+            const auth = await this.authorize(roomId, actorId);
+            if (auth.error) {
+                return auth;
+            }
+
+            const bans = await db.query(
+                `SELECT b.user_id, u.display_name, b.banned_by, b.reason, b.expires_at, b.created_at
+                 FROM room_bans b
+                 JOIN users u ON b.user_id = u.id
+                 WHERE b.room_id = $1 AND b.expires_at > NOW()
+                 ORDER BY b.created_at DESC`,
+                [roomId]
+            );
+
+            return {
+                success: true,
+                bans: bans.rows
+            };
+
+        } catch (error) {
+            console.error('Get room bans error:', error);
+            return {
+                error: 'Failed to get bans',
+                code: 'ROOM_BANS_FETCH_FAILED'
+            };
+        }
+    },
+
+    /**
+     * Mute a member for a number of minutes (0 lifts the mute)
+     */
+    async muteMember(roomId, actorId, targetId, durationMinutes, ipAddress = null) {
+        try {
+            const auth = await this.authorize(roomId, actorId, targetId);
+            if (auth.error) {
+                return auth;
+            }
+
+            const minutes = Math.min(durationMinutes, MAX_MUTE_MINUTES);
+
+            const result = await db.query(
+                `UPDATE room_members
+                 SET muted_until = CASE WHEN $3 > 0 THEN NOW() + make_interval(mins => $3) END
+                 WHERE room_id = $1 AND user_id = $2
+                 RETURNING muted_until`,
+                [roomId, targetId, minutes]
+            );
+
+            if (result.rows.length === 0) {
+                return {
+                    error: 'User is not a member of this room',
+                    code: 'MEMBER_NOT_FOUND'
+                };
+            }
+
+            const mutedUntil = result.rows[0].muted_until;
+
+            await this.publish(roomId, actorId, minutes > 0 ? 'member_muted' : 'member_unmuted', null, {
+                type: 'room_member_muted',
+                userId: Number(targetId),
+                mutedUntil
+            }, ipAddress, { duration_minutes: minutes });
+
+            return {
+                success: true,
+                message: minutes > 0 ? 'User muted' : 'User unmuted',
+                mutedUntil
+            };
+
+        } catch (error) {
+            console.error('Mute room member error:', error);
+            return {
+                error: 'Failed to mute user',
+                code: 'ROOM_MUTE_FAILED'
+            };
+        }
+    },
+
+    /**
+     * Set the minimum interval between messages for regular members (0 disables)
+     */
+    async setSlowMode(roomId, actorId, seconds, ipAddress = null) {
+        try {
+            const auth = await this.authorize(roomId, actorId);
+            if (auth.error) {
+                return auth;
+            }
+
+            const interval = Math.min(seconds, MAX_SLOW_MODE_SECONDS);
+
+            await db.query(
+                `UPDATE chat_rooms SET slow_mode_seconds = $2 WHERE id = $1`,
+                [roomId, interval]
+            );
+
+            await this.publish(roomId, actorId, 'slow_mode_changed', null, {
+                type: 'room_slow_mode',
+                seconds: interval
+            }, ipAddress, { seconds: interval });
+
+            return {
+                success: true,
+                message: interval > 0 ? 'Slow mode enabled' : 'Slow mode disabled',
+                seconds: interval
+            };
+
+        } catch (error) {
+            console.error('Set slow mode error:', error);
+            return {
+                error: 'Failed to update slow mode',
+                code: 'ROOM_SLOW_MODE_UPDATE_FAILED'
+            };
+        }
+    },
+
+    /**
+     * Delete any message in the room
+     */
+    async deleteMessage(roomId, actorId, messageId, ipAddress = null) {
+        try {
+            const auth = await this.authorize(roomId, actorId);
+            if (auth.error) {
+                return auth;
+            }
+
+            const result = await db.query(
+                `DELETE FROM room_messages
+                 WHERE id = $1 AND room_id = $2
+                 RETURNING user_id`,
+                [messageId, roomId]
+            );
+
+            if (result.rows.length === 0) {
+                return {
+                    error: 'Message not found',
+                    code: 'MESSAGE_NOT_FOUND'
+                };
+            }
+
+            await this.publish(roomId, actorId, 'message_deleted', null, {
+                type: 'room_message_deleted',
+                messageId: Number(messageId)
+            }, ipAddress, {
+                message_id: Number(messageId),
+                author_id: result.rows[0].user_id
+            });
+
+            return {
+                success: true,
+                message: 'Message deleted'
+            };
+
+        } catch (error) {
+            console.error('Delete room message error:', error);
+            return {
+                error: 'Failed to delete message',
+                code: 'ROOM_MESSAGE_DELETE_FAILED'
+            };
+        }
+    }
+};
+
+module.exports = roomModeration;
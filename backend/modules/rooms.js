@@ -0,0 +1,826 @@
+const db = require('../config/database');
+const { sendToUser } = require('../middleware/auth');
+const { logUserAction } = require('../utils/security');
+const presence = require('./presence');
+
+/**
+ * Chat room module for YM7 Hobby
+ * Handles group rooms, membership, invitations and room messaging
+ */
+
+const roomSystem = {
+    /**
+     * Get a room if the user is allowed to see it
+     */
+    async getVisibleRoom(roomId, userId) {
+        const result = await db.query(
+            `SELECT r.id, r.name, r.description, r.created_by, r.is_public, r.max_users,
+                    r.slow_mode_seconds, r.created_at,
+                    (SELECT COUNT(*) FROM room_members WHERE room_id = r.id) AS member_count,
+                    (SELECT role FROM room_members WHERE room_id = r.id AND user_id = $2) AS role
+             FROM chat_rooms r
+             WHERE r.id = $1
+             AND (
+                 r.is_public = TRUE
+                 OR EXISTS (SELECT 1 FROM room_members WHERE room_id = r.id AND user_id = $2)
+                 OR EXISTS (
+                     SELECT 1 FROM room_invitations
+                     WHERE room_id = r.id AND invited_user_id = $2 AND status = 'pending'
+                 )
+             )`,
+            [roomId, userId]
+        );
+
+        const room = result.rows[0];
+        if (room) {
+            room.member_count = parseInt(room.member_count);
+            room.is_member = room.role !== null;
+        }
+        return room || null;
+    },
+
+    /**
+     * Check if user is a member of the room
+     */
+    async isMember(roomId, userId) {
+        const result = await db.query(
+            'SELECT 1 FROM room_members WHERE room_id = $1 AND user_id = $2',
+            [roomId, userId]
+        );
+        return result.rows.length > 0;
+    },
+
+    /**
+     * Get a member's role in a room (the room creator is always owner)
+     */
+    async getRole(roomId, userId) {
+        const result = await db.query(
+            `SELECT CASE WHEN r.created_by = rm.user_id THEN 'owner' ELSE rm.role END AS role
+             FROM room_members rm
+             JOIN chat_rooms r ON rm.room_id = r.id
+             WHERE rm.room_id = $1 AND rm.user_id = $2`,
+            [roomId, userId]
+        );
+        return result.rows[0]?.role || null;
+    },
+
+    /**
+     * Get the active ban for a user in a room, if any
+     */
+    async getActiveBan(roomId, userId, client = db) {
+        const result = await client.query(
+            `SELECT id, expires_at, reason FROM room_bans
+             WHERE room_id = $1 AND user_id = $2 AND expires_at > NOW()`,
+            [roomId, userId]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * Get IDs of all room members
+     */
+    async getMemberIds(roomId) {
+        const result = await db.query(
+            'SELECT user_id FROM room_members WHERE room_id = $1',
+            [roomId]
+        );
+        return result.rows.map(row => row.user_id);
+    },
+
+    /**
+     * Send a message to every connected member of a room
+     */
+    async broadcastToRoom(roomId, message, excludeUserId = null) {
+        try {
+            const memberIds = await this.getMemberIds(roomId);
+            const payload = JSON.stringify(message);
+
+            for (const memberId of memberIds) {
+                if (memberId !== excludeUserId) {
+                    sendToUser(memberId, payload);
+                }
+            }
+        } catch (error) {
+            console.error('Room broadcast error:', error);
+        }
+    },
+
+    /**
+     * Create a new room; the creator becomes its first member
+     */
+    async createRoom(userId, roomData, ipAddress = null) {
+        const client = await db.connect();
+
+        try {
+            const { name, description = null, isPublic = true, maxUsers = 50 } = roomData;
+
+            await client.query('BEGIN');
+
+            const room = await client.query(
+                `INSERT INTO chat_rooms (name, description, created_by, is_public, max_users)
+                 VALUES ($1, $2, $3, $4, $5)
+                 RETURNING id, name, description, created_by, is_public, max_users, created_at`,
+                [name, description, userId, isPublic, maxUsers]
+            );
+
+            await client.query(
+                `INSERT INTO room_members (room_id, user_id, role) VALUES ($1, $2, 'owner')`,
+                [room.rows[0].id, userId]
+            );
+
+            await client.query('COMMIT');
+
+            await logUserAction(userId, 'room_created', ipAddress, null, {
+                room_id: room.rows[0].id,
+                is_public: isPublic
+            });
+
+            return {
+                success: true,
+                message: 'Room created',
+                room: { ...room.rows[0], member_count: 1 }
+            };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Create room error:', error);
+            return {
+                error: 'Failed to create room',
+                code: 'ROOM_CREATE_FAILED'
+            };
+        } finally {
+            client.release();
+        }
+    },
+
+    /**
+     * List public rooms (room directory)
+     */
+    async listPublicRooms(userId, { search = null, page = 1, limit = 20 } = {}) {
+        try {
+            const offset = (page - 1) * limit;
+            const params = [userId, limit, offset];
+            let searchClause = '';
+
+            if (search) {
+                params.push(`%${search}%`);
+                searchClause = `AND (r.name ILIKE $4 OR r.description ILIKE $4)`;
+            }
+
+            const rooms = await db.query(
+                `SELECT r.id, r.name, r.description, r.created_by, r.max_users, r.created_at,
+                        COUNT(rm.id) AS member_count,
+                        BOOL_OR(rm.user_id = $1) AS is_member
+                 FROM chat_rooms r
+                 LEFT JOIN room_members rm ON rm.room_id = r.id
+                 WHERE r.is_public = TRUE ${searchClause}
+                 GROUP BY r.id
+                 ORDER BY COUNT(rm.id) DESC, r.created_at DESC
+                 LIMIT $2 OFFSET $3`,
+                params
+            );
+
+            return {
+                success: true,
+                rooms: rooms.rows.map(room => ({
+                    ...room,
+                    member_count: parseInt(room.member_count),
+                    is_member: room.is_member === true
+                })),
+                pagination: { page, limit }
+            };
+
+        } catch (error) {
+            console.error('List public rooms error:', error);
+            return {
+                error: 'Failed to get rooms',
+                code: 'ROOMS_FETCH_FAILED'
+            };
+        }
+    },
+
+    /**
+     * List rooms the user belongs to
+     */
+    async getUserRooms(userId) {
+        try {
+            const rooms = await db.query(
+                `SELECT r.id, r.name, r.description, r.created_by, r.is_public, r.max_users,
+                        r.slow_mode_seconds, r.created_at, rm.role, rm.joined_at,
+                        (SELECT COUNT(*) FROM room_members WHERE room_id = r.id) AS member_count
+                 FROM room_members rm
+                 JOIN chat_rooms r ON rm.room_id = r.id
+                 WHERE rm.user_id = $1
+                 ORDER BY r.name ASC`,
+                [userId]
+            );
+
+            return {
+                success: true,
+                rooms: rooms.rows.map(room => ({
+                    ...room,
+                    member_count: parseInt(room.member_count)
+                }))
+            };
+
+        } catch (error) {
+            console.error('Get user rooms error:', error);
+            return {
+                error: 'Failed to get rooms',
+                code: 'ROOMS_FETCH_FAILED'
+            };
+        }
+    },
+
+    /**
+     * Get room details
+     */
+    async getRoom(roomId, userId) {
+        try {
+            const room = await this.getVisibleRoom(roomId, userId);
+
+            if (!room) {
+                return {
+                    error: 'Room not found',
+                    code: 'ROOM_NOT_FOUND'
+                };
+            }
+
+            return {
+                success: true,
+                room
+            };
+
+        } catch (error) {
+            console.error('Get room error:', error);
+            return {
+                error: 'Failed to get room',
+                code: 'ROOM_FETCH_FAILED'
+            };
+        }
+    },
+
+    /**
+     * Join a room (private rooms require a pending invitation)
+     */
+    async joinRoom(roomId, userId, ipAddress = null) {
+        const client = await db.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // Lock the room row so concurrent joins cannot exceed max_users
+            const roomResult = await client.query(
+                `SELECT id, name, is_public, max_users FROM chat_rooms
+                 WHERE id = $1 FOR UPDATE`,
+                [roomId]
+            );
+
+            if (roomResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return {
+                    error: 'Room not found',
+                    code: 'ROOM_NOT_FOUND'
+                };
+            }
+
+            const room = roomResult.rows[0];
+
+            const existing = await client.query(
+                'SELECT 1 FROM room_members WHERE room_id = $1 AND user_id = $2',
+                [roomId, userId]
+            );
+
+            if (existing.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return {
+                    error: 'Already a member of this room',
+                    code: 'ALREADY_MEMBER'
+                };
+            }
+
+            const ban = await this.getActiveBan(roomId, userId, client);
+            if (ban) {
+                await client.query('ROLLBACK');
+                return {
+                    error: 'You are banned from this room',
+                    code: 'ROOM_BANNED',
+                    expiresAt: ban.expires_at
+                };
+            }
+
+            if (!room.is_public) {
+                const invitation = await client.query(
+                    `UPDATE room_invitations
+                     SET status = 'accepted', updated_at = NOW()
+                     WHERE room_id = $1 AND invited_user_id = $2 AND status = 'pending'
+                     RETURNING id`,
+                    [roomId, userId]
+                );
+
+                if (invitation.rows.length === 0) {
+                    await client.query('ROLLBACK');
+                    // Don't reveal private rooms to users without an invitation
+                    return {
+                        error: 'Room not found',
+                        code: 'ROOM_NOT_FOUND'
+                    };
+                }
+            }
+
+            const countResult = await client.query(
+                'SELECT COUNT(*) AS count FROM room_members WHERE room_id = $1',
+                [roomId]
+            );
+
+            if (parseInt(countResult.rows[0].count) >= room.max_users) {
+                await client.query('ROLLBACK');
+                return {
+                    error: 'Room is full',
+                    code: 'ROOM_FULL'
+                };
+            }
+
+            await client.query(
+                `INSERT INTO room_members (room_id, user_id) VALUES ($1, $2)`,
+                [roomId, userId]
+            );
+
+            await client.query('COMMIT');
+
+            await logUserAction(userId, 'room_joined', ipAddress, null, {
+                room_id: room.id
+            });
+
+            const displayName = await this.getDisplayName(userId);
+            await this.broadcastToRoom(room.id, {
+                type: 'room_user_joined',
+                roomId: room.id,
+                userId: userId,
+                displayName: displayName,
+                timestamp: new Date().toISOString()
+            });
+
+            return {
+                success: true,
+                message: 'Joined room',
+                room: { id: room.id, name: room.name }
+            };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Join room error:', error);
+            return {
+                error: 'Failed to join room',
+                code: 'ROOM_JOIN_FAILED'
+            };
+        } finally {
+            client.release();
+        }
+    },
+
+    /**
+     * Leave a room
+     */
+    async leaveRoom(roomId, userId, ipAddress = null) {
+        try {
+            // Rooms have no ownership transfer, so the owner has to stay
+            if (await this.getRole(roomId, userId) === 'owner') {
+                return {
+                    error: 'The room owner cannot leave the room',
+                    code: 'OWNER_CANNOT_LEAVE'
+                };
+            }
+
+            const result = await db.query(
+                `DELETE FROM room_members
+                 WHERE room_id = $1 AND user_id = $2`,
+                [roomId, userId]
+            );
+
+            if (result.rowCount === 0) {
+                return {
+                    error: 'Not a member of this room',
+                    code: 'NOT_ROOM_MEMBER'
+                };
+            }
+
+            await logUserAction(userId, 'room_left', ipAddress, null, {
+                room_id: roomId
+            });
+
+            const leaveEvent = {
+                type: 'room_user_left',
+                roomId: Number(roomId),
+                userId: userId,
+                timestamp: new Date().toISOString()
+            };
+
+            await this.broadcastToRoom(roomId, leaveEvent);
+            // The leaving user's other devices drop the room as well
+            sendToUser(userId, leaveEvent);
+
+            return {
+                success: true,
+                message: 'Left room'
+            };
+
+        } catch (error) {
+            console.error('Leave room error:', error);
+            return {
+                error: 'Failed to leave room',
+                code: 'ROOM_LEAVE_FAILED'
+            };
+        }
+    },
+
+    /**
+     * Invite a buddy to a room
+     */
+    async inviteUser(roomId, inviterId, inviteeId, ipAddress = null) {
+        try {
+            if (Number(inviteeId) === Number(inviterId)) {
+                return {
+                    error: 'Cannot invite yourself',
+                    code: 'SELF_INVITE_NOT_ALLOWED'
+                };
+            }
+
+            const room = await this.getVisibleRoom(roomId, inviterId);
+            if (!room || !room.is_member) {
+                return {
+                    error: 'Room not found',
+                    code: 'ROOM_NOT_FOUND'
+                };
+            }
+
+            const areBuddies = await db.query(
+                `SELECT 1 FROM buddies
+                 WHERE user_id = $1 AND buddy_user_id = $2`,
+                [inviterId, inviteeId]
+            );
+
+            if (areBuddies.rows.length === 0) {
+                return {
+                    error: 'You can only invite your buddies',
+                    code: 'NOT_BUDDIES'
+                };
+            }
+
+            const isBlocked = await db.query(
+                `SELECT 1 FROM blocks
+                 WHERE blocker_id = $1 AND blocked_id = $2`,
+                [inviteeId, inviterId]
+            );
+
+            if (isBlocked.rows.length > 0) {
+                return {
+                    error: 'Cannot invite this user',
+                    code: 'USER_BLOCKED'
+                };
+            }
+
+            if (await this.getActiveBan(roomId, inviteeId)) {
+                return {
+                    error: 'User is banned from this room',
+                    code: 'ROOM_BANNED'
+                };
+            }
+
+            if (await this.isMember(roomId, inviteeId)) {
+                return {
+                    error: 'User is already a member of this room',
+                    code: 'ALREADY_MEMBER'
+                };
+            }
+
+            const invitation = await db.query(
+                `INSERT INTO room_invitations (room_id, invited_user_id, invited_by)
+                 VALUES ($1, $2, $3)
+                 ON CONFLICT (room_id, invited_user_id)
+                 DO UPDATE SET status = 'pending', invited_by = $3, updated_at = NOW()
+                 RETURNING id`,
+                [roomId, inviteeId, inviterId]
+            );
+
+            await logUserAction(inviterId, 'room_invite_sent', ipAddress, null, {
+                room_id: room.id,
+                invited_user_id: inviteeId
+            });
+
+            const inviterName = await this.getDisplayName(inviterId);
+            sendToUser(inviteeId, {
+                type: 'room_invitation',
+                invitationId: invitation.rows[0].id,
+                roomId: room.id,
+                roomName: room.name,
+                fromUserId: inviterId,
+                fromDisplayName: inviterName,
+                timestamp: new Date().toISOString()
+            });
+
+            return {
+                success: true,
+                message: 'Invitation sent',
+                invitationId: invitation.rows[0].id
+            };
+
+        } catch (error) {
+            console.error('Room invite error:', error);
+            return {
+                error: 'Failed to send invitation',
+                code: 'ROOM_INVITE_FAILED'
+            };
+        }
+    },
+
+    /**
+     * Get pending room invitations for a user
+     */
+    async getPendingInvitations(userId) {
+        try {
+            const invitations = await db.query(
+                `SELECT ri.id, ri.room_id, r.name AS room_name, r.description,
+                        ri.invited_by, u.display_name AS invited_by_name, ri.created_at
+                 FROM room_invitations ri
+                 JOIN chat_rooms r ON ri.room_id = r.id
+                 JOIN users u ON ri.invited_by = u.id
+                 WHERE ri.invited_user_id = $1 AND ri.status = 'pending'
+                 ORDER BY ri.created_at DESC`,
+                [userId]
+            );
+
+            return {
+                success: true,
+                invitations: invitations.rows
+            };
+
+        } catch (error) {
+            console.error('Get room invitations error:', error);
+            return {
+                error: 'Failed to get invitations',
+                code: 'INVITATIONS_FETCH_FAILED'
+            };
+        }
+    },
+
+    /**
+     * Decline a room invitation
+     */
+    async declineInvitation(invitationId, userId) {
+        try {
+            const result = await db.query(
+                `UPDATE room_invitations
+                 SET status = 'declined', updated_at = NOW()
+                 WHERE id = $1 AND invited_user_id = $2 AND status = 'pending'`,
+                [invitationId, userId]
+            );
+
+            if (result.rowCount === 0) {
+                return {
+                    error: 'Invitation not found',
+                    code: 'INVITATION_NOT_FOUND'
+                };
+            }
+
+            return {
+                success: true,
+                message: 'Invitation declined'
+            };
+
+        } catch (error) {
+            console.error('Decline room invitation error:', error);
+            return {
+                error: 'Failed to decline invitation',
+                code: 'INVITATION_DECLINE_FAILED'
+            };
+        }
+    },
+
+    /**
+     * Get paginated room history (members only)
+     */
+    async getMessages(roomId, userId, { page = 1, limit = 50 } = {}) {
+        try {
+            if (!(await this.isMember(roomId, userId))) {
+                return {
+                    error: 'You are not a member of this room',
+                    code: 'NOT_ROOM_MEMBER'
+                };
+            }
+
+            const offset = (page - 1) * limit;
+
+            const messages = await db.query(
+                `SELECT m.id, m.room_id, m.user_id, m.message, m.created_at,
+                        u.display_name
+                 FROM room_messages m
+                 JOIN users u ON m.user_id = u.id
+                 WHERE m.room_id = $1
+                 ORDER BY m.created_at DESC
+                 LIMIT $2 OFFSET $3`,
+                [roomId, limit, offset]
+            );
+
+            const totalResult = await db.query(
+                'SELECT COUNT(*) AS total FROM room_messages WHERE room_id = $1',
+                [roomId]
+            );
+
+            const total = parseInt(totalResult.rows[0].total);
+
+            return {
+                success: true,
+                messages: messages.rows.reverse(), // Return in chronological order
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            };
+
+        } catch (error) {
+            console.error('Get room messages error:', error);
+            return {
+                error: 'Failed to get room messages',
+                code: 'ROOM_MESSAGES_FETCH_FAILED'
+            };
+        }
+    },
+
+    /**
+     * Get room member list
+     */
+    async getMembers(roomId, userId) {
+        try {
+            const room = await this.getVisibleRoom(roomId, userId);
+            if (!room) {
+                return {
+                    error: 'Room not found',
+                    code: 'ROOM_NOT_FOUND'
+                };
+            }
+
+            // Private room rosters are for members only
+            if (!room.is_public && !room.is_member) {
+                return {
+                    error: 'You are not a member of this room',
+                    code: 'NOT_ROOM_MEMBER'
+                };
+            }
+
+            const members = await db.query(
+                `SELECT u.id, u.display_name,
+                        CASE WHEN hb.appear_offline THEN 'offline' ELSE u.status END AS status,
+                        u.avatar_url, rm.role,
+                        CASE WHEN rm.muted_until > NOW() THEN rm.muted_until END AS muted_until,
+                        rm.joined_at
+                 FROM room_members rm
+                 JOIN users u ON rm.user_id = u.id
+                 LEFT JOIN buddies hb ON hb.user_id = u.id AND hb.buddy_user_id = $2
+                 WHERE rm.room_id = $1
+                 ORDER BY CASE rm.role WHEN 'owner' THEN 0 WHEN 'moderator' THEN 1 ELSE 2 END,
+                          u.display_name ASC`,
+                [roomId, userId]
+            );
+
+            return {
+                success: true,
+                members: members.rows.map(member => ({
+                    ...member,
+                    status: presence.publicStatus(member.status)
+                }))
+            };
+
+        } catch (error) {
+            console.error('Get room members error:', error);
+            return {
+                error: 'Failed to get room members',
+                code: 'ROOM_MEMBERS_FETCH_FAILED'
+            };
+        }
+    },
+
+    /**
+     * Post a message to a room and deliver it to every member
+     * Content must already be validated and sanitized
+     */
+    async sendMessage(roomId, userId, content) {
+        try {
+            const memberResult = await db.query(
+                `SELECT rm.muted_until, r.slow_mode_seconds,
+                        rm.muted_until > NOW() AS is_muted,
+                        EXTRACT(EPOCH FROM (NOW() - rm.last_message_at)) AS seconds_since_last
+                 FROM room_members rm
+                 JOIN chat_rooms r ON rm.room_id = r.id
+                 WHERE rm.room_id = $1 AND rm.user_id = $2`,
+                [roomId, userId]
+            );
+
+            const member = memberResult.rows[0];
+            if (!member) {
+                return {
+                    error: 'You are not a member of this room',
+                    code: 'NOT_ROOM_MEMBER'
+                };
+            }
+
+            if (member.is_muted) {
+                return {
+                    error: 'You are muted in this room',
+                    code: 'ROOM_MUTED',
+                    mutedUntil: member.muted_until
+                };
+            }
+
+            // Slow mode applies to regular members only
+            if (member.slow_mode_seconds > 0 && await this.getRole(roomId, userId) === 'member' &&
+                member.seconds_since_last !== null &&
+                parseFloat(member.seconds_since_last) < member.slow_mode_seconds) {
+                return {
+                    error: `Slow mode is on: wait ${member.slow_mode_seconds} seconds between messages`,
+                    code: 'ROOM_SLOW_MODE',
+                    retryAfter: Math.ceil(member.slow_mode_seconds - parseFloat(member.seconds_since_last))
+                };
+            }
+
+            await db.query(
+                `UPDATE room_members SET last_message_at = NOW()
+                 WHERE room_id = $1 AND user_id = $2`,
+                [roomId, userId]
+            );
+
+            const saved = await db.query(
+                `INSERT INTO room_messages (room_id, user_id, message)
+                 VALUES ($1, $2, $3)
+                 RETURNING id, created_at`,
+                [roomId, userId, content]
+            );
+
+            const displayName = await this.getDisplayName(userId);
+            const roomMessage = {
+                type: 'room_message',
+                roomId: Number(roomId),
+                fromUserId: userId,
+                fromDisplayName: displayName,
+                message: content,
+                messageId: saved.rows[0].id,
+                timestamp: saved.rows[0].created_at
+            };
+
+            await this.broadcastToRoom(roomId, roomMessage);
+
+            return {
+                success: true,
+                message: roomMessage
+            };
+
+        } catch (error) {
+            console.error('Send room message error:', error);
+            return {
+                error: 'Failed to send room message',
+                code: 'ROOM_MESSAGE_SEND_FAILED'
+            };
+        }
+    },
+
+    /**
+     * Relay a typing indicator to the other room members
+     */
+    async sendTyping(roomId, userId, type) {
+        try {
+            if (!(await this.isMember(roomId, userId))) {
+                return;
+            }
+
+            await this.broadcastToRoom(roomId, {
+                type: type, // 'room_typing_start' or 'room_typing_stop'
+                roomId: Number(roomId),
+                fromUserId: userId,
+                timestamp: new Date().toISOString()
+            }, userId);
+
+        } catch (error) {
+            console.error('Room typing error:', error);
+        }
+    },
+
+    /**
+     * Get user's display name
+     */
+    async getDisplayName(userId) {
+        try {
+            const result = await db.query(
+                'SELECT display_name FROM users WHERE id = $1',
+                [userId]
+            );
+            return result.rows[0]?.display_name || 'Unknown User';
+        } catch (error) {
+            console.error('Get display name error:', error);
+            return 'Unknown User';
+        }
+    }
+};
+
+module.exports = roomSystem;
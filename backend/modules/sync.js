@@ -0,0 +1,157 @@
+const db = require('../config/database');
+const { sendToUser } = require('../middleware/auth');
+const { formatReplyTo, formatFile } = require('../utils/messageFormat');
+
+/**
+ * Reconnect sync module for YM7 Hobby
+ * Stores per-device cursors and the events a device needs to catch up on
+ */
+
+const syncSystem = {
+    /**
+     * Record an event for a user and push it to their connected devices
+     * Offline devices pick it up on their next sync
+     */
+    async publishUserEvent(userId, event) {
+        let eventId = null;
+
+        try {
+            const result = await db.query(
+                `INSERT INTO user_events (user_id, event_type, payload)
+                 VALUES ($1, $2, $3)
+                 RETURNING id`,
+                [userId, event.type, JSON.stringify(event)]
+            );
+            eventId = Number(result.rows[0].id);
+        } catch (error) {
+            console.error('Record user event error:', error);
+        }
+
+        return sendToUser(userId, eventId ? { ...event, eventId } : event);
+    },
+
+    /**
+     * Get the stored cursor for a device
+     */
+    async getCursor(userId, deviceId) {
+        const result = await db.query(
+            `SELECT last_message_id, last_event_id FROM device_cursors
+             WHERE user_id = $1 AND device_id = $2`,
+            [userId, deviceId]
+        );
+
+        const row = result.rows[0];
+        return row ? {
+            lastMessageId: row.last_message_id,
+            lastEventId: Number(row.last_event_id)
+        } : null;
+    },
+
+    /**
+     * Save a device cursor; cursors only ever move forward
+     */
+    async saveCursor(userId, deviceId, { lastMessageId = 0, lastEventId = 0 } = {}) {
+        try {
+            await db.query(
+                `INSERT INTO device_cursors (user_id, device_id, last_message_id, last_event_id)
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (user_id, device_id)
+                 DO UPDATE SET last_message_id = GREATEST(device_cursors.last_message_id, $3),
+                               last_event_id = GREATEST(device_cursors.last_event_id, $4),
+                               updated_at = NOW()`,
+                [userId, deviceId, lastMessageId, lastEventId]
+            );
+        } catch (error) {
+            console.error('Save device cursor error:', error);
+        }
+    },
+
+    /**
+     * Get the newest message and event ids for a user
+     * Used to start a brand new device at "now" instead of replaying all history
+     */
+    async getLatestPosition(userId) {
+        const result = await db.query(
+            `SELECT
+                (SELECT COALESCE(MAX(id), 0) FROM messages
+                 WHERE from_user_id = $1 OR to_user_id = $1) AS last_message_id,
+                (SELECT COALESCE(MAX(id), 0) FROM user_events
+                 WHERE user_id = $1) AS last_event_id`,
+            [userId]
+        );
+
+        return {
+            lastMessageId: Number(result.rows[0].last_message_id),
+            lastEventId: Number(result.rows[0].last_event_id)
+        };
+    },
+
+    /**
+     * Get messages in any of the user's conversations newer than a message id
+     * Messages imported from old archives are history, not news, and are left out
+     */
+    async getMessagesAfter(userId, afterId, limit) {
+        const result = await db.query(
+            `SELECT m.id, m.from_user_id, m.to_user_id, m.message, m.message_type, m.formatting, m.client_message_id,
+                    m.read, m.delivered_at, m.edited_at, m.deleted_at, m.created_at,
+                    m.reply_to_id, p.from_user_id AS reply_from_user_id,
+                    p.message AS reply_message, p.deleted_at AS reply_deleted_at,
+                    f.id AS file_id, f.file_name, f.mime_type, f.size_bytes, f.transport,
+                    f.expires_at, f.storage_key IS NOT NULL AS stored, f.width, f.height
+             FROM messages m
+             LEFT JOIN messages p ON p.id = m.reply_to_id
+             LEFT JOIN message_files f ON f.message_id = m.id
+             WHERE ((m.to_user_id = $1 AND NOT m.hidden_for_recipient)
+                 OR (m.from_user_id = $1 AND NOT m.hidden_for_sender))
+               AND m.id > $2
+               AND NOT m.imported
+             ORDER BY m.id ASC
+             LIMIT $3`,
+            [userId, afterId, limit]
+        );
+
+        return result.rows.map(row => ({
+            type: 'private_message',
+            fromUserId: row.from_user_id,
+            toUserId: row.to_user_id,
+            message: row.message,
+            messageType: row.message_type,
+            formatting: row.formatting,
+            messageId: row.id,
+            clientMessageId: row.client_message_id,
+            read: row.read,
+            deliveredAt: row.delivered_at,
+            editedAt: row.edited_at,
+            deletedAt: row.deleted_at,
+            replyTo: formatReplyTo({
+                id: row.reply_to_id,
+                from_user_id: row.reply_from_user_id,
+                message: row.reply_message,
+                deleted_at: row.reply_deleted_at
+            }),
+            file: formatFile({ ...row, id: row.file_id }),
+            timestamp: row.created_at,
+            direction: row.from_user_id === userId ? 'outgoing' : 'incoming'
+        }));
+    },
+
+    /**
+     * Get events recorded for the user newer than an event id
+     */
+    async getEventsAfter(userId, afterId, limit) {
+        const result = await db.query(
+            `SELECT id, payload FROM user_events
+             WHERE user_id = $1 AND id > $2
+             ORDER BY id ASC
+             LIMIT $3`,
+            [userId, afterId, limit]
+        );
+
+        return result.rows.map(row => ({
+            ...row.payload,
+            eventId: Number(row.id)
+        }));
+    }
+};
+
+module.exports = syncSystem;
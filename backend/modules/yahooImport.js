@@ -0,0 +1,261 @@
+const { v5: uuidv5 } = require('uuid');
+const db = require('../config/database');
+const security = require('../websocket/security');
+
+/**
+ * Yahoo Messenger archive import for YM7 Hobby
+ * Reads the Message Archive files YM kept under
+ * Profiles/<yahooId>/Archive/Messages/<buddyId>/*.dat and stores them as
+ * ordinary private messages flagged as imported. Only the importer sees them:
+ * the file is theirs, not the buddy's, so the buddy's side starts out hidden.
+ *
+ * A .dat file is a run of records, all integers little-endian:
+ *   uint32 time (unix seconds), uint32 type, uint32 direction (0 = sent by the
+ *   archive owner, 1 = received), uint32 length, <length> bytes of text XORed
+ *   with the owner's Yahoo ID, uint32 terminator
+ */
+
+// Fixed namespace so the same archive record always gets the same client_message_id
+const IMPORT_NAMESPACE = '6f0d5c1e-7a43-4b8e-9d2f-3c51a8e0b7d4';
+
+const RECORD_HEADER_SIZE = 16;
+const RECORD_TRAILER_SIZE = 4;
+const MAX_MESSAGE_LENGTH = 1000;
+
+// YM text styling: escape codes like ESC[1m / ESC[#ff0000m and font, fade and alt tags
+const STYLE_CODES = /\x1b\[[^m]{0,16}m|<\/?(font|fade|alt)\b[^>]*>/gi;
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+const yahooImport = {
+    /**
+     * Decode a .dat file into records { time, outgoing, text }
+     * A record cut short at the end of the file stops decoding and is
+     * reported in truncatedBytes rather than failing the whole file.
+     */
+    decodeArchive(buffer, yahooId) {
+        const key = Buffer.from(yahooId, 'latin1');
+        const records = [];
+        let offset = 0;
+
+        while (offset + RECORD_HEADER_SIZE <= buffer.length) {
+            const time = buffer.readUInt32LE(offset);
+            const direction = buffer.readUInt32LE(offset + 8);
+            const length = buffer.readUInt32LE(offset + 12);
+            const start = offset + RECORD_HEADER_SIZE;
+
+            if (start + length > buffer.length) {
+                break;
+            }
+
+            const bytes = Buffer.alloc(length);
+            for (let i = 0; i < length; i++) {
+                bytes[i] = buffer[start + i] ^ key[i % key.length];
+            }
+
+            records.push({
+                time: new Date(time * 1000),
+                outgoing: direction === 0,
+                text: this.cleanText(this.decodeText(bytes))
+            });
+
+            offset = Math.min(start + length + RECORD_TRAILER_SIZE, buffer.length);
+        }
+
+        return {
+            records,
+            truncatedBytes: buffer.length - offset
+        };
+    },
+
+    /**
+     * Newer clients wrote UTF-8; older ones the Windows code page, read as latin1
+     */
+    decodeText(bytes) {
+        try {
+            return utf8.decode(bytes);
+        } catch (error) {
+            return bytes.toString('latin1');
+        }
+    },
+
+    /**
+     * Strip YM styling codes, leaving the text as typed
+     */
+    cleanText(text) {
+        return text.replace(STYLE_CODES, '').replace(/\r\n?/g, '\n').trim();
+    },
+
+    /**
+     * Find the YM7 buddy for a remote Yahoo ID: the buddy's nickname, display
+     * name or email name must match it (case-insensitive), or buddyUserId
+     * names the buddy directly
+     */
+    async resolveBuddy(userId, remoteYahooId, buddyUserId = null) {
+        const result = await db.query(
+            `SELECT u.id, u.display_name
+             FROM buddies b
+             JOIN users u ON u.id = b.buddy_user_id
+             WHERE b.user_id = $1
+               AND ($3::INTEGER IS NOT NULL AND u.id = $3
+                 OR $3::INTEGER IS NULL AND (LOWER(b.nickname) = LOWER($2)
+                   OR LOWER(u.display_name) = LOWER($2)
+                   OR LOWER(split_part(u.email, '@', 1)) = LOWER($2)))`,
+            [userId, remoteYahooId, buddyUserId]
+        );
+
+        if (result.rows.length === 0) {
+            return {
+                error: `No buddy matches Yahoo ID ${remoteYahooId}`,
+                code: 'BUDDY_NOT_FOUND'
+            };
+        }
+
+        if (result.rows.length > 1) {
+            return {
+                error: `More than one buddy matches Yahoo ID ${remoteYahooId}`,
+                code: 'AMBIGUOUS_BUDDY'
+            };
+        }
+
+        return { buddy: result.rows[0] };
+    },
+
+    /**
+     * Import one archive file, or with dryRun only report what would be imported
+     * file: { yahooId, remoteYahooId, fileName, buffer, buddyUserId? }
+     * Re-importing a file skips the messages already stored from it.
+     */
+    async importFile(userId, file, { dryRun = true } = {}) {
+        const report = {
+            fileName: file.fileName,
+            remoteYahooId: file.remoteYahooId,
+            buddy: null,
+            records: 0,
+            imported: 0,
+            duplicates: 0,
+            empty: 0,
+            shortened: 0,
+            truncatedBytes: 0,
+            firstMessageAt: null,
+            lastMessageAt: null
+        };
+
+        const resolved = await this.resolveBuddy(userId, file.remoteYahooId, file.buddyUserId || null);
+        if (resolved.error) {
+            return { ...report, error: resolved.error, code: resolved.code };
+        }
+        report.buddy = { id: resolved.buddy.id, displayName: resolved.buddy.display_name };
+
+        const { records, truncatedBytes } = this.decodeArchive(file.buffer, file.yahooId);
+        report.records = records.length;
+        report.truncatedBytes = truncatedBytes;
+
+        const rows = [];
+        records.forEach((record, index) => {
+            if (!record.text || Number.isNaN(record.time.getTime())) {
+                report.empty++;
+                return;
+            }
+
+            // Stored escaped like any other message; longer texts are cut to fit
+            let message = security.sanitizeMessageContent(record.text);
+            if (message.length > MAX_MESSAGE_LENGTH) {
+                message = message.slice(0, MAX_MESSAGE_LENGTH).replace(/&[^;\s]*$/, '');
+                report.shortened++;
+            }
+
+            rows.push({
+                fromUserId: record.outgoing ? userId : resolved.buddy.id,
+                toUserId: record.outgoing ? resolved.buddy.id : userId,
+                message,
+                time: record.time,
+                clientMessageId: uuidv5(
+                    `${file.yahooId}/${file.remoteYahooId}/${file.fileName}/${index}`.toLowerCase(),
+                    IMPORT_NAMESPACE
+                )
+            });
+        });
+
+        if (rows.length > 0) {
+            report.firstMessageAt = rows.reduce((min, row) => row.time < min ? row.time : min, rows[0].time);
+            report.lastMessageAt = rows.reduce((max, row) => row.time > max ? row.time : max, rows[0].time);
+        }
+
+        const client = await db.connect();
+
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                `SELECT set_config('app.current_user_id', $1, TRUE)`,
+                [String(userId)]
+            );
+
+            if (dryRun) {
+                const existing = await client.query(
+                    `SELECT COUNT(*) AS count FROM messages
+                     WHERE from_user_id = ANY($1) AND client_message_id = ANY($2)`,
+                    [[userId, resolved.buddy.id], rows.map(row => row.clientMessageId)]
+                );
+                report.duplicates = parseInt(existing.rows[0].count);
+                report.imported = rows.length - report.duplicates;
+                await client.query('ROLLBACK');
+                return report;
+            }
+
+            // Old conversations arrive already delivered and read, hidden from the buddy
+            const inserted = await client.query(
+                `INSERT INTO messages (from_user_id, to_user_id, message, client_message_id,
+                                       created_at, delivered_at, read, imported,
+                                       hidden_for_sender, hidden_for_recipient)
+                 SELECT r.from_user_id, r.to_user_id, r.message, r.client_message_id,
+                        r.created_at, r.created_at, TRUE, TRUE,
+                        r.from_user_id <> $6, r.to_user_id <> $6
+                 FROM UNNEST($1::INTEGER[], $2::INTEGER[], $3::TEXT[], $4::UUID[], $5::TIMESTAMP[])
+                      AS r(from_user_id, to_user_id, message, client_message_id, created_at)
+                 ON CONFLICT (from_user_id, client_message_id) DO NOTHING
+                 RETURNING id`,
+                [
+                    rows.map(row => row.fromUserId),
+                    rows.map(row => row.toUserId),
+                    rows.map(row => row.message),
+                    rows.map(row => row.clientMessageId),
+                    rows.map(row => row.time),
+                    userId
+                ]
+            );
+
+            await client.query('COMMIT');
+
+            report.imported = inserted.rows.length;
+            report.duplicates = rows.length - inserted.rows.length;
+            return report;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    },
+
+    /**
+     * Add up per-file reports for a summary
+     */
+    summarize(reports, dryRun) {
+        const totals = { files: reports.length, failed: 0, records: 0, imported: 0, duplicates: 0, empty: 0, shortened: 0 };
+
+        for (const report of reports) {
+            if (report.error) {
+                totals.failed++;
+                continue;
+            }
+            for (const field of ['records', 'imported', 'duplicates', 'empty', 'shortened']) {
+                totals[field] += report[field];
+            }
+        }
+
+        return { dryRun, totals, files: reports };
+    }
+};
+
+module.exports = yahooImport;
@@ -141,8 +141,8 @@ router.post('/logout',
                 await tokenBlacklist.addToken(token);
             }
 
-            // Disconnect WebSocket session
-            disconnectUserWebSocket(req.user.id);
+            // Disconnect the WebSocket sessions opened with this token only
+            disconnectUserWebSocket(req.user.id, token);
 
             res.json({
                 success: true,
@@ -167,7 +167,7 @@ router.post('/logout-all',
             // Revoke all refresh tokens
             await tokenManager.revokeAllUserTokens(req.user.id);
 
-            // Disconnect WebSocket
+            // Disconnect WebSockets on every device
             disconnectUserWebSocket(req.user.id);
 
             res.json({
@@ -4,6 +4,7 @@ const buddies = require('../modules/buddies');
 const { authenticateToken } = require('../middleware/auth');
 const { 
     buddyValidation, 
+    buddyVisibilityValidation,
     idValidation, 
     searchValidation,
     handleValidationErrors,
@@ -194,6 +195,31 @@ router.put('/:buddyId',
     }
 );
 
+// Appear offline to (or visible to) one buddy
+router.put('/:buddyId/visibility',
+    authenticateToken,
+    buddyVisibilityValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await buddies.setVisibility(req.user.id, req.params.buddyId, req.body.appearOffline);
+
+            if (result.error) {
+                return res.status(result.code === 'BUDDY_NOT_FOUND' ? 404 : 400).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Update buddy visibility route error:', error);
+            res.status(500).json({
+                error: 'Failed to update buddy visibility',
+                code: 'BUDDY_UPDATE_FAILED'
+            });
+        }
+    }
+);
+
 // Search users for adding as buddies
 router.get('/search',
     authenticateToken,
@@ -0,0 +1,246 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const {
+    fileUploadValidation,
+    fileIdValidation,
+    imageValidation,
+    fileDownloadValidation,
+    handleValidationErrors
+} = require('../middleware/validation');
+const files = require('../modules/files');
+
+/**
+ * File transfer routes for YM7 Hobby
+ * Uploads are the fallback when a direct (WebRTC) transfer fails;
+ * pictures are always uploaded
+ */
+
+// Upload a file to a buddy: the body is the raw file (application/octet-stream)
+router.post('/',
+    authenticateToken,
+    fileUploadValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            if (!req.is('application/octet-stream')) {
+                return res.status(415).json({
+                    error: 'Send the file as an application/octet-stream body',
+                    code: 'UNSUPPORTED_MEDIA_TYPE'
+                });
+            }
+
+            // Refuse early when the client says up front the file is too big
+            const declaredSize = parseInt(req.get('Content-Length'));
+            if (declaredSize > files.MAX_FILE_SIZE) {
+                return res.status(413).json({
+                    error: `Files sent through the server can be at most ${Math.floor(files.MAX_FILE_SIZE / (1024 * 1024))} MB`,
+                    code: 'FILE_TOO_LARGE'
+                });
+            }
+
+            const { toUserId, transferId, name, replyToId } = req.query;
+            const result = await files.uploadFile(req.user.id, {
+                toUserId,
+                transferId,
+                name,
+                replyToId: replyToId || null
+            }, req);
+
+            if (result.error) {
+                const statuses = {
+                    FILE_TOO_LARGE: 413,
+                    FILE_EMPTY: 400,
+                    INVALID_REPLY_TARGET: 400
+                };
+                return res.status(statuses[result.code] || 403).json(result);
+            }
+
+            res.status(result.duplicate ? 200 : 201).json({
+                success: true,
+                messageId: result.messageId,
+                transferId: result.clientMessageId,
+                file: result.file,
+                duplicate: result.duplicate,
+                status: result.status,
+                timestamp: result.timestamp
+            });
+
+        } catch (error) {
+            console.error('File upload route error:', error);
+            res.status(500).json({
+                error: 'Failed to upload file',
+                code: 'FILE_UPLOAD_FAILED'
+            });
+        }
+    }
+);
+
+// Send a picture to a buddy: the body is the raw image (application/octet-stream)
+router.post('/images',
+    authenticateToken,
+    fileUploadValidation,
+    handleValidationErrors,
+    async (req, res, next) => {
+        // Refuse early when the client says up front the picture is too big
+        const declaredSize = parseInt(req.get('Content-Length'));
+        if (declaredSize > files.MAX_IMAGE_SIZE) {
+            return res.status(413).json({
+                error: `Pictures can be at most ${Math.floor(files.MAX_IMAGE_SIZE / (1024 * 1024))} MB`,
+                code: 'FILE_TOO_LARGE'
+            });
+        }
+        next();
+    },
+    express.raw({ type: 'application/octet-stream', limit: files.MAX_IMAGE_SIZE }),
+    async (req, res) => {
+        try {
+            if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+                return res.status(400).json({
+                    error: 'Send the picture as an application/octet-stream body',
+                    code: 'IMAGE_REQUIRED'
+                });
+            }
+
+            const { toUserId, transferId, name, replyToId } = req.query;
+            const result = await files.uploadImage(req.user.id, {
+                toUserId,
+                transferId,
+                name,
+                replyToId: replyToId || null
+            }, req.body);
+
+            if (result.error) {
+                const statuses = {
+                    INVALID_IMAGE: 415,
+                    INVALID_REPLY_TARGET: 400
+                };
+                return res.status(statuses[result.code] || 403).json(result);
+            }
+
+            res.status(result.duplicate ? 200 : 201).json({
+                success: true,
+                messageId: result.messageId,
+                transferId: result.clientMessageId,
+                file: result.file,
+                duplicate: result.duplicate,
+                status: result.status,
+                timestamp: result.timestamp
+            });
+
+        } catch (error) {
+            console.error('Image upload route error:', error);
+            res.status(500).json({
+                error: 'Failed to send picture',
+                code: 'IMAGE_UPLOAD_FAILED'
+            });
+        }
+    }
+);
+
+// Get a picture preview (participants only); size is small, medium or large
+router.get('/:fileId/image',
+    authenticateToken,
+    imageValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await files.openImage(req.user.id, req.params.fileId, req.query.size || 'medium');
+
+            if (result.error) {
+                return res.status(404).json(result);
+            }
+
+            res.setHeader('Content-Type', result.mimeType);
+            res.setHeader('X-Content-Type-Options', 'nosniff');
+            // Thumbnails never change, but they belong to this user only
+            res.setHeader('Cache-Control', 'private, max-age=86400');
+
+            result.stream.on('error', (error) => {
+                console.error('Image stream error:', error);
+                if (res.headersSent) {
+                    res.destroy();
+                } else {
+                    res.status(404).json({
+                        error: 'Picture not found or no longer available',
+                        code: 'FILE_NOT_FOUND'
+                    });
+                }
+            });
+            result.stream.pipe(res);
+
+        } catch (error) {
+            console.error('Image route error:', error);
+            res.status(500).json({
+                error: 'Failed to load picture',
+                code: 'IMAGE_LOAD_FAILED'
+            });
+        }
+    }
+);
+
+// Get a short-lived download link for a stored file (participants only)
+router.get('/:fileId/link',
+    authenticateToken,
+    fileIdValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await files.createDownloadLink(req.user.id, req.params.fileId);
+
+            if (result.error) {
+                return res.status(404).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('File link route error:', error);
+            res.status(500).json({
+                error: 'Failed to create download link',
+                code: 'FILE_LINK_FAILED'
+            });
+        }
+    }
+);
+
+// Download a stored file through a signed link
+router.get('/:fileId/download',
+    fileDownloadValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { expires, signature } = req.query;
+            const result = await files.openDownload(req.params.fileId, expires, signature);
+
+            if (result.error) {
+                return res.status(result.code === 'FILE_NOT_FOUND' ? 404 : 403).json(result);
+            }
+
+            const { file, stream } = result;
+            const asciiName = file.name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+
+            res.setHeader('Content-Type', file.mimeType);
+            res.setHeader('Content-Length', file.size);
+            res.setHeader('Content-Disposition',
+                `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(file.name)}`);
+            res.setHeader('X-Content-Type-Options', 'nosniff');
+            res.setHeader('Cache-Control', 'private, no-store');
+
+            stream.on('error', (error) => {
+                console.error('File download stream error:', error);
+                res.destroy();
+            });
+            stream.pipe(res);
+
+        } catch (error) {
+            console.error('File download route error:', error);
+            res.status(500).json({
+                error: 'Failed to download file',
+                code: 'FILE_DOWNLOAD_FAILED'
+            });
+        }
+    }
+);
+
+module.exports = router;
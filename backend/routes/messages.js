@@ -4,82 +4,90 @@ const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
 const { 
     messageValidation, 
+    privateMessageValidation,
+    broadcastValidation,
+    messageIdValidation,
+    messageEditValidation,
+    messageDeleteValidation,
+    reactionValidation,
+    reactionEmojiValidation,
+    readReceiptValidation,
     idValidation, 
     paginationValidation,
+    conversationPageValidation,
+    messageSearchValidation,
+    exportValidation,
+    yahooImportValidation,
     handleValidationErrors,
     sanitizeInput 
 } = require('../middleware/validation');
-const { getWebSocketConnection } = require('../middleware/auth');
+const messageSystem = require('../modules/messages');
+const reactions = require('../modules/reactions');
+const messageExport = require('../modules/messageExport');
+const yahooImport = require('../modules/yahooImport');
+const security = require('../websocket/security');
+const richText = require('../utils/richText');
 
 /**
  * Messaging routes for YM7 Hobby
  */
 
+// Reactions are refused with 404 for unknown messages, 403 for buddy/block checks
+const reactionErrorStatus = (result) => {
+    switch (result.code) {
+        case 'MESSAGE_NOT_FOUND':
+            return 404;
+        case 'NOT_BUDDIES':
+        case 'USER_BLOCKED':
+            return 403;
+        default:
+            return 400;
+    }
+};
+
 // Send private message
 router.post('/private',
     authenticateToken,
     sanitizeInput,
+    privateMessageValidation,
     messageValidation,
     handleValidationErrors,
     async (req, res) => {
         try {
-            const { toUserId, message } = req.body;
+            const { toUserId, message, clientMessageId, replyToId } = req.body;
             const fromUserId = req.user.id;
 
-            // Check if users are buddies
-            const areBuddies = await db.query(
-                `SELECT 1 FROM buddies 
-                 WHERE (user_id = $1 AND buddy_user_id = $2)
-                 OR (user_id = $2 AND buddy_user_id = $1)`,
-                [fromUserId, toUserId]
-            );
+            // The message arrives escaped; take the formatting tags out of it
+            const { text, nodes } = richText.parse(message);
 
-            if (areBuddies.rows.length === 0) {
-                return res.status(403).json({
-                    error: 'You can only message your buddies',
-                    code: 'NOT_BUDDIES'
+            if (text.length === 0) {
+                return res.status(400).json({
+                    error: 'Message must be between 1 and 1000 characters',
+                    code: 'INVALID_CONTENT'
                 });
             }
 
-            // Check if blocked
-            const isBlocked = await db.query(
-                `SELECT 1 FROM blocks 
-                 WHERE blocker_id = $1 AND blocked_id = $2`,
-                [toUserId, fromUserId]
-            );
-
-            if (isBlocked.rows.length > 0) {
-                return res.status(403).json({
-                    error: 'Cannot send message to this user',
-                    code: 'USER_BLOCKED'
-                });
-            }
-
-            // Save message to database
-            const savedMessage = await db.query(
-                `INSERT INTO messages (from_user_id, to_user_id, message) 
-                 VALUES ($1, $2, $3) 
-                 RETURNING id, created_at`,
-                [fromUserId, toUserId, message]
-            );
+            // Store, dedupe retries by clientMessageId and deliver over WebSocket
+            const result = await messageSystem.sendPrivateMessage(fromUserId, toUserId, text, {
+                clientMessageId: clientMessageId || null,
+                replyToId: replyToId || null,
+                nodes
+            });
 
-            // Send to recipient via WebSocket if online
-            const recipientWs = getWebSocketConnection(toUserId);
-            if (recipientWs && recipientWs.readyState === 1) {
-                recipientWs.send(JSON.stringify({
-                    type: 'private_message',
-                    fromUserId: fromUserId,
-                    message: message,
-                    messageId: savedMessage.rows[0].id,
-                    timestamp: savedMessage.rows[0].created_at
-                }));
+            if (result.error) {
+                const status = result.code === 'INVALID_REPLY_TARGET' ? 400 : 403;
+                return res.status(status).json(result);
             }
 
             res.json({
                 success: true,
                 message: 'Message sent successfully',
-                messageId: savedMessage.rows[0].id,
-                timestamp: savedMessage.rows[0].created_at
+                messageId: result.messageId,
+                clientMessageId: result.clientMessageId,
+                replyTo: result.replyTo,
+                status: result.status,
+                duplicate: result.duplicate,
+                timestamp: result.timestamp
             });
 
         } catch (error) {
@@ -92,74 +100,96 @@ router.post('/private',
     }
 );
 
+// Send one message to several buddies (toUserIds) and/or a buddy group (groupName)
+// Answers with how each recipient went; stricter limits than single messages apply
+router.post('/broadcast',
+    authenticateToken,
+    sanitizeInput,
+    broadcastValidation,
+    messageEditValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { toUserIds, groupName, message } = req.body;
+
+            // Same checks and escaping as messages sent to several buddies over WebSocket
+            if (!security.validateMessageContent(richText.parse(message).text)) {
+                return res.status(400).json({
+                    error: 'Message contains invalid content',
+                    code: 'INVALID_CONTENT'
+                });
+            }
+
+            const { text, nodes } = richText.parse(security.sanitizeMessageContent(message));
+
+            if (text.length === 0 || text.length > 1000) {
+                return res.status(400).json({
+                    error: 'Message must be between 1 and 1000 characters',
+                    code: 'INVALID_CONTENT'
+                });
+            }
+
+            const result = await messageSystem.broadcastMessage(req.user.id, {
+                toUserIds: toUserIds || [],
+                groupName: groupName || null
+            }, text, { nodes });
+
+            if (result.error) {
+                if (result.retryAfter) {
+                    res.setHeader('Retry-After', result.retryAfter);
+                }
+                const status = result.code === 'BROADCAST_RATE_LIMITED' ? 429 : 400;
+                return res.status(status).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Broadcast message route error:', error);
+            res.status(500).json({
+                error: 'Failed to send message',
+                code: 'BROADCAST_FAILED'
+            });
+        }
+    }
+);
+
 // Get conversation history
+// Newest messages by default; ?before=<messageId> pages back, ?after=<messageId>
+// forward. Reading history does not mark it read: POST .../read does that.
 router.get('/conversation/:userId',
     authenticateToken,
-    paginationValidation,
+    conversationPageValidation,
     handleValidationErrors,
     async (req, res) => {
         try {
             const { userId } = req.params;
             const currentUserId = req.user.id;
-            const page = parseInt(req.query.page) || 1;
-            const limit = parseInt(req.query.limit) || 50;
-            const offset = (page - 1) * limit;
-
-            // Verify users are buddies
-            const areBuddies = await db.query(
-                `SELECT 1 FROM buddies 
-                 WHERE (user_id = $1 AND buddy_user_id = $2)
-                 OR (user_id = $2 AND buddy_user_id = $1)`,
-                [currentUserId, userId]
-            );
-
-            if (areBuddies.rows.length === 0) {
-                return res.status(403).json({
-                    error: 'You can only view conversations with your buddies',
-                    code: 'NOT_BUDDIES'
-                });
-            }
+            const { before, after } = req.query;
+            const limit = req.query.limit || 50;
 
-            // Get messages between users
-            const messages = await db.query(
-                `SELECT m.id, m.from_user_id, m.to_user_id, m.message, m.created_at, m.read,
-                        u1.display_name as from_display_name,
-                        u2.display_name as to_display_name
-                 FROM messages m
-                 JOIN users u1 ON m.from_user_id = u1.id
-                 JOIN users u2 ON m.to_user_id = u2.id
-                 WHERE (m.from_user_id = $1 AND m.to_user_id = $2)
-                    OR (m.from_user_id = $2 AND m.to_user_id = $1)
-                 ORDER BY m.created_at DESC
-                 LIMIT $3 OFFSET $4`,
-                [currentUserId, userId, limit, offset]
-            );
+            const result = await messageSystem.getConversation(currentUserId, userId, {
+                before: before || null,
+                after: after || null,
+                limit
+            });
 
-            // Get total count for pagination
-            const totalResult = await db.query(
-                `SELECT COUNT(*) as total
-                 FROM messages
-                 WHERE (from_user_id = $1 AND to_user_id = $2)
-                    OR (from_user_id = $2 AND to_user_id = $1)`,
-                [currentUserId, userId]
-            );
+            if (result.error) {
+                const status = result.code === 'INVALID_CURSOR' ? 400 : 403;
+                return res.status(status).json(result);
+            }
 
-            // Mark messages as read
-            await db.query(
-                `UPDATE messages 
-                 SET read = TRUE 
-                 WHERE to_user_id = $1 AND from_user_id = $2 AND read = FALSE`,
-                [currentUserId, userId]
-            );
+            const messages = result.messages;
 
             res.json({
                 success: true,
-                messages: messages.rows.reverse(), // Return in chronological order
+                // Aggregated emoji counts for each message
+                messages: await reactions.attachReactions('private', messages, currentUserId),
                 pagination: {
-                    page,
                     limit,
-                    total: parseInt(totalResult.rows[0].total),
-                    pages: Math.ceil(totalResult.rows[0].total / limit)
+                    hasMore: result.hasMore,
+                    oldestId: messages.length > 0 ? messages[0].id : null,
+                    newestId: messages.length > 0 ? messages[messages.length - 1].id : null
                 }
             });
 
@@ -173,24 +203,53 @@ router.get('/conversation/:userId',
     }
 );
 
+// Search message history across conversations (or one buddy's with buddyId)
+router.get('/search',
+    authenticateToken,
+    messageSearchValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { query, buddyId, from, to, page, limit } = req.query;
+
+            const result = await messageSystem.searchMessages(req.user.id, {
+                query,
+                buddyId: buddyId || null,
+                from: from || null,
+                to: to || null,
+                page: page || 1,
+                limit: limit || 20
+            });
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Search messages route error:', error);
+            res.status(500).json({
+                error: 'Failed to search messages',
+                code: 'MESSAGE_SEARCH_FAILED'
+            });
+        }
+    }
+);
+
 // Mark messages as read
+// Optional body.upToMessageId limits the receipt to messages up to that id
 router.post('/conversation/:userId/read',
     authenticateToken,
+    readReceiptValidation,
+    handleValidationErrors,
     async (req, res) => {
         try {
             const { userId } = req.params;
             const currentUserId = req.user.id;
 
-            await db.query(
-                `UPDATE messages 
-                 SET read = TRUE 
-                 WHERE to_user_id = $1 AND from_user_id = $2 AND read = FALSE`,
-                [currentUserId, userId]
-            );
+            const count = await messageSystem.markRead(currentUserId, userId, req.body.upToMessageId ?? null);
 
             res.json({
                 success: true,
-                message: 'Messages marked as read'
+                message: 'Messages marked as read',
+                count
             });
 
         } catch (error) {
@@ -203,6 +262,124 @@ router.post('/conversation/:userId/read',
     }
 );
 
+// Export a whole conversation as json (default), html or txt, streamed oldest first
+// Timestamps are shown in ?timezone= (IANA name, default UTC)
+router.get('/conversation/:userId/export',
+    authenticateToken,
+    exportValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const format = req.query.format || 'json';
+            const timezone = req.query.timezone || 'UTC';
+
+            const result = await messageExport.getExportBuddy(req.user.id, req.params.userId);
+
+            if (result.error) {
+                return res.status(403).json(result);
+            }
+
+            res.setHeader('Content-Type', messageExport.CONTENT_TYPES[format]);
+            res.setHeader('Content-Disposition',
+                `attachment; filename="${messageExport.conversationFileName(result.buddy, format)}"`);
+            res.setHeader('Cache-Control', 'no-store');
+
+            await messageExport.writeConversation(res, req.user.id, result.buddy, { format, timezone });
+            res.end();
+
+        } catch (error) {
+            console.error('Export conversation route error:', error);
+            // Once the download has started all we can do is cut it short
+            if (res.headersSent) {
+                return res.destroy();
+            }
+            res.removeHeader('Content-Disposition');
+            res.type('json');
+            res.status(500).json({
+                error: 'Failed to export conversation',
+                code: 'CONVERSATION_EXPORT_FAILED'
+            });
+        }
+    }
+);
+
+// Export every conversation with a current buddy as a ZIP, one file per buddy
+router.get('/export',
+    authenticateToken,
+    exportValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const format = req.query.format || 'json';
+            const timezone = req.query.timezone || 'UTC';
+            const date = new Date().toISOString().slice(0, 10);
+
+            res.setHeader('Content-Type', messageExport.CONTENT_TYPES.zip);
+            res.setHeader('Content-Disposition', `attachment; filename="ym7-conversations-${date}.zip"`);
+            res.setHeader('Cache-Control', 'no-store');
+
+            await messageExport.writeArchive(res, req.user.id, { format, timezone });
+
+        } catch (error) {
+            console.error('Export all conversations route error:', error);
+            if (res.headersSent) {
+                return res.destroy();
+            }
+            res.removeHeader('Content-Disposition');
+            res.type('json');
+            res.status(500).json({
+                error: 'Failed to export conversations',
+                code: 'CONVERSATION_EXPORT_FAILED'
+            });
+        }
+    }
+);
+
+// Import one Yahoo Messenger archive file (application/octet-stream body)
+// Reports what would be imported unless ?dryRun=false
+router.post('/import/yahoo',
+    authenticateToken,
+    express.raw({ type: 'application/octet-stream', limit: '5mb' }),
+    yahooImportValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+                return res.status(400).json({
+                    error: 'Send the .dat file as an application/octet-stream body',
+                    code: 'ARCHIVE_FILE_REQUIRED'
+                });
+            }
+
+            const dryRun = req.query.dryRun !== false;
+            const report = await yahooImport.importFile(req.user.id, {
+                yahooId: req.query.yahooId,
+                remoteYahooId: req.query.remoteYahooId,
+                fileName: req.query.fileName,
+                buffer: req.body,
+                buddyUserId: req.query.buddyUserId || null
+            }, { dryRun });
+
+            if (report.error) {
+                return res.status(report.code === 'BUDDY_NOT_FOUND' ? 404 : 409).json(report);
+            }
+
+            res.json({
+                success: true,
+                dryRun,
+                report
+            });
+
+        } catch (error) {
+            console.error('Yahoo archive import route error:', error);
+            res.status(500).json({
+                error: 'Failed to import archive',
+                code: 'ARCHIVE_IMPORT_FAILED'
+            });
+        }
+    }
+);
+
 // Get unread message count
 router.get('/unread/count',
     authenticateToken,
@@ -212,6 +389,7 @@ router.get('/unread/count',
                 `SELECT from_user_id, COUNT(*) as count
                  FROM messages
                  WHERE to_user_id = $1 AND read = FALSE
+                   AND deleted_at IS NULL AND NOT hidden_for_recipient
                  GROUP BY from_user_id`,
                 [req.user.id]
             );
@@ -239,28 +417,186 @@ router.get('/unread/count',
     }
 );
 
-// Delete message (only for the sender)
+// Edit a sent message (only for the sender, within the edit window)
+router.put('/:messageId',
+    authenticateToken,
+    messageIdValidation,
+    messageEditValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { message } = req.body;
+
+            // Same checks and escaping as messages edited over WebSocket
+            if (!security.validateMessageContent(richText.parse(message).text)) {
+                return res.status(400).json({
+                    error: 'Message contains invalid content',
+                    code: 'INVALID_CONTENT'
+                });
+            }
+
+            const { text, nodes } = richText.parse(security.sanitizeMessageContent(message));
+
+            if (text.length === 0 || text.length > 1000) {
+                return res.status(400).json({
+                    error: 'Message must be between 1 and 1000 characters',
+                    code: 'INVALID_CONTENT'
+                });
+            }
+
+            const result = await messageSystem.editMessage(req.user.id, req.params.messageId, text, nodes);
+
+            if (result.error) {
+                const status = result.code === 'MESSAGE_NOT_FOUND' ? 404 : 400;
+                return res.status(status).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Edit message route error:', error);
+            res.status(500).json({
+                error: 'Failed to edit message',
+                code: 'MESSAGE_EDIT_FAILED'
+            });
+        }
+    }
+);
+
+// Get the messages around one message, e.g. to show a search result in context
+router.get('/:messageId/context',
+    authenticateToken,
+    messageIdValidation,
+    paginationValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const limit = parseInt(req.query.limit) || 20;
+
+            const result = await messageSystem.getMessageContext(req.user.id, req.params.messageId, limit);
+
+            if (result.error) {
+                const status = result.code === 'MESSAGE_NOT_FOUND' ? 404 : 403;
+                return res.status(status).json(result);
+            }
+
+            res.json({
+                ...result,
+                messages: await reactions.attachReactions('private', result.messages, req.user.id)
+            });
+
+        } catch (error) {
+            console.error('Get message context route error:', error);
+            res.status(500).json({
+                error: 'Failed to get message context',
+                code: 'MESSAGE_CONTEXT_FETCH_FAILED'
+            });
+        }
+    }
+);
+
+// Get earlier versions of an edited message
+router.get('/:messageId/revisions',
+    authenticateToken,
+    messageIdValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await messageSystem.getRevisions(req.user.id, req.params.messageId);
+
+            if (result.error) {
+                return res.status(404).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Get message revisions route error:', error);
+            res.status(500).json({
+                error: 'Failed to get message revisions',
+                code: 'MESSAGE_REVISIONS_FETCH_FAILED'
+            });
+        }
+    }
+);
+
+// Add an emoji reaction to a message
+router.post('/:messageId/reactions',
+    authenticateToken,
+    messageIdValidation,
+    reactionValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await reactions.addReaction(req.user.id, {
+                messageId: req.params.messageId
+            }, req.body.emoji);
+
+            if (result.error) {
+                return res.status(reactionErrorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Add reaction route error:', error);
+            res.status(500).json({
+                error: 'Failed to add reaction',
+                code: 'REACTION_ADD_FAILED'
+            });
+        }
+    }
+);
+
+// Remove one of your emoji reactions from a message
+router.delete('/:messageId/reactions/:emoji',
+    authenticateToken,
+    messageIdValidation,
+    reactionEmojiValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await reactions.removeReaction(req.user.id, {
+                messageId: req.params.messageId
+            }, req.params.emoji);
+
+            if (result.error) {
+                return res.status(reactionErrorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Remove reaction route error:', error);
+            res.status(500).json({
+                error: 'Failed to remove reaction',
+                code: 'REACTION_REMOVE_FAILED'
+            });
+        }
+    }
+);
+
+// Delete a message
+// ?mode=me hides it from your own history; mode=everyone (the default,
+// sender only) leaves a tombstone and tells both sides
 router.delete('/:messageId',
     authenticateToken,
+    messageIdValidation,
+    messageDeleteValidation,
+    handleValidationErrors,
     async (req, res) => {
         try {
             const { messageId } = req.params;
+            const mode = req.query.mode || 'everyone';
 
-            const result = await db.query(
-                `DELETE FROM messages 
-                 WHERE id = $1 AND from_user_id = $2`,
-                [messageId, req.user.id]
-            );
+            const result = await messageSystem.deleteMessage(req.user.id, messageId, mode);
 
-            if (result.rowCount === 0) {
-                return res.status(404).json({
-                    error: 'Message not found or you are not the sender',
-                    code: 'MESSAGE_NOT_FOUND'
-                });
+            if (result.error) {
+                return res.status(404).json(result);
             }
 
             res.json({
-                success: true,
+                ...result,
                 message: 'Message deleted successfully'
             });
 
@@ -0,0 +1,664 @@
+const express = require('express');
+const router = express.Router();
+const rooms = require('../modules/rooms');
+const roomModeration = require('../modules/roomModeration');
+const reactions = require('../modules/reactions');
+const { authenticateToken } = require('../middleware/auth');
+const {
+    messageValidation,
+    roomValidation,
+    roomIdValidation,
+    roomMessageIdValidation,
+    invitationIdValidation,
+    roomInviteValidation,
+    roomMemberValidation,
+    roomBanValidation,
+    roomMuteValidation,
+    roomRoleValidation,
+    slowModeValidation,
+    reactionValidation,
+    reactionEmojiValidation,
+    paginationValidation,
+    handleValidationErrors,
+    sanitizeInput
+} = require('../middleware/validation');
+
+/**
+ * Chat room routes for YM7 Hobby
+ */
+
+// Map module error codes to HTTP status codes
+const errorStatus = (result) => {
+    switch (result.code) {
+        case 'ROOM_NOT_FOUND':
+        case 'INVITATION_NOT_FOUND':
+        case 'MEMBER_NOT_FOUND':
+        case 'BAN_NOT_FOUND':
+        case 'MESSAGE_NOT_FOUND':
+            return 404;
+        case 'NOT_ROOM_MEMBER':
+        case 'NOT_BUDDIES':
+        case 'USER_BLOCKED':
+        case 'ROOM_BANNED':
+        case 'ROOM_MUTED':
+        case 'INSUFFICIENT_ROOM_PERMISSIONS':
+            return 403;
+        case 'ALREADY_MEMBER':
+        case 'ROOM_FULL':
+        case 'OWNER_CANNOT_LEAVE':
+            return 409;
+        case 'ROOM_SLOW_MODE':
+            return 429;
+        default:
+            return 400;
+    }
+};
+
+// List public rooms
+router.get('/',
+    authenticateToken,
+    sanitizeInput,
+    paginationValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await rooms.listPublicRooms(req.user.id, {
+                search: req.query.search ? req.query.search.substring(0, 100) : null,
+                page: parseInt(req.query.page) || 1,
+                limit: parseInt(req.query.limit) || 20
+            });
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('List rooms route error:', error);
+            res.status(500).json({
+                error: 'Failed to get rooms',
+                code: 'ROOMS_FETCH_FAILED'
+            });
+        }
+    }
+);
+
+// List rooms the current user has joined
+router.get('/mine',
+    authenticateToken,
+    async (req, res) => {
+        try {
+            const result = await rooms.getUserRooms(req.user.id);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Get my rooms route error:', error);
+            res.status(500).json({
+                error: 'Failed to get rooms',
+                code: 'ROOMS_FETCH_FAILED'
+            });
+        }
+    }
+);
+
+// Create a room
+router.post('/',
+    authenticateToken,
+    sanitizeInput,
+    roomValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await rooms.createRoom(req.user.id, req.body, req.ip);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.status(201).json(result);
+
+        } catch (error) {
+            console.error('Create room route error:', error);
+            res.status(500).json({
+                error: 'Failed to create room',
+                code: 'ROOM_CREATE_FAILED'
+            });
+        }
+    }
+);
+
+// Get pending room invitations
+router.get('/invitations',
+    authenticateToken,
+    async (req, res) => {
+        try {
+            const result = await rooms.getPendingInvitations(req.user.id);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Get room invitations route error:', error);
+            res.status(500).json({
+                error: 'Failed to get invitations',
+                code: 'INVITATIONS_FETCH_FAILED'
+            });
+        }
+    }
+);
+
+// Decline a room invitation (accepting is done by joining the room)
+router.post('/invitations/:invitationId/decline',
+    authenticateToken,
+    invitationIdValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { invitationId } = req.params;
+
+            const result = await rooms.declineInvitation(invitationId, req.user.id);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Decline room invitation route error:', error);
+            res.status(500).json({
+                error: 'Failed to decline invitation',
+                code: 'INVITATION_DECLINE_FAILED'
+            });
+        }
+    }
+);
+
+// Get room details
+router.get('/:roomId',
+    authenticateToken,
+    roomIdValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await rooms.getRoom(req.params.roomId, req.user.id);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Get room route error:', error);
+            res.status(500).json({
+                error: 'Failed to get room',
+                code: 'ROOM_FETCH_FAILED'
+            });
+        }
+    }
+);
+
+// Join a room
+router.post('/:roomId/join',
+    authenticateToken,
+    roomIdValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await rooms.joinRoom(req.params.roomId, req.user.id, req.ip);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Join room route error:', error);
+            res.status(500).json({
+                error: 'Failed to join room',
+                code: 'ROOM_JOIN_FAILED'
+            });
+        }
+    }
+);
+
+// Leave a room
+router.post('/:roomId/leave',
+    authenticateToken,
+    roomIdValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await rooms.leaveRoom(req.params.roomId, req.user.id, req.ip);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Leave room route error:', error);
+            res.status(500).json({
+                error: 'Failed to leave room',
+                code: 'ROOM_LEAVE_FAILED'
+            });
+        }
+    }
+);
+
+// Invite a buddy to a room
+router.post('/:roomId/invite',
+    authenticateToken,
+    roomIdValidation,
+    roomInviteValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await rooms.inviteUser(
+                req.params.roomId,
+                req.user.id,
+                req.body.userId,
+                req.ip
+            );
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Room invite route error:', error);
+            res.status(500).json({
+                error: 'Failed to send invitation',
+                code: 'ROOM_INVITE_FAILED'
+            });
+        }
+    }
+);
+
+// Get room message history
+router.get('/:roomId/messages',
+    authenticateToken,
+    roomIdValidation,
+    paginationValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await rooms.getMessages(req.params.roomId, req.user.id, {
+                page: parseInt(req.query.page) || 1,
+                limit: parseInt(req.query.limit) || 50
+            });
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json({
+                ...result,
+                messages: await reactions.attachReactions('room', result.messages, req.user.id)
+            });
+
+        } catch (error) {
+            console.error('Get room messages route error:', error);
+            res.status(500).json({
+                error: 'Failed to get room messages',
+                code: 'ROOM_MESSAGES_FETCH_FAILED'
+            });
+        }
+    }
+);
+
+// Get room members
+router.get('/:roomId/members',
+    authenticateToken,
+    roomIdValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await rooms.getMembers(req.params.roomId, req.user.id);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Get room members route error:', error);
+            res.status(500).json({
+                error: 'Failed to get room members',
+                code: 'ROOM_MEMBERS_FETCH_FAILED'
+            });
+        }
+    }
+);
+
+// Post a message to a room
+router.post('/:roomId/messages',
+    authenticateToken,
+    sanitizeInput,
+    roomIdValidation,
+    messageValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await rooms.sendMessage(req.params.roomId, req.user.id, req.body.message);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json({
+                success: true,
+                message: 'Message sent successfully',
+                messageId: result.message.messageId,
+                timestamp: result.message.timestamp
+            });
+
+        } catch (error) {
+            console.error('Send room message route error:', error);
+            res.status(500).json({
+                error: 'Failed to send room message',
+                code: 'ROOM_MESSAGE_SEND_FAILED'
+            });
+        }
+    }
+);
+
+// React to a room message (members)
+router.post('/:roomId/messages/:messageId/reactions',
+    authenticateToken,
+    roomIdValidation,
+    roomMessageIdValidation,
+    reactionValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { roomId, messageId } = req.params;
+
+            const result = await reactions.addReaction(req.user.id, { roomId, messageId }, req.body.emoji);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Add room reaction route error:', error);
+            res.status(500).json({
+                error: 'Failed to add reaction',
+                code: 'REACTION_ADD_FAILED'
+            });
+        }
+    }
+);
+
+// Remove one of your reactions from a room message
+router.delete('/:roomId/messages/:messageId/reactions/:emoji',
+    authenticateToken,
+    roomIdValidation,
+    roomMessageIdValidation,
+    reactionEmojiValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { roomId, messageId, emoji } = req.params;
+
+            const result = await reactions.removeReaction(req.user.id, { roomId, messageId }, emoji);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Remove room reaction route error:', error);
+            res.status(500).json({
+                error: 'Failed to remove reaction',
+                code: 'REACTION_REMOVE_FAILED'
+            });
+        }
+    }
+);
+
+// Change a member's role (owner only)
+router.put('/:roomId/members/:userId/role',
+    authenticateToken,
+    roomIdValidation,
+    roomMemberValidation,
+    roomRoleValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { roomId, userId } = req.params;
+
+            const result = await roomModeration.setRole(roomId, req.user.id, userId, req.body.role, req.ip);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Set room role route error:', error);
+            res.status(500).json({
+                error: 'Failed to update role',
+                code: 'ROOM_ROLE_UPDATE_FAILED'
+            });
+        }
+    }
+);
+
+// Kick a member
+router.post('/:roomId/members/:userId/kick',
+    authenticateToken,
+    sanitizeInput,
+    roomIdValidation,
+    roomMemberValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { roomId, userId } = req.params;
+
+            const result = await roomModeration.kickMember(roomId, req.user.id, userId, req.body.reason || null, req.ip);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Kick room member route error:', error);
+            res.status(500).json({
+                error: 'Failed to kick user',
+                code: 'ROOM_KICK_FAILED'
+            });
+        }
+    }
+);
+
+// Mute a member (durationMinutes 0 lifts the mute)
+router.post('/:roomId/members/:userId/mute',
+    authenticateToken,
+    roomIdValidation,
+    roomMemberValidation,
+    roomMuteValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { roomId, userId } = req.params;
+
+            const result = await roomModeration.muteMember(roomId, req.user.id, userId, req.body.durationMinutes, req.ip);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Mute room member route error:', error);
+            res.status(500).json({
+                error: 'Failed to mute user',
+                code: 'ROOM_MUTE_FAILED'
+            });
+        }
+    }
+);
+
+// List active bans
+router.get('/:roomId/bans',
+    authenticateToken,
+    roomIdValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await roomModeration.getBans(req.params.roomId, req.user.id);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Get room bans route error:', error);
+            res.status(500).json({
+                error: 'Failed to get bans',
+                code: 'ROOM_BANS_FETCH_FAILED'
+            });
+        }
+    }
+);
+
+// Ban a user for a limited time
+router.post('/:roomId/bans/:userId',
+    authenticateToken,
+    sanitizeInput,
+    roomIdValidation,
+    roomMemberValidation,
+    roomBanValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { roomId, userId } = req.params;
+            const { durationMinutes, reason } = req.body;
+
+            const result = await roomModeration.banMember(roomId, req.user.id, userId, durationMinutes, reason || null, req.ip);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Ban room member route error:', error);
+            res.status(500).json({
+                error: 'Failed to ban user',
+                code: 'ROOM_BAN_FAILED'
+            });
+        }
+    }
+);
+
+// Lift a ban
+router.delete('/:roomId/bans/:userId',
+    authenticateToken,
+    roomIdValidation,
+    roomMemberValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { roomId, userId } = req.params;
+
+            const result = await roomModeration.unbanMember(roomId, req.user.id, userId, req.ip);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Unban room member route error:', error);
+            res.status(500).json({
+                error: 'Failed to lift ban',
+                code: 'ROOM_UNBAN_FAILED'
+            });
+        }
+    }
+);
+
+// Set slow mode interval
+router.put('/:roomId/slow-mode',
+    authenticateToken,
+    roomIdValidation,
+    slowModeValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await roomModeration.setSlowMode(req.params.roomId, req.user.id, req.body.seconds, req.ip);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Set slow mode route error:', error);
+            res.status(500).json({
+                error: 'Failed to update slow mode',
+                code: 'ROOM_SLOW_MODE_UPDATE_FAILED'
+            });
+        }
+    }
+);
+
+// Delete a room message (moderators)
+router.delete('/:roomId/messages/:messageId',
+    authenticateToken,
+    roomIdValidation,
+    roomMessageIdValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { roomId, messageId } = req.params;
+
+            const result = await roomModeration.deleteMessage(roomId, req.user.id, messageId, req.ip);
+
+            if (result.error) {
+                return res.status(errorStatus(result)).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Delete room message route error:', error);
+            res.status(500).json({
+                error: 'Failed to delete message',
+                code: 'ROOM_MESSAGE_DELETE_FAILED'
+            });
+        }
+    }
+);
+
+module.exports = router;
@@ -2,9 +2,13 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const presence = require('../modules/presence');
+const preferences = require('../modules/preferences');
 const { 
     searchValidation, 
     paginationValidation,
+    statusMessageValidation,
+    preferencesValidation,
     handleValidationErrors,
     sanitizeInput 
 } = require('../middleware/validation');
@@ -55,7 +59,10 @@ router.get('/search',
 
             res.json({
                 success: true,
-                users: searchResult.rows,
+                users: searchResult.rows.map(user => ({
+                    ...user,
+                    status: presence.publicStatus(user.status)
+                })),
                 count: searchResult.rows.length
             });
 
@@ -78,7 +85,8 @@ router.get('/:userId/profile',
             const currentUserId = req.user?.id || null;
 
             const userResult = await db.query(
-                `SELECT id, display_name, status, avatar_url, created_at
+                `SELECT id, display_name, status, status_message, status_emoji,
+                        status_message_expires_at, avatar_url, created_at
                  FROM users 
                  WHERE id = $1 AND email_verified = TRUE`,
                 [userId]
@@ -93,6 +101,7 @@ router.get('/:userId/profile',
 
             const user = userResult.rows[0];
             let relationship = 'none';
+            let hidden = false;
 
             // Check relationship if authenticated
             if (currentUserId) {
@@ -106,6 +115,7 @@ router.get('/:userId/profile',
 
                 if (buddyResult.rows.length > 0) {
                     relationship = 'buddies';
+                    hidden = await presence.isHiddenFrom(user.id, currentUserId);
                 } else {
                     // Check if pending request
                     const requestResult = await db.query(
@@ -138,7 +148,10 @@ router.get('/:userId/profile',
                 user: {
                     id: user.id,
                     displayName: user.display_name,
-                    status: user.status,
+                    // Buddies the user appears offline to see them offline
+                    status: hidden ? 'offline' : presence.publicStatus(user.status),
+                    // Custom status messages are only shared with buddies
+                    statusMessage: relationship === 'buddies' && !hidden ? presence.publicStatusMessage(user) : null,
                     avatarUrl: user.avatar_url,
                     memberSince: user.created_at
                 },
@@ -289,4 +302,129 @@ router.get('/blocks',
     }
 );
 
+// Get recently used status messages
+router.get('/status-messages',
+    authenticateToken,
+    async (req, res) => {
+        try {
+            const history = await presence.getStatusMessageHistory(req.user.id);
+
+            res.json({
+                success: true,
+                statusMessages: history
+            });
+
+        } catch (error) {
+            console.error('Get status messages route error:', error);
+            res.status(500).json({
+                error: 'Failed to get status messages',
+                code: 'STATUS_MESSAGES_FETCH_FAILED'
+            });
+        }
+    }
+);
+
+// Set custom status message
+router.put('/status-message',
+    authenticateToken,
+    sanitizeInput,
+    statusMessageValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { text, emoji, expiresInMinutes } = req.body;
+
+            const result = await presence.setStatusMessage(req.user.id, {
+                text,
+                emoji: emoji || null,
+                expiresInMinutes: expiresInMinutes || null
+            });
+
+            if (result.error) {
+                return res.status(404).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Set status message route error:', error);
+            res.status(500).json({
+                error: 'Failed to set status message',
+                code: 'STATUS_MESSAGE_UPDATE_FAILED'
+            });
+        }
+    }
+);
+
+// Clear custom status message
+router.delete('/status-message',
+    authenticateToken,
+    async (req, res) => {
+        try {
+            const result = await presence.setStatusMessage(req.user.id, null);
+
+            if (result.error) {
+                return res.status(404).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Clear status message route error:', error);
+            res.status(500).json({
+                error: 'Failed to clear status message',
+                code: 'STATUS_MESSAGE_UPDATE_FAILED'
+            });
+        }
+    }
+);
+
+// Get my settings
+router.get('/preferences',
+    authenticateToken,
+    async (req, res) => {
+        try {
+            const result = await preferences.getPreferences(req.user.id);
+
+            if (result.error) {
+                return res.status(404).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Get preferences route error:', error);
+            res.status(500).json({
+                error: 'Failed to get preferences',
+                code: 'PREFERENCES_FETCH_FAILED'
+            });
+        }
+    }
+);
+
+// Change some of my settings
+router.put('/preferences',
+    authenticateToken,
+    preferencesValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await preferences.updatePreferences(req.user.id, req.body);
+
+            if (result.error) {
+                return res.status(404).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Update preferences route error:', error);
+            res.status(500).json({
+                error: 'Failed to update preferences',
+                code: 'PREFERENCES_UPDATE_FAILED'
+            });
+        }
+    }
+);
+
 module.exports = router;
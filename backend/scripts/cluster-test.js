@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const WebSocket = require('ws');
+
+/**
+ * Two-node cluster check for YM7 Hobby
+ * Starts two app.js processes sharing the database with CLUSTER_ENABLED=true,
+ * connects one buddy to each and checks that messages and presence cross nodes.
+ *
+ * Usage: node scripts/cluster-test.js <userIdA> <userIdB>
+ * The two users must be buddies who don't appear offline to each other;
+ * uses the database and JWT_SECRET from .env.
+ */
+
+const PORTS = [3101, 3102];
+const ORIGIN = 'http://localhost';
+const STEP_TIMEOUT = 10000;
+
+const [userA, userB] = process.argv.slice(2).map(Number);
+
+if (!userA || !userB) {
+    console.error('Usage: node scripts/cluster-test.js <userIdA> <userIdB>');
+    process.exit(2);
+}
+
+const nodes = [];
+const sockets = [];
+
+const startNode = (port, nodeId) => {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'app.js')], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            NODE_ID: nodeId,
+            CLUSTER_ENABLED: 'true',
+            ALLOWED_ORIGINS: ORIGIN
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    child.stdout.on('data', data => process.stdout.write(`[${nodeId}] ${data}`));
+    child.stderr.on('data', data => process.stderr.write(`[${nodeId}] ${data}`));
+    nodes.push(child);
+};
+
+const stopNodes = () => {
+    for (const child of nodes) {
+        if (child.exitCode === null) {
+            child.kill('SIGTERM');
+        }
+    }
+};
+
+const isHealthy = (port) => new Promise((resolve) => {
+    http.get(`http://localhost:${port}/health`, (response) => {
+        response.resume();
+        resolve(response.statusCode === 200);
+    }).on('error', () => resolve(false));
+});
+
+const waitForHealth = async (port) => {
+    const deadline = Date.now() + 30000;
+    while (Date.now() < deadline) {
+        if (await isHealthy(port)) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    throw new Error(`Node on port ${port} did not become healthy`);
+};
+
+const signToken = (userId) => jwt.sign(
+    { id: userId, email: `user${userId}@cluster-test`, type: 'access' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m', issuer: 'ym7-hobby', audience: 'ym7-web-client' }
+);
+
+/**
+ * Open an authenticated socket; messages are buffered for waitFor()
+ */
+const connect = (port, userId) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${port}`, { headers: { Origin: ORIGIN } });
+    ws.received = [];
+    ws.waiters = [];
+    sockets.push(ws);
+
+    ws.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+        ws.received.push(message);
+        ws.waiters = ws.waiters.filter(waiter => !waiter(message));
+
+        if (message.type === 'auth_success') {
+            resolve(ws);
+        } else if (message.type === 'auth_error') {
+            reject(new Error(`Authentication failed for user ${userId}`));
+        }
+    });
+
+    ws.on('open', () => {
+        ws.send(JSON.stringify({ type: 'authenticate', token: signToken(userId) }));
+    });
+    ws.on('error', reject);
+});
+
+const waitFor = (ws, description, predicate) => new Promise((resolve, reject) => {
+    const earlier = ws.received.find(predicate);
+    if (earlier) {
+        resolve(earlier);
+        return;
+    }
+
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${description}`)), STEP_TIMEOUT);
+    ws.waiters.push((message) => {
+        if (!predicate(message)) {
+            return false;
+        }
+        clearTimeout(timer);
+        resolve(message);
+        return true;
+    });
+});
+
+// Each step only looks at messages received while it runs
+const step = async (description, fn) => {
+    sockets.forEach(ws => { ws.received = []; });
+    await fn();
+    console.log(`✅ ${description}`);
+};
+
+const run = async () => {
+    startNode(PORTS[0], 'cluster-test-a');
+    startNode(PORTS[1], 'cluster-test-b');
+    await Promise.all(PORTS.map(waitForHealth));
+
+    const wsA = await connect(PORTS[0], userA);
+    const wsB = await connect(PORTS[1], userB);
+
+    await step('presence crosses nodes', async () => {
+        wsB.send(JSON.stringify({ type: 'status_update', status: 'busy', statusMessage: null }));
+        await waitFor(wsA, 'busy status of B on node A', message =>
+            message.type === 'buddy_status_change' && message.userId === userB && message.status === 'busy');
+    });
+
+    await step('private message crosses nodes and is marked delivered', async () => {
+        const clientMessageId = crypto.randomUUID();
+        wsA.send(JSON.stringify({
+            type: 'private_message',
+            toUserId: userB,
+            message: 'cluster test',
+            clientMessageId
+        }));
+
+        const incoming = await waitFor(wsB, 'message from A on node B', message =>
+            message.type === 'private_message' && message.clientMessageId === clientMessageId);
+        await waitFor(wsA, 'delivery receipt on node A', message =>
+            message.type === 'message_delivered' && message.messageId === incoming.messageId);
+    });
+
+    await step('disconnect on one node reaches the other', async () => {
+        wsB.send(JSON.stringify({ type: 'status_update', status: 'online', statusMessage: null }));
+        await waitFor(wsA, 'B back online', message =>
+            message.type === 'buddy_status_change' && message.userId === userB && message.status === 'online');
+
+        wsB.close();
+        await waitFor(wsA, 'B offline on node A', message =>
+            message.type === 'buddy_status_change' && message.userId === userB && message.status === 'offline');
+    });
+
+    wsA.close();
+};
+
+run()
+    .then(() => {
+        console.log('🎉 Cluster test passed');
+        stopNodes();
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.error('❌ Cluster test failed:', error.message);
+        stopNodes();
+        process.exit(1);
+    });
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+const yahooImport = require('../modules/yahooImport');
+
+/**
+ * Import a Yahoo Messenger Message Archive for YM7 Hobby
+ * Reads Profiles/<yahooId>/Archive/Messages/<buddyId>/*.dat and stores the
+ * conversations for a YM7 user. Only reports what it would do unless --commit
+ * is given.
+ *
+ * Usage: node scripts/import-yahoo-archive.js <ym7UserId> <archivePath>
+ *            [--yahoo-id <id>] [--map <buddyYahooId>=<ym7UserId>]... [--commit]
+ * archivePath is the Profiles/<yahooId> folder or its Archive/Messages folder.
+ * The Yahoo ID (the XOR key) is taken from the path unless --yahoo-id is given;
+ * buddies are matched by nickname, display name or email name unless --map says otherwise.
+ */
+
+const usage = () => {
+    console.error('Usage: node scripts/import-yahoo-archive.js <ym7UserId> <archivePath> ' +
+        '[--yahoo-id <id>] [--map <buddyYahooId>=<ym7UserId>]... [--commit]');
+    process.exit(2);
+};
+
+const parseArgs = (argv) => {
+    const options = { positional: [], yahooId: null, map: new Map(), commit: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--commit') {
+            options.commit = true;
+        } else if (arg === '--yahoo-id') {
+            options.yahooId = argv[++i];
+        } else if (arg === '--map') {
+            const [yahooId, userId] = (argv[++i] || '').split('=');
+            if (!yahooId || !Number(userId)) {
+                usage();
+            }
+            options.map.set(yahooId.toLowerCase(), Number(userId));
+        } else {
+            options.positional.push(arg);
+        }
+    }
+
+    return options;
+};
+
+// Accept either the profile folder or the Messages folder itself
+const findMessagesDir = (archivePath) => {
+    const nested = path.join(archivePath, 'Archive', 'Messages');
+    if (fs.existsSync(nested)) {
+        return nested;
+    }
+    return archivePath;
+};
+
+// The profile folder is named after the Yahoo ID: Profiles/<yahooId>/...
+const yahooIdFromPath = (archivePath) => {
+    const parts = path.resolve(archivePath).split(path.sep);
+    const index = parts.findIndex(part => part.toLowerCase() === 'profiles');
+    return index >= 0 && parts[index + 1] ? parts[index + 1] : null;
+};
+
+const listArchiveFiles = (messagesDir) => {
+    const files = [];
+
+    for (const buddyDir of fs.readdirSync(messagesDir, { withFileTypes: true })) {
+        if (!buddyDir.isDirectory()) {
+            continue;
+        }
+
+        const buddyPath = path.join(messagesDir, buddyDir.name);
+        for (const name of fs.readdirSync(buddyPath).sort()) {
+            if (name.toLowerCase().endsWith('.dat')) {
+                files.push({ remoteYahooId: buddyDir.name, fileName: name, filePath: path.join(buddyPath, name) });
+            }
+        }
+    }
+
+    return files;
+};
+
+const run = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    const [userIdArg, archivePath] = options.positional;
+    const userId = Number(userIdArg);
+
+    if (!Number.isInteger(userId) || userId < 1 || !archivePath) {
+        usage();
+    }
+
+    const yahooId = options.yahooId || yahooIdFromPath(archivePath);
+    if (!yahooId) {
+        console.error('Could not tell the Yahoo ID from the path; pass --yahoo-id');
+        process.exit(2);
+    }
+
+    const files = listArchiveFiles(findMessagesDir(archivePath));
+    const reports = [];
+
+    for (const file of files) {
+        const report = await yahooImport.importFile(userId, {
+            yahooId,
+            remoteYahooId: file.remoteYahooId,
+            fileName: file.fileName,
+            buffer: fs.readFileSync(file.filePath),
+            buddyUserId: options.map.get(file.remoteYahooId.toLowerCase()) || null
+        }, { dryRun: !options.commit });
+
+        reports.push(report);
+
+        const target = report.buddy ? `${report.buddy.displayName} (#${report.buddy.id})` : '-';
+        const outcome = report.error
+            ? `❌ ${report.error}`
+            : `${report.imported} ${options.commit ? 'imported' : 'to import'}, ${report.duplicates} already imported` +
+              (report.shortened ? `, ${report.shortened} shortened` : '') +
+              (report.truncatedBytes ? `, ${report.truncatedBytes} trailing bytes ignored` : '');
+        console.log(`${file.remoteYahooId}/${file.fileName} → ${target}: ${outcome}`);
+    }
+
+    const { totals } = yahooImport.summarize(reports, !options.commit);
+    console.log(`\n${totals.files} files, ${totals.failed} skipped, ${totals.records} records, ` +
+        `${totals.imported} ${options.commit ? 'imported' : 'to import'}, ${totals.duplicates} already imported`);
+
+    if (!options.commit) {
+        console.log('Dry run: nothing was written. Run again with --commit to import.');
+    }
+};
+
+run()
+    .then(async () => {
+        await db.end();
+        process.exit(0);
+    })
+    .catch(async (error) => {
+        console.error('❌ Import failed:', error.message);
+        await db.end();
+        process.exit(1);
+    });
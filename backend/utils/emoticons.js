@@ -0,0 +1,6 @@
+/**
+ * Classic YM emoticon tokenizer for YM7 Hobby
+ * The browser loads the same file as js/emoticons.js, so server and chat
+ * window always agree on what a shortcode turns into.
+ */
+module.exports = require('../../frontend/js/emoticons');
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Local file store for YM7 Hobby
+ * Files sent through the server are kept under random names in one
+ * directory; their real names and owners live in the database. Derived
+ * copies of a file (picture thumbnails) are kept as named variants beside
+ * it and go when it goes.
+ */
+
+const STORE_DIR = path.resolve(process.env.FILE_UPLOAD_PATH || path.join(__dirname, '..', 'uploads', 'files'));
+
+// Bytes read from the start of a file to tell its type
+const SNIFF_BYTES = 512;
+
+const STORAGE_KEY = /^[a-f0-9]{48}$/;
+const VARIANT_NAME = /^[a-z]{1,16}$/;
+
+// Known signatures; the type a sender claims is never trusted
+const SIGNATURES = [
+    { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+    { mimeType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], also: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } },
+    { mimeType: 'image/bmp', bytes: [0x42, 0x4d] },
+    { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+    { mimeType: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+    { mimeType: 'application/gzip', bytes: [0x1f, 0x8b] },
+    { mimeType: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+    { mimeType: 'application/vnd.rar', bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07] },
+    { mimeType: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] },
+    { mimeType: 'audio/wav', bytes: [0x52, 0x49, 0x46, 0x46], also: { offset: 8, bytes: [0x57, 0x41, 0x56, 0x45] } },
+    { mimeType: 'audio/ogg', bytes: [0x4f, 0x67, 0x67, 0x53] },
+    { mimeType: 'video/mp4', bytes: [0x66, 0x74, 0x79, 0x70], offset: 4 }
+];
+
+const matches = (head, bytes, offset = 0) =>
+    head.length >= offset + bytes.length && bytes.every((byte, i) => head[offset + i] === byte);
+
+/**
+ * Tell a file's type from its first bytes
+ * Unknown binary data is application/octet-stream; UTF-8 without NUL bytes is text/plain
+ */
+const sniffMimeType = (head) => {
+    for (const signature of SIGNATURES) {
+        if (matches(head, signature.bytes, signature.offset) &&
+            (!signature.also || matches(head, signature.also.bytes, signature.also.offset))) {
+            return signature.mimeType;
+        }
+    }
+
+    if (head.length > 0 && !head.includes(0)) {
+        try {
+            // A multi-byte character may be cut at the end of the sample
+            new TextDecoder('utf-8', { fatal: true }).decode(head.subarray(0, head.length - 3));
+            return 'text/plain';
+        } catch (error) {
+            // not text
+        }
+    }
+
+    return 'application/octet-stream';
+};
+
+const filePath = (key) => {
+    if (!STORAGE_KEY.test(key)) {
+        throw new Error('Invalid storage key');
+    }
+    return path.join(STORE_DIR, key);
+};
+
+const variantDir = (key) => `${filePath(key)}.variants`;
+
+const variantPath = (key, variant) => {
+    if (!VARIANT_NAME.test(variant)) {
+        throw new Error('Invalid variant name');
+    }
+    return path.join(variantDir(key), variant);
+};
+
+/**
+ * Save a stream to the store, giving up once it passes maxBytes
+ * Resolves to { key, size, mimeType }; throws an error with code
+ * FILE_TOO_LARGE when the limit is hit, leaving nothing behind.
+ */
+const saveStream = async (input, maxBytes) => {
+    await fs.promises.mkdir(STORE_DIR, { recursive: true });
+
+    const key = crypto.randomBytes(24).toString('hex');
+    const target = filePath(key);
+    let size = 0;
+    let head = Buffer.alloc(0);
+
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (size > maxBytes) {
+                const error = new Error('File is too large');
+                error.code = 'FILE_TOO_LARGE';
+                callback(error);
+                return;
+            }
+
+            if (head.length < SNIFF_BYTES) {
+                head = Buffer.concat([head, chunk]).subarray(0, SNIFF_BYTES);
+            }
+            callback(null, chunk);
+        }
+    });
+
+    try {
+        await pipeline(input, counter, fs.createWriteStream(target, { flags: 'wx', mode: 0o600 }));
+    } catch (error) {
+        await fs.promises.rm(target, { force: true });
+        throw error;
+    }
+
+    return { key, size, mimeType: sniffMimeType(head) };
+};
+
+/**
+ * Save data already in memory under a new key; resolves to { key, size }
+ */
+const saveBuffer = async (buffer) => {
+    await fs.promises.mkdir(STORE_DIR, { recursive: true });
+
+    const key = crypto.randomBytes(24).toString('hex');
+    await fs.promises.writeFile(filePath(key), buffer, { flag: 'wx', mode: 0o600 });
+
+    return { key, size: buffer.length };
+};
+
+/**
+ * Save a derived copy of a stored file, e.g. saveVariant(key, 'small', thumbnail)
+ */
+const saveVariant = async (key, variant, buffer) => {
+    await fs.promises.mkdir(variantDir(key), { recursive: true, mode: 0o700 });
+    await fs.promises.writeFile(variantPath(key, variant), buffer, { mode: 0o600 });
+};
+
+const openStream = (key, variant = null) =>
+    fs.createReadStream(variant ? variantPath(key, variant) : filePath(key));
+
+const remove = async (key) => {
+    if (key) {
+        await fs.promises.rm(filePath(key), { force: true });
+        await fs.promises.rm(variantDir(key), { recursive: true, force: true });
+    }
+};
+
+module.exports = {
+    sniffMimeType,
+    saveStream,
+    saveBuffer,
+    saveVariant,
+    openStream,
+    remove
+};
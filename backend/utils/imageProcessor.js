@@ -0,0 +1,92 @@
+const sharp = require('sharp');
+
+/**
+ * Image processing for YM7 Hobby picture messages
+ * Every image is decoded and written out again, so anything that is not
+ * really an image is refused and EXIF/GPS and other metadata never reach
+ * the buddy (sharp writes none unless asked to)
+ */
+
+// Formats accepted, by sharp's name for them
+const FORMATS = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp'
+};
+
+// Longest side of each thumbnail; smaller images are never enlarged
+const THUMBNAIL_SIZES = {
+    small: 160,
+    medium: 480,
+    large: 1280
+};
+
+const THUMBNAIL_MIME_TYPE = 'image/webp';
+
+// Refuse decompression bombs: a small file can claim a huge canvas
+const MAX_PIXELS = 40 * 1000 * 1000;
+
+const invalidImage = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_IMAGE';
+    return error;
+};
+
+/**
+ * Check, clean and thumbnail an uploaded image
+ * Resolves to { mimeType, width, height, data, thumbnails: { small, medium, large } }
+ * with Buffers for the image and thumbnails; throws an error with code
+ * INVALID_IMAGE when the data is not an image in an accepted format.
+ */
+const processImage = async (buffer) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_PIXELS }).metadata();
+    } catch (error) {
+        throw invalidImage('File is not a picture');
+    }
+
+    const mimeType = FORMATS[metadata.format];
+    if (!mimeType) {
+        throw invalidImage('Pictures must be JPEG, PNG, GIF or WebP');
+    }
+
+    const animated = (metadata.pages || 1) > 1;
+    // Animated formats carry no EXIF orientation; stills are turned upright
+    // before the orientation tag goes with the rest of the metadata
+    const load = () => {
+        const image = sharp(buffer, { limitInputPixels: MAX_PIXELS, animated });
+        return animated ? image : image.rotate();
+    };
+
+    try {
+        const data = await load().toFormat(metadata.format).toBuffer();
+        const cleaned = await sharp(data, { animated }).metadata();
+
+        const thumbnails = {};
+        for (const [name, size] of Object.entries(THUMBNAIL_SIZES)) {
+            thumbnails[name] = await load()
+                .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toBuffer();
+        }
+
+        return {
+            mimeType,
+            width: cleaned.width,
+            height: cleaned.pageHeight || cleaned.height,
+            data,
+            thumbnails
+        };
+    } catch (error) {
+        // Truncated or corrupt data only shows up once the pixels are decoded
+        throw invalidImage('Picture could not be read');
+    }
+};
+
+module.exports = {
+    THUMBNAIL_SIZES,
+    THUMBNAIL_MIME_TYPE,
+    processImage
+};
@@ -0,0 +1,151 @@
+/**
+ * Message formatting utilities for YM7 Hobby
+ * Shared by live delivery, conversation history and reconnect sync
+ */
+
+// Longest quoted snippet shown for a reply
+const QUOTE_SNIPPET_LENGTH = 100;
+
+/**
+ * Shorten stored (HTML-escaped) text for a quote without cutting an entity in half
+ */
+const quoteSnippet = (text) => {
+    if (!text || text.length <= QUOTE_SNIPPET_LENGTH) {
+        return text || '';
+    }
+
+    return text.slice(0, QUOTE_SNIPPET_LENGTH).replace(/&[^;\s]*$/, '') + '…';
+};
+
+/**
+ * Build the quote for a reply from the replied-to message row
+ * Returns null when the message is not a reply; a quoted message that was
+ * deleted for everyone comes back without its text.
+ */
+const formatReplyTo = (parent) => {
+    if (!parent || parent.id == null) {
+        return null;
+    }
+
+    const deleted = Boolean(parent.deleted_at) || parent.from_user_id == null;
+
+    return {
+        messageId: parent.id,
+        fromUserId: parent.from_user_id ?? null,
+        snippet: deleted ? null : quoteSnippet(parent.message),
+        deleted
+    };
+};
+
+/**
+ * Describe the file attached to a message from its message_files columns
+ * Returns null for ordinary messages. available says whether a stored copy
+ * can still be downloaded; files sent directly were never stored. Pictures
+ * also give their size in pixels so previews can keep their space while loading.
+ */
+const formatFile = (file) => {
+    if (!file || !file.id) {
+        return null;
+    }
+
+    const expired = file.expires_at && new Date(file.expires_at) <= new Date();
+
+    return {
+        fileId: file.id,
+        name: file.file_name,
+        size: Number(file.size_bytes),
+        mimeType: file.mime_type,
+        transport: file.transport,
+        available: file.transport === 'server' && Boolean(file.stored) && !expired,
+        expiresAt: file.expires_at || null,
+        width: file.width || null,
+        height: file.height || null
+    };
+};
+
+/**
+ * Make a search headline safe to render as HTML: only the <mark> tags added
+ * by ts_headline are kept, the text around them (decoded for searching) is
+ * escaped again
+ */
+const safeHighlight = (headline) => {
+    return (headline || '')
+        .split(/(<\/?mark>)/)
+        .map(part => (part === '<mark>' || part === '</mark>')
+            ? part
+            : part
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#x27;'))
+        .join('');
+};
+
+/**
+ * Undo the HTML escaping messages are stored with, for plain-text output
+ */
+const decodeStoredText = (text) => {
+    return (text || '')
+        .replace(/&#x2F;/g, '/')
+        .replace(/&#x5C;/g, '\\')
+        .replace(/&#96;/g, '`')
+        .replace(/&#x27;/g, "'")
+        .replace(/&quot;/g, '"')
+        .replace(/&gt;/g, '>')
+        .replace(/&lt;/g, '<')
+        .replace(/&amp;/g, '&');
+};
+
+/**
+ * Check a string is an IANA time zone name Intl knows, e.g. Europe/Berlin
+ */
+const isTimezone = (timezone) => {
+    if (typeof timezone !== 'string' || timezone.length === 0 || timezone.length > 64) {
+        return false;
+    }
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Build a formatter for message timestamps in one time zone
+ * Returns date => 'YYYY-MM-DD HH:mm:ss <zone>', e.g. '2024-03-01 18:05:09 GMT+1'
+ */
+const createTimestampFormatter = (timezone = 'UTC') => {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23',
+        timeZoneName: 'short'
+    });
+
+    return (date) => {
+        const parts = {};
+        for (const part of formatter.formatToParts(new Date(date))) {
+            parts[part.type] = part.value;
+        }
+
+        return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second} ${parts.timeZoneName}`;
+    };
+};
+
+module.exports = {
+    quoteSnippet,
+    formatReplyTo,
+    formatFile,
+    safeHighlight,
+    decodeStoredText,
+    isTimezone,
+    createTimestampFormatter
+};
@@ -0,0 +1,6 @@
+/**
+ * Message formatting tags for YM7 Hobby
+ * The browser loads the same file as js/richText.js, so a message is
+ * formatted the same way before and after the server stores it.
+ */
+module.exports = require('../../frontend/js/richText');
@@ -1,99 +1,242 @@
+const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const security = require('./security');
-const { getWebSocketConnection } = require('../middleware/auth');
+const rooms = require('../modules/rooms');
+const sync = require('../modules/sync');
+const messageSystem = require('../modules/messages');
+const reactions = require('../modules/reactions');
+const presence = require('../modules/presence');
+const files = require('../modules/files');
+const richText = require('../utils/richText');
+const cluster = require('../modules/cluster');
+const { sendToUser, getUserConnections, isSameSocket } = require('../middleware/auth');
 
 /**
  * WebSocket message handler for YM7 Hobby
  * Processes and routes different types of WebSocket messages
  */
 
+const CALL_RING_TIMEOUT = 45 * 1000; // Unanswered calls give up after 45 seconds
+const MAX_PENDING_CANDIDATES = 50;
+const SYNC_BATCH_SIZE = 100;
+const MAX_SYNC_MESSAGES = 1000; // Per handshake; the client re-syncs while hasMore is set
+const MAX_SYNC_EVENTS = 500;
+// What a BUZZ! says in the conversation history
+const BUZZ_TEXT = 'BUZZ!!!';
+const FILE_OFFER_TIMEOUT = 60 * 1000; // Unanswered file offers expire after a minute
+const FILE_TRANSFER_TIMEOUT = 30 * 60 * 1000; // Direct transfers must finish within 30 minutes
+
 class MessageHandler {
+    constructor() {
+        // Active calls: callId -> { callId, callerId, calleeId, callType, state, ... }
+        this.calls = new Map();
+        // userId -> callId for every user currently ringing or in a call
+        this.userCalls = new Map();
+        // File transfers offered or going directly between browsers:
+        // transferId -> { transferId, senderId, recipientId, name, size, state, ... }
+        this.transfers = new Map();
+    }
+
+    /**
+     * Check buddy relationship and blocks between two users
+     * Returns null when allowed, otherwise an error message
+     */
+    async checkContactPermission(fromUserId, toUserId) {
+        const permissionError = await messageSystem.checkContactPermission(fromUserId, toUserId);
+        return permissionError ? permissionError.error : null;
+    }
+
     /**
      * Handle private messages
      */
     async handlePrivateMessage(ws, message) {
         try {
-            const { toUserId, message: content } = message;
+            const { toUserId, message: content, clientMessageId, replyToId } = message;
 
-            // Validate message content
-            if (!security.validateMessageContent(content)) {
+            // Validate message content; formatting tags aren't part of it
+            if (!security.validateMessageContent(richText.parse(content).text)) {
                 ws.send(JSON.stringify({
                     type: 'error',
+                    clientMessageId: clientMessageId,
                     message: 'Message contains invalid content'
                 }));
                 return;
             }
 
-            // Sanitize message content
-            const sanitizedContent = security.sanitizeMessageContent(content);
+            // Sanitize message content, then take the tags out of what is stored
+            const { text, nodes } = richText.parse(security.sanitizeMessageContent(content));
 
-            // Check if users are buddies
-            const areBuddies = await db.query(
-                `SELECT 1 FROM buddies 
-                 WHERE (user_id = $1 AND buddy_user_id = $2)
-                 OR (user_id = $2 AND buddy_user_id = $1)`,
-                [ws.userId, toUserId]
-            );
+            if (text.length === 0 || text.length > 1000) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    clientMessageId: clientMessageId,
+                    message: 'Message must be between 1 and 1000 characters'
+                }));
+                return;
+            }
 
-            if (areBuddies.rows.length === 0) {
+            // Store (or find the earlier copy of a retried message) and deliver;
+            // the sending socket gets message_ack instead of the echo
+            const result = await messageSystem.sendPrivateMessage(ws.userId, toUserId, text, {
+                clientMessageId: clientMessageId || null,
+                replyToId: replyToId || null,
+                excludeWs: ws,
+                nodes
+            });
+
+            if (result.error) {
                 ws.send(JSON.stringify({
                     type: 'error',
-                    message: 'You can only message your buddies'
+                    code: result.code,
+                    clientMessageId: clientMessageId,
+                    message: result.error
                 }));
                 return;
             }
 
-            // Check if blocked
-            const isBlocked = await db.query(
-                `SELECT 1 FROM blocks 
-                 WHERE blocker_id = $1 AND blocked_id = $2`,
-                [toUserId, ws.userId]
-            );
+            ws.send(JSON.stringify({
+                type: 'message_ack',
+                clientMessageId: result.clientMessageId,
+                messageId: result.messageId,
+                toUserId: result.toUserId,
+                status: result.status,
+                duplicate: result.duplicate,
+                timestamp: result.timestamp
+            }));
+
+            if (!result.duplicate) {
+                console.log(`💬 Message sent from ${ws.userId} to ${toUserId}`);
+            }
+
+        } catch (error) {
+            console.error('Private message handling error:', error);
+            ws.send(JSON.stringify({
+                type: 'error',
+                message: 'Failed to send message'
+            }));
+        }
+    }
+
+    /**
+     * Handle BUZZ!: kept in the conversation like a message and shakes the
+     * buddy's chat window. Same buddy/block checks as a message, plus a
+     * per-user limit so nobody gets buzzed nonstop.
+     */
+    async handleBuzz(ws, message) {
+        try {
+            const { toUserId, clientMessageId } = message;
 
-            if (isBlocked.rows.length > 0) {
+            const wait = security.checkBuzzRateLimit(ws.userId, toUserId);
+            if (wait > 0) {
+                const seconds = Math.ceil(wait / 1000);
                 ws.send(JSON.stringify({
                     type: 'error',
-                    message: 'Cannot send message to this user'
+                    code: 'BUZZ_RATE_LIMITED',
+                    clientMessageId: clientMessageId,
+                    retryAfter: seconds,
+                    message: `Please wait ${seconds} second${seconds === 1 ? '' : 's'} before buzzing again`
                 }));
                 return;
             }
 
-            // Save message to database
-            const savedMessage = await db.query(
-                `INSERT INTO messages (from_user_id, to_user_id, message) 
-                 VALUES ($1, $2, $3) 
-                 RETURNING id, created_at`,
-                [ws.userId, toUserId, sanitizedContent]
-            );
+            const result = await messageSystem.sendPrivateMessage(ws.userId, toUserId, BUZZ_TEXT, {
+                clientMessageId: clientMessageId || null,
+                excludeWs: ws,
+                messageType: 'buzz'
+            });
 
-            // Prepare message for delivery
-            const deliveryMessage = {
-                type: 'private_message',
-                fromUserId: ws.userId,
-                message: sanitizedContent,
-                messageId: savedMessage.rows[0].id,
-                timestamp: savedMessage.rows[0].created_at
-            };
+            if (result.error) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    code: result.code,
+                    clientMessageId: clientMessageId,
+                    message: result.error
+                }));
+                return;
+            }
+
+            ws.send(JSON.stringify({
+                type: 'message_ack',
+                clientMessageId: result.clientMessageId,
+                messageId: result.messageId,
+                toUserId: result.toUserId,
+                status: result.status,
+                duplicate: result.duplicate,
+                timestamp: result.timestamp
+            }));
 
-            // Send to sender (confirmation)
+            // Buzzes refused by the buddy/block checks, or retried, don't count
+            if (!result.duplicate) {
+                security.recordBuzz(ws.userId, toUserId);
+                console.log(`📳 BUZZ from ${ws.userId} to ${toUserId}`);
+            }
+
+        } catch (error) {
+            console.error('Buzz handling error:', error);
             ws.send(JSON.stringify({
-                ...deliveryMessage,
-                direction: 'outgoing'
+                type: 'error',
+                clientMessageId: message.clientMessageId,
+                message: 'Failed to buzz'
             }));
+        }
+    }
+
+    /**
+     * Handle one message sent to several buddies (toUserIds) and/or a buddy
+     * group (groupName). Each copy reaches its buddy as a private_message;
+     * this socket gets broadcast_result with how each recipient went.
+     */
+    async handleBroadcastMessage(ws, message) {
+        try {
+            const { toUserIds, groupName, message: content } = message;
+
+            // Validate message content; formatting tags aren't part of it
+            if (!security.validateMessageContent(richText.parse(content).text)) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    code: 'INVALID_CONTENT',
+                    message: 'Message contains invalid content'
+                }));
+                return;
+            }
+
+            const { text, nodes } = richText.parse(security.sanitizeMessageContent(content));
+
+            if (text.length === 0 || text.length > 1000) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    code: 'INVALID_CONTENT',
+                    message: 'Message must be between 1 and 1000 characters'
+                }));
+                return;
+            }
 
-            // Send to recipient if online
-            const recipientWs = getWebSocketConnection(toUserId);
-            if (recipientWs && recipientWs.readyState === 1) {
-                recipientWs.send(JSON.stringify({
-                    ...deliveryMessage,
-                    direction: 'incoming'
+            const result = await messageSystem.broadcastMessage(ws.userId, {
+                toUserIds: toUserIds || [],
+                groupName: groupName || null
+            }, text, { nodes });
+
+            if (result.error) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    code: result.code,
+                    retryAfter: result.retryAfter,
+                    message: result.error
                 }));
+                return;
             }
 
-            console.log(`💬 Message sent from ${ws.userId} to ${toUserId}`);
+            ws.send(JSON.stringify({
+                type: 'broadcast_result',
+                sent: result.sent,
+                failed: result.failed,
+                results: result.results
+            }));
+
+            console.log(`📣 Message from ${ws.userId} to ${result.sent} buddies (${result.failed} failed)`);
 
         } catch (error) {
-            console.error('Private message handling error:', error);
+            console.error('Broadcast message handling error:', error);
             ws.send(JSON.stringify({
                 type: 'error',
                 message: 'Failed to send message'
@@ -101,6 +244,110 @@ class MessageHandler {
         }
     }
 
+    /**
+     * Handle the sender editing one of their messages
+     * Both participants get message_edited; errors go back to this socket
+     */
+    async handleMessageEdit(ws, message) {
+        try {
+            const { messageId, message: content } = message;
+
+            if (!security.validateMessageContent(richText.parse(content).text)) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    messageId: messageId,
+                    message: 'Message contains invalid content'
+                }));
+                return;
+            }
+
+            const { text, nodes } = richText.parse(security.sanitizeMessageContent(content));
+
+            if (text.length === 0 || text.length > 1000) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    messageId: messageId,
+                    message: 'Message must be between 1 and 1000 characters'
+                }));
+                return;
+            }
+
+            const result = await messageSystem.editMessage(ws.userId, messageId, text, nodes);
+
+            if (result.error) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    code: result.code,
+                    messageId: messageId,
+                    message: result.error
+                }));
+            }
+
+        } catch (error) {
+            console.error('Message edit handling error:', error);
+            ws.send(JSON.stringify({
+                type: 'error',
+                message: 'Failed to edit message'
+            }));
+        }
+    }
+
+    /**
+     * Handle deleting a message for this user only, or (sender) for everyone
+     */
+    async handleMessageDelete(ws, message) {
+        try {
+            const result = await messageSystem.deleteMessage(ws.userId, message.messageId, message.mode);
+
+            if (result.error) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    code: result.code,
+                    messageId: message.messageId,
+                    message: result.error
+                }));
+            }
+
+        } catch (error) {
+            console.error('Message delete handling error:', error);
+            ws.send(JSON.stringify({
+                type: 'error',
+                message: 'Failed to delete message'
+            }));
+        }
+    }
+
+    /**
+     * Handle adding or removing an emoji reaction on a private or room message
+     * Everyone who can see the message gets reaction_update; errors go back to this socket
+     */
+    async handleReaction(ws, message) {
+        try {
+            const { messageId, roomId, emoji } = message;
+            const target = roomId !== undefined ? { roomId, messageId } : { messageId };
+
+            const result = message.type === 'reaction_add'
+                ? await reactions.addReaction(ws.userId, target, emoji)
+                : await reactions.removeReaction(ws.userId, target, emoji);
+
+            if (result.error) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    code: result.code,
+                    messageId: messageId,
+                    message: result.error
+                }));
+            }
+
+        } catch (error) {
+            console.error('Reaction handling error:', error);
+            ws.send(JSON.stringify({
+                type: 'error',
+                message: 'Failed to update reaction'
+            }));
+        }
+    }
+
     /**
      * Handle typing indicators
      */
@@ -120,56 +367,33 @@ class MessageHandler {
                 return; // Silently fail for non-buddies
             }
 
-            // Send typing indicator to recipient
-            const recipientWs = getWebSocketConnection(toUserId);
-            if (recipientWs && recipientWs.readyState === 1) {
-                recipientWs.send(JSON.stringify({
-                    type: message.type, // 'typing_start' or 'typing_stop'
-                    fromUserId: ws.userId,
-                    timestamp: new Date().toISOString()
-                }));
+            // Buddies we appear offline to (or everyone, while invisible) must not see us typing
+            if (await presence.appearsOfflineTo(ws.userId, toUserId)) {
+                return;
             }
 
+            // Send typing indicator to every device of the recipient
+            sendToUser(toUserId, {
+                type: message.type, // 'typing_start' or 'typing_stop'
+                fromUserId: ws.userId,
+                timestamp: new Date().toISOString()
+            });
+
         } catch (error) {
             console.error('Typing indicator handling error:', error);
         }
     }
 
     /**
-     * Handle message read receipts
+     * Handle read receipts
+     * Marks everything from the buddy up to upToMessageId (or the whole
+     * conversation when omitted) as read with a single range receipt
      */
     async handleReadReceipt(ws, message) {
         try {
-            const { messageId } = message;
-
-            // Verify the message exists and is sent to this user
-            const messageResult = await db.query(
-                `SELECT from_user_id FROM messages 
-                 WHERE id = $1 AND to_user_id = $2`,
-                [messageId, ws.userId]
-            );
-
-            if (messageResult.rows.length === 0) {
-                return; // Silently fail
-            }
-
-            // Mark message as read
-            await db.query(
-                `UPDATE messages SET read = TRUE 
-                 WHERE id = $1`,
-                [messageId]
-            );
+            const { userId, upToMessageId } = message;
 
-            // Notify sender that message was read
-            const senderWs = getWebSocketConnection(messageResult.rows[0].from_user_id);
-            if (senderWs && senderWs.readyState === 1) {
-                senderWs.send(JSON.stringify({
-                    type: 'message_read',
-                    messageId: messageId,
-                    readerId: ws.userId,
-                    timestamp: new Date().toISOString()
-                }));
-            }
+            await messageSystem.markRead(ws.userId, userId, upToMessageId ?? null);
 
         } catch (error) {
             console.error('Read receipt handling error:', error);
@@ -181,47 +405,25 @@ class MessageHandler {
      */
     async handleStatusUpdate(ws, message) {
         try {
-            const { status } = message;
+            // Custom message: undefined leaves it, null clears it
+            let { statusMessage } = message;
+            if (statusMessage) {
+                statusMessage = {
+                    text: security.sanitizeMessageContent(statusMessage.text),
+                    emoji: statusMessage.emoji ? security.sanitizeMessageContent(statusMessage.emoji) : null,
+                    expiresInMinutes: statusMessage.expiresInMinutes || null
+                };
+            }
 
-            // Validate status
-            const validStatuses = ['online', 'away', 'busy', 'offline'];
-            if (!validStatuses.includes(status)) {
+            const result = await presence.setStatus(ws.userId, message.status, statusMessage);
+
+            if (result.error) {
                 ws.send(JSON.stringify({
                     type: 'error',
-                    message: 'Invalid status'
+                    message: result.error
                 }));
-                return;
-            }
-
-            // Update user status in database
-            await db.query(
-                'UPDATE users SET status = $1 WHERE id = $2',
-                [status, ws.userId]
-            );
-
-            // Notify buddies about status change
-            const buddies = await db.query(
-                `SELECT buddy_user_id FROM buddies WHERE user_id = $1`,
-                [ws.userId]
-            );
-
-            for (const buddy of buddies.rows) {
-                const buddyWs = getWebSocketConnection(buddy.buddy_user_id);
-                if (buddyWs && buddyWs.readyState === 1) {
-                    buddyWs.send(JSON.stringify({
-                        type: 'buddy_status_change',
-                        userId: ws.userId,
-                        status: status,
-                        timestamp: new Date().toISOString()
-                    }));
-                }
             }
 
-            ws.send(JSON.stringify({
-                type: 'status_updated',
-                status: status
-            }));
-
         } catch (error) {
             console.error('Status update handling error:', error);
             ws.send(JSON.stringify({
@@ -238,15 +440,23 @@ class MessageHandler {
         try {
             const { userIds } = message;
 
-            // Get online status for requested users
+            // Only the caller's own buddies can be queried; anyone else is
+            // left out of the reply rather than revealing their status
+            // Buddies who appear offline to the caller report offline
             const statusResult = await db.query(
-                `SELECT id, status FROM users 
-                 WHERE id = ANY($1) AND id != $2`,
-                [userIds, ws.userId]
+                `SELECT u.id, CASE WHEN rb.appear_offline THEN 'offline' ELSE u.status END AS status
+                 FROM buddies b
+                 JOIN users u ON u.id = b.buddy_user_id
+                 LEFT JOIN buddies rb ON rb.user_id = u.id AND rb.buddy_user_id = b.user_id
+                 WHERE b.user_id = $1 AND b.buddy_user_id = ANY($2)
+                 AND NOT EXISTS (
+                     SELECT 1 FROM blocks WHERE blocker_id = u.id AND blocked_id = $1
+                 )`,
+                [ws.userId, userIds]
             );
 
             const statuses = statusResult.rows.reduce((acc, user) => {
-                acc[user.id] = user.status;
+                acc[user.id] = presence.publicStatus(user.status);
                 return acc;
             }, {});
 
@@ -260,6 +470,996 @@ class MessageHandler {
             console.error('Presence notification handling error:', error);
         }
     }
-}
 
-module.exports = new MessageHandler();
+    /**
+     * Handle the reconnect sync handshake
+     * Streams every message newer than the device's cursor across all
+     * conversations, then the buddy events it missed, then sync_complete
+     */
+    async handleSync(ws, message) {
+        try {
+            const stored = ws.deviceId ? await sync.getCursor(ws.userId, ws.deviceId) : null;
+
+            let lastMessageId = message.lastMessageId ?? stored?.lastMessageId;
+            let lastEventId = message.lastEventId ?? stored?.lastEventId;
+
+            // A device we have never seen starts from now; older history is
+            // loaded per conversation when a chat window opens
+            if (lastMessageId == null || lastEventId == null) {
+                const latest = await sync.getLatestPosition(ws.userId);
+                lastMessageId = lastMessageId ?? latest.lastMessageId;
+                lastEventId = lastEventId ?? latest.lastEventId;
+            }
+
+            let sent = 0;
+            let hasMore = false;
+
+            while (ws.readyState === 1) {
+                const batch = await sync.getMessagesAfter(ws.userId, lastMessageId, SYNC_BATCH_SIZE);
+                if (batch.length === 0) {
+                    break;
+                }
+
+                ws.send(JSON.stringify({
+                    type: 'sync_messages',
+                    messages: batch
+                }));
+
+                // Messages this device just received are now delivered
+                await messageSystem.markDelivered(ws.userId, batch
+                    .filter(msg => msg.direction === 'incoming' && !msg.deliveredAt)
+                    .map(msg => msg.messageId));
+
+                lastMessageId = batch[batch.length - 1].messageId;
+                sent += batch.length;
+
+                if (batch.length < SYNC_BATCH_SIZE) {
+                    break;
+                }
+                if (sent >= MAX_SYNC_MESSAGES) {
+                    hasMore = true;
+                    break;
+                }
+            }
+
+            const events = await sync.getEventsAfter(ws.userId, lastEventId, MAX_SYNC_EVENTS);
+            if (events.length > 0) {
+                ws.send(JSON.stringify({
+                    type: 'sync_events',
+                    events: events
+                }));
+                lastEventId = events[events.length - 1].eventId;
+                hasMore = hasMore || events.length === MAX_SYNC_EVENTS;
+            }
+
+            // Live deliveries during the sync may already be ahead of the batches
+            ws.lastMessageId = Math.max(ws.lastMessageId || 0, lastMessageId);
+            ws.lastEventId = Math.max(ws.lastEventId || 0, lastEventId);
+            ws.isSynced = true;
+
+            if (ws.deviceId) {
+                await sync.saveCursor(ws.userId, ws.deviceId, {
+                    lastMessageId: ws.lastMessageId,
+                    lastEventId: ws.lastEventId
+                });
+            }
+
+            ws.send(JSON.stringify({
+                type: 'sync_complete',
+                lastMessageId: ws.lastMessageId,
+                lastEventId: ws.lastEventId,
+                messageCount: sent,
+                eventCount: events.length,
+                hasMore: hasMore
+            }));
+
+        } catch (error) {
+            console.error('Sync handling error:', error);
+            ws.send(JSON.stringify({
+                type: 'error',
+                message: 'Failed to sync'
+            }));
+        }
+    }
+
+    /**
+     * Handle a message posted to a chat room
+     */
+    async handleRoomMessage(ws, message) {
+        try {
+            const { roomId, message: content } = message;
+
+            if (!security.validateMessageContent(content)) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    message: 'Message contains invalid content'
+                }));
+                return;
+            }
+
+            const sanitizedContent = security.sanitizeMessageContent(content);
+
+            if (sanitizedContent.length === 0 || sanitizedContent.length > 1000) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    message: 'Message must be between 1 and 1000 characters'
+                }));
+                return;
+            }
+
+            // Membership is checked by the room module; every member device,
+            // including the sender's, receives the room_message broadcast
+            const result = await rooms.sendMessage(roomId, ws.userId, sanitizedContent);
+
+            if (result.error) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    code: result.code,
+                    roomId: roomId,
+                    message: result.error
+                }));
+                return;
+            }
+
+            console.log(`💬 Room message sent by ${ws.userId} to room ${roomId}`);
+
+        } catch (error) {
+            console.error('Room message handling error:', error);
+            ws.send(JSON.stringify({
+                type: 'error',
+                message: 'Failed to send room message'
+            }));
+        }
+    }
+
+    /**
+     * Handle joining or leaving a chat room
+     */
+    async handleRoomMembership(ws, message) {
+        try {
+            const { roomId } = message;
+
+            const result = message.type === 'room_join'
+                ? await rooms.joinRoom(roomId, ws.userId, ws.ip)
+                : await rooms.leaveRoom(roomId, ws.userId, ws.ip);
+
+            if (result.error) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    code: result.code,
+                    roomId: roomId,
+                    message: result.error
+                }));
+            }
+
+        } catch (error) {
+            console.error('Room membership handling error:', error);
+            ws.send(JSON.stringify({
+                type: 'error',
+                message: 'Failed to update room membership'
+            }));
+        }
+    }
+
+    /**
+     * Handle typing indicators in a chat room
+     */
+    async handleRoomTyping(ws, message) {
+        await rooms.sendTyping(message.roomId, ws.userId, message.type);
+    }
+
+    /**
+     * Handle outgoing call invitation (WebRTC offer)
+     */
+    async handleCallInvitation(ws, message) {
+        try {
+            const { toUserId, callType, offer } = message;
+
+            if (toUserId === ws.userId) {
+                this.sendCallFailed(ws, toUserId, 'invalid_target', 'You cannot call yourself');
+                return;
+            }
+
+            const permissionError = await this.checkContactPermission(ws.userId, toUserId);
+            if (permissionError) {
+                this.sendCallFailed(ws, toUserId, 'not_allowed', permissionError);
+                return;
+            }
+
+            if (this.userCalls.has(ws.userId) || await cluster.findCall(ws.userId)) {
+                this.sendCallFailed(ws, toUserId, 'already_in_call', 'You are already in a call');
+                return;
+            }
+
+            // Someone invisible or appearing offline to the caller must not ring (or be busy)
+            if (!(await cluster.isUserOnline(toUserId)) ||
+                await presence.appearsOfflineTo(toUserId, ws.userId)) {
+                this.sendCallFailed(ws, toUserId, 'offline', 'User is offline');
+                return;
+            }
+
+            // Callee already ringing or talking, here or on another node: report busy like a declined call
+            if (this.userCalls.has(toUserId) || await cluster.findCall(toUserId)) {
+                ws.send(JSON.stringify({
+                    type: 'call_response',
+                    fromUserId: toUserId,
+                    response: 'busy',
+                    timestamp: new Date().toISOString()
+                }));
+                return;
+            }
+
+            // The call lives on the caller's node; the callee's node forwards to it
+            const callId = uuidv4();
+            await cluster.registerSession('call', callId, ws.userId, toUserId);
+
+            const call = {
+                callId: callId,
+                callerId: ws.userId,
+                calleeId: toUserId,
+                // Sockets carrying the call; the callee's is bound when a device accepts
+                callerWs: ws,
+                calleeWs: null,
+                callType: callType,
+                state: 'ringing',
+                createdAt: new Date(),
+                answeredAt: null,
+                pendingCandidates: []
+            };
+
+            call.ringTimer = setTimeout(() => {
+                this.handleCallTimeout(call.callId);
+            }, CALL_RING_TIMEOUT);
+
+            this.calls.set(call.callId, call);
+            this.userCalls.set(call.callerId, call.callId);
+            this.userCalls.set(call.calleeId, call.callId);
+
+            // Ring every device of the callee
+            sendToUser(toUserId, {
+                type: 'call_invitation',
+                callId: call.callId,
+                fromUserId: ws.userId,
+                callType: callType,
+                offer: offer,
+                timestamp: call.createdAt.toISOString()
+            });
+
+            ws.send(JSON.stringify({
+                type: 'call_ringing',
+                callId: call.callId,
+                toUserId: toUserId,
+                timestamp: call.createdAt.toISOString()
+            }));
+
+            console.log(`📞 Call ${call.callId} ringing from ${ws.userId} to ${toUserId}`);
+
+        } catch (error) {
+            console.error('Call invitation handling error:', error);
+            this.sendCallFailed(ws, message.toUserId, 'error', 'Failed to start call');
+        }
+    }
+
+    /**
+     * Handle callee response (accepted/rejected/busy)
+     */
+    async handleCallResponse(ws, message) {
+        try {
+            const { toUserId, response, answer } = message;
+            const call = this.getCallBetween(ws.userId, toUserId);
+
+            if (!call && await this.forwardSignal(ws, message, () => cluster.findCall(ws.userId, toUserId))) {
+                return;
+            }
+
+            // Only the callee may answer, and only while ringing
+            if (!call || call.calleeId !== ws.userId || call.state !== 'ringing') {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    message: 'No incoming call to respond to'
+                }));
+                return;
+            }
+
+            const callerWs = call.callerWs;
+
+            if (response !== 'accepted') {
+                this.endCall(call, response);
+                if (callerWs.readyState === 1) {
+                    callerWs.send(JSON.stringify({
+                        type: 'call_response',
+                        callId: call.callId,
+                        fromUserId: ws.userId,
+                        response: response,
+                        timestamp: new Date().toISOString()
+                    }));
+                }
+                // Stop the callee's other devices from ringing
+                sendToUser(call.calleeId, this.buildCallEnd(call, call.callerId, response), ws);
+                return;
+            }
+
+            clearTimeout(call.ringTimer);
+            call.state = 'active';
+            call.answeredAt = new Date();
+            call.calleeWs = ws;
+
+            // The callee's other devices stop ringing
+            sendToUser(call.calleeId, this.buildCallEnd(call, call.callerId, 'answered_elsewhere'), ws);
+
+            if (callerWs.readyState !== 1) {
+                this.endCall(call, 'disconnected');
+                this.sendCallEnd(ws, call, call.callerId, 'disconnected');
+                return;
+            }
+
+            callerWs.send(JSON.stringify({
+                type: 'call_response',
+                callId: call.callId,
+                fromUserId: ws.userId,
+                response: 'accepted',
+                answer: answer,
+                timestamp: call.answeredAt.toISOString()
+            }));
+
+            // Deliver caller candidates gathered while the callee was still ringing
+            for (const candidate of call.pendingCandidates) {
+                ws.send(JSON.stringify({
+                    type: 'ice_candidate',
+                    callId: call.callId,
+                    fromUserId: call.callerId,
+                    candidate: candidate
+                }));
+            }
+            call.pendingCandidates = [];
+
+            console.log(`📞 Call ${call.callId} connected between ${call.callerId} and ${call.calleeId}`);
+
+        } catch (error) {
+            console.error('Call response handling error:', error);
+        }
+    }
+
+    /**
+     * Relay ICE candidates between call participants
+     */
+    async handleIceCandidate(ws, message) {
+        try {
+            const { toUserId, candidate } = message;
+            const call = this.getCallBetween(ws.userId, toUserId);
+
+            if (!call && await this.forwardSignal(ws, message, () => cluster.findCall(ws.userId, toUserId))) {
+                return;
+            }
+
+            // Silently drop candidates for unknown calls or from devices not on the call
+            if (!call || !this.isCallSocket(call, ws)) {
+                return;
+            }
+
+            // The callee has no peer connection until it accepts
+            if (call.state === 'ringing') {
+                if (ws.userId === call.callerId &&
+                    call.pendingCandidates.length < MAX_PENDING_CANDIDATES) {
+                    call.pendingCandidates.push(candidate);
+                }
+                return;
+            }
+
+            const peerWs = this.getPeerSocket(call, ws.userId);
+            if (peerWs && peerWs.readyState === 1) {
+                peerWs.send(JSON.stringify({
+                    type: 'ice_candidate',
+                    callId: call.callId,
+                    fromUserId: ws.userId,
+                    candidate: candidate
+                }));
+            }
+
+        } catch (error) {
+            console.error('ICE candidate handling error:', error);
+        }
+    }
+
+    /**
+     * Handle hang-up or cancellation by either participant
+     */
+    async handleCallEnd(ws, message) {
+        try {
+            const { toUserId } = message;
+            const call = this.getCallBetween(ws.userId, toUserId);
+
+            if (!call && await this.forwardSignal(ws, message, () => cluster.findCall(ws.userId, toUserId))) {
+                return;
+            }
+
+            if (!call || !this.isCallSocket(call, ws)) {
+                return;
+            }
+
+            const reason = call.state === 'ringing' ? 'cancelled' : 'hangup';
+            this.endCall(call, reason);
+            this.notifyCallPeer(call, ws.userId, reason);
+
+        } catch (error) {
+            console.error('Call end handling error:', error);
+        }
+    }
+
+    /**
+     * End the call and file transfers carried by a socket when it closes
+     */
+    handleDisconnect(ws) {
+        this.dropFileTransfers(ws);
+
+        // Calls and transfers held by other nodes are ended there
+        if (!ws.remote && cluster.enabled) {
+            this.notifySocketClosed(ws);
+        }
+
+        const callId = this.userCalls.get(ws.userId);
+        const call = callId && this.calls.get(callId);
+        if (!call) {
+            return;
+        }
+
+        // A ringing callee only drops out once none of its devices are left
+        // (here, and on the node a forwarded disconnect came from)
+        const calleeGone = call.state === 'ringing' && ws.userId === call.calleeId &&
+            getUserConnections(call.calleeId).every(socket => isSameSocket(socket, ws)) &&
+            !ws.othersOnNode;
+
+        if (!this.isCallSocket(call, ws) && !calleeGone) {
+            return;
+        }
+
+        this.endCall(call, 'disconnected');
+        this.notifyCallPeer(call, ws.userId, 'disconnected');
+    }
+
+    /**
+     * Tell the nodes holding this user's other calls and transfers that a socket closed
+     */
+    async notifySocketClosed(ws) {
+        try {
+            const nodeIds = await cluster.findSessionNodes(ws.userId);
+            for (const nodeId of nodeIds) {
+                cluster.forwardSignal(nodeId, ws, { type: 'socket_closed' });
+            }
+        } catch (error) {
+            console.error('Cluster disconnect notice error:', error);
+        }
+    }
+
+    /**
+     * Send a call or transfer message on to the node holding it, when that is
+     * another node. findSession looks it up in the cluster registry.
+     * Returns true if the message was forwarded.
+     */
+    async forwardSignal(ws, message, findSession) {
+        // Forwarded messages are never forwarded again
+        if (ws.remote || !cluster.enabled) {
+            return false;
+        }
+
+        const session = await findSession();
+        if (!session || session.node_id === cluster.nodeId) {
+            return false;
+        }
+
+        cluster.forwardSignal(session.node_id, ws, message);
+        return true;
+    }
+
+    /**
+     * Handle a call or transfer message forwarded by another node
+     * The sender's socket is stood in for by one that replies through the cluster.
+     */
+    async handleForwardedSignal({ origin, userId, connectionId, othersOnNode, message }) {
+        const ws = {
+            remote: true,
+            userId: userId,
+            connectionId: connectionId,
+            othersOnNode: othersOnNode,
+            readyState: 1,
+            send: (data) => cluster.sendToSocket(origin, userId, connectionId, data)
+        };
+
+        switch (message.type) {
+            case 'call_response':
+                await this.handleCallResponse(ws, message);
+                break;
+            case 'ice_candidate':
+                await this.handleIceCandidate(ws, message);
+                break;
+            case 'call_end':
+                await this.handleCallEnd(ws, message);
+                break;
+            case 'file_response':
+                await this.handleFileResponse(ws, message);
+                break;
+            case 'file_signal':
+                await this.handleFileSignal(ws, message);
+                break;
+            case 'file_cancel':
+                await this.handleFileCancel(ws, message);
+                break;
+            case 'socket_closed':
+                this.handleDisconnect(ws);
+                break;
+            default:
+                console.warn('Unknown forwarded signal:', message.type);
+        }
+    }
+
+    /**
+     * Give up on a call nobody answered
+     */
+    handleCallTimeout(callId) {
+        const call = this.calls.get(callId);
+        if (!call || call.state !== 'ringing') {
+            return;
+        }
+
+        this.endCall(call, 'timeout');
+
+        if (call.callerWs.readyState === 1) {
+            this.sendCallFailed(call.callerWs, call.calleeId, 'timeout', 'No answer', call.callId);
+        }
+
+        sendToUser(call.calleeId, this.buildCallEnd(call, call.callerId, 'timeout'));
+    }
+
+    /**
+     * Find the call currently linking two users
+     */
+    getCallBetween(userId, otherUserId) {
+        const callId = this.userCalls.get(userId);
+        const call = callId && this.calls.get(callId);
+
+        if (!call) {
+            return null;
+        }
+
+        const involved = (call.callerId === userId && call.calleeId === otherUserId) ||
+                         (call.calleeId === userId && call.callerId === otherUserId);
+
+        return involved ? call : null;
+    }
+
+    /**
+     * Check whether a socket is the device carrying its user's side of the call
+     * (any callee device may act while the call is still ringing)
+     */
+    isCallSocket(call, ws) {
+        if (ws.userId === call.callerId) {
+            return isSameSocket(call.callerWs, ws);
+        }
+
+        if (ws.userId === call.calleeId) {
+            return call.state === 'ringing' || isSameSocket(call.calleeWs, ws);
+        }
+
+        return false;
+    }
+
+    /**
+     * Get the socket carrying the other side of the call
+     */
+    getPeerSocket(call, userId) {
+        return userId === call.callerId ? call.calleeWs : call.callerWs;
+    }
+
+    /**
+     * Tell the other side that the call ended
+     */
+    notifyCallPeer(call, fromUserId, reason) {
+        const peerId = fromUserId === call.callerId ? call.calleeId : call.callerId;
+        const peerWs = this.getPeerSocket(call, fromUserId);
+
+        if (peerWs) {
+            if (peerWs.readyState === 1) {
+                this.sendCallEnd(peerWs, call, fromUserId, reason);
+            }
+            return;
+        }
+
+        // Callee has not answered yet: stop every device from ringing
+        sendToUser(peerId, this.buildCallEnd(call, fromUserId, reason));
+    }
+
+    /**
+     * Tear down call state
+     */
+    endCall(call, reason) {
+        clearTimeout(call.ringTimer);
+        call.state = 'ended';
+        call.endReason = reason;
+
+        this.calls.delete(call.callId);
+        cluster.unregisterSession(call.callId);
+        if (this.userCalls.get(call.callerId) === call.callId) {
+            this.userCalls.delete(call.callerId);
+        }
+        if (this.userCalls.get(call.calleeId) === call.callId) {
+            this.userCalls.delete(call.calleeId);
+        }
+
+        const duration = call.answeredAt
+            ? Math.round((Date.now() - call.answeredAt.getTime()) / 1000)
+            : 0;
+        console.log(`📴 Call ${call.callId} ended (${reason}), duration ${duration}s`);
+    }
+
+    /**
+     * Tell a participant the call is over
+     */
+    sendCallEnd(ws, call, fromUserId, reason) {
+        ws.send(JSON.stringify(this.buildCallEnd(call, fromUserId, reason)));
+    }
+
+    /**
+     * Build a call_end message
+     */
+    buildCallEnd(call, fromUserId, reason) {
+        return {
+            type: 'call_end',
+            callId: call.callId,
+            fromUserId: fromUserId,
+            reason: reason,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Tell the caller a call could not be placed
+     */
+    sendCallFailed(ws, toUserId, reason, errorMessage, callId = null) {
+        ws.send(JSON.stringify({
+            type: 'call_failed',
+            callId: callId,
+            toUserId: toUserId,
+            reason: reason,
+            message: errorMessage,
+            timestamp: new Date().toISOString()
+        }));
+    }
+
+    /**
+     * Handle a file offer: ring the recipient's devices like a call
+     * When no direct transfer is possible the sender is told why and
+     * uploads the file through the REST API instead.
+     */
+    async handleFileOffer(ws, message) {
+        try {
+            const { toUserId, transferId, name, size } = message;
+            const mimeType = message.mimeType || '';
+
+            if (toUserId === ws.userId) {
+                this.sendFileOfferFailed(ws, message, 'invalid_target', 'You cannot send a file to yourself');
+                return;
+            }
+
+            const permissionError = await this.checkContactPermission(ws.userId, toUserId);
+            if (permissionError) {
+                this.sendFileOfferFailed(ws, message, 'not_allowed', permissionError);
+                return;
+            }
+
+            if (this.transfers.has(transferId)) {
+                this.sendFileOfferFailed(ws, message, 'duplicate', 'This transfer is already in progress');
+                return;
+            }
+
+            if (size > files.MAX_DIRECT_FILE_SIZE) {
+                this.sendFileOfferFailed(ws, message, 'too_large', 'File is too large to send');
+                return;
+            }
+
+            // Someone invisible or appearing offline gets the file as an upload, like a real offline buddy
+            if (!(await cluster.isUserOnline(toUserId)) ||
+                await presence.appearsOfflineTo(toUserId, ws.userId)) {
+                this.sendFileOfferFailed(ws, message, 'offline', 'User is offline');
+                return;
+            }
+
+            // The transfer lives on the sender's node; the recipient's node forwards to it
+            if (!(await cluster.registerSession('transfer', transferId, ws.userId, toUserId))) {
+                this.sendFileOfferFailed(ws, message, 'duplicate', 'This transfer is already in progress');
+                return;
+            }
+
+            const transfer = {
+                transferId: transferId,
+                senderId: ws.userId,
+                recipientId: toUserId,
+                // The recipient's socket is bound when a device accepts
+                senderWs: ws,
+                recipientWs: null,
+                name: name,
+                size: size,
+                mimeType: mimeType,
+                state: 'offered',
+                createdAt: new Date()
+            };
+
+            transfer.timer = setTimeout(() => {
+                this.expireFileTransfer(transferId);
+            }, FILE_OFFER_TIMEOUT);
+
+            this.transfers.set(transferId, transfer);
+
+            sendToUser(toUserId, {
+                type: 'file_offer',
+                transferId: transferId,
+                fromUserId: ws.userId,
+                name: name,
+                size: size,
+                mimeType: mimeType,
+                timestamp: transfer.createdAt.toISOString()
+            });
+
+        } catch (error) {
+            console.error('File offer handling error:', error);
+            this.sendFileOfferFailed(ws, message, 'error', 'Failed to offer file');
+        }
+    }
+
+    /**
+     * Handle the recipient accepting or declining a file offer
+     */
+    async handleFileResponse(ws, message) {
+        try {
+            const { transferId, response } = message;
+            const transfer = this.transfers.get(transferId);
+
+            if (!transfer && await this.forwardSignal(ws, message, () => cluster.findSession(transferId))) {
+                return;
+            }
+
+            if (!transfer || transfer.recipientId !== ws.userId || transfer.state !== 'offered') {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    transferId: transferId,
+                    message: 'No file offer to respond to'
+                }));
+                return;
+            }
+
+            // The recipient's other devices stop showing the offer
+            const reason = response === 'accepted' ? 'answered_elsewhere' : 'declined';
+            sendToUser(transfer.recipientId, this.buildFileCancel(transfer, transfer.senderId, reason), ws);
+
+            const senderWs = transfer.senderWs;
+
+            if (response !== 'accepted') {
+                this.endFileTransfer(transfer);
+                if (senderWs.readyState === 1) {
+                    senderWs.send(JSON.stringify({
+                        type: 'file_response',
+                        transferId: transferId,
+                        fromUserId: ws.userId,
+                        response: 'declined',
+                        timestamp: new Date().toISOString()
+                    }));
+                }
+                return;
+            }
+
+            if (senderWs.readyState !== 1) {
+                this.endFileTransfer(transfer);
+                ws.send(JSON.stringify(this.buildFileCancel(transfer, transfer.senderId, 'disconnected')));
+                return;
+            }
+
+            clearTimeout(transfer.timer);
+            transfer.state = 'accepted';
+            transfer.recipientWs = ws;
+            transfer.timer = setTimeout(() => {
+                this.expireFileTransfer(transferId);
+            }, FILE_TRANSFER_TIMEOUT);
+
+            senderWs.send(JSON.stringify({
+                type: 'file_response',
+                transferId: transferId,
+                fromUserId: ws.userId,
+                response: 'accepted',
+                timestamp: new Date().toISOString()
+            }));
+
+        } catch (error) {
+            console.error('File response handling error:', error);
+        }
+    }
+
+    /**
+     * Relay WebRTC offer/answer and ICE candidates for a direct transfer
+     */
+    async handleFileSignal(ws, message) {
+        try {
+            const transfer = this.transfers.get(message.transferId);
+
+            if (!transfer && await this.forwardSignal(ws, message, () => cluster.findSession(message.transferId))) {
+                return;
+            }
+
+            // Silently drop signals for unknown transfers or from devices not carrying them
+            if (!transfer || transfer.state !== 'accepted' || !this.isFileTransferSocket(transfer, ws)) {
+                return;
+            }
+
+            const peerWs = isSameSocket(ws, transfer.senderWs) ? transfer.recipientWs : transfer.senderWs;
+            if (peerWs.readyState === 1) {
+                peerWs.send(JSON.stringify({
+                    type: 'file_signal',
+                    transferId: transfer.transferId,
+                    fromUserId: ws.userId,
+                    description: message.description,
+                    candidate: message.candidate
+                }));
+            }
+
+        } catch (error) {
+            console.error('File signal handling error:', error);
+        }
+    }
+
+    /**
+     * Handle either side giving up on a transfer
+     * reason 'p2p_failed' means the sender is about to upload the file instead.
+     */
+    async handleFileCancel(ws, message) {
+        try {
+            const transfer = this.transfers.get(message.transferId);
+
+            if (!transfer && await this.forwardSignal(ws, message, () => cluster.findSession(message.transferId))) {
+                return;
+            }
+
+            // Any of the recipient's devices may refuse while the offer is still showing
+            const allowed = transfer && (this.isFileTransferSocket(transfer, ws) ||
+                (transfer.state === 'offered' && ws.userId === transfer.recipientId));
+            if (!allowed) {
+                return;
+            }
+
+            this.endFileTransfer(transfer);
+            this.notifyFilePeer(transfer, ws.userId, message.reason || 'cancelled');
+
+        } catch (error) {
+            console.error('File cancel handling error:', error);
+        }
+    }
+
+    /**
+     * The sender finished a direct transfer: record it in the conversation
+     */
+    async handleFileComplete(ws, message) {
+        try {
+            const transfer = this.transfers.get(message.transferId);
+
+            if (!transfer || transfer.state !== 'accepted' || !isSameSocket(ws, transfer.senderWs)) {
+                return;
+            }
+
+            this.endFileTransfer(transfer);
+
+            const result = await files.recordDirectTransfer(transfer.senderId, transfer.recipientId, {
+                transferId: transfer.transferId,
+                name: transfer.name,
+                size: transfer.size,
+                mimeType: transfer.mimeType
+            });
+
+            if (result.error) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    code: result.code,
+                    transferId: transfer.transferId,
+                    message: result.error
+                }));
+            }
+
+        } catch (error) {
+            console.error('File complete handling error:', error);
+        }
+    }
+
+    /**
+     * Give up on a transfer that was not answered or did not finish in time
+     */
+    expireFileTransfer(transferId) {
+        const transfer = this.transfers.get(transferId);
+        if (!transfer) {
+            return;
+        }
+
+        this.endFileTransfer(transfer);
+        this.notifyFilePeer(transfer, transfer.senderId, 'timeout');
+
+        if (transfer.senderWs.readyState === 1) {
+            transfer.senderWs.send(JSON.stringify(this.buildFileCancel(transfer, transfer.recipientId, 'timeout')));
+        }
+    }
+
+    /**
+     * Drop the transfers a closing socket was carrying
+     */
+    dropFileTransfers(ws) {
+        for (const transfer of [...this.transfers.values()]) {
+            if (this.isFileTransferSocket(transfer, ws)) {
+                this.endFileTransfer(transfer);
+                this.notifyFilePeer(transfer, ws.userId, 'disconnected');
+            }
+        }
+    }
+
+    /**
+     * Check whether a socket carries one side of an offered or accepted transfer
+     */
+    isFileTransferSocket(transfer, ws) {
+        return isSameSocket(ws, transfer.senderWs) || (transfer.recipientWs !== null && isSameSocket(ws, transfer.recipientWs));
+    }
+
+    /**
+     * Tell the other side that a transfer is off
+     */
+    notifyFilePeer(transfer, fromUserId, reason) {
+        const fromSender = fromUserId === transfer.senderId;
+        const peerWs = fromSender ? transfer.recipientWs : transfer.senderWs;
+        const notice = this.buildFileCancel(transfer, fromUserId, reason);
+
+        if (peerWs) {
+            if (peerWs.readyState === 1) {
+                peerWs.send(JSON.stringify(notice));
+            }
+            return;
+        }
+
+        // Offer not answered yet: take it off every device of the recipient
+        sendToUser(transfer.recipientId, notice);
+    }
+
+    /**
+     * Tear down transfer state
+     */
+    endFileTransfer(transfer) {
+        clearTimeout(transfer.timer);
+        this.transfers.delete(transfer.transferId);
+        cluster.unregisterSession(transfer.transferId);
+    }
+
+    /**
+     * Build a file_cancel message
+     */
+    buildFileCancel(transfer, fromUserId, reason) {
+        return {
+            type: 'file_cancel',
+            transferId: transfer.transferId,
+            fromUserId: fromUserId,
+            reason: reason,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Tell the sender a file could not be offered directly
+     */
+    sendFileOfferFailed(ws, message, reason, errorMessage) {
+        ws.send(JSON.stringify({
+            type: 'file_offer_failed',
+            transferId: message.transferId,
+            toUserId: message.toUserId,
+            reason: reason,
+            message: errorMessage,
+            timestamp: new Date().toISOString()
+        }));
+    }
+}
+
+const messageHandler = new MessageHandler();
+
+// Call and transfer signaling for this node, from users connected to other nodes
+cluster.onSignal(envelope => messageHandler.handleForwardedSignal(envelope));
+
+module.exports = messageHandler;
@@ -1,3 +1,5 @@
+const { tokenize } = require('../utils/emoticons');
+
 /**
  * WebSocket security module for YM7 Hobby
  * Handles rate limiting, message validation, and connection security
@@ -7,7 +9,15 @@ class WebSocketSecurity {
     constructor() {
         this.MAX_MESSAGE_SIZE = 1024 * 10; // 10KB
         this.MAX_CONNECTIONS_PER_IP = 10;
-        this.MAX_CONNECTIONS_PER_USER = 3;
+        this.MAX_CONNECTIONS_PER_USER = 5; // Devices/tabs per user
+        this.MAX_SDP_SIZE = 1024 * 8; // 8KB
+        this.MAX_ICE_CANDIDATE_SIZE = 1024;
+        this.MAX_PRESENCE_QUERY_IDS = 100;
+        this.MAX_BUZZES_PER_MINUTE = 6; // Per user, across all buddies
+        this.BUZZ_COOLDOWN_MS = 10 * 1000; // Before buzzing the same buddy again
+        this.MAX_BROADCAST_RECIPIENTS = 50; // Buddies one message can go to at once
+        this.MAX_BROADCASTS_PER_HOUR = 10; // Per user
+        this.MAX_BROADCAST_RECIPIENTS_PER_HOUR = 200; // Per user, summed over their broadcasts
         
         // Rate limiting storage
         this.connectionAttempts = new Map();
@@ -42,16 +52,126 @@ class WebSocketSecurity {
         // Validate based on message type
         switch (message.type) {
             case 'authenticate':
-                return typeof message.token === 'string';
+                return typeof message.token === 'string' &&
+                       (message.deviceId === undefined || this.validateDeviceId(message.deviceId));
+
+            case 'sync':
+                return (message.lastMessageId === undefined || this.isCursor(message.lastMessageId)) &&
+                       (message.lastEventId === undefined || this.isCursor(message.lastEventId));
             
             case 'private_message':
                 return typeof message.toUserId === 'number' && 
                        typeof message.message === 'string' &&
-                       message.message.length <= 1000;
+                       message.message.length <= 1000 &&
+                       (message.clientMessageId === undefined || this.isUuid(message.clientMessageId)) &&
+                       (message.replyToId === undefined || message.replyToId === null ||
+                        (Number.isInteger(message.replyToId) && message.replyToId > 0));
             
             case 'typing_start':
             case 'typing_stop':
                 return typeof message.toUserId === 'number';
+
+            case 'buzz':
+                return typeof message.toUserId === 'number' &&
+                       (message.clientMessageId === undefined || this.isUuid(message.clientMessageId));
+
+            case 'broadcast_message':
+                return typeof message.message === 'string' &&
+                       message.message.length <= 1000 &&
+                       (message.toUserIds === undefined ||
+                        (Array.isArray(message.toUserIds) &&
+                         message.toUserIds.length <= this.MAX_BROADCAST_RECIPIENTS &&
+                         message.toUserIds.every(id => Number.isInteger(id) && id > 0))) &&
+                       (message.groupName === undefined ||
+                        (typeof message.groupName === 'string' &&
+                         message.groupName.length >= 1 && message.groupName.length <= 100)) &&
+                       (message.toUserIds !== undefined || message.groupName !== undefined);
+
+            case 'message_edit':
+                return Number.isInteger(message.messageId) &&
+                       typeof message.message === 'string' &&
+                       message.message.length <= 1000;
+
+            case 'message_delete':
+                return Number.isInteger(message.messageId) &&
+                       (message.mode === 'me' || message.mode === 'everyone');
+
+            case 'reaction_add':
+            case 'reaction_remove':
+                return Number.isInteger(message.messageId) &&
+                       (message.roomId === undefined || Number.isInteger(message.roomId)) &&
+                       this.isReactionEmoji(message.emoji);
+
+            case 'status_update':
+                return typeof message.status === 'string' && message.status.length <= 20 &&
+                       (message.statusMessage === undefined || message.statusMessage === null ||
+                        this.isStatusMessage(message.statusMessage));
+
+            case 'read_receipt':
+                return Number.isInteger(message.userId) &&
+                       (message.upToMessageId === undefined || this.isCursor(message.upToMessageId));
+
+            case 'presence_query':
+                return Array.isArray(message.userIds) &&
+                       message.userIds.length > 0 &&
+                       message.userIds.length <= this.MAX_PRESENCE_QUERY_IDS &&
+                       message.userIds.every(id => Number.isInteger(id));
+
+            case 'call_invitation':
+                return typeof message.toUserId === 'number' &&
+                       ['audio', 'video'].includes(message.callType) &&
+                       this.validateSessionDescription(message.offer, 'offer');
+
+            case 'call_response':
+                return typeof message.toUserId === 'number' &&
+                       ['accepted', 'rejected', 'busy'].includes(message.response) &&
+                       (message.response !== 'accepted' ||
+                        this.validateSessionDescription(message.answer, 'answer'));
+
+            case 'ice_candidate':
+                return typeof message.toUserId === 'number' &&
+                       this.validateIceCandidate(message.candidate);
+
+            case 'call_end':
+                return typeof message.toUserId === 'number';
+
+            case 'file_offer':
+                return typeof message.toUserId === 'number' &&
+                       this.isUuid(message.transferId) &&
+                       this.isFileName(message.name) &&
+                       Number.isSafeInteger(message.size) && message.size > 0 &&
+                       (message.mimeType === undefined || message.mimeType === '' ||
+                        (typeof message.mimeType === 'string' && message.mimeType.length <= 128));
+
+            case 'file_response':
+                return this.isUuid(message.transferId) &&
+                       ['accepted', 'declined'].includes(message.response);
+
+            case 'file_signal':
+                // Either the sender's offer, the receiver's answer or an ICE candidate
+                return this.isUuid(message.transferId) &&
+                       (message.description !== undefined
+                           ? (this.validateSessionDescription(message.description, 'offer') ||
+                              this.validateSessionDescription(message.description, 'answer'))
+                           : this.validateIceCandidate(message.candidate));
+
+            case 'file_cancel':
+                return this.isUuid(message.transferId) &&
+                       (message.reason === undefined || ['cancelled', 'p2p_failed'].includes(message.reason));
+
+            case 'file_complete':
+                return this.isUuid(message.transferId);
+
+            case 'room_message':
+                return Number.isInteger(message.roomId) &&
+                       typeof message.message === 'string' &&
+                       message.message.length <= 1000;
+
+            case 'room_join':
+            case 'room_leave':
+            case 'room_typing_start':
+            case 'room_typing_stop':
+                return Number.isInteger(message.roomId);
             
             case 'ping':
                 return true;
@@ -61,6 +181,119 @@ class WebSocketSecurity {
         }
     }
 
+    /**
+     * Validate a client-generated device identifier
+     */
+    validateDeviceId(deviceId) {
+        return typeof deviceId === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(deviceId);
+    }
+
+    /**
+     * Validate a client-generated message id
+     */
+    isUuid(value) {
+        return typeof value === 'string' &&
+               /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+    }
+
+    /**
+     * Validate a file name offered for transfer: no path separators or control characters
+     */
+    isFileName(value) {
+        return typeof value === 'string' && value.length > 0 && value.length <= 255 &&
+               !/[\\/\u0000-\u001f\u007f]/.test(value);
+    }
+
+    /**
+     * Validate a sync cursor (non-negative integer id)
+     */
+    isCursor(value) {
+        return Number.isSafeInteger(value) && value >= 0;
+    }
+
+    /**
+     * Validate a reaction: a single emoji, possibly with modifiers or joined (ZWJ) parts
+     */
+    isReactionEmoji(value) {
+        return typeof value === 'string' && value.length <= 32 &&
+               /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator})(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Modifier}|\u200d|\ufe0f|\u20e3|[\u{e0020}-\u{e007f}])*$/u.test(value);
+    }
+
+    /**
+     * Validate a custom status message: text, optional emoji and expiry (up to 7 days)
+     */
+    isStatusMessage(value) {
+        return typeof value === 'object' &&
+               typeof value.text === 'string' &&
+               value.text.trim().length > 0 && value.text.length <= 100 &&
+               (value.emoji === undefined || value.emoji === null ||
+                (typeof value.emoji === 'string' && value.emoji.length <= 16)) &&
+               (value.expiresInMinutes === undefined || value.expiresInMinutes === null ||
+                (Number.isInteger(value.expiresInMinutes) &&
+                 value.expiresInMinutes >= 1 && value.expiresInMinutes <= 10080));
+    }
+
+    /**
+     * Validate a WebRTC session description (offer/answer)
+     */
+    validateSessionDescription(description, expectedType) {
+        if (typeof description !== 'object' || description === null) {
+            return false;
+        }
+
+        if (description.type !== expectedType || typeof description.sdp !== 'string') {
+            return false;
+        }
+
+        const { sdp } = description;
+        if (sdp.length === 0 || sdp.length > this.MAX_SDP_SIZE || !sdp.startsWith('v=0')) {
+            return false;
+        }
+
+        // Every SDP line must be a single-letter field ("x=...")
+        return sdp
+            .split(/\r?\n/)
+            .filter(line => line.length > 0)
+            .every(line => /^[a-z]=[^\0]*$/.test(line));
+    }
+
+    /**
+     * Validate a WebRTC ICE candidate
+     */
+    validateIceCandidate(candidate) {
+        if (typeof candidate !== 'object' || candidate === null) {
+            return false;
+        }
+
+        if (typeof candidate.candidate !== 'string' ||
+            candidate.candidate.length > this.MAX_ICE_CANDIDATE_SIZE) {
+            return false;
+        }
+
+        // Empty candidate string signals end-of-candidates
+        if (candidate.candidate !== '' && !/^(a=)?candidate:\S+( \S+)*$/.test(candidate.candidate)) {
+            return false;
+        }
+
+        if (candidate.sdpMid != null &&
+            (typeof candidate.sdpMid !== 'string' || candidate.sdpMid.length > 64)) {
+            return false;
+        }
+
+        if (candidate.sdpMLineIndex != null &&
+            (!Number.isInteger(candidate.sdpMLineIndex) ||
+             candidate.sdpMLineIndex < 0 || candidate.sdpMLineIndex > 64)) {
+            return false;
+        }
+
+        if (candidate.usernameFragment != null &&
+            (typeof candidate.usernameFragment !== 'string' || candidate.usernameFragment.length > 256)) {
+            return false;
+        }
+
+        return true;
+    }
+
     /**
      * Check connection rate limit per IP
      */
@@ -133,6 +366,90 @@ class WebSocketSecurity {
         return true;
     }
 
+    /**
+     * Check a user's BUZZ! limits: a few a minute in all, and a pause before
+     * buzzing the same buddy again. Unlike the limits per connection these
+     * follow the user across devices, though only those on this node: with
+     * several nodes each one keeps its own count.
+     * Returns 0 when the buzz may go, otherwise the milliseconds to wait;
+     * nothing counts until recordBuzz.
+     */
+    checkBuzzRateLimit(userId, toUserId) {
+        const now = Date.now();
+        const userKey = `user:${userId}:buzz`;
+        const buddyKey = `user:${userId}:buzz:${toUserId}`;
+
+        const recent = (this.messageRates.get(userKey) || []).filter(time => time > now - 60000);
+        const lastToBuddy = (this.messageRates.get(buddyKey) || [0])[0];
+
+        const wait = Math.max(
+            lastToBuddy + this.BUZZ_COOLDOWN_MS - now,
+            recent.length >= this.MAX_BUZZES_PER_MINUTE ? recent[0] + 60000 - now : 0,
+            0
+        );
+
+        return wait;
+    }
+
+    /**
+     * Count a buzz that reached a buddy against the user's BUZZ! limits
+     */
+    recordBuzz(userId, toUserId) {
+        const now = Date.now();
+        const userKey = `user:${userId}:buzz`;
+
+        const recent = (this.messageRates.get(userKey) || []).filter(time => time > now - 60000);
+        recent.push(now);
+        this.messageRates.set(userKey, recent);
+        this.messageRates.set(`user:${userId}:buzz:${toUserId}`, [now]);
+    }
+
+    /**
+     * Check a user's limits on messages to several buddies at once: a few
+     * broadcasts an hour, and a cap on how many buddies they reach in all.
+     * Like the BUZZ! limits these follow the user across devices on this node.
+     * Returns 0 when the broadcast may go, otherwise the milliseconds to wait;
+     * nothing counts until recordBroadcast.
+     */
+    checkBroadcastRateLimit(userId, recipientCount) {
+        const now = Date.now();
+        const hour = 60 * 60 * 1000;
+        const sendsKey = `user:${userId}:broadcast`;
+        const recipientsKey = `user:${userId}:broadcast:recipients`;
+
+        const sends = (this.messageRates.get(sendsKey) || []).filter(time => time > now - hour);
+        const reached = (this.messageRates.get(recipientsKey) || []).filter(time => time > now - hour);
+
+        // Room for this many recipients frees up once the oldest of them are an hour old
+        const overflow = reached.length + recipientCount - this.MAX_BROADCAST_RECIPIENTS_PER_HOUR;
+
+        const wait = Math.max(
+            sends.length >= this.MAX_BROADCASTS_PER_HOUR ? sends[0] + hour - now : 0,
+            overflow > 0 ? reached[overflow - 1] + hour - now : 0,
+            0
+        );
+
+        return wait;
+    }
+
+    /**
+     * Count a broadcast that reached recipientCount buddies against the user's limits
+     */
+    recordBroadcast(userId, recipientCount) {
+        const now = Date.now();
+        const hour = 60 * 60 * 1000;
+        const sendsKey = `user:${userId}:broadcast`;
+        const recipientsKey = `user:${userId}:broadcast:recipients`;
+
+        const sends = (this.messageRates.get(sendsKey) || []).filter(time => time > now - hour);
+        const reached = (this.messageRates.get(recipientsKey) || []).filter(time => time > now - hour);
+
+        sends.push(now);
+        reached.push(...new Array(recipientCount).fill(now));
+        this.messageRates.set(sendsKey, sends);
+        this.messageRates.set(recipientsKey, reached);
+    }
+
     /**
      * Get rate limit window for message type
      */
@@ -141,7 +458,31 @@ class WebSocketSecurity {
             'private_message': 60000, // 1 minute
             'typing_start': 10000,    // 10 seconds
             'typing_stop': 10000,     // 10 seconds
-            'authenticate': 30000     // 30 seconds
+            'buzz': 60000,            // 1 minute
+            'broadcast_message': 60000, // 1 minute
+            'authenticate': 30000,    // 30 seconds
+            'sync': 60000,            // 1 minute
+            'message_edit': 60000,    // 1 minute
+            'message_delete': 60000,  // 1 minute
+            'reaction_add': 60000,    // 1 minute
+            'reaction_remove': 60000, // 1 minute
+            'status_update': 60000,   // 1 minute
+            'read_receipt': 60000,    // 1 minute
+            'presence_query': 60000,  // 1 minute
+            'call_invitation': 60000, // 1 minute
+            'call_response': 60000,   // 1 minute
+            'ice_candidate': 60000,   // 1 minute
+            'call_end': 60000,        // 1 minute
+            'file_offer': 60000,      // 1 minute
+            'file_response': 60000,   // 1 minute
+            'file_signal': 60000,     // 1 minute
+            'file_cancel': 60000,     // 1 minute
+            'file_complete': 60000,   // 1 minute
+            'room_message': 60000,    // 1 minute
+            'room_join': 60000,       // 1 minute
+            'room_leave': 60000,      // 1 minute
+            'room_typing_start': 10000, // 10 seconds
+            'room_typing_stop': 10000   // 10 seconds
         };
         
         return windows[messageType] || 60000; // Default 1 minute
@@ -155,7 +496,31 @@ class WebSocketSecurity {
             'private_message': 60,    // 60 messages per minute
             'typing_start': 10,       // 10 typing indicators per 10 seconds
             'typing_stop': 10,        // 10 typing indicators per 10 seconds
-            'authenticate': 5         // 5 authentication attempts per 30 seconds
+            'buzz': 20,               // 20 buzz attempts per minute (see checkBuzzRateLimit)
+            'broadcast_message': 5,   // 5 attempts per minute (see checkBroadcastRateLimit)
+            'authenticate': 5,        // 5 authentication attempts per 30 seconds
+            'sync': 20,               // 20 sync requests per minute
+            'message_edit': 30,       // 30 edits per minute
+            'message_delete': 30,     // 30 deletions per minute
+            'reaction_add': 60,       // 60 reactions per minute
+            'reaction_remove': 60,    // 60 reaction removals per minute
+            'status_update': 20,      // 20 status changes per minute
+            'read_receipt': 120,      // 120 read receipts per minute
+            'presence_query': 20,     // 20 presence queries per minute
+            'call_invitation': 10,    // 10 call attempts per minute
+            'call_response': 20,      // 20 call responses per minute
+            'ice_candidate': 200,     // 200 ICE candidates per minute
+            'call_end': 20,           // 20 hang-ups per minute
+            'file_offer': 10,         // 10 files offered per minute
+            'file_response': 20,      // 20 accepts/declines per minute
+            'file_signal': 200,       // 200 connection setup messages per minute
+            'file_cancel': 20,        // 20 cancellations per minute
+            'file_complete': 10,      // 10 finished direct transfers per minute
+            'room_message': 30,       // 30 room messages per minute
+            'room_join': 10,          // 10 room joins per minute
+            'room_leave': 10,         // 10 room leaves per minute
+            'room_typing_start': 10,  // 10 typing indicators per 10 seconds
+            'room_typing_stop': 10    // 10 typing indicators per 10 seconds
         };
         
         return limits[messageType] || 60; // Default 60 per minute
@@ -186,8 +551,15 @@ class WebSocketSecurity {
             }
         }
 
-        // Check for excessive special characters (potential injection)
-        const specialCharRatio = (content.match(/[<>'"`{}[\]();]/g) || []).length / content.length;
+        // Check for excessive special characters (potential injection);
+        // emoticon shortcodes like :) or =(( are mostly punctuation, so they don't count
+        const text = tokenize(content)
+            .filter(token => token.type === 'text')
+            .map(token => token.text)
+            .join('');
+        const specialCharRatio = text.length > 0
+            ? (text.match(/[<>'"`{}[\]();]/g) || []).length / text.length
+            : 0;
         if (specialCharRatio > 0.3) { // More than 30% special characters
             return false;
         }
@@ -1,12 +1,18 @@
 const WebSocket = require('ws');
 const jwt = require('jsonwebtoken');
-const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
 const security = require('./security');
 const messageHandler = require('./messageHandler');
+const sync = require('../modules/sync');
+const presence = require('../modules/presence');
+const cluster = require('../modules/cluster');
 const { 
     registerWebSocketConnection, 
-    disconnectUserWebSocket,
-    getConnectionCount 
+    unregisterWebSocketConnection,
+    sendToUser,
+    getAllConnections,
+    getConnectionCount,
+    getUserConnections
 } = require('../middleware/auth');
 
 /**
@@ -22,8 +28,16 @@ class SecureWebSocketServer {
             verifyClient: this.verifyClient.bind(this)
         });
 
-        this.connections = new Map();
         this.setupEvents();
+
+        // Share delivery with other app nodes; users whose node died go offline
+        cluster.start({
+            onUsersOrphaned: async (userIds) => {
+                for (const userId of userIds) {
+                    await presence.userDisconnected(userId);
+                }
+            }
+        });
         
         console.log('✅ WebSocket server initialized');
     }
@@ -59,6 +73,8 @@ class SecureWebSocketServer {
             }
 
             ws.ip = ip;
+            // Names this socket to other nodes (calls and transfers reply to one device)
+            ws.connectionId = uuidv4();
             ws.isAuthenticated = false;
             ws.userId = null;
             ws.isAlive = true;
@@ -125,7 +141,13 @@ class SecureWebSocketServer {
     async handleMessage(ws, message) {
         switch (message.type) {
             case 'authenticate':
-                await this.handleAuthentication(ws, message.token);
+                await this.handleAuthentication(ws, message.token, message.deviceId);
+                break;
+
+            case 'sync':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleSync(ws, message);
+                }
                 break;
 
             case 'private_message':
@@ -141,6 +163,129 @@ class SecureWebSocketServer {
                 }
                 break;
 
+            case 'buzz':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleBuzz(ws, message);
+                }
+                break;
+
+            case 'broadcast_message':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleBroadcastMessage(ws, message);
+                }
+                break;
+
+            case 'status_update':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleStatusUpdate(ws, message);
+                }
+                break;
+
+            case 'message_edit':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleMessageEdit(ws, message);
+                }
+                break;
+
+            case 'message_delete':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleMessageDelete(ws, message);
+                }
+                break;
+
+            case 'reaction_add':
+            case 'reaction_remove':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleReaction(ws, message);
+                }
+                break;
+
+            case 'read_receipt':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleReadReceipt(ws, message);
+                }
+                break;
+
+            case 'presence_query':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handlePresenceNotification(ws, message);
+                }
+                break;
+
+            case 'call_invitation':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleCallInvitation(ws, message);
+                }
+                break;
+
+            case 'call_response':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleCallResponse(ws, message);
+                }
+                break;
+
+            case 'ice_candidate':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleIceCandidate(ws, message);
+                }
+                break;
+
+            case 'call_end':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleCallEnd(ws, message);
+                }
+                break;
+
+            case 'file_offer':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleFileOffer(ws, message);
+                }
+                break;
+
+            case 'file_response':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleFileResponse(ws, message);
+                }
+                break;
+
+            case 'file_signal':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleFileSignal(ws, message);
+                }
+                break;
+
+            case 'file_cancel':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleFileCancel(ws, message);
+                }
+                break;
+
+            case 'file_complete':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleFileComplete(ws, message);
+                }
+                break;
+
+            case 'room_message':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleRoomMessage(ws, message);
+                }
+                break;
+
+            case 'room_join':
+            case 'room_leave':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleRoomMembership(ws, message);
+                }
+                break;
+
+            case 'room_typing_start':
+            case 'room_typing_stop':
+                if (ws.isAuthenticated) {
+                    await messageHandler.handleRoomTyping(ws, message);
+                }
+                break;
+
             case 'ping':
                 ws.send(JSON.stringify({ type: 'pong' }));
                 break;
@@ -156,7 +301,7 @@ class SecureWebSocketServer {
     /**
      * Handle WebSocket authentication
      */
-    async handleAuthentication(ws, token) {
+    async handleAuthentication(ws, token, deviceId = null) {
         try {
             if (!token) {
                 throw new Error('Authentication token required');
@@ -178,16 +323,19 @@ class SecureWebSocketServer {
             // Authenticate successfully
             ws.isAuthenticated = true;
             ws.userId = decoded.id;
+            ws.authToken = token;
+            ws.deviceId = deviceId;
 
-            // Register connection
-            registerWebSocketConnection(decoded.id, ws);
-            this.connections.set(decoded.id, ws);
+            // Register connection alongside the user's other devices,
+            // counting devices connected to other nodes too
+            const localCount = registerWebSocketConnection(decoded.id, ws);
+            const deviceCount = await cluster.updateConnectionCount(decoded.id, localCount);
 
-            // Update user status to online
-            await db.query(
-                'UPDATE users SET status = $1 WHERE id = $2',
-                ['online', decoded.id]
-            );
+            // Only the first device brings the user online, restoring the
+            // status they last chose (away, busy, invisible...)
+            const { status, statusMessage } = deviceCount === 1
+                ? await presence.userConnected(decoded.id)
+                : await presence.getPresence(decoded.id);
 
             // Send authentication success
             ws.send(JSON.stringify({
@@ -195,14 +343,13 @@ class SecureWebSocketServer {
                 user: {
                     id: decoded.id,
                     email: decoded.email
-                }
+                },
+                status: status,
+                statusMessage: statusMessage
             }));
 
             console.log(`✅ WebSocket authenticated for user ${decoded.id}`);
 
-            // Notify buddies about online status
-            await this.notifyBuddiesStatusChange(decoded.id, 'online');
-
         } catch (error) {
             console.error('WebSocket authentication error:', error);
             ws.send(JSON.stringify({
@@ -246,19 +393,30 @@ class SecureWebSocketServer {
             console.log(`🔌 WebSocket connection closed for user ${ws.userId}, code: ${code}, reason: ${reason}`);
 
             if (ws.userId) {
+                // Hang up any call and drop file transfers in progress
+                messageHandler.handleDisconnect(ws);
+
+                // Remember where this device stopped so its next sync resumes there
+                if (ws.deviceId && ws.isSynced) {
+                    await sync.saveCursor(ws.userId, ws.deviceId, {
+                        lastMessageId: ws.lastMessageId,
+                        lastEventId: ws.lastEventId
+                    });
+                }
+
                 // Remove from connections
-                this.connections.delete(ws.userId);
-                disconnectUserWebSocket(ws.userId);
+                const localRemaining = unregisterWebSocketConnection(ws.userId, ws);
+                security.removeUserConnection(ws.userId);
+                const remaining = await cluster.updateConnectionCount(ws.userId, localRemaining);
 
-                // Update user status to offline
-                try {
-                    await db.query(
-                        'UPDATE users SET status = $1 WHERE id = $2',
-                        ['offline', ws.userId]
-                    );
+                // Other devices are still connected, so the user stays online
+                if (remaining > 0) {
+                    return;
+                }
 
-                    // Notify buddies about offline status
-                    await this.notifyBuddiesStatusChange(ws.userId, 'offline');
+                // Update user status to offline and notify buddies
+                try {
+                    await presence.userDisconnected(ws.userId);
 
                 } catch (error) {
                     console.error('Error updating user status on disconnect:', error);
@@ -267,32 +425,6 @@ class SecureWebSocketServer {
         });
     }
 
-    /**
-     * Notify buddies about user status change
-     */
-    async notifyBuddiesStatusChange(userId, status) {
-        try {
-            const buddies = await db.query(
-                `SELECT buddy_user_id FROM buddies WHERE user_id = $1`,
-                [userId]
-            );
-
-            for (const buddy of buddies.rows) {
-                const buddyWs = this.connections.get(buddy.buddy_user_id);
-                if (buddyWs && buddyWs.readyState === 1) {
-                    buddyWs.send(JSON.stringify({
-                        type: 'buddy_status_change',
-                        userId: userId,
-                        status: status,
-                        timestamp: new Date().toISOString()
-                    }));
-                }
-            }
-        } catch (error) {
-            console.error('Error notifying buddies about status change:', error);
-        }
-    }
-
     /**
      * Broadcast server statistics to authenticated clients
      */
@@ -303,48 +435,41 @@ class SecureWebSocketServer {
             timestamp: new Date().toISOString()
         };
 
-        this.connections.forEach((ws, userId) => {
-            if (ws.readyState === 1 && ws.isAuthenticated) {
-                ws.send(JSON.stringify(stats));
-            }
-        });
+        this.broadcast(stats);
     }
 
     /**
-     * Send message to specific user
+     * Send message to every device of a specific user
      */
     sendToUser(userId, message) {
-        const ws = this.connections.get(userId);
-        if (ws && ws.readyState === 1 && ws.isAuthenticated) {
-            ws.send(JSON.stringify(message));
-            return true;
-        }
-        return false;
+        return sendToUser(userId, message) > 0;
     }
 
     /**
      * Broadcast message to all connected users
      */
     broadcast(message) {
-        this.connections.forEach((ws, userId) => {
+        const payload = JSON.stringify(message);
+        getAllConnections().forEach(([userId, ws]) => {
             if (ws.readyState === 1 && ws.isAuthenticated) {
-                ws.send(JSON.stringify(message));
+                ws.send(payload);
             }
         });
     }
 
     /**
-     * Get connection count
+     * Get connection count (all devices)
      */
     getConnectionCount() {
-        return this.connections.size;
+        return getConnectionCount();
     }
 
     /**
      * Get all connected user IDs
      */
     getConnectedUsers() {
-        return Array.from(this.connections.keys());
+        const userIds = new Set(getAllConnections().map(([userId]) => userId));
+        return Array.from(userIds).filter(userId => getUserConnections(userId).length > 0);
     }
 
     /**
@@ -361,11 +486,12 @@ class SecureWebSocketServer {
         });
 
         // Close all connections
-        this.connections.forEach((ws, userId) => {
+        getAllConnections().forEach(([userId, ws]) => {
             ws.close(1000, 'Server shutdown');
         });
 
-        this.connections.clear();
+        // Leave the cluster so other nodes stop routing here
+        await cluster.stop();
     }
 }
 
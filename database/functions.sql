@@ -27,6 +27,15 @@ BEGIN
     -- Clean old audit logs (keep 90 days)
     DELETE FROM audit_log WHERE created_at < NOW() - INTERVAL '90 days';
     
+    -- Clean old sync events (keep 30 days; missed messages are synced from messages, not events)
+    DELETE FROM user_events WHERE created_at < NOW() - INTERVAL '30 days';
+    
+    -- Clean cursors of devices not seen for 90 days
+    DELETE FROM device_cursors WHERE updated_at < NOW() - INTERVAL '90 days';
+    
+    -- Clean expired room bans
+    DELETE FROM room_bans WHERE expires_at < NOW();
+    
     -- Expire old pending buddy requests
     UPDATE buddy_requests 
     SET status = 'expired', updated_at = NOW() 
@@ -70,3 +79,14 @@ BEGIN
     );
 END;
 $$ LANGUAGE plpgsql;
+
+-- Function to check room membership (SECURITY DEFINER so RLS policies can use it)
+CREATE OR REPLACE FUNCTION is_room_member(p_room_id INTEGER, p_user_id INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1 FROM room_members 
+        WHERE room_id = p_room_id AND user_id = p_user_id
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
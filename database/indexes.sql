@@ -11,11 +11,17 @@ CREATE INDEX CONCURRENTLY idx_buddies_buddy_id ON buddies(buddy_user_id);
 CREATE INDEX CONCURRENTLY idx_messages_from_user ON messages(from_user_id);
 CREATE INDEX CONCURRENTLY idx_messages_to_user ON messages(to_user_id);
 CREATE INDEX CONCURRENTLY idx_messages_created_at ON messages(created_at DESC);
+CREATE INDEX CONCURRENTLY idx_messages_sync_to ON messages(to_user_id, id);
+CREATE INDEX CONCURRENTLY idx_messages_sync_from ON messages(from_user_id, id);
+CREATE INDEX CONCURRENTLY idx_message_revisions_message ON message_revisions(message_id, id);
+CREATE INDEX CONCURRENTLY idx_message_reactions_message ON message_reactions(message_id, emoji);
+CREATE INDEX CONCURRENTLY idx_message_files_expires ON message_files(expires_at) WHERE storage_key IS NOT NULL;
 CREATE INDEX CONCURRENTLY idx_messages_conversation ON messages(
     LEAST(from_user_id, to_user_id),
     GREATEST(from_user_id, to_user_id),
     created_at DESC
 );
+CREATE INDEX CONCURRENTLY idx_messages_search ON messages USING GIN (search_vector);
 
 CREATE INDEX CONCURRENTLY idx_buddy_requests_to_user ON buddy_requests(to_user_id, status);
 CREATE INDEX CONCURRENTLY idx_buddy_requests_from_user ON buddy_requests(from_user_id, status);
@@ -33,21 +39,48 @@ CREATE INDEX CONCURRENTLY idx_token_blacklist_expires ON token_blacklist(expires
 CREATE INDEX CONCURRENTLY idx_audit_log_user_time ON audit_log(user_id, created_at DESC);
 CREATE INDEX CONCURRENTLY idx_audit_log_action_time ON audit_log(action, created_at DESC);
 
+CREATE INDEX CONCURRENTLY idx_user_events_user ON user_events(user_id, id);
+CREATE INDEX CONCURRENTLY idx_user_events_created ON user_events(created_at);
+CREATE INDEX CONCURRENTLY idx_device_cursors_updated ON device_cursors(updated_at);
+
+CREATE INDEX CONCURRENTLY idx_cluster_connections_user ON cluster_connections(user_id);
+CREATE INDEX CONCURRENTLY idx_cluster_nodes_last_seen ON cluster_nodes(last_seen_at);
+CREATE INDEX CONCURRENTLY idx_cluster_payloads_created ON cluster_payloads(created_at);
+CREATE INDEX CONCURRENTLY idx_cluster_sessions_initiator ON cluster_sessions(initiator_id);
+CREATE INDEX CONCURRENTLY idx_cluster_sessions_peer ON cluster_sessions(peer_id);
+
+CREATE INDEX CONCURRENTLY idx_users_status_message_expires ON users(status_message_expires_at)
+    WHERE status_message_expires_at IS NOT NULL;
+CREATE INDEX CONCURRENTLY idx_status_message_history_user ON status_message_history(user_id, last_used_at DESC);
+
 CREATE INDEX CONCURRENTLY idx_room_messages_room ON room_messages(room_id, created_at DESC);
+CREATE INDEX CONCURRENTLY idx_room_message_reactions_message ON room_message_reactions(message_id, emoji);
 CREATE INDEX CONCURRENTLY idx_room_members_room ON room_members(room_id);
 CREATE INDEX CONCURRENTLY idx_room_members_user ON room_members(user_id);
+CREATE INDEX CONCURRENTLY idx_chat_rooms_public ON chat_rooms(is_public, created_at DESC);
+CREATE INDEX CONCURRENTLY idx_room_invitations_user ON room_invitations(invited_user_id, status);
+CREATE INDEX CONCURRENTLY idx_room_bans_expires ON room_bans(expires_at);
 
 -- Row Level Security Policies
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE buddies ENABLE ROW LEVEL SECURITY;
 ALTER TABLE messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_revisions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_reactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_files ENABLE ROW LEVEL SECURITY;
 ALTER TABLE buddy_requests ENABLE ROW LEVEL SECURITY;
 ALTER TABLE blocks ENABLE ROW LEVEL SECURITY;
 ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
 ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE device_cursors ENABLE ROW LEVEL SECURITY;
+ALTER TABLE status_message_history ENABLE ROW LEVEL SECURITY;
 ALTER TABLE chat_rooms ENABLE ROW LEVEL SECURITY;
 ALTER TABLE room_members ENABLE ROW LEVEL SECURITY;
 ALTER TABLE room_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE room_message_reactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE room_invitations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE room_bans ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies
 CREATE POLICY users_policy ON users FOR ALL USING (id = current_user_id());
@@ -59,6 +92,30 @@ CREATE POLICY messages_policy ON messages FOR ALL USING (
     from_user_id = current_user_id() OR to_user_id = current_user_id()
 );
 
+CREATE POLICY message_revisions_policy ON message_revisions FOR ALL USING (
+    EXISTS (
+        SELECT 1 FROM messages m
+        WHERE m.id = message_revisions.message_id
+          AND (m.from_user_id = current_user_id() OR m.to_user_id = current_user_id())
+    )
+);
+
+CREATE POLICY message_files_policy ON message_files FOR ALL USING (
+    EXISTS (
+        SELECT 1 FROM messages m
+        WHERE m.id = message_files.message_id
+          AND (m.from_user_id = current_user_id() OR m.to_user_id = current_user_id())
+    )
+);
+
+CREATE POLICY message_reactions_policy ON message_reactions FOR ALL USING (
+    EXISTS (
+        SELECT 1 FROM messages m
+        WHERE m.id = message_reactions.message_id
+          AND (m.from_user_id = current_user_id() OR m.to_user_id = current_user_id())
+    )
+);
+
 CREATE POLICY buddy_requests_policy ON buddy_requests FOR ALL USING (
     from_user_id = current_user_id() OR to_user_id = current_user_id()
 );
@@ -72,13 +129,23 @@ CREATE POLICY token_blacklist_policy ON token_blacklist FOR ALL USING (true);
 
 CREATE POLICY audit_log_policy ON audit_log FOR ALL USING (user_id = current_user_id());
 
+CREATE POLICY user_events_policy ON user_events FOR ALL USING (user_id = current_user_id());
+CREATE POLICY device_cursors_policy ON device_cursors FOR ALL USING (user_id = current_user_id());
+CREATE POLICY status_message_history_policy ON status_message_history FOR ALL USING (user_id = current_user_id());
+
 CREATE POLICY chat_rooms_policy ON chat_rooms FOR ALL USING (
     is_public = true OR created_by = current_user_id()
     OR EXISTS (SELECT 1 FROM room_members WHERE room_id = chat_rooms.id AND user_id = current_user_id())
+    OR EXISTS (
+        SELECT 1 FROM room_invitations ri
+        WHERE ri.room_id = chat_rooms.id AND ri.invited_user_id = current_user_id() AND ri.status = 'pending'
+    )
 );
 
+-- Members can see each other; is_room_member avoids a recursive policy on room_members
 CREATE POLICY room_members_policy ON room_members FOR ALL USING (
     user_id = current_user_id()
+    OR is_room_member(room_id, current_user_id())
     OR EXISTS (SELECT 1 FROM chat_rooms WHERE id = room_members.room_id AND created_by = current_user_id())
 );
 
@@ -89,3 +156,19 @@ CREATE POLICY room_messages_policy ON room_messages FOR ALL USING (
         WHERE rm.room_id = room_messages.room_id AND rm.user_id = current_user_id()
     )
 );
+
+CREATE POLICY room_message_reactions_policy ON room_message_reactions FOR ALL USING (
+    EXISTS (
+        SELECT 1 FROM room_messages m
+        WHERE m.id = room_message_reactions.message_id
+          AND is_room_member(m.room_id, current_user_id())
+    )
+);
+
+CREATE POLICY room_invitations_policy ON room_invitations FOR ALL USING (
+    invited_user_id = current_user_id() OR invited_by = current_user_id()
+);
+
+CREATE POLICY room_bans_policy ON room_bans FOR ALL USING (
+    user_id = current_user_id() OR is_room_member(room_id, current_user_id())
+);
@@ -17,7 +17,12 @@ CREATE TABLE users (
     reset_token VARCHAR(100),
     reset_token_expires TIMESTAMP,
     status VARCHAR(20) DEFAULT 'offline',
+    preferred_status VARCHAR(20) DEFAULT 'online',
+    status_message TEXT,
+    status_emoji VARCHAR(64),
+    status_message_expires_at TIMESTAMP,
     avatar_url TEXT,
+    preferences JSONB NOT NULL DEFAULT '{}', -- Per-user settings, see modules/preferences.js
     created_at TIMESTAMP DEFAULT NOW(),
     last_login TIMESTAMP,
     login_attempts INTEGER DEFAULT 0,
@@ -32,21 +37,77 @@ CREATE TABLE buddies (
     buddy_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     nickname VARCHAR(100),
     group_name VARCHAR(100) DEFAULT 'General',
+    -- user_id appears offline to buddy_user_id regardless of their status
+    appear_offline BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT NOW(),
     UNIQUE(user_id, buddy_user_id),
     CHECK (user_id != buddy_user_id)
 );
 
+-- Message text as typed: messages are stored HTML-escaped, and searching the
+-- escaped text would match "amp" or "x27" and miss words with ' or /.
+-- Same entities as decodeStoredText in backend/utils/messageFormat.js.
+CREATE OR REPLACE FUNCTION decode_stored_text(stored TEXT)
+RETURNS TEXT AS $$
+    SELECT replace(replace(replace(replace(replace(replace(replace(replace(stored,
+        '&#x2F;', '/'), '&#x5C;', '\'), '&#96;', '`'), '&#x27;', ''''),
+        '&quot;', '"'), '&gt;', '>'), '&lt;', '<'), '&amp;', '&');
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
 -- Messages with size limits and read receipts
 CREATE TABLE messages (
     id SERIAL PRIMARY KEY,
     from_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     to_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    message TEXT NOT NULL CHECK (length(message) BETWEEN 1 AND 1000),
-    message_type VARCHAR(20) DEFAULT 'text',
+    message TEXT NOT NULL,
+    message_type VARCHAR(20) DEFAULT 'text', -- text, file, image or buzz
+    formatting JSONB, -- Sender's font/colour and [b]-style tags as a tree, see utils/richText.js
+    client_message_id UUID, -- Sender-generated idempotency key
+    reply_to_id INTEGER REFERENCES messages(id) ON DELETE SET NULL, -- Quoted message in the same conversation
     read BOOLEAN DEFAULT FALSE,
+    delivered_at TIMESTAMP,
+    edited_at TIMESTAMP,
+    deleted_at TIMESTAMP, -- Deleted for everyone: the row stays as a tombstone with no text
+    hidden_for_sender BOOLEAN DEFAULT FALSE, -- Deleted for me by the sender
+    hidden_for_recipient BOOLEAN DEFAULT FALSE, -- Deleted for me by the recipient
+    imported BOOLEAN DEFAULT FALSE, -- Brought in from a Yahoo Messenger archive (.dat) file
+    created_at TIMESTAMP DEFAULT NOW(),
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', decode_stored_text(message))) STORED,
+    CHECK (length(message) BETWEEN 1 AND 1000 OR deleted_at IS NOT NULL),
+    CHECK (from_user_id != to_user_id),
+    UNIQUE (from_user_id, client_message_id)
+);
+
+-- Earlier versions of edited messages
+CREATE TABLE message_revisions (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    message TEXT NOT NULL,
+    replaced_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Files and pictures sent in a conversation; the message (message_type 'file' or 'image') carries the file name
+CREATE TABLE message_files (
+    id UUID PRIMARY KEY,
+    message_id INTEGER UNIQUE REFERENCES messages(id) ON DELETE CASCADE,
+    file_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(128) NOT NULL, -- Sniffed from the content for stored files
+    size_bytes BIGINT NOT NULL CHECK (size_bytes > 0),
+    transport VARCHAR(10) NOT NULL CHECK (transport IN ('p2p', 'server')),
+    storage_key VARCHAR(64), -- Name in the local file store; NULL for P2P or once removed
+    expires_at TIMESTAMP, -- Stored copy is removed after this
+    width INTEGER, -- Pictures only, in pixels
+    height INTEGER,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Emoji reactions on private messages; each user has a set of emoji per message
+CREATE TABLE message_reactions (
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    emoji VARCHAR(32) NOT NULL,
     created_at TIMESTAMP DEFAULT NOW(),
-    CHECK (from_user_id != to_user_id)
+    PRIMARY KEY (message_id, user_id, emoji)
 );
 
 -- Buddy requests system
@@ -100,6 +161,69 @@ CREATE TABLE audit_log (
     created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Events delivered to a user (buddy requests, additions, removals) so
+-- devices that were offline can catch up on reconnect
+CREATE TABLE user_events (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Per-device sync position for reconnect catch-up
+CREATE TABLE device_cursors (
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    device_id VARCHAR(64) NOT NULL,
+    last_message_id INTEGER DEFAULT 0,
+    last_event_id BIGINT DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (user_id, device_id)
+);
+
+-- Cluster registry: running app nodes and how many devices each user has on them
+CREATE TABLE cluster_nodes (
+    node_id VARCHAR(64) PRIMARY KEY,
+    started_at TIMESTAMP DEFAULT NOW(),
+    last_seen_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE cluster_connections (
+    node_id VARCHAR(64) REFERENCES cluster_nodes(node_id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    device_count INTEGER NOT NULL CHECK (device_count > 0),
+    PRIMARY KEY (node_id, user_id)
+);
+
+-- Calls and direct file transfers in progress, and the node holding each one's
+-- state; the other party's node forwards its signaling there
+CREATE TABLE cluster_sessions (
+    session_id VARCHAR(64) PRIMARY KEY, -- callId or transferId
+    kind VARCHAR(10) NOT NULL,
+    node_id VARCHAR(64) NOT NULL REFERENCES cluster_nodes(node_id) ON DELETE CASCADE,
+    initiator_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    peer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    CHECK (kind IN ('call', 'transfer'))
+);
+
+-- Cross-node payloads too large for a NOTIFY (8000 byte limit)
+CREATE TABLE cluster_payloads (
+    id BIGSERIAL PRIMARY KEY,
+    payload JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Recently used custom status messages
+CREATE TABLE status_message_history (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    message TEXT NOT NULL,
+    emoji VARCHAR(64),
+    last_used_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(user_id, message)
+);
+
 -- Chat rooms for group conversations
 CREATE TABLE chat_rooms (
     id SERIAL PRIMARY KEY,
@@ -108,6 +232,7 @@ CREATE TABLE chat_rooms (
     created_by INTEGER REFERENCES users(id),
     is_public BOOLEAN DEFAULT TRUE,
     max_users INTEGER DEFAULT 50,
+    slow_mode_seconds INTEGER DEFAULT 0 CHECK (slow_mode_seconds BETWEEN 0 AND 3600),
     created_at TIMESTAMP DEFAULT NOW()
 );
 
@@ -116,8 +241,12 @@ CREATE TABLE room_members (
     id SERIAL PRIMARY KEY,
     room_id INTEGER REFERENCES chat_rooms(id) ON DELETE CASCADE,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) DEFAULT 'member',
+    muted_until TIMESTAMP,
+    last_message_at TIMESTAMP, -- For slow mode
     joined_at TIMESTAMP DEFAULT NOW(),
-    UNIQUE(room_id, user_id)
+    UNIQUE(room_id, user_id),
+    CHECK (role IN ('owner', 'moderator', 'member'))
 );
 
 -- Room messages
@@ -128,3 +257,38 @@ CREATE TABLE room_messages (
     message TEXT NOT NULL CHECK (length(message) BETWEEN 1 AND 1000),
     created_at TIMESTAMP DEFAULT NOW()
 );
+
+-- Emoji reactions on room messages
+CREATE TABLE room_message_reactions (
+    message_id INTEGER REFERENCES room_messages(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    emoji VARCHAR(32) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (message_id, user_id, emoji)
+);
+
+-- Invitations to private chat rooms
+CREATE TABLE room_invitations (
+    id SERIAL PRIMARY KEY,
+    room_id INTEGER REFERENCES chat_rooms(id) ON DELETE CASCADE,
+    invited_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    invited_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'pending',
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(room_id, invited_user_id),
+    CHECK (invited_user_id != invited_by),
+    CHECK (status IN ('pending', 'accepted', 'declined'))
+);
+
+-- Time-limited bans from chat rooms
+CREATE TABLE room_bans (
+    id SERIAL PRIMARY KEY,
+    room_id INTEGER REFERENCES chat_rooms(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    banned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reason VARCHAR(255),
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(room_id, user_id)
+);
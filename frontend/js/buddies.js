@@ -88,13 +88,14 @@ class BuddiesManager {
      */
     createBuddyElement(buddy) {
         const buddyElement = document.createElement('div');
-        buddyElement.className = `ym7-buddy ${buddy.status}`;
+        buddyElement.className = `ym7-buddy ${buddy.status}${buddy.appear_offline ? ' stealth' : ''}`;
         buddyElement.dataset.buddyId = buddy.id;
         
         buddyElement.innerHTML = `
             <div class="ym7-buddy-status ${buddy.status}"></div>
             <div class="ym7-buddy-name">${buddy.display_name || buddy.email}</div>
             ${buddy.nickname ? `<div class="ym7-buddy-nickname">(${buddy.nickname})</div>` : ''}
+            ${buddy.status_message ? `<div class="ym7-buddy-status-message">${this.app.formatStatusMessage(buddy.status_message)}</div>` : ''}
         `;
 
         // Add click event for opening chat
@@ -125,10 +126,14 @@ class BuddiesManager {
     /**
      * Update buddy status
      */
-    updateBuddyStatus(userId, status) {
+    updateBuddyStatus(userId, status, statusMessage = undefined) {
         const buddy = this.buddies.find(b => b.id === userId);
         if (buddy) {
             buddy.status = status;
+            // Presence queries carry no message, so keep the one we have
+            if (statusMessage !== undefined) {
+                buddy.status_message = statusMessage;
+            }
             this.renderBuddyList();
         }
     }
@@ -194,6 +199,128 @@ class BuddiesManager {
         }
     }
 
+    /**
+     * Show the message-to-several-buddies dialog, with one buddy ticked if given
+     */
+    showBroadcastModal(buddyId = null) {
+        const groupSelect = document.getElementById('broadcastGroup');
+        const list = document.getElementById('broadcastBuddyList');
+        const results = document.getElementById('broadcastResults');
+        if (!groupSelect || !list) return;
+
+        const groups = [...new Set(this.buddies.map(buddy => buddy.group_name).filter(Boolean))].sort();
+        groupSelect.length = 1;
+        groups.forEach(group => {
+            const option = document.createElement('option');
+            option.value = group;
+            option.textContent = group;
+            groupSelect.appendChild(option);
+        });
+        groupSelect.value = '';
+
+        list.innerHTML = '';
+        this.buddies.forEach(buddy => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = buddy.id;
+            checkbox.checked = buddy.id === buddyId;
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${buddy.display_name || buddy.email}`));
+            list.appendChild(label);
+        });
+
+        if (results) {
+            results.innerHTML = '';
+            results.classList.add('hidden');
+        }
+
+        this.app.showModal('broadcastModal');
+        setTimeout(() => {
+            const text = document.getElementById('broadcastText');
+            if (text) {
+                text.focus();
+            }
+        }, 100);
+    }
+
+    /**
+     * Send the dialog's message to the ticked buddies and/or the chosen group
+     */
+    async sendBroadcast() {
+        const textInput = document.getElementById('broadcastText');
+        const groupName = document.getElementById('broadcastGroup').value;
+        const toUserIds = Array.from(document.querySelectorAll('#broadcastBuddyList input:checked'))
+            .map(checkbox => Number(checkbox.value));
+        const message = textInput.value.trim();
+
+        if (!message) {
+            this.app.showNotification('Please type a message', 'error');
+            return;
+        }
+
+        if (toUserIds.length === 0 && !groupName) {
+            this.app.showNotification('Choose a group or tick some buddies', 'error');
+            return;
+        }
+
+        const body = { message };
+        if (toUserIds.length > 0) body.toUserIds = toUserIds;
+        if (groupName) body.groupName = groupName;
+
+        try {
+            this.app.showLoading('Sending message...');
+
+            const response = await this.app.authenticatedFetch('/api/messages/broadcast', {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                const detail = data.details && data.details[0] ? data.details[0].message : null;
+                this.app.showNotification(detail || data.error || 'Failed to send message', 'error');
+                return;
+            }
+
+            if (data.failed === 0) {
+                this.app.showNotification(`Message sent to ${data.sent} buddies`, 'success');
+                textInput.value = '';
+                closeModal('broadcastModal');
+                return;
+            }
+
+            // Keep the dialog open and say who didn't get it
+            this.app.showNotification(`Message sent to ${data.sent} of ${data.sent + data.failed} buddies`, 'error');
+            this.renderBroadcastResults(data.results);
+
+        } catch (error) {
+            console.error('Error sending message to several buddies:', error);
+            this.app.showNotification('Failed to send message', 'error');
+        } finally {
+            this.app.hideLoading();
+        }
+    }
+
+    /**
+     * List the buddies a message to several buddies didn't reach, and why
+     */
+    renderBroadcastResults(results) {
+        const container = document.getElementById('broadcastResults');
+        if (!container) return;
+
+        container.innerHTML = '';
+        results.filter(result => !result.success).forEach(result => {
+            const buddy = this.buddies.find(b => b.id === result.toUserId);
+            const row = document.createElement('div');
+            row.className = 'ym7-broadcast-failure';
+            row.textContent = `${buddy ? (buddy.display_name || buddy.email) : `User ${result.toUserId}`}: ${result.error}`;
+            container.appendChild(row);
+        });
+        container.classList.remove('hidden');
+    }
+
     /**
      * Validate email format
      */
@@ -268,6 +395,11 @@ class BuddiesManager {
      * Handle incoming buddy request from WebSocket
      */
     handleIncomingRequest(message) {
+        // Requests can arrive both live and from reconnect sync
+        if (this.pendingRequests.some(req => req.id === message.requestId)) {
+            return;
+        }
+
         // Add to pending requests
         this.pendingRequests.push({
             id: message.requestId,
@@ -364,12 +496,18 @@ class BuddiesManager {
             <div class="ym7-context-item" onclick="buddiesManager.startChat(${buddy.id})">
                 Send Message
             </div>
+            <div class="ym7-context-item" onclick="buddiesManager.showBroadcastModal(${buddy.id})">
+                Send Message to Several Buddies...
+            </div>
             <div class="ym7-context-item" onclick="buddiesManager.viewProfile(${buddy.id})">
                 View Profile
             </div>
             <div class="ym7-context-item" onclick="buddiesManager.changeNickname(${buddy.id})">
                 Change Nickname
             </div>
+            <div class="ym7-context-item" onclick="buddiesManager.toggleAppearOffline(${buddy.id})">
+                ${buddy.appear_offline ? 'Appear Online to This Buddy' : 'Appear Offline to This Buddy'}
+            </div>
             <div class="ym7-context-item" onclick="buddiesManager.removeBuddy(${buddy.id})">
                 Remove Buddy
             </div>
@@ -443,6 +581,43 @@ class BuddiesManager {
         this.removeContextMenu();
     }
 
+    /**
+     * Toggle appearing offline to one buddy
+     */
+    async toggleAppearOffline(buddyId) {
+        this.removeContextMenu();
+
+        const buddy = this.buddies.find(b => b.id === buddyId);
+        if (!buddy) return;
+
+        try {
+            const response = await this.app.authenticatedFetch(`/api/buddies/${buddyId}/visibility`, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    appearOffline: !buddy.appear_offline
+                })
+            });
+
+            if (response.ok) {
+                const data = await response.json();
+                buddy.appear_offline = data.appearOffline;
+                this.app.showNotification(
+                    data.appearOffline
+                        ? `You now appear offline to ${buddy.display_name}`
+                        : `You are now visible to ${buddy.display_name}`,
+                    'success'
+                );
+                this.renderBuddyList();
+            } else {
+                this.app.showNotification('Failed to update visibility', 'error');
+            }
+
+        } catch (error) {
+            console.error('Error updating buddy visibility:', error);
+            this.app.showNotification('Failed to update visibility', 'error');
+        }
+    }
+
     /**
      * Update buddy nickname
      */
@@ -646,6 +821,12 @@ function sendBuddyRequest() {
     }
 }
 
+function sendBroadcast() {
+    if (window.buddiesManager) {
+        window.buddiesManager.sendBroadcast();
+    }
+}
+
 function showPendingRequests() {
     if (window.buddiesManager) {
         window.buddiesManager.showPendingRequestsModal();
@@ -8,15 +8,74 @@
 
 window.chatManager = null; // ensure global exists early
 
+// Matches the server's edit window for sent messages
+const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+// Messages fetched per history page; older pages load on scroll-up
+const HISTORY_PAGE_SIZE = 50;
+
+// Pictures the server accepts
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Longest side of an inline picture preview, in CSS pixels
+const IMAGE_PREVIEW_SIZE = 240;
+
+// What a BUZZ! says in the transcript, as the server stores it
+const BUZZ_TEXT = 'BUZZ!!!';
+
+// Only buzzes this recent shake the window; older ones come from sync replays
+const BUZZ_FRESH_MS = 60 * 1000;
+
+// Elements for formatted message text, by richText node type
+const FORMAT_ELEMENTS = { bold: 'strong', italic: 'em', underline: 'u', color: 'span' };
+
+// Offered on hover under each message
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '😡'];
+
+// "1.4 MB" style sizes for files
+function formatFileSize(bytes) {
+    const units = ['bytes', 'KB', 'MB', 'GB'];
+    let size = Number(bytes) || 0;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${size} ${units[0]}` : `${size.toFixed(size < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+// Escape text the way the server stores it, so pending messages look like sent ones
+function escapeStoredText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#x27;')
+        .replace(/\//g, '&#x2F;');
+}
+
 class ChatManager {
     constructor(app) {
         this.app = app || {};
-        // messageHistory map: buddyId -> { messages: [], ids: Set() }
+        // messageHistory map: buddyId -> { messages: [], ids: Set(), oldestId, hasMore, loading }
         this.messageHistory = new Map();
         // chatWindows: buddyId -> DOM element
         this.chatWindows = new Map();
         // typingIndicators: buddyId -> timerId
         this.typingIndicators = new Map();
+        // pendingOutgoing: clientMessageId -> payload awaiting message_ack
+        this.pendingOutgoing = new Map();
+        // open right-click menu on a message, if any
+        this.messageContextMenu = null;
+        // replyDrafts: buddyId -> quote of the message the next send replies to
+        this.replyDrafts = new Map();
+        // imageUrls: 'fileId:size' -> promise of an object URL for a picture preview
+        this.imageUrls = new Map();
+        // open picture viewer, if any
+        this.lightbox = null;
+        // open emoticon picker, if any
+        this.emoticonPicker = null;
         this.setupChatEventListeners();
     }
 
@@ -114,6 +173,21 @@ class ChatManager {
         const controls = document.createElement('div');
         controls.className = 'chat-controls';
 
+        const btnSearch = document.createElement('button');
+        btnSearch.className = 'chat-search-toggle';
+        btnSearch.title = 'Search this conversation';
+        btnSearch.textContent = '🔍';
+        btnSearch.addEventListener('click', () => this.toggleSearchPanel(buddyId));
+
+        const btnMenu = document.createElement('button');
+        btnMenu.className = 'chat-menu-toggle';
+        btnMenu.title = 'Conversation menu';
+        btnMenu.textContent = '☰';
+        btnMenu.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showChatMenu(e, buddyId);
+        });
+
         const btnMin = document.createElement('button');
         btnMin.className = 'chat-minimize';
         btnMin.title = 'Minimize';
@@ -126,12 +200,17 @@ class ChatManager {
         btnClose.textContent = '×';
         btnClose.addEventListener('click', () => this.closeChat(buddyId));
 
+        controls.appendChild(btnSearch);
+        controls.appendChild(btnMenu);
         controls.appendChild(btnMin);
         controls.appendChild(btnClose);
 
         header.appendChild(buddyInfo);
         header.appendChild(controls);
 
+        // Search panel (hidden until the search button is clicked)
+        const searchPanel = this._createSearchPanel(buddyId);
+
         // Messages container
         const messages = document.createElement('div');
         messages.className = 'chat-messages';
@@ -157,6 +236,22 @@ class ChatManager {
         const inputArea = document.createElement('div');
         inputArea.className = 'chat-input-area';
 
+        // Shown above the input while replying to a message
+        const replyPreview = document.createElement('div');
+        replyPreview.className = 'chat-reply-preview hidden';
+        replyPreview.id = `${chatId}-reply`;
+        const replyText = document.createElement('span');
+        replyText.className = 'chat-reply-preview-text';
+        const replyCancel = document.createElement('button');
+        replyCancel.className = 'chat-reply-cancel';
+        replyCancel.title = 'Cancel reply';
+        replyCancel.textContent = '×';
+        replyCancel.addEventListener('click', () => this.cancelReply(buddyId));
+        replyPreview.appendChild(replyText);
+        replyPreview.appendChild(replyCancel);
+        inputArea.appendChild(replyPreview);
+        inputArea.appendChild(this._createFormatToolbar(buddyId));
+
         const inputContainer = document.createElement('div');
         inputContainer.className = 'chat-input-container';
 
@@ -171,17 +266,68 @@ class ChatManager {
         sendBtn.textContent = 'Send';
         sendBtn.addEventListener('click', () => this.sendMessage(buddyId));
 
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.className = 'hidden';
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) this.sendFile(buddyId, file);
+        });
+
+        const fileBtn = document.createElement('button');
+        fileBtn.className = 'chat-file-btn';
+        fileBtn.title = 'Send a File';
+        fileBtn.textContent = '📎';
+        fileBtn.addEventListener('click', () => fileInput.click());
+
+        const imageInput = document.createElement('input');
+        imageInput.type = 'file';
+        imageInput.accept = IMAGE_TYPES.join(',');
+        imageInput.className = 'hidden';
+        imageInput.addEventListener('change', () => {
+            const file = imageInput.files[0];
+            imageInput.value = '';
+            if (file) this.sendImage(buddyId, file);
+        });
+
+        const imageBtn = document.createElement('button');
+        imageBtn.className = 'chat-file-btn';
+        imageBtn.title = 'Send a Picture';
+        imageBtn.textContent = '🖼️';
+        imageBtn.addEventListener('click', () => imageInput.click());
+
+        inputContainer.appendChild(fileInput);
+        inputContainer.appendChild(fileBtn);
+        const buzzBtn = document.createElement('button');
+        buzzBtn.className = 'chat-buzz-btn';
+        buzzBtn.title = 'BUZZ!';
+        buzzBtn.textContent = 'BUZZ!';
+        buzzBtn.addEventListener('click', () => this.sendBuzz(buddyId));
+
+        const emoticonBtn = document.createElement('button');
+        emoticonBtn.className = 'chat-file-btn chat-emoticon-btn';
+        emoticonBtn.title = 'Insert an Emoticon';
+        emoticonBtn.textContent = '😊';
+        emoticonBtn.addEventListener('click', () => this.toggleEmoticonPicker(buddyId, emoticonBtn));
+
+        inputContainer.appendChild(imageInput);
+        inputContainer.appendChild(imageBtn);
+        inputContainer.appendChild(buzzBtn);
+        inputContainer.appendChild(emoticonBtn);
         inputContainer.appendChild(textarea);
         inputContainer.appendChild(sendBtn);
         inputArea.appendChild(inputContainer);
 
         // Assemble window
         chatWindow.appendChild(header);
+        chatWindow.appendChild(searchPanel);
         chatWindow.appendChild(messages);
         chatWindow.appendChild(typingIndicator);
         chatWindow.appendChild(inputArea);
 
         container.appendChild(chatWindow);
+        this._applyOwnStyle(buddyId);
 
         // Setup interactions
         this.setupChatWindowEvents(chatWindow, buddyId);
@@ -205,12 +351,32 @@ class ChatManager {
                 if (e.key === 'Enter' && !e.shiftKey) {
                     e.preventDefault();
                     this.sendMessage(buddyId);
+                } else if (e.key === 'Escape' && this.replyDrafts.has(buddyId)) {
+                    this.cancelReply(buddyId);
                 }
             });
 
             input.addEventListener('focus', () => {
                 this.markMessagesAsRead(buddyId);
             });
+
+            // Pasting a picture sends it
+            input.addEventListener('paste', (e) => {
+                const image = Array.from(e.clipboardData?.files || []).find(file => IMAGE_TYPES.includes(file.type));
+                if (image) {
+                    e.preventDefault();
+                    this.sendImage(buddyId, image);
+                }
+            });
+        }
+
+        const messages = chatWindow.querySelector('.chat-messages');
+        if (messages) {
+            messages.addEventListener('scroll', () => {
+                if (messages.scrollTop < 40) {
+                    this.loadMessageHistory(buddyId, { older: true });
+                }
+            });
         }
 
         const header = chatWindow.querySelector('.chat-header');
@@ -302,26 +468,41 @@ class ChatManager {
         input.style.height = 'auto';
         this.stopTypingIndicator(buddyId);
 
+        // Client-generated id lets the server dedupe retries of this message
+        const clientMessageId = this.generateClientMessageId();
+        const replyTo = this.replyDrafts.get(buddyId) || null;
+        this.cancelReply(buddyId);
         const payload = {
             type: 'private_message',
             toUserId: buddyId,
-            message: message
+            message: message,
+            clientMessageId: clientMessageId
         };
+        if (replyTo) payload.replyToId = replyTo.messageId;
+
+        // optimistically display outgoing message until the server confirms it,
+        // formatted the way the server will store it
+        const parsed = this._parseMarkup(escapeStoredText(message));
+        const msg = {
+            fromUserId: this.app.currentUser ? this.app.currentUser.id : null,
+            toUserId: buddyId,
+            message: parsed.text,
+            formatting: this._ownFormatting(parsed.nodes),
+            messageId: clientMessageId,
+            clientMessageId,
+            replyTo,
+            timestamp: new Date().toISOString(),
+            direction: 'outgoing',
+            status: 'pending'
+        };
+        this.displayMessage(msg);
+        this._storeMessage(msg);
 
         try {
             if (this.app && this.app.ws && this.app.isConnected) {
+                // kept until message_ack; resent with the same id after a reconnect
+                this.pendingOutgoing.set(clientMessageId, payload);
                 this.app.ws.send(JSON.stringify(payload));
-                // optimistically display outgoing message
-                const msg = {
-                    fromUserId: this.app.currentUser ? this.app.currentUser.id : null,
-                    toUserId: buddyId,
-                    message,
-                    messageId: `local-${Date.now()}`,
-                    timestamp: new Date().toISOString(),
-                    direction: 'outgoing'
-                };
-                this.displayMessage(msg);
-                this._storeMessage(msg);
             } else {
                 // fallback to HTTP
                 if (!this.app || typeof this.app.authenticatedFetch !== 'function') {
@@ -330,32 +511,185 @@ class ChatManager {
                 const response = await this.app.authenticatedFetch('/api/messages/private', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ toUserId: buddyId, message })
+                    body: JSON.stringify({ toUserId: buddyId, message, clientMessageId, replyToId: payload.replyToId })
                 });
-                if (response.ok) {
+                if (response && response.ok) {
                     const data = await response.json();
-                    const msg = {
-                        fromUserId: this.app.currentUser ? this.app.currentUser.id : null,
-                        toUserId: buddyId,
-                        message,
-                        messageId: data.messageId || `server-${Date.now()}`,
-                        timestamp: data.timestamp || new Date().toISOString(),
-                        direction: 'outgoing'
-                    };
-                    this.displayMessage(msg);
-                    this._storeMessage(msg);
+                    this.handleMessageAck({ ...data, toUserId: buddyId });
                 } else {
                     throw new Error('HTTP send failed');
                 }
             }
         } catch (error) {
             console.error('Error sending message:', error);
+            this.pendingOutgoing.delete(clientMessageId);
+            this._setMessageStatus(this._findMessageElement({ clientMessageId }), 'failed');
             if (this.app && typeof this.app.showNotification === 'function') {
                 this.app.showNotification('Failed to send message', 'error');
             }
         }
     }
 
+    // BUZZ! shakes the buddy's window; the server limits how often
+    sendBuzz(buddyId) {
+        if (!this.app || !this.app.ws || !this.app.isConnected) {
+            if (typeof this.app.showNotification === 'function') {
+                this.app.showNotification('You need to be connected to buzz', 'warning');
+            }
+            return;
+        }
+
+        const clientMessageId = this.generateClientMessageId();
+        const payload = {
+            type: 'buzz',
+            toUserId: buddyId,
+            clientMessageId: clientMessageId
+        };
+
+        const msg = {
+            fromUserId: this.app.currentUser ? this.app.currentUser.id : null,
+            toUserId: buddyId,
+            message: BUZZ_TEXT,
+            messageType: 'buzz',
+            messageId: clientMessageId,
+            clientMessageId,
+            timestamp: new Date().toISOString(),
+            direction: 'outgoing',
+            status: 'pending'
+        };
+        this.displayMessage(msg);
+        this._storeMessage(msg);
+
+        try {
+            this.pendingOutgoing.set(clientMessageId, payload);
+            this.app.ws.send(JSON.stringify(payload));
+        } catch (error) {
+            console.error('Error sending buzz:', error);
+            this.pendingOutgoing.delete(clientMessageId);
+            this._setMessageStatus(this._findMessageElement({ clientMessageId }), 'failed');
+        }
+    }
+
+    shakeChatWindow(buddyId) {
+        const chatWindow = this.chatWindows.get(Number(buddyId));
+        if (!chatWindow) return;
+
+        this.bringChatToFront(chatWindow);
+        chatWindow.classList.remove('chat-window-buzz');
+        // restart the animation when buzzed again mid-shake
+        void chatWindow.offsetWidth;
+        chatWindow.classList.add('chat-window-buzz');
+        chatWindow.addEventListener('animationend', () => chatWindow.classList.remove('chat-window-buzz'), { once: true });
+
+        this.playBuzzSound();
+    }
+
+    playBuzzSound() {
+        try {
+            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            const oscillator = audioContext.createOscillator();
+            const gainNode = audioContext.createGain();
+
+            oscillator.connect(gainNode);
+            gainNode.connect(audioContext.destination);
+
+            // A low rattle: square wave wobbling between two pitches
+            oscillator.type = 'square';
+            for (let i = 0; i < 8; i++) {
+                oscillator.frequency.setValueAtTime(i % 2 ? 90 : 120, audioContext.currentTime + i * 0.06);
+            }
+            gainNode.gain.setValueAtTime(0.2, audioContext.currentTime);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.5);
+
+            oscillator.start();
+            oscillator.stop(audioContext.currentTime + 0.5);
+            oscillator.onended = () => audioContext.close();
+        } catch (error) {
+            console.error('Error playing buzz sound:', error);
+        }
+    }
+
+    generateClientMessageId() {
+        if (window.crypto?.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        // RFC 4122 v4 fallback for older browsers
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+            const r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    /**
+     * Resend messages that never got a message_ack (e.g. the socket dropped)
+     * The server recognises the clientMessageId and won't store them twice
+     */
+    resendPendingMessages() {
+        if (!this.app || !this.app.ws || !this.app.isConnected) return;
+        this.pendingOutgoing.forEach(payload => {
+            try {
+                this.app.ws.send(JSON.stringify(payload));
+            } catch (e) {
+                // stays pending for the next reconnect
+            }
+        });
+    }
+
+    /**
+     * Server stored our message: swap the temporary id for the real one
+     */
+    handleMessageAck(ack) {
+        if (!ack.clientMessageId) return;
+        this.pendingOutgoing.delete(ack.clientMessageId);
+        this.confirmOutgoing({
+            clientMessageId: ack.clientMessageId,
+            messageId: ack.messageId,
+            toUserId: ack.toUserId,
+            status: ack.status || 'sent'
+        });
+    }
+
+    handleMessageDelivered(message) {
+        const el = this._findMessageElement(message);
+        this._setMessageStatus(el, 'delivered');
+    }
+
+    handleSendError(error) {
+        if (!error.clientMessageId) return;
+        this.pendingOutgoing.delete(error.clientMessageId);
+        this._setMessageStatus(this._findMessageElement({ clientMessageId: error.clientMessageId }), 'failed');
+        if (this.app && typeof this.app.showNotification === 'function') {
+            this.app.showNotification(error.message || 'Failed to send message', 'error');
+        }
+    }
+
+    /**
+     * Match a server copy of one of our messages (ack, echo or sync) to the
+     * optimistic bubble. Returns true when the bubble already exists.
+     */
+    confirmOutgoing(message) {
+        if (!message.clientMessageId) return false;
+        const el = this._findMessageElement({ clientMessageId: message.clientMessageId });
+        if (!el) return false;
+
+        const buddyId = Number(message.toUserId);
+        const hist = this.messageHistory.get(buddyId);
+        if (hist && message.messageId != null) {
+            hist.ids.add(message.messageId);
+            const stored = hist.messages.find(m => m.clientMessageId === message.clientMessageId);
+            if (stored) stored.messageId = message.messageId;
+        }
+        if (message.messageId != null) {
+            el.dataset.messageId = message.messageId;
+        }
+
+        let status = message.status || 'sent';
+        if (message.read) status = 'read';
+        else if (message.deliveredAt) status = 'delivered';
+        this._setMessageStatus(el, status);
+        return true;
+    }
+
     handleIncomingMessage(message) {
         // Normalize fields
         const from = message.fromUserId || message.from_user_id || message.from;
@@ -371,10 +705,18 @@ class ChatManager {
             direction: (from && this.app && this.app.currentUser && from === this.app.currentUser.id) ? 'outgoing' : 'incoming'
         };
 
+        // our own message echoed from another device or replayed by sync
+        if (normalized.direction === 'outgoing' && this.confirmOutgoing(normalized)) return;
+
         // store and display
         this._storeMessage(normalized);
         this.displayMessage(normalized);
 
+        if (normalized.messageType === 'buzz' && normalized.direction === 'incoming' &&
+            Date.now() - new Date(normalized.timestamp).getTime() < BUZZ_FRESH_MS) {
+            this.shakeChatWindow(normalized.fromUserId);
+        }
+
         // notification if chat not active
         if (!this.isChatActive(normalized.fromUserId)) {
             this.showMessageNotification(normalized);
@@ -383,7 +725,7 @@ class ChatManager {
         }
     }
 
-    displayMessage(message) {
+    displayMessage(message, { prepend = false } = {}) {
         const buddyId = message.direction === 'incoming' ? message.fromUserId : message.toUserId;
         const chatId = `chat-${buddyId}`;
         if (!this.chatWindows.has(buddyId)) {
@@ -403,6 +745,9 @@ class ChatManager {
         const messageElement = document.createElement('div');
         messageElement.className = `chat-message ${message.direction === 'outgoing' ? 'own' : 'buddy'}`;
         messageElement.dataset.messageId = message.messageId;
+        if (message.clientMessageId) {
+            messageElement.dataset.clientMessageId = message.clientMessageId;
+        }
 
         if (message.direction === 'incoming') {
             const senderLabel = document.createElement('div');
@@ -411,31 +756,1305 @@ class ChatManager {
             messageElement.appendChild(senderLabel);
         }
 
+        messageElement.dataset.timestamp = message.timestamp;
+        messageElement.dataset.messageType = message.messageType || message.message_type || 'text';
+
+        const deleted = Boolean(message.deletedAt || message.deleted_at);
+        if (messageElement.dataset.messageType === 'buzz') {
+            messageElement.classList.add('chat-message-buzz');
+        }
+
+        const replyTo = message.replyTo || message.reply_to;
+        if (replyTo && !deleted) {
+            messageElement.appendChild(this._createQuote(buddyId, replyTo));
+        }
+
         const textEl = document.createElement('div');
         textEl.className = 'chat-message-text';
-        textEl.textContent = message.message || '';
         messageElement.appendChild(textEl);
+        if (deleted) {
+            textEl.textContent = 'This message was deleted';
+        } else {
+            this._renderMessageText(textEl, message.message || '', message.formatting || null);
+        }
+        if (message.file && !deleted) {
+            // the text is only the file name; the file card or picture shows it instead
+            textEl.classList.add('hidden');
+            messageElement.appendChild(messageElement.dataset.messageType === 'image'
+                ? this._createImagePreview(message.file)
+                : this._createFileCard(message.file));
+        }
+        if (deleted) {
+            messageElement.classList.add('chat-message-deleted');
+        } else {
+            messageElement.appendChild(this._createReactionBar(message.reactions || []));
+            messageElement.appendChild(this._createQuickReactions());
+        }
 
         const timeEl = document.createElement('div');
         timeEl.className = 'chat-message-time';
         const ts = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
         timeEl.textContent = ts;
+        if (!deleted && (message.editedAt || message.edited_at)) {
+            timeEl.appendChild(this._createEditedMarker(message.editedAt || message.edited_at));
+        }
         if (message.direction === 'outgoing') {
             const statusSpan = document.createElement('span');
-            statusSpan.className = 'message-status sent';
+            let status = message.status || 'sent';
+            if (message.read) status = 'read';
+            else if (message.deliveredAt || message.delivered_at) status = 'delivered';
+            statusSpan.className = `message-status ${status}`;
             timeEl.appendChild(statusSpan);
         }
         messageElement.appendChild(timeEl);
 
-        messagesContainer.appendChild(messageElement);
-        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        messageElement.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.showMessageContextMenu(e, buddyId, messageElement);
+        });
+
+        // Keep the window in time order (id breaks ties): history pages can
+        // arrive after newer live messages are already on screen, and
+        // imported archives have new ids for old messages
+        const numericId = Number(message.messageId);
+        const time = new Date(message.timestamp).getTime();
+        let next = null;
+        if (prepend || Number.isInteger(numericId)) {
+            next = Array.from(messagesContainer.querySelectorAll('.chat-message')).find(el => {
+                const id = Number(el.dataset.messageId);
+                if (prepend || !Number.isInteger(id)) return true;
+                const elTime = new Date(el.dataset.timestamp).getTime();
+                return elTime > time || (!(elTime < time) && id > numericId);
+            }) || null;
+        }
+        if (next) {
+            messagesContainer.insertBefore(messageElement, next);
+        } else {
+            messagesContainer.appendChild(messageElement);
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        }
 
         // animation
         messageElement.style.animation = 'fadeIn 0.3s ease-out';
     }
 
+    /* ---------- Editing ---------- */
+
+    showMessageContextMenu(e, buddyId, messageElement) {
+        this.hideMessageContextMenu();
+
+        const messageId = Number(messageElement.dataset.messageId);
+        if (!Number.isInteger(messageId)) return; // not confirmed by the server yet
+
+        const items = [];
+        if (!messageElement.classList.contains('chat-message-deleted')) {
+            items.push({ label: 'Reply', action: () => this.startReply(buddyId, messageElement) });
+        }
+        if (this._canEditMessage(messageElement)) {
+            items.push({ label: 'Edit', action: () => this.startEditMessage(buddyId, messageElement) });
+        }
+        if (messageElement.querySelector('.chat-message-edited')) {
+            items.push({ label: 'View Edit History', action: () => this.showMessageRevisions(messageId) });
+        }
+        items.push({ label: 'Delete for Me', action: () => this.deleteMessage(messageId, 'me') });
+        if (messageElement.classList.contains('own') && !messageElement.classList.contains('chat-message-deleted')) {
+            items.push({ label: 'Delete for Everyone', action: () => this.deleteMessage(messageId, 'everyone') });
+        }
+
+        this._showContextMenu(e, items);
+    }
+
+    // Window menu from the header: saving the conversation
+    showChatMenu(e, buddyId) {
+        this.hideMessageContextMenu();
+        this._showContextMenu(e, [
+            { label: 'Save Conversation', action: () => this.saveConversation(buddyId, 'html') },
+            { label: 'Save Conversation as Text', action: () => this.saveConversation(buddyId, 'txt') },
+            { label: 'Save Conversation as JSON', action: () => this.saveConversation(buddyId, 'json') },
+            { label: 'Save All Conversations (ZIP)', action: () => this.saveAllConversations() },
+            {
+                label: this._emoticonsEnabled() ? 'Turn Emoticons Off' : 'Turn Emoticons On',
+                action: () => this.app.updatePreferences({ emoticons: !this._emoticonsEnabled() })
+            },
+            {
+                label: this._showBuddyFormatting() ? "Hide Buddies' Fonts & Colours" : "Show Buddies' Fonts & Colours",
+                action: () => this.app.updatePreferences({ showFormatting: !this._showBuddyFormatting() })
+            }
+        ]);
+    }
+
+    _showContextMenu(e, items) {
+        const menu = document.createElement('div');
+        menu.className = 'chat-message-context';
+        items.forEach(item => {
+            const entry = document.createElement('div');
+            entry.className = 'chat-message-context-item';
+            entry.textContent = item.label;
+            entry.addEventListener('click', () => {
+                this.hideMessageContextMenu();
+                item.action();
+            });
+            menu.appendChild(entry);
+        });
+
+        menu.style.left = `${e.pageX}px`;
+        menu.style.top = `${e.pageY}px`;
+        document.body.appendChild(menu);
+        this.messageContextMenu = menu;
+    }
+
+    hideMessageContextMenu() {
+        if (this.messageContextMenu) {
+            this.messageContextMenu.remove();
+            this.messageContextMenu = null;
+        }
+    }
+
+    // Own, confirmed, undeleted messages inside the edit window
+    _canEditMessage(messageElement) {
+        if (!messageElement.classList.contains('own')) return false;
+        if (messageElement.dataset.messageType !== 'text') return false;
+        if (messageElement.classList.contains('chat-message-editing')) return false;
+        if (messageElement.classList.contains('chat-message-deleted')) return false;
+        if (!Number.isInteger(Number(messageElement.dataset.messageId))) return false;
+        const sentAt = new Date(messageElement.dataset.timestamp).getTime();
+        return Number.isFinite(sentAt) && Date.now() - sentAt < MESSAGE_EDIT_WINDOW_MS;
+    }
+
+    startEditMessage(buddyId, messageElement) {
+        const textEl = messageElement.querySelector('.chat-message-text');
+        if (!textEl) return;
+
+        // edit the tags too, as they were typed
+        const formatting = textEl.dataset.formatting ? JSON.parse(textEl.dataset.formatting) : null;
+        const original = formatting && formatting.nodes && window.YM7RichText
+            ? window.YM7RichText.toMarkup(formatting.nodes)
+            : (textEl.dataset.text || '');
+        messageElement.classList.add('chat-message-editing');
+        textEl.classList.add('hidden');
+
+        const editor = document.createElement('div');
+        editor.className = 'chat-edit-form';
+
+        const input = document.createElement('textarea');
+        input.className = 'chat-edit-input';
+        input.maxLength = 1000;
+        // stored text is HTML-escaped; edit what the user originally typed
+        input.value = this.app && typeof this.app.decodeHtml === 'function' ? this.app.decodeHtml(original) : original;
+
+        const actions = document.createElement('div');
+        actions.className = 'chat-edit-actions';
+
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'chat-edit-btn';
+        saveBtn.textContent = 'Save';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'chat-edit-btn cancel';
+        cancelBtn.textContent = 'Cancel';
+
+        const finish = () => {
+            editor.remove();
+            textEl.classList.remove('hidden');
+            messageElement.classList.remove('chat-message-editing');
+        };
+        const save = () => {
+            const text = input.value.trim();
+            finish();
+            if (text && text !== input.defaultValue) {
+                this.saveMessageEdit(Number(messageElement.dataset.messageId), text);
+            }
+        };
+
+        input.defaultValue = input.value;
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                save();
+            } else if (e.key === 'Escape') {
+                finish();
+            }
+        });
+        saveBtn.addEventListener('click', save);
+        cancelBtn.addEventListener('click', finish);
+
+        actions.appendChild(saveBtn);
+        actions.appendChild(cancelBtn);
+        editor.appendChild(input);
+        editor.appendChild(actions);
+        textEl.after(editor);
+        input.focus();
+    }
+
+    /**
+     * Send an edit; the change is shown once the server's message_edited arrives
+     */
+    async saveMessageEdit(messageId, text) {
+        if (this.app && typeof this.app.sendWS === 'function' &&
+            this.app.sendWS({ type: 'message_edit', messageId, message: text })) {
+            return;
+        }
+
+        if (!this.app || typeof this.app.authenticatedFetch !== 'function') return;
+        try {
+            const response = await this.app.authenticatedFetch(`/api/messages/${messageId}`, {
+                method: 'PUT',
+                body: JSON.stringify({ message: text })
+            });
+            const data = response ? await response.json() : null;
+            if (!response || !response.ok) {
+                this.handleMessageError({ messageId, message: data?.error || 'Failed to edit message' });
+                return;
+            }
+            this.handleMessageEdited(data);
+        } catch (e) {
+            console.error('Error editing message:', e);
+            this.handleMessageError({ messageId, message: 'Failed to edit message' });
+        }
+    }
+
+    /**
+     * The server refused an edit or delete of a message
+     */
+    handleMessageError(error) {
+        if (this.app && typeof this.app.showNotification === 'function') {
+            this.app.showNotification(error.message || 'Message could not be changed', 'error');
+        }
+    }
+
+    /**
+     * A message was edited on any device (live or replayed by sync)
+     */
+    handleMessageEdited(message) {
+        const messageId = Number(message.messageId);
+        const myId = this.app && this.app.currentUser ? this.app.currentUser.id : null;
+        const buddyId = Number(message.fromUserId === myId ? message.toUserId : message.fromUserId);
+
+        const hist = this.messageHistory.get(buddyId);
+        const stored = hist ? hist.messages.find(m => m.messageId === messageId) : null;
+        if (stored) {
+            stored.message = message.message;
+            stored.formatting = message.formatting || null;
+            stored.editedAt = message.editedAt;
+        }
+
+        this._updateQuotes(buddyId, messageId, message.message);
+
+        const el = document.querySelector(`#chat-${buddyId}-messages [data-message-id="${messageId}"]`);
+        if (!el) return;
+
+        const textEl = el.querySelector('.chat-message-text');
+        if (textEl) this._renderMessageText(textEl, message.message, message.formatting || null);
+
+        const timeEl = el.querySelector('.chat-message-time');
+        const marker = el.querySelector('.chat-message-edited');
+        if (marker) {
+            marker.replaceWith(this._createEditedMarker(message.editedAt));
+        } else if (timeEl) {
+            timeEl.insertBefore(this._createEditedMarker(message.editedAt), timeEl.querySelector('.message-status'));
+        }
+    }
+
+    /**
+     * Delete for 'me' (hide from my history) or for 'everyone' (sender only)
+     * The window updates when the server's message_deleted arrives
+     */
+    async deleteMessage(messageId, mode) {
+        if (mode === 'everyone' && !confirm('Delete this message for everyone?')) return;
+
+        if (this.app && typeof this.app.sendWS === 'function' &&
+            this.app.sendWS({ type: 'message_delete', messageId, mode })) {
+            return;
+        }
+
+        if (!this.app || typeof this.app.authenticatedFetch !== 'function') return;
+        try {
+            const response = await this.app.authenticatedFetch(`/api/messages/${messageId}?mode=${mode}`, {
+                method: 'DELETE'
+            });
+            const data = response ? await response.json() : null;
+            if (!response || !response.ok) {
+                this.handleMessageError({ messageId, message: data?.error || 'Failed to delete message' });
+            }
+        } catch (e) {
+            console.error('Error deleting message:', e);
+            this.handleMessageError({ messageId, message: 'Failed to delete message' });
+        }
+    }
+
+    /**
+     * A message was deleted for everyone (tombstone) or hidden by one of my devices
+     */
+    handleMessageDeleted(message) {
+        const messageId = Number(message.messageId);
+        const myId = this.app && this.app.currentUser ? this.app.currentUser.id : null;
+        const buddyId = Number(message.fromUserId === myId ? message.toUserId : message.fromUserId);
+
+        const hist = this.messageHistory.get(buddyId);
+        const el = document.querySelector(`#chat-${buddyId}-messages [data-message-id="${messageId}"]`);
+
+        if (!message.forEveryone) {
+            // id stays in hist.ids so a replay doesn't bring the message back
+            if (hist) hist.messages = hist.messages.filter(m => m.messageId !== messageId);
+            if (el) el.remove();
+            return;
+        }
+
+        const stored = hist ? hist.messages.find(m => m.messageId === messageId) : null;
+        if (stored) {
+            stored.message = '';
+            stored.deletedAt = message.deletedAt;
+        }
+        this._updateQuotes(buddyId, messageId, null);
+        if (this.replyDrafts.get(buddyId)?.messageId === messageId) this.cancelReply(buddyId);
+        if (!el) return;
+
+        el.classList.remove('chat-message-editing');
+        el.classList.add('chat-message-deleted');
+        const editor = el.querySelector('.chat-edit-form');
+        if (editor) editor.remove();
+        const marker = el.querySelector('.chat-message-edited');
+        if (marker) marker.remove();
+        el.querySelectorAll('.chat-message-quote, .chat-message-file, .chat-message-image, .chat-message-reactions, .chat-quick-reactions').forEach(node => node.remove());
+        const textEl = el.querySelector('.chat-message-text');
+        if (textEl) {
+            textEl.classList.remove('hidden');
+            delete textEl.dataset.text;
+            delete textEl.dataset.formatting;
+            textEl.removeAttribute('style');
+            textEl.textContent = 'This message was deleted';
+        }
+    }
+
+    async showMessageRevisions(messageId) {
+        if (!this.app || typeof this.app.authenticatedFetch !== 'function') return;
+        const list = document.getElementById('messageRevisionsList');
+        if (!list) return;
+
+        try {
+            const response = await this.app.authenticatedFetch(`/api/messages/${messageId}/revisions`);
+            if (!response || !response.ok) throw new Error('Failed to load revisions');
+            const data = await response.json();
+
+            list.innerHTML = '';
+            const versions = [
+                ...data.revisions.map(r => ({ text: r.message, label: `Replaced ${new Date(r.replaced_at).toLocaleString()}` })),
+                { text: data.current.message, label: 'Current' }
+            ];
+            versions.forEach(version => {
+                const item = document.createElement('div');
+                item.className = 'chat-revision';
+                const label = document.createElement('div');
+                label.className = 'chat-revision-time';
+                label.textContent = version.label;
+                const text = document.createElement('div');
+                text.className = 'chat-revision-text';
+                text.textContent = version.text;
+                item.appendChild(label);
+                item.appendChild(text);
+                list.appendChild(item);
+            });
+
+            this.app.showModal('messageRevisionsModal');
+        } catch (e) {
+            console.error('Error loading message revisions:', e);
+            if (typeof this.app.showNotification === 'function') {
+                this.app.showNotification('Could not load edit history', 'error');
+            }
+        }
+    }
+
+    _createEditedMarker(editedAt) {
+        const marker = document.createElement('span');
+        marker.className = 'chat-message-edited';
+        marker.textContent = ' (edited)';
+        marker.title = `Edited ${new Date(editedAt).toLocaleString()}`;
+        return marker;
+    }
+
+    /* ---------- Message text ---------- */
+
+    /**
+     * Show a message's text with its formatting (font, colour, bold/italic/
+     * underline) unless buddies' formatting is turned off. Fonts and colours
+     * are only applied from the allowed sets.
+     */
+    _renderMessageText(textEl, storedText, formatting = null) {
+        textEl.dataset.text = storedText;
+        if (formatting) {
+            textEl.dataset.formatting = JSON.stringify(formatting);
+        } else {
+            delete textEl.dataset.formatting;
+        }
+        textEl.textContent = '';
+        textEl.removeAttribute('style');
+
+        const own = Boolean(textEl.closest('.chat-message.own'));
+        if (!formatting || !window.YM7RichText || !(own || this._showBuddyFormatting())) {
+            this._appendMessageText(textEl, storedText);
+            return;
+        }
+
+        const { FONTS, isColor } = window.YM7RichText;
+        if (FONTS.includes(formatting.font)) textEl.style.fontFamily = `"${formatting.font}"`;
+        if (isColor(formatting.color)) textEl.style.color = formatting.color;
+
+        if (Array.isArray(formatting.nodes)) {
+            this._appendFormattedNodes(textEl, formatting.nodes);
+        } else {
+            this._appendMessageText(textEl, storedText);
+        }
+    }
+
+    _appendFormattedNodes(parent, nodes) {
+        nodes.forEach(node => {
+            if (node.type === 'text') {
+                this._appendMessageText(parent, String(node.text || ''));
+                return;
+            }
+
+            const tag = FORMAT_ELEMENTS[node.type];
+            if (!tag) {
+                // something newer than this page knows: keep the text at least
+                this._appendFormattedNodes(parent, node.children || []);
+                return;
+            }
+
+            const el = document.createElement(tag);
+            if (node.type === 'color' && window.YM7RichText.isColor(node.color)) {
+                el.style.color = node.color;
+            }
+            this._appendFormattedNodes(el, node.children || []);
+            parent.appendChild(el);
+        });
+    }
+
+    // Redraw every message on screen, e.g. after emoticons were turned on or off
+    refreshMessageText() {
+        document.querySelectorAll('.chat-message-text[data-text]').forEach(textEl => {
+            const formatting = textEl.dataset.formatting ? JSON.parse(textEl.dataset.formatting) : null;
+            this._renderMessageText(textEl, textEl.dataset.text, formatting);
+        });
+    }
+
+    // Settings changed here or on another device
+    applyPreferences() {
+        this.refreshMessageText();
+        this.chatWindows.forEach((chatWindow, buddyId) => this._applyOwnStyle(buddyId));
+    }
+
+    /* ---------- Formatting ---------- */
+
+    _showBuddyFormatting() {
+        return this.app?.preferences?.showFormatting !== false;
+    }
+
+    // Take [b]-style tags out of (escaped) text, as the server will
+    _parseMarkup(storedText) {
+        return window.YM7RichText ? window.YM7RichText.parse(storedText) : { text: storedText, nodes: [] };
+    }
+
+    // The formatting the server stores with a message I send
+    _ownFormatting(nodes) {
+        return window.YM7RichText ? window.YM7RichText.buildFormatting(nodes, this.app?.preferences || {}) : null;
+    }
+
+    _createFormatToolbar(buddyId) {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'chat-format-toolbar';
+        toolbar.id = `chat-${buddyId}-format`;
+
+        [['b', 'B', 'Bold'], ['i', 'I', 'Italic'], ['u', 'U', 'Underline']].forEach(([tag, label, title]) => {
+            const btn = document.createElement('button');
+            btn.className = `chat-format-btn chat-format-${tag}`;
+            btn.title = title;
+            btn.textContent = label;
+            btn.addEventListener('click', () => this.wrapSelection(buddyId, `[${tag}]`, `[/${tag}]`));
+            toolbar.appendChild(btn);
+        });
+
+        const textColor = document.createElement('input');
+        textColor.type = 'color';
+        textColor.className = 'chat-format-color';
+        textColor.title = 'Colour the selected text';
+        textColor.value = '#ff0000';
+        textColor.addEventListener('change', () => {
+            this.wrapSelection(buddyId, `[color=${textColor.value}]`, '[/color]');
+        });
+        toolbar.appendChild(textColor);
+
+        if (!window.YM7RichText) return toolbar;
+
+        // My default font and colour, for every message I send
+        const font = document.createElement('select');
+        font.className = 'chat-format-font';
+        font.title = 'My font';
+        const defaultFont = document.createElement('option');
+        defaultFont.value = '';
+        defaultFont.textContent = 'Default font';
+        font.appendChild(defaultFont);
+        window.YM7RichText.FONTS.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            option.style.fontFamily = `"${name}"`;
+            font.appendChild(option);
+        });
+        font.addEventListener('change', () => this.app.updatePreferences({ font: font.value || null }));
+
+        const myColor = document.createElement('input');
+        myColor.type = 'color';
+        myColor.className = 'chat-format-color chat-format-my-color';
+        myColor.title = 'My text colour';
+        myColor.addEventListener('change', () => this.app.updatePreferences({ color: myColor.value }));
+
+        toolbar.appendChild(font);
+        toolbar.appendChild(myColor);
+        return toolbar;
+    }
+
+    // Put tags around the selected text, or an empty pair at the cursor
+    wrapSelection(buddyId, opening, closing) {
+        const input = document.getElementById(`chat-${buddyId}-input`);
+        if (!input) return;
+
+        const start = input.selectionStart ?? input.value.length;
+        const end = input.selectionEnd ?? start;
+        input.value = input.value.slice(0, start) + opening + input.value.slice(start, end) + closing + input.value.slice(end);
+        input.selectionStart = start + opening.length;
+        input.selectionEnd = end + opening.length;
+        input.focus();
+        this.handleChatInput(buddyId, input.value);
+        this.autoResizeTextarea(input);
+    }
+
+    // Show my font and colour in a chat window's toolbar and message box
+    _applyOwnStyle(buddyId) {
+        const prefs = this.app?.preferences || {};
+        const toolbar = document.getElementById(`chat-${buddyId}-format`);
+        const input = document.getElementById(`chat-${buddyId}-input`);
+
+        const font = toolbar && toolbar.querySelector('.chat-format-font');
+        if (font) font.value = prefs.font || '';
+        const myColor = toolbar && toolbar.querySelector('.chat-format-my-color');
+        if (myColor) myColor.value = prefs.color || '#000000';
+
+        if (input) {
+            input.style.fontFamily = prefs.font ? `"${prefs.font}"` : '';
+            input.style.color = prefs.color || '';
+        }
+    }
+
+    /* ---------- Emoticons ---------- */
+
+    _emoticonsEnabled() {
+        return Boolean(window.YM7Emoticons) && this.app?.preferences?.emoticons !== false;
+    }
+
+    /**
+     * Add stored message text to an element, with shortcodes like :) as emoticons
+     * The stored text is HTML-escaped; it is decoded and put back only as
+     * text nodes, so nothing in a message can become markup.
+     */
+    _appendMessageText(parent, storedText) {
+        const text = this.app && typeof this.app.decodeHtml === 'function' ? this.app.decodeHtml(storedText) : storedText;
+        if (!this._emoticonsEnabled()) {
+            parent.appendChild(document.createTextNode(text));
+            return;
+        }
+
+        window.YM7Emoticons.tokenize(text).forEach(token => {
+            if (token.type === 'text') {
+                parent.appendChild(document.createTextNode(token.text));
+                return;
+            }
+            const emoticon = document.createElement('span');
+            emoticon.className = 'emoticon';
+            emoticon.title = `${token.label} ${token.shortcode}`;
+            emoticon.textContent = token.emoji;
+            parent.appendChild(emoticon);
+        });
+    }
+
+    toggleEmoticonPicker(buddyId, button) {
+        const wasOpen = this.emoticonPicker && this.emoticonPicker.dataset.buddyId === String(buddyId);
+        this.hideEmoticonPicker();
+        if (wasOpen || !window.YM7Emoticons) return;
+
+        const picker = document.createElement('div');
+        picker.className = 'chat-emoticon-picker';
+        picker.dataset.buddyId = buddyId;
+        window.YM7Emoticons.EMOTICONS.forEach(emoticon => {
+            const item = document.createElement('button');
+            item.className = 'chat-emoticon-item';
+            item.title = `${emoticon.label} ${emoticon.codes[0]}`;
+            item.textContent = emoticon.emoji;
+            item.addEventListener('click', () => {
+                this.hideEmoticonPicker();
+                this.insertEmoticon(buddyId, emoticon.codes[0]);
+            });
+            picker.appendChild(item);
+        });
+
+        // Open above the button, like the context menus
+        document.body.appendChild(picker);
+        const rect = button.getBoundingClientRect();
+        picker.style.left = `${Math.max(0, rect.right - picker.offsetWidth) + window.scrollX}px`;
+        picker.style.top = `${Math.max(0, rect.top - picker.offsetHeight - 4) + window.scrollY}px`;
+        this.emoticonPicker = picker;
+    }
+
+    hideEmoticonPicker() {
+        if (this.emoticonPicker) {
+            this.emoticonPicker.remove();
+            this.emoticonPicker = null;
+        }
+    }
+
+    // Type the shortcode at the cursor, spaced so it stands apart from words
+    insertEmoticon(buddyId, code) {
+        const input = document.getElementById(`chat-${buddyId}-input`);
+        if (!input) return;
+
+        const start = input.selectionStart ?? input.value.length;
+        const end = input.selectionEnd ?? start;
+        const before = input.value.slice(0, start);
+        const after = input.value.slice(end);
+        const insert = (before && !/\s$/.test(before) ? ' ' : '') + code + (after && !/^\s/.test(after) ? ' ' : '');
+
+        input.value = before + insert + after;
+        input.selectionStart = input.selectionEnd = before.length + insert.length;
+        input.focus();
+        this.handleChatInput(buddyId, input.value);
+        this.autoResizeTextarea(input);
+    }
+
+    /* ---------- Replies ---------- */
+
+    startReply(buddyId, messageElement) {
+        const messageId = Number(messageElement.dataset.messageId);
+        if (!Number.isInteger(messageId)) return;
+
+        const textEl = messageElement.querySelector('.chat-message-text');
+        const text = textEl ? textEl.textContent : '';
+        const fromUserId = messageElement.classList.contains('own')
+            ? (this.app && this.app.currentUser ? this.app.currentUser.id : null)
+            : Number(buddyId);
+        this.replyDrafts.set(Number(buddyId), {
+            messageId,
+            fromUserId,
+            snippet: text.length > 100 ? `${text.slice(0, 100)}…` : text,
+            deleted: false
+        });
+
+        const preview = document.getElementById(`chat-${buddyId}-reply`);
+        if (preview) {
+            preview.querySelector('.chat-reply-preview-text').textContent =
+                `Replying to ${this._quoteAuthor(buddyId, fromUserId)}: ${text}`;
+            preview.classList.remove('hidden');
+        }
+        const input = document.getElementById(`chat-${buddyId}-input`);
+        if (input) input.focus();
+    }
+
+    cancelReply(buddyId) {
+        this.replyDrafts.delete(Number(buddyId));
+        const preview = document.getElementById(`chat-${buddyId}-reply`);
+        if (preview) preview.classList.add('hidden');
+    }
+
+    _quoteAuthor(buddyId, fromUserId) {
+        const myId = this.app && this.app.currentUser ? this.app.currentUser.id : null;
+        return fromUserId === myId ? 'You' : this.getBuddyName(buddyId);
+    }
+
+    _createQuote(buddyId, replyTo) {
+        const quote = document.createElement('div');
+        quote.className = 'chat-message-quote';
+        quote.dataset.replyToId = replyTo.messageId;
+        quote.title = 'Go to original message';
+
+        const author = document.createElement('div');
+        author.className = 'chat-message-quote-author';
+        author.textContent = this._quoteAuthor(buddyId, replyTo.fromUserId);
+
+        const snippet = document.createElement('div');
+        snippet.className = 'chat-message-quote-text';
+        snippet.textContent = replyTo.deleted ? 'Message deleted' : (replyTo.snippet || '');
+
+        quote.appendChild(author);
+        quote.appendChild(snippet);
+        quote.addEventListener('click', () => this.scrollToMessage(buddyId, replyTo.messageId));
+        return quote;
+    }
+
+    // Keep quotes of an edited (text) or deleted (null) message current
+    _updateQuotes(buddyId, messageId, text) {
+        document.querySelectorAll(`#chat-${buddyId}-messages .chat-message-quote[data-reply-to-id="${messageId}"] .chat-message-quote-text`)
+            .forEach(el => {
+                if (text === null) {
+                    el.textContent = 'Message deleted';
+                } else {
+                    el.textContent = text.length > 100 ? `${text.slice(0, 100)}…` : text;
+                }
+            });
+    }
+
+    /**
+     * Bring the quoted message into view and flash it
+     */
+    scrollToMessage(buddyId, messageId) {
+        const el = document.querySelector(`#chat-${buddyId}-messages [data-message-id="${Number(messageId)}"]`);
+        if (!el) {
+            if (this.app && typeof this.app.showNotification === 'function') {
+                this.app.showNotification('The original message is not loaded', 'info');
+            }
+            return;
+        }
+        el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        el.classList.add('chat-message-highlight');
+        setTimeout(() => el.classList.remove('chat-message-highlight'), 1500);
+    }
+
+    /* ---------- Search ---------- */
+
+    _createSearchPanel(buddyId) {
+        const chatId = `chat-${buddyId}`;
+        const panel = document.createElement('div');
+        panel.className = 'chat-search-panel hidden';
+        panel.id = `${chatId}-search`;
+
+        const form = document.createElement('form');
+        form.className = 'chat-search-form';
+
+        const input = document.createElement('input');
+        input.type = 'search';
+        input.className = 'chat-search-input';
+        input.placeholder = 'Search messages...';
+        input.maxLength = 200;
+
+        const from = document.createElement('input');
+        from.type = 'date';
+        from.className = 'chat-search-from';
+        from.title = 'From';
+
+        const to = document.createElement('input');
+        to.type = 'date';
+        to.className = 'chat-search-to';
+        to.title = 'To';
+
+        const submit = document.createElement('button');
+        submit.type = 'submit';
+        submit.className = 'chat-search-btn';
+        submit.textContent = 'Find';
+
+        form.appendChild(input);
+        form.appendChild(from);
+        form.appendChild(to);
+        form.appendChild(submit);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.searchConversation(buddyId);
+        });
+
+        const results = document.createElement('div');
+        results.className = 'chat-search-results';
+        results.addEventListener('click', (e) => {
+            const item = e.target.closest('.chat-search-result');
+            if (item) this.jumpToMessage(buddyId, Number(item.dataset.messageId));
+        });
+
+        panel.appendChild(form);
+        panel.appendChild(results);
+        return panel;
+    }
+
+    toggleSearchPanel(buddyId) {
+        const panel = document.getElementById(`chat-${buddyId}-search`);
+        if (!panel) return;
+        panel.classList.toggle('hidden');
+        if (!panel.classList.contains('hidden')) {
+            panel.querySelector('.chat-search-input').focus();
+        }
+    }
+
+    async searchConversation(buddyId) {
+        const panel = document.getElementById(`chat-${buddyId}-search`);
+        if (!panel || !this.app || typeof this.app.authenticatedFetch !== 'function') return;
+
+        const query = panel.querySelector('.chat-search-input').value.trim();
+        const from = panel.querySelector('.chat-search-from').value;
+        const to = panel.querySelector('.chat-search-to').value;
+        const results = panel.querySelector('.chat-search-results');
+        if (!query) return;
+
+        const params = new URLSearchParams({ query, buddyId: String(buddyId) });
+        // Date inputs are local days; send the whole day
+        if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+        if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+
+        try {
+            const response = await this.app.authenticatedFetch(`/api/messages/search?${params}`);
+            if (!response || !response.ok) throw new Error('Search failed');
+            const data = await response.json();
+
+            results.innerHTML = '';
+            if (data.results.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'chat-search-empty';
+                empty.textContent = 'No messages found';
+                results.appendChild(empty);
+                return;
+            }
+
+            data.results.forEach(result => {
+                const item = document.createElement('div');
+                item.className = 'chat-search-result';
+                item.dataset.messageId = result.messageId;
+
+                const time = document.createElement('div');
+                time.className = 'chat-search-result-time';
+                const author = result.fromUserId === buddyId ? this.getBuddyName(buddyId) : 'You';
+                time.textContent = `${author} · ${new Date(result.timestamp).toLocaleString()}`;
+
+                // Server-escaped text with <mark> around the matches
+                const snippet = document.createElement('div');
+                snippet.className = 'chat-search-result-text';
+                snippet.innerHTML = result.snippet;
+
+                item.appendChild(time);
+                item.appendChild(snippet);
+                results.appendChild(item);
+            });
+        } catch (e) {
+            console.error('Error searching messages:', e);
+            if (typeof this.app.showNotification === 'function') {
+                this.app.showNotification('Search failed', 'error');
+            }
+        }
+    }
+
+    /**
+     * Show a message in its conversation, loading the messages around it
+     * when it is not already on screen
+     */
+    async jumpToMessage(buddyId, messageId) {
+        if (document.querySelector(`#chat-${buddyId}-messages [data-message-id="${messageId}"]`)) {
+            this.scrollToMessage(buddyId, messageId);
+            return;
+        }
+
+        if (!this.app || typeof this.app.authenticatedFetch !== 'function') return;
+        try {
+            const response = await this.app.authenticatedFetch(`/api/messages/${messageId}/context?limit=30`);
+            if (!response || !response.ok) throw new Error('Failed to load message context');
+            const data = await response.json();
+
+            const container = document.getElementById(`chat-${buddyId}-messages`);
+            if (!container) return;
+            container.innerHTML = '';
+            // Scrolling up from here keeps paging back from the first message shown
+            this.messageHistory.set(Number(buddyId), {
+                messages: [],
+                ids: new Set(),
+                oldestId: data.messages.length > 0 ? data.messages[0].id : null,
+                hasMore: true
+            });
+
+            data.messages.forEach(m => {
+                const normalized = this._normalizeHistoryMessage(m);
+                this.displayMessage(normalized);
+                this._storeMessage(normalized);
+            });
+
+            // History around the match replaces the window; offer a way back
+            const latest = document.createElement('div');
+            latest.className = 'chat-timestamp chat-jump-latest';
+            latest.textContent = 'Jump to latest messages';
+            latest.addEventListener('click', () => this.reloadConversation(buddyId));
+            container.appendChild(latest);
+
+            this.scrollToMessage(buddyId, messageId);
+        } catch (e) {
+            console.error('Error jumping to message:', e);
+            if (typeof this.app.showNotification === 'function') {
+                this.app.showNotification('Could not open that message', 'error');
+            }
+        }
+    }
+
+    async reloadConversation(buddyId) {
+        const container = document.getElementById(`chat-${buddyId}-messages`);
+        if (container) container.innerHTML = '';
+        this.messageHistory.set(Number(buddyId), { messages: [], ids: new Set() });
+        await this.loadMessageHistory(buddyId);
+    }
+
+    /* ---------- Reactions ---------- */
+
+    _createReactionBar(reactions) {
+        const bar = document.createElement('div');
+        bar.className = 'chat-message-reactions';
+        reactions.forEach(reaction => {
+            bar.appendChild(this._createReactionChip(reaction.emoji, reaction.count, reaction.reacted));
+        });
+        bar.addEventListener('click', (e) => {
+            const chip = e.target.closest('.chat-reaction');
+            if (!chip) return;
+            const messageEl = chip.closest('.chat-message');
+            this.toggleReaction(messageEl, chip.dataset.emoji, !chip.classList.contains('own-reaction'));
+        });
+        return bar;
+    }
+
+    _createReactionChip(emoji, count, reacted) {
+        const chip = document.createElement('span');
+        chip.className = `chat-reaction${reacted ? ' own-reaction' : ''}`;
+        chip.dataset.emoji = emoji;
+        chip.dataset.count = String(count);
+        chip.textContent = `${emoji} ${count}`;
+        return chip;
+    }
+
+    _createQuickReactions() {
+        const quick = document.createElement('div');
+        quick.className = 'chat-quick-reactions';
+        QUICK_REACTIONS.forEach(emoji => {
+            const btn = document.createElement('span');
+            btn.className = 'chat-quick-reaction';
+            btn.textContent = emoji;
+            btn.addEventListener('click', () => this.toggleReaction(quick.closest('.chat-message'), emoji, true));
+            quick.appendChild(btn);
+        });
+        return quick;
+    }
+
+    /**
+     * Add or remove one of my reactions; chips update when reaction_update arrives
+     */
+    async toggleReaction(messageEl, emoji, add) {
+        const messageId = messageEl ? Number(messageEl.dataset.messageId) : NaN;
+        if (!Number.isInteger(messageId)) return; // not confirmed by the server yet
+
+        if (this.app && typeof this.app.sendWS === 'function' &&
+            this.app.sendWS({ type: add ? 'reaction_add' : 'reaction_remove', messageId, emoji })) {
+            return;
+        }
+
+        if (!this.app || typeof this.app.authenticatedFetch !== 'function') return;
+        try {
+            const response = add
+                ? await this.app.authenticatedFetch(`/api/messages/${messageId}/reactions`, {
+                    method: 'POST',
+                    body: JSON.stringify({ emoji })
+                })
+                : await this.app.authenticatedFetch(`/api/messages/${messageId}/reactions/${encodeURIComponent(emoji)}`, {
+                    method: 'DELETE'
+                });
+            const data = response ? await response.json() : null;
+            if (!response || !response.ok) {
+                this.handleMessageError({ messageId, message: data?.error || 'Failed to update reaction' });
+            }
+        } catch (e) {
+            console.error('Error updating reaction:', e);
+            this.handleMessageError({ messageId, message: 'Failed to update reaction' });
+        }
+    }
+
+    /**
+     * Someone (maybe me, on any device) added or removed a reaction
+     */
+    handleReactionUpdate(update) {
+        if (update.roomId) return; // room windows are not part of the chat manager
+
+        const myId = this.app && this.app.currentUser ? this.app.currentUser.id : null;
+        const buddyId = Number(update.fromUserId === myId ? update.toUserId : update.fromUserId);
+        const el = document.querySelector(`#chat-${buddyId}-messages [data-message-id="${Number(update.messageId)}"]`);
+        const bar = el ? el.querySelector('.chat-message-reactions') : null;
+        if (!bar) return;
+
+        const chip = Array.from(bar.querySelectorAll('.chat-reaction')).find(c => c.dataset.emoji === update.emoji);
+        const reacted = update.userId === myId ? update.added : Boolean(chip && chip.classList.contains('own-reaction'));
+
+        if (update.count <= 0) {
+            if (chip) chip.remove();
+            return;
+        }
+
+        const next = this._createReactionChip(update.emoji, update.count, reacted);
+        if (chip) {
+            chip.replaceWith(next);
+        } else {
+            bar.appendChild(next);
+        }
+    }
+
+    /* ---------- Files ---------- */
+
+    sendFile(buddyId, file) {
+        if (!window.fileTransferManager) {
+            if (typeof this.app.showNotification === 'function') {
+                this.app.showNotification('File transfer is not available', 'error');
+            }
+            return;
+        }
+        window.fileTransferManager.sendFile(buddyId, file);
+    }
+
+    // Pictures are always sent through the server, which cleans and thumbnails them
+    async sendImage(buddyId, file) {
+        if (!this.app || typeof this.app.authenticatedFetch !== 'function') return;
+        if (!IMAGE_TYPES.includes(file.type)) {
+            this.app.showNotification('Pictures must be JPEG, PNG, GIF or WebP', 'warning');
+            return;
+        }
+
+        const replyTo = this.replyDrafts.get(buddyId) || null;
+        this.cancelReply(buddyId);
+        const params = new URLSearchParams({
+            toUserId: String(buddyId),
+            transferId: this.generateClientMessageId(),
+            name: (file.name || 'picture').slice(0, 255)
+        });
+        if (replyTo) params.set('replyToId', String(replyTo.messageId));
+
+        try {
+            const response = await this.app.authenticatedFetch(`/api/files/images?${params}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: file
+            });
+            if (!response) return;
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || 'Could not send the picture');
+            }
+            // The picture message itself arrives over the WebSocket like any other
+        } catch (error) {
+            console.error('Picture send error:', error);
+            this.app.showNotification(error.message, 'error');
+        }
+    }
+
+    // Inline preview sized from the picture's dimensions before it loads
+    _createImagePreview(file) {
+        if (!file.available) return this._createFileCard(file);
+
+        const img = document.createElement('img');
+        img.className = 'chat-message-image';
+        img.alt = file.name;
+        if (file.width && file.height) {
+            const scale = Math.min(1, IMAGE_PREVIEW_SIZE / Math.max(file.width, file.height));
+            img.width = Math.max(1, Math.round(file.width * scale));
+            img.height = Math.max(1, Math.round(file.height * scale));
+        }
+        img.addEventListener('click', () => this.openLightbox(file));
+
+        this._loadImage(file.fileId, 'medium').then(url => {
+            if (url) img.src = url;
+        });
+        return img;
+    }
+
+    // Previews need the session token, so they are fetched and shown as object URLs
+    _loadImage(fileId, size) {
+        const cacheKey = `${fileId}:${size}`;
+        if (!this.imageUrls.has(cacheKey)) {
+            const loading = this.app.authenticatedFetch(`/api/files/${fileId}/image?size=${size}`)
+                .then(response => (response && response.ok ? response.blob() : null))
+                .then(blob => (blob ? URL.createObjectURL(blob) : null))
+                .catch(error => {
+                    console.error('Picture load error:', error);
+                    return null;
+                })
+                .then(url => {
+                    // try again next time
+                    if (!url) this.imageUrls.delete(cacheKey);
+                    return url;
+                });
+            this.imageUrls.set(cacheKey, loading);
+        }
+        return this.imageUrls.get(cacheKey);
+    }
+
+    async openLightbox(file) {
+        this.closeLightbox();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'chat-lightbox';
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.closeLightbox();
+        });
+
+        const img = document.createElement('img');
+        img.className = 'chat-lightbox-image';
+        img.alt = file.name;
+
+        const caption = document.createElement('div');
+        caption.className = 'chat-lightbox-caption';
+        const name = document.createElement('span');
+        name.textContent = `${file.name} (${formatFileSize(file.size)})`;
+        const download = document.createElement('button');
+        download.className = 'chat-message-file-download';
+        download.textContent = 'Download';
+        download.addEventListener('click', () => this.downloadFile(file.fileId));
+        const close = document.createElement('button');
+        close.className = 'chat-lightbox-close';
+        close.title = 'Close';
+        close.textContent = '×';
+        close.addEventListener('click', () => this.closeLightbox());
+        caption.appendChild(name);
+        caption.appendChild(download);
+        caption.appendChild(close);
+
+        overlay.appendChild(img);
+        overlay.appendChild(caption);
+        document.body.appendChild(overlay);
+        this.lightbox = overlay;
+
+        this._onLightboxKeydown = (e) => {
+            if (e.key === 'Escape') this.closeLightbox();
+        };
+        document.addEventListener('keydown', this._onLightboxKeydown);
+
+        // The inline preview is usually cached; swap in the large size once it arrives
+        const preview = await this._loadImage(file.fileId, 'medium');
+        if (preview && this.lightbox === overlay && !img.src) img.src = preview;
+        const large = await this._loadImage(file.fileId, 'large');
+        if (large && this.lightbox === overlay) img.src = large;
+    }
+
+    closeLightbox() {
+        if (!this.lightbox) return;
+        this.lightbox.remove();
+        this.lightbox = null;
+        document.removeEventListener('keydown', this._onLightboxKeydown);
+    }
+
+    // Name and size, with a Download button while the server still has the file
+    _createFileCard(file) {
+        const card = document.createElement('div');
+        card.className = 'chat-message-file';
+
+        const name = document.createElement('div');
+        name.className = 'chat-message-file-name';
+        name.textContent = `📎 ${file.name}`;
+
+        const size = document.createElement('div');
+        size.className = 'chat-message-file-size';
+        size.textContent = formatFileSize(file.size);
+
+        card.appendChild(name);
+        card.appendChild(size);
+
+        if (file.available) {
+            const download = document.createElement('button');
+            download.className = 'chat-message-file-download';
+            download.textContent = 'Download';
+            download.addEventListener('click', () => this.downloadFile(file.fileId));
+            card.appendChild(download);
+        } else {
+            const note = document.createElement('div');
+            note.className = 'chat-message-file-note';
+            note.textContent = file.transport === 'p2p' ? 'Sent directly' : 'No longer available';
+            card.appendChild(note);
+        }
+
+        return card;
+    }
+
+    // Files download through a short-lived signed link, so the browser can fetch it itself
+    async downloadFile(fileId) {
+        if (!this.app || typeof this.app.authenticatedFetch !== 'function') return;
+        try {
+            const response = await this.app.authenticatedFetch(`/api/files/${fileId}/link`);
+            if (!response || !response.ok) throw new Error('File not available');
+            const data = await response.json();
+
+            const link = document.createElement('a');
+            link.href = this.app.API_BASE + data.url;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+        } catch (error) {
+            console.error('File download error:', error);
+            if (typeof this.app.showNotification === 'function') {
+                this.app.showNotification('This file is no longer available', 'error');
+            }
+        }
+    }
+
+    /* ---------- Archive ---------- */
+
+    async saveConversation(buddyId, format) {
+        const params = new URLSearchParams({ format, timezone: this._timezone() });
+        await this._download(`/api/messages/conversation/${buddyId}/export?${params}`,
+            `ym7-conversation-${buddyId}.${format}`, 'Could not save the conversation');
+    }
+
+    async saveAllConversations() {
+        const params = new URLSearchParams({ format: 'html', timezone: this._timezone() });
+        await this._download(`/api/messages/export?${params}`,
+            'ym7-conversations.zip', 'Could not save your conversations');
+    }
+
+    _timezone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (e) {
+            return 'UTC';
+        }
+    }
+
+    // Fetch with the session token and hand the file to the browser
+    async _download(url, fallbackName, errorMessage) {
+        if (!this.app || typeof this.app.authenticatedFetch !== 'function') return;
+        try {
+            const response = await this.app.authenticatedFetch(url);
+            if (!response || !response.ok) throw new Error(errorMessage);
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const blob = await response.blob();
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = match ? match[1] : fallbackName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        } catch (error) {
+            console.error('Download error:', error);
+            if (typeof this.app.showNotification === 'function') {
+                this.app.showNotification(errorMessage, 'error');
+            }
+        }
+    }
+
     /* ---------- History / persistence helpers ---------- */
 
+    _findMessageElement({ messageId, clientMessageId }) {
+        if (clientMessageId) {
+            const el = document.querySelector(`[data-client-message-id="${CSS.escape(String(clientMessageId))}"]`);
+            if (el) return el;
+        }
+        if (messageId != null) {
+            return document.querySelector(`[data-message-id="${CSS.escape(String(messageId))}"]`);
+        }
+        return null;
+    }
+
+    // Ticks only move forward: pending -> sent -> delivered -> read
+    _setMessageStatus(el, status) {
+        const statusEl = el ? el.querySelector('.message-status') : null;
+        if (!statusEl) return;
+        const order = ['failed', 'pending', 'sent', 'delivered', 'read'];
+        const current = order.find(s => statusEl.classList.contains(s));
+        if (status !== 'failed' && current && order.indexOf(current) >= order.indexOf(status)) return;
+        statusEl.className = `message-status ${status}`;
+    }
+
     _storeMessage(message) {
         const buddyId = message.direction === 'incoming' ? message.fromUserId : message.toUserId;
         const id = message.messageId;
@@ -451,38 +2070,80 @@ class ChatManager {
         }
     }
 
-    async loadMessageHistory(buddyId) {
+    // Map a REST history row onto the shape used by live messages
+    _normalizeHistoryMessage(m) {
+        const from = m.fromUserId || m.from_user_id || m.from;
+        const to = m.toUserId || m.to_user_id || m.to;
+        const id = m.messageId || m.message_id || m.id;
+        return {
+            ...m,
+            fromUserId: from,
+            toUserId: to,
+            messageId: id,
+            clientMessageId: m.clientMessageId || m.client_message_id || null,
+            messageType: m.messageType || m.message_type || 'text',
+            timestamp: m.timestamp || m.created_at || new Date().toISOString(),
+            direction: (from && this.app && this.app.currentUser && from === this.app.currentUser.id) ? 'outgoing' : 'incoming'
+        };
+    }
+
+    /**
+     * Load the newest page of a conversation, or with older: true the page
+     * before the oldest message loaded so far (keeping the scroll position)
+     */
+    async loadMessageHistory(buddyId, { older = false } = {}) {
         if (!this.app || typeof this.app.authenticatedFetch !== 'function') return;
+        const id = Number(buddyId);
+        if (!this.messageHistory.has(id)) {
+            this.messageHistory.set(id, { messages: [], ids: new Set() });
+        }
+        const hist = this.messageHistory.get(id);
+        if (hist.loading) return;
+        if (older && (!hist.hasMore || hist.oldestId == null)) return;
+
+        hist.loading = true;
         try {
-            const response = await this.app.authenticatedFetch(`/api/messages/conversation/${buddyId}?limit=50`);
+            const params = new URLSearchParams({ limit: String(HISTORY_PAGE_SIZE) });
+            if (older) params.set('before', String(hist.oldestId));
+
+            const response = await this.app.authenticatedFetch(`/api/messages/conversation/${id}?${params}`);
             if (!response || !response.ok) return;
             const data = await response.json();
-            const msgs = Array.isArray(data.messages) ? data.messages : (data || []);
-            // initialize history structure
-            if (!this.messageHistory.has(Number(buddyId))) {
-                this.messageHistory.set(Number(buddyId), { messages: [], ids: new Set() });
-            }
-            const hist = this.messageHistory.get(Number(buddyId));
-            msgs.forEach(m => {
-                const from = m.fromUserId || m.from_user_id || m.from;
-                const to = m.toUserId || m.to_user_id || m.to;
-                const id = m.messageId || m.message_id || m.id;
-                const normalized = {
-                    ...m,
-                    fromUserId: from,
-                    toUserId: to,
-                    messageId: id,
-                    timestamp: m.timestamp || new Date().toISOString(),
-                    direction: (from && this.app && this.app.currentUser && from === this.app.currentUser.id) ? 'outgoing' : 'incoming'
-                };
+            const msgs = Array.isArray(data.messages) ? data.messages : [];
+
+            hist.hasMore = Boolean(data.pagination && data.pagination.hasMore);
+            if (data.pagination && data.pagination.oldestId != null) {
+                hist.oldestId = data.pagination.oldestId;
+            }
+
+            const container = document.getElementById(`chat-${id}-messages`);
+            const fromBottom = container ? container.scrollHeight - container.scrollTop : 0;
+
+            // Older pages go on top, newest first so each lands above the last
+            const ordered = older ? msgs.slice().reverse() : msgs;
+            ordered.forEach(m => {
+                const normalized = this._normalizeHistoryMessage(m);
+                if (normalized.direction === 'outgoing' && this.confirmOutgoing(normalized)) return;
                 if (!hist.ids.has(normalized.messageId)) {
+                    this.displayMessage(normalized, { prepend: older });
                     hist.ids.add(normalized.messageId);
                     hist.messages.push(normalized);
-                    this.displayMessage(normalized);
                 }
             });
+
+            if (container) {
+                container.scrollTop = older ? container.scrollHeight - fromBottom : container.scrollHeight;
+            }
+
+            // Reading history no longer marks it read on the server; do it
+            // explicitly when the conversation is actually in front of the user
+            if (!older && this.isChatActive(id)) {
+                this.markMessagesAsRead(id);
+            }
         } catch (e) {
             console.error('Error loading message history:', e);
+        } finally {
+            hist.loading = false;
         }
     }
 
@@ -500,26 +2161,45 @@ class ChatManager {
         }
     }
 
+    // Range receipt: the buddy read everything we sent up to upToMessageId
     handleMessageRead(message) {
-        const el = document.querySelector(`[data-message-id="${message.messageId}"]`);
-        if (el) {
-            const status = el.querySelector('.message-status');
-            if (status) {
-                status.className = 'message-status read';
+        const readerId = message.readerId;
+        const upTo = Number(message.upToMessageId);
+        const ownMessages = document.querySelectorAll(`#chat-${readerId}-messages .chat-message.own`);
+        ownMessages.forEach(el => {
+            const id = Number(el.dataset.messageId);
+            if (Number.isInteger(id) && id <= upTo) {
+                this._setMessageStatus(el, 'read');
             }
-        }
+        });
     }
 
     async markMessagesAsRead(buddyId) {
+        // newest message from the buddy that we have on screen
+        const hist = this.messageHistory.get(Number(buddyId));
+        const upToMessageId = hist ? hist.messages
+            .filter(m => m.direction === 'incoming' && Number.isInteger(m.messageId))
+            .reduce((max, m) => Math.max(max, m.messageId), 0) : 0;
+        if (!upToMessageId) return;
+
+        if (this.app && this.app.ws && this.app.isConnected) {
+            try {
+                this.app.ws.send(JSON.stringify({
+                    type: 'read_receipt',
+                    userId: Number(buddyId),
+                    upToMessageId
+                }));
+                return;
+            } catch (e) {
+                // fall back to HTTP
+            }
+        }
+
         if (!this.app || typeof this.app.authenticatedFetch !== 'function') return;
         try {
-            await this.app.authenticatedFetch(`/api/messages/conversation/${buddyId}/read`, { method: 'POST' });
-            const chatId = `chat-${buddyId}`;
-            const messages = document.querySelectorAll(`#${chatId}-messages .chat-message.own .message-status`);
-            messages.forEach(status => {
-                if (status.classList.contains('sent')) {
-                    status.className = 'message-status read';
-                }
+            await this.app.authenticatedFetch(`/api/messages/conversation/${buddyId}/read`, {
+                method: 'POST',
+                body: JSON.stringify({ upToMessageId })
             });
         } catch (e) {
             console.error('Error marking messages as read:', e);
@@ -663,6 +2343,12 @@ class ChatManager {
     }
 
     handleGlobalClick(e) {
+        if (!e.target.closest('.chat-message-context')) {
+            this.hideMessageContextMenu();
+        }
+        if (!e.target.closest('.chat-emoticon-picker') && !e.target.closest('.chat-emoticon-btn')) {
+            this.hideEmoticonPicker();
+        }
         if (!e.target.closest('.ym7-search-box') && !e.target.closest('#searchResults')) {
             this.hideSearchResults();
         }
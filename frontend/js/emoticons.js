@@ -0,0 +1,171 @@
+/**
+ * YM7 Hobby - Classic YM emoticons
+ * Splits message text into plain text and emoticon tokens, e.g.
+ * "hi :)" -> [{ type: 'text', text: 'hi ' }, { type: 'emoticon', name: 'smile', ... }].
+ * Tokens are data, never markup: whoever renders them escapes the text, so
+ * shortcodes can't be used to smuggle HTML into a message.
+ *
+ * The same file runs in the browser (window.YM7Emoticons) and on the server
+ * (require), so the chat window and the saved conversations agree.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.YM7Emoticons = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // name, label, picture, shortcodes (the first is the one the picker inserts)
+    const EMOTICONS = [
+        ['smile', 'Happy', '🙂', [':)', ':-)']],
+        ['sad', 'Sad', '🙁', [':(', ':-(']],
+        ['wink', 'Winking', '😉', [';)', ';-)']],
+        ['grin', 'Big grin', '😃', [':D', ':-D', ':d']],
+        ['eyelashes', 'Batting eyelashes', '😊', [';;)']],
+        ['hug', 'Big hug', '🤗', ['>:D<']],
+        ['confused', 'Confused', '😕', [':-/']],
+        ['love', 'Love struck', '😍', [':x', ':X', ':-x', ':-X']],
+        ['blush', 'Blushing', '😳', [':">']],
+        ['tongue', 'Tongue', '😛', [':P', ':p', ':-P', ':-p']],
+        ['kiss', 'Kiss', '😘', [':*', ':-*']],
+        ['heartbreak', 'Broken heart', '💔', ['=((']],
+        ['surprise', 'Surprise', '😮', [':O', ':o', ':-O', ':-o']],
+        ['angry', 'Angry', '😠', ['X(', 'x(', 'X-(', 'x-(']],
+        ['smug', 'Smug', '😏', [':>', ':->']],
+        ['cool', 'Cool', '😎', ['B-)', 'b-)']],
+        ['worried', 'Worried', '😟', [':-S', ':-s']],
+        ['whew', 'Whew!', '😅', ['#:-S', '#:-s']],
+        ['devil', 'Devil', '😈', ['>:)', '>:-)']],
+        ['crying', 'Crying', '😢', [':((', ':-((']],
+        ['laughing', 'Laughing', '😆', [':))', ':-))']],
+        ['straight', 'Straight face', '😐', [':|', ':-|']],
+        ['eyebrow', 'Raised eyebrow', '🤨', ['/:)', '/:-)']],
+        ['rofl', 'Rolling on the floor', '🤣', ['=))']],
+        ['angel', 'Angel', '😇', ['O:-)', 'O:)', 'o:-)', 'o:)']],
+        ['nerd', 'Nerd', '🤓', [':-B', ':-b']],
+        ['hand', 'Talk to the hand', '✋', ['=;']],
+        ['callme', 'Call me', '📞', [':-c', ':-C']],
+        ['phone', 'On the phone', '☎️', [':)]']],
+        ['wave', 'Wave', '👋', [':-h', ':-H']],
+        ['timeout', 'Time out', '⏱️', [':-t', ':-T']],
+        ['daydream', 'Daydreaming', '😌', ['8->']],
+        ['sleepy', 'Sleepy', '😴', ['I-)', '|-)']],
+        ['rolleyes', 'Rolling eyes', '🙄', ['8-|']],
+        ['sick', 'Sick', '🤢', [':-&']],
+        ['secret', "Don't tell anyone", '🤐', [':-$', ':$']],
+        ['notalking', 'No talking', '😶', ['[-(']],
+        ['clown', 'Clown', '🤡', [':O)', ':o)']],
+        ['silly', 'Silly', '🤪', ['8-}']],
+        ['party', 'Party', '🥳', ['<:-P', '<:-p']],
+        ['yawn', 'Yawn', '🥱', ['(:|']],
+        ['drooling', 'Drooling', '🤤', ['=P~', '=p~']],
+        ['thinking', 'Thinking', '🤔', [':-?']],
+        ['doh', "D'oh", '🤦', ['#-o', '#-O']],
+        ['applause', 'Applause', '👏', ['=D>', '=d>']],
+        ['nailbiting', 'Nail biting', '😬', [':-SS', ':-ss']],
+        ['hypnotized', 'Hypnotized', '😵', ['@-)']],
+        ['liar', 'Liar', '🤥', [':^o', ':^O']],
+        ['waiting', 'Waiting', '⏳', [':-w', ':-W']],
+        ['sigh', 'Sigh', '😔', [':-<']],
+        ['phbbbbt', 'Phbbbbt', '😝', ['>:P', '>:p']],
+        ['cowboy', 'Cowboy', '🤠', ['<):)']],
+        ['moneyeyes', 'Money eyes', '🤑', ['$-)']],
+        ['whistling', 'Whistling', '😗', [':-"']],
+        ['peace', 'Peace sign', '✌️', [':)>-']],
+        ['shame', 'Shame on you', '☝️', ['[-X', '[-x']],
+        ['dancing', 'Dancing', '💃', ['\\:D/']],
+        ['bringiton', 'Bring it on', '😤', ['>:/']],
+        ['heehee', 'Hee hee', '😄', [';))']],
+        ['chatterbox', 'Chatterbox', '🗣️', [':-@']],
+        ['notworthy', 'Not worthy', '🙇', ['^:)^']],
+        ['praying', 'Praying', '🙏', ['[-O<', '[-o<']],
+        ['thumbsup', 'Thumbs up', '👍', [':-bd']],
+        ['thumbsdown', 'Thumbs down', '👎', [':-q', ':-Q']],
+        ['pig', 'Pig', '🐷', [':@)']],
+        ['cow', 'Cow', '🐮', ['3:-O', '3:-o']],
+        ['monkey', 'Monkey', '🐵', [':(|)']],
+        ['chicken', 'Chicken', '🐔', ['~:>']],
+        ['rose', 'Rose', '🌹', ['@};-']],
+        ['goodluck', 'Good luck', '🍀', ['%%-']],
+        ['pumpkin', 'Pumpkin', '🎃', ['(~~)']],
+        ['coffee', 'Coffee', '☕', ['~O)', '~o)']],
+        ['idea', 'Idea', '💡', ['*-:)']],
+        ['skull', 'Skull', '💀', ['8-X', '8-x']],
+        ['bug', 'Bug', '🐛', ['=:)']],
+        ['alien', 'Alien', '👽', ['>-)']],
+        ['star', 'Star', '⭐', ['(*)']]
+    ].map(([name, label, emoji, codes]) => Object.freeze({ name, label, emoji, codes: Object.freeze(codes) }));
+
+    // first character -> [{ code, emoticon }], longest code first so ":((" beats ":("
+    const BY_FIRST_CHAR = new Map();
+    EMOTICONS.forEach(emoticon => {
+        emoticon.codes.forEach(code => {
+            if (!BY_FIRST_CHAR.has(code[0])) BY_FIRST_CHAR.set(code[0], []);
+            BY_FIRST_CHAR.get(code[0]).push({ code, emoticon });
+        });
+    });
+    BY_FIRST_CHAR.forEach(list => list.sort((a, b) => b.code.length - a.code.length));
+
+    const WORD_CHAR = /[A-Za-z0-9]/;
+
+    // Codes that start or end in a letter or digit must stand apart from words,
+    // so "MAX(" or "re:open" stay text
+    const standsAlone = (text, start, code) => {
+        if (WORD_CHAR.test(code[0]) && start > 0 && WORD_CHAR.test(text[start - 1])) return false;
+        const end = start + code.length;
+        if (WORD_CHAR.test(code[code.length - 1]) && end < text.length && WORD_CHAR.test(text[end])) return false;
+        return true;
+    };
+
+    /**
+     * Split plain (unescaped) text into tokens
+     * With emoticons: false the whole text comes back as one text token.
+     */
+    const tokenize = (text, { emoticons = true } = {}) => {
+        const source = String(text || '');
+        if (!emoticons) {
+            return source ? [{ type: 'text', text: source }] : [];
+        }
+
+        const tokens = [];
+        let plainStart = 0;
+        let i = 0;
+
+        while (i < source.length) {
+            const candidates = BY_FIRST_CHAR.get(source[i]);
+            const match = candidates && candidates.find(({ code }) =>
+                source.startsWith(code, i) && standsAlone(source, i, code));
+
+            if (!match) {
+                i++;
+                continue;
+            }
+
+            if (i > plainStart) {
+                tokens.push({ type: 'text', text: source.slice(plainStart, i) });
+            }
+            tokens.push({
+                type: 'emoticon',
+                name: match.emoticon.name,
+                label: match.emoticon.label,
+                emoji: match.emoticon.emoji,
+                shortcode: match.code
+            });
+            i += match.code.length;
+            plainStart = i;
+        }
+
+        if (plainStart < source.length) {
+            tokens.push({ type: 'text', text: source.slice(plainStart) });
+        }
+
+        return tokens;
+    };
+
+    return {
+        EMOTICONS,
+        tokenize
+    };
+}));
@@ -0,0 +1,592 @@
+/**
+ * YM7 Hobby - Send a File
+ * Files go straight to the buddy's browser over a WebRTC data channel; the
+ * server only relays the offer and the connection setup. When the buddy is
+ * offline or no direct connection can be made, the file is uploaded to the
+ * server instead and the buddy downloads it from the conversation.
+ */
+
+// Data channel message size every browser accepts
+const FILE_CHUNK_SIZE = 16 * 1024;
+
+// Stop queueing chunks while this much is still waiting to go out
+const FILE_BUFFER_HIGH = 1024 * 1024;
+
+// Fall back to uploading when no direct connection opens in this time
+const FILE_CONNECT_TIMEOUT = 20 * 1000;
+
+class FileTransferManager {
+    constructor(app) {
+        this.app = app;
+        // transferId -> { transferId, buddyId, direction, name, size, state, ... }
+        this.transfers = new Map();
+
+        this.rtcConfig = {
+            iceServers: [
+                { urls: 'stun:stun.l.google.com:19302' },
+                { urls: 'stun:stun1.l.google.com:19302' }
+            ]
+        };
+    }
+
+    /* ---------- Sending ---------- */
+
+    /**
+     * Offer a file to a buddy, uploading it right away when there is no live connection
+     */
+    sendFile(buddyId, file) {
+        if (!file) return;
+        if (file.size === 0) {
+            this.app.showNotification('Cannot send an empty file', 'warning');
+            return;
+        }
+
+        const transfer = {
+            transferId: window.chatManager.generateClientMessageId(),
+            buddyId: Number(buddyId),
+            direction: 'outgoing',
+            file: file,
+            name: this.cleanFileName(file.name),
+            size: file.size,
+            mimeType: (file.type || '').slice(0, 128),
+            state: 'offered',
+            bytes: 0
+        };
+        this.transfers.set(transfer.transferId, transfer);
+        this.renderTransfer(transfer);
+
+        if (!this.send({
+            type: 'file_offer',
+            toUserId: transfer.buddyId,
+            transferId: transfer.transferId,
+            name: transfer.name,
+            size: transfer.size,
+            mimeType: transfer.mimeType
+        })) {
+            this.uploadFile(transfer);
+            return;
+        }
+
+        this.updateTransfer(transfer, 'Waiting for your buddy to accept...', [
+            { label: 'Cancel', action: () => this.cancelTransfer(transfer.transferId) }
+        ]);
+    }
+
+    /**
+     * Buddy answered our offer
+     */
+    async handleFileResponse(message) {
+        const transfer = this.transfers.get(message.transferId);
+        if (!transfer || transfer.direction !== 'outgoing' || transfer.state !== 'offered') return;
+
+        if (message.response !== 'accepted') {
+            this.finishTransfer(transfer, 'Your buddy declined the file');
+            return;
+        }
+
+        transfer.state = 'connecting';
+        this.updateTransfer(transfer, 'Connecting...', [
+            { label: 'Cancel', action: () => this.cancelTransfer(transfer.transferId) }
+        ]);
+
+        try {
+            this.createPeerConnection(transfer);
+
+            const channel = transfer.peerConnection.createDataChannel('file', { ordered: true });
+            this.setupSendChannel(transfer, channel);
+
+            const offer = await transfer.peerConnection.createOffer();
+            await transfer.peerConnection.setLocalDescription(offer);
+            this.sendSignal(transfer, { description: this.describe(transfer.peerConnection.localDescription) });
+        } catch (error) {
+            console.error('File transfer connection error:', error);
+            this.directTransferFailed(transfer);
+        }
+    }
+
+    setupSendChannel(transfer, channel) {
+        transfer.channel = channel;
+        channel.binaryType = 'arraybuffer';
+        channel.bufferedAmountLowThreshold = FILE_BUFFER_HIGH / 2;
+
+        channel.onopen = () => {
+            clearTimeout(transfer.connectTimer);
+            this.sendChunks(transfer).catch(error => {
+                console.error('File send error:', error);
+                this.directTransferFailed(transfer);
+            });
+        };
+
+        // The receiver says so once it has every byte
+        channel.onmessage = (event) => {
+            if (event.data === 'received') {
+                this.completeTransfer(transfer);
+            }
+        };
+    }
+
+    async sendChunks(transfer) {
+        transfer.state = 'sending';
+        this.updateTransfer(transfer, 'Sending...', [
+            { label: 'Cancel', action: () => this.cancelTransfer(transfer.transferId) }
+        ]);
+
+        const channel = transfer.channel;
+        while (transfer.bytes < transfer.size) {
+            if (transfer.state !== 'sending') return;
+
+            if (channel.bufferedAmount > FILE_BUFFER_HIGH) {
+                await new Promise(resolve => {
+                    channel.onbufferedamountlow = () => {
+                        channel.onbufferedamountlow = null;
+                        resolve();
+                    };
+                });
+                continue;
+            }
+
+            const chunk = await transfer.file.slice(transfer.bytes, transfer.bytes + FILE_CHUNK_SIZE).arrayBuffer();
+            if (transfer.state !== 'sending') return;
+            channel.send(chunk);
+            transfer.bytes += chunk.byteLength;
+            this.updateProgress(transfer);
+        }
+
+        this.updateTransfer(transfer, 'Waiting for your buddy to receive it...');
+    }
+
+    /**
+     * Buddy has the whole file: have the server record it in the conversation
+     */
+    completeTransfer(transfer) {
+        if (transfer.state !== 'sending') return;
+        this.send({ type: 'file_complete', transferId: transfer.transferId });
+        this.closePeerConnection(transfer);
+        this.removeTransfer(transfer);
+    }
+
+    /**
+     * Upload the file through the server instead of sending it directly
+     */
+    async uploadFile(transfer) {
+        if (transfer.state === 'uploading' || transfer.state === 'done') return;
+        this.closePeerConnection(transfer);
+        transfer.state = 'uploading';
+        transfer.bytes = 0;
+        transfer.abort = new AbortController();
+        this.updateProgress(transfer);
+        this.updateTransfer(transfer, 'Sending through the server...', [
+            { label: 'Cancel', action: () => this.cancelTransfer(transfer.transferId) }
+        ]);
+
+        try {
+            const params = new URLSearchParams({
+                toUserId: String(transfer.buddyId),
+                transferId: transfer.transferId,
+                name: transfer.name
+            });
+            const response = await this.app.authenticatedFetch(`/api/files?${params}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: transfer.file,
+                signal: transfer.abort.signal
+            });
+            if (!response) return;
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                this.finishTransfer(transfer, data.error || 'Could not send the file');
+                return;
+            }
+
+            // The file message itself arrives over the WebSocket like any other
+            this.removeTransfer(transfer);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('File upload error:', error);
+            this.finishTransfer(transfer, 'Could not send the file');
+        }
+    }
+
+    /**
+     * The server could not offer the file directly
+     */
+    handleFileOfferFailed(message) {
+        const transfer = this.transfers.get(message.transferId);
+        if (!transfer || transfer.state !== 'offered') return;
+
+        if (message.reason === 'offline') {
+            this.uploadFile(transfer);
+        } else {
+            this.finishTransfer(transfer, message.message || 'Could not send the file');
+        }
+    }
+
+    /* ---------- Receiving ---------- */
+
+    handleFileOffer(message) {
+        if (this.transfers.has(message.transferId)) return;
+
+        const transfer = {
+            transferId: message.transferId,
+            buddyId: Number(message.fromUserId),
+            direction: 'incoming',
+            name: message.name,
+            size: message.size,
+            mimeType: message.mimeType || '',
+            state: 'offered',
+            bytes: 0,
+            chunks: []
+        };
+        this.transfers.set(transfer.transferId, transfer);
+        this.renderTransfer(transfer);
+        this.updateTransfer(transfer, `${window.chatManager.getBuddyName(transfer.buddyId)} wants to send you a file`, [
+            { label: 'Accept', action: () => this.acceptTransfer(transfer.transferId) },
+            { label: 'Decline', action: () => this.declineTransfer(transfer.transferId) }
+        ]);
+
+        if (!window.chatManager.isChatActive(transfer.buddyId)) {
+            this.app.showNotification(`${window.chatManager.getBuddyName(transfer.buddyId)} wants to send you ${transfer.name}`, 'info');
+        }
+    }
+
+    acceptTransfer(transferId) {
+        const transfer = this.transfers.get(transferId);
+        if (!transfer || transfer.state !== 'offered') return;
+
+        transfer.state = 'connecting';
+        this.createPeerConnection(transfer);
+        // The sender opens the channel; it turns up here
+        transfer.peerConnection.ondatachannel = (event) => this.setupReceiveChannel(transfer, event.channel);
+
+        this.send({ type: 'file_response', transferId, response: 'accepted' });
+        this.updateTransfer(transfer, 'Connecting...', [
+            { label: 'Cancel', action: () => this.cancelTransfer(transferId) }
+        ]);
+    }
+
+    declineTransfer(transferId) {
+        const transfer = this.transfers.get(transferId);
+        if (!transfer || transfer.state !== 'offered') return;
+
+        this.send({ type: 'file_response', transferId, response: 'declined' });
+        this.removeTransfer(transfer);
+    }
+
+    setupReceiveChannel(transfer, channel) {
+        transfer.channel = channel;
+        channel.binaryType = 'arraybuffer';
+
+        channel.onopen = () => {
+            clearTimeout(transfer.connectTimer);
+            transfer.state = 'receiving';
+            this.updateTransfer(transfer, 'Receiving...', [
+                { label: 'Cancel', action: () => this.cancelTransfer(transfer.transferId) }
+            ]);
+        };
+
+        channel.onmessage = (event) => {
+            if (transfer.state !== 'receiving' || !(event.data instanceof ArrayBuffer)) return;
+
+            transfer.chunks.push(event.data);
+            transfer.bytes += event.data.byteLength;
+            this.updateProgress(transfer);
+
+            if (transfer.bytes > transfer.size) {
+                // More than offered: don't trust the rest
+                this.cancelTransfer(transfer.transferId);
+            } else if (transfer.bytes === transfer.size) {
+                this.receiveComplete(transfer);
+            }
+        };
+    }
+
+    receiveComplete(transfer) {
+        transfer.state = 'done';
+        const blob = new Blob(transfer.chunks, { type: 'application/octet-stream' });
+        transfer.chunks = [];
+        transfer.url = URL.createObjectURL(blob);
+
+        try {
+            transfer.channel.send('received');
+        } catch (e) {
+            // the sender records the transfer; we still have the file
+        }
+        // Let the acknowledgement go out before closing
+        setTimeout(() => this.closePeerConnection(transfer), 1000);
+
+        this.updateTransfer(transfer, 'File received', [
+            { label: 'Save', action: () => this.saveReceivedFile(transfer) },
+            { label: 'Dismiss', action: () => this.removeTransfer(transfer) }
+        ]);
+    }
+
+    saveReceivedFile(transfer) {
+        const link = document.createElement('a');
+        link.href = transfer.url;
+        link.download = transfer.name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    /* ---------- Connection ---------- */
+
+    createPeerConnection(transfer) {
+        const pc = new RTCPeerConnection(this.rtcConfig);
+        transfer.peerConnection = pc;
+        // Signals are applied one at a time so candidates never beat the description
+        transfer.signals = Promise.resolve();
+
+        pc.onicecandidate = (event) => {
+            if (event.candidate) {
+                this.sendSignal(transfer, { candidate: event.candidate.toJSON() });
+            }
+        };
+
+        pc.onconnectionstatechange = () => {
+            if (pc.connectionState === 'failed') {
+                this.directTransferFailed(transfer);
+            }
+        };
+
+        transfer.connectTimer = setTimeout(() => this.directTransferFailed(transfer), FILE_CONNECT_TIMEOUT);
+    }
+
+    handleFileSignal(message) {
+        const transfer = this.transfers.get(message.transferId);
+        if (!transfer || !transfer.peerConnection) return;
+
+        transfer.signals = transfer.signals
+            .then(() => this.applySignal(transfer, message))
+            .catch(error => {
+                console.error('File transfer signalling error:', error);
+                this.directTransferFailed(transfer);
+            });
+    }
+
+    async applySignal(transfer, message) {
+        const pc = transfer.peerConnection;
+        if (!pc || pc.signalingState === 'closed') return;
+
+        if (message.description) {
+            await pc.setRemoteDescription(new RTCSessionDescription(message.description));
+            if (message.description.type === 'offer') {
+                const answer = await pc.createAnswer();
+                await pc.setLocalDescription(answer);
+                this.sendSignal(transfer, { description: this.describe(pc.localDescription) });
+            }
+        } else if (message.candidate) {
+            await pc.addIceCandidate(new RTCIceCandidate(message.candidate));
+        }
+    }
+
+    sendSignal(transfer, signal) {
+        this.send({ type: 'file_signal', transferId: transfer.transferId, ...signal });
+    }
+
+    describe(description) {
+        return { type: description.type, sdp: description.sdp };
+    }
+
+    /**
+     * No direct connection: the sender uploads instead, the receiver waits for that
+     */
+    directTransferFailed(transfer) {
+        if (!['connecting', 'sending', 'receiving'].includes(transfer.state)) return;
+
+        this.send({ type: 'file_cancel', transferId: transfer.transferId, reason: 'p2p_failed' });
+        if (transfer.direction === 'outgoing') {
+            this.uploadFile(transfer);
+        } else {
+            this.finishTransfer(transfer, 'Could not connect directly; the file will come through the server');
+        }
+    }
+
+    closePeerConnection(transfer) {
+        clearTimeout(transfer.connectTimer);
+        if (transfer.channel) {
+            transfer.channel.onmessage = null;
+            transfer.channel.close();
+            transfer.channel = null;
+        }
+        if (transfer.peerConnection) {
+            transfer.peerConnection.onconnectionstatechange = null;
+            transfer.peerConnection.close();
+            transfer.peerConnection = null;
+        }
+    }
+
+    /* ---------- Cancelling ---------- */
+
+    cancelTransfer(transferId) {
+        const transfer = this.transfers.get(transferId);
+        if (!transfer) return;
+
+        if (transfer.state === 'uploading') {
+            transfer.abort.abort();
+        } else {
+            this.send({ type: 'file_cancel', transferId, reason: 'cancelled' });
+        }
+        this.finishTransfer(transfer, 'Cancelled');
+    }
+
+    handleFileCancel(message) {
+        const transfer = this.transfers.get(message.transferId);
+        if (!transfer || transfer.state === 'done' || transfer.state === 'uploading') return;
+
+        // The receiver could not connect: send it through the server
+        if (message.reason === 'p2p_failed' && transfer.direction === 'outgoing') {
+            this.uploadFile(transfer);
+            return;
+        }
+
+        const reasons = {
+            declined: 'Your buddy declined the file',
+            timeout: 'The file transfer timed out',
+            disconnected: 'Connection lost',
+            p2p_failed: 'Could not connect directly; the file will come through the server'
+        };
+
+        if (message.reason === 'answered_elsewhere') {
+            this.removeTransfer(transfer);
+        } else {
+            this.finishTransfer(transfer, reasons[message.reason] || 'The file transfer was cancelled');
+        }
+    }
+
+    /* ---------- Transfer UI ---------- */
+
+    renderTransfer(transfer) {
+        const buddy = (this.app.buddies || []).find(b => b.id === transfer.buddyId) ||
+            { id: transfer.buddyId, email: 'Unknown User', display_name: null, status: 'offline' };
+        window.chatManager.openChatWindow(buddy);
+        const messages = document.getElementById(`chat-${transfer.buddyId}-messages`);
+        if (!messages) return;
+
+        const item = document.createElement('div');
+        item.className = `chat-file-transfer ${transfer.direction}`;
+        item.dataset.transferId = transfer.transferId;
+
+        const name = document.createElement('div');
+        name.className = 'chat-file-transfer-name';
+        name.textContent = `📎 ${transfer.name} (${formatFileSize(transfer.size)})`;
+
+        const progress = document.createElement('div');
+        progress.className = 'chat-file-transfer-progress';
+        const bar = document.createElement('div');
+        bar.className = 'chat-file-transfer-bar';
+        progress.appendChild(bar);
+
+        const status = document.createElement('div');
+        status.className = 'chat-file-transfer-status';
+
+        const actions = document.createElement('div');
+        actions.className = 'chat-file-transfer-actions';
+
+        item.appendChild(name);
+        item.appendChild(progress);
+        item.appendChild(status);
+        item.appendChild(actions);
+        messages.appendChild(item);
+        messages.scrollTop = messages.scrollHeight;
+
+        transfer.element = item;
+    }
+
+    updateTransfer(transfer, statusText, actions = []) {
+        const item = transfer.element;
+        if (!item) return;
+
+        item.querySelector('.chat-file-transfer-status').textContent = statusText;
+
+        const container = item.querySelector('.chat-file-transfer-actions');
+        container.innerHTML = '';
+        actions.forEach(({ label, action }) => {
+            const button = document.createElement('button');
+            button.className = 'chat-file-transfer-btn';
+            button.textContent = label;
+            button.addEventListener('click', action);
+            container.appendChild(button);
+        });
+    }
+
+    updateProgress(transfer) {
+        if (!transfer.element) return;
+        const percent = transfer.size > 0 ? Math.min(100, Math.round(transfer.bytes / transfer.size * 100)) : 0;
+        transfer.element.querySelector('.chat-file-transfer-bar').style.width = `${percent}%`;
+    }
+
+    /**
+     * Stop a transfer but leave it on screen with why
+     */
+    finishTransfer(transfer, statusText) {
+        this.closePeerConnection(transfer);
+        transfer.state = 'done';
+        transfer.file = null;
+        transfer.chunks = [];
+        this.updateTransfer(transfer, statusText, [
+            { label: 'Dismiss', action: () => this.removeTransfer(transfer) }
+        ]);
+        if (transfer.element) transfer.element.classList.add('finished');
+    }
+
+    removeTransfer(transfer) {
+        this.closePeerConnection(transfer);
+        transfer.state = 'done';
+        if (transfer.url) URL.revokeObjectURL(transfer.url);
+        if (transfer.element) transfer.element.remove();
+        this.transfers.delete(transfer.transferId);
+    }
+
+    /* ---------- Helpers ---------- */
+
+    // Same rules as the server: no path separators or control characters
+    cleanFileName(name) {
+        const cleaned = String(name || '').replace(/[\\/\u0000-\u001f\u007f]/g, '_').slice(0, 255);
+        return cleaned || 'file';
+    }
+
+    send(message) {
+        if (!this.app.ws || !this.app.isConnected) return false;
+        try {
+            this.app.ws.send(JSON.stringify(message));
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Handle file transfer messages from the WebSocket
+     */
+    handleFileTransferMessage(message) {
+        switch (message.type) {
+            case 'file_offer':
+                this.handleFileOffer(message);
+                break;
+            case 'file_response':
+                this.handleFileResponse(message);
+                break;
+            case 'file_signal':
+                this.handleFileSignal(message);
+                break;
+            case 'file_cancel':
+                this.handleFileCancel(message);
+                break;
+            case 'file_offer_failed':
+                this.handleFileOfferFailed(message);
+                break;
+        }
+    }
+}
+
+// Initialize the file transfer manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    setTimeout(() => {
+        if (window.app) {
+            // File transfer messages are routed here by YM7App.routeMessage
+            window.fileTransferManager = new FileTransferManager(window.app);
+        }
+    }, 100);
+});
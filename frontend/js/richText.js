@@ -0,0 +1,157 @@
+/**
+ * YM7 Hobby - Message formatting
+ * Messages can carry YM-style tags: [b]bold[/b], [i]italic[/i],
+ * [u]underline[/u] and [color=#ff0000]colour[/color]. parse() turns them
+ * into a small tree, e.g.
+ * "hi [b]you[/b]" -> { text: 'hi you', nodes: [{ type: 'text', text: 'hi ' },
+ *                      { type: 'bold', children: [{ type: 'text', text: 'you' }] }] }
+ * Only these tags and six-digit colours are recognised; anything else,
+ * including tags that don't pair up, stays as typed.
+ *
+ * The server parses the escaped text it stores (a closing slash may arrive
+ * as &#x2F;), so text in the tree is escaped the same way as the message.
+ * The same file runs in the browser (window.YM7RichText) and on the server.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.YM7RichText = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Fonts a sender may pick as their default
+    const FONTS = Object.freeze([
+        'Arial',
+        'Comic Sans MS',
+        'Courier New',
+        'Georgia',
+        'Tahoma',
+        'Times New Roman',
+        'Trebuchet MS',
+        'Verdana'
+    ]);
+
+    // Tag name -> node type
+    const TAGS = { b: 'bold', i: 'italic', u: 'underline', color: 'color' };
+
+    // Deeper nesting than this stays as text
+    const MAX_DEPTH = 8;
+
+    const TAG = /\[(\/|&#x2F;)?(b|i|u|color)(?:=(#[0-9a-f]{6}))?\]/gi;
+    const COLOR = /^#[0-9a-f]{6}$/i;
+
+    const isColor = (value) => typeof value === 'string' && COLOR.test(value);
+
+    /**
+     * Split markup into plain text and a formatting tree
+     */
+    const parse = (source) => {
+        const markup = String(source || '');
+
+        // Pair tags up like brackets; a closing tag only closes the innermost open one
+        const paired = [];
+        const open = [];
+        let match;
+        TAG.lastIndex = 0;
+        while ((match = TAG.exec(markup)) !== null) {
+            const [whole, slash, rawName, color] = match;
+            const name = rawName.toLowerCase();
+            const tag = { start: match.index, end: match.index + whole.length, name, color: color && color.toLowerCase() };
+
+            if (!slash) {
+                if ((name === 'color') === Boolean(color) && open.length < MAX_DEPTH) {
+                    open.push(tag);
+                }
+            } else if (!color && open.length > 0 && open[open.length - 1].name === name) {
+                paired.push({ ...open.pop(), opening: true }, tag);
+            }
+        }
+        paired.sort((a, b) => a.start - b.start);
+
+        const nodes = [];
+        const stack = [{ children: nodes }];
+        const addText = (text) => {
+            if (!text) return;
+            const siblings = stack[stack.length - 1].children;
+            const last = siblings[siblings.length - 1];
+            if (last && last.type === 'text') {
+                last.text += text;
+            } else {
+                siblings.push({ type: 'text', text });
+            }
+        };
+
+        let position = 0;
+        paired.forEach(tag => {
+            addText(markup.slice(position, tag.start));
+            position = tag.end;
+
+            if (tag.opening) {
+                const node = tag.name === 'color'
+                    ? { type: 'color', color: tag.color, children: [] }
+                    : { type: TAGS[tag.name], children: [] };
+                stack[stack.length - 1].children.push(node);
+                stack.push(node);
+                return;
+            }
+
+            // Empty pairs like [b][/b] leave nothing behind
+            const node = stack.pop();
+            if (node.children.length === 0) {
+                stack[stack.length - 1].children.pop();
+            }
+        });
+        addText(markup.slice(position));
+
+        return { text: plainText(nodes), nodes };
+    };
+
+    const plainText = (nodes) => nodes
+        .map(node => (node.type === 'text' ? node.text : plainText(node.children)))
+        .join('');
+
+    const hasFormatting = (nodes) => nodes.some(node => node.type !== 'text');
+
+    /**
+     * What is stored with a text message: the sender's default font and
+     * colour plus the parsed tags. Null for plain text in the default style,
+     * so most messages carry nothing.
+     */
+    const buildFormatting = (nodes, { font = null, color = null } = {}) => {
+        const formatting = {};
+
+        if (FONTS.includes(font)) {
+            formatting.font = font;
+        }
+        if (isColor(color)) {
+            formatting.color = color.toLowerCase();
+        }
+        if (nodes && hasFormatting(nodes)) {
+            formatting.nodes = nodes;
+        }
+
+        return Object.keys(formatting).length > 0 ? formatting : null;
+    };
+
+    /**
+     * Write a tree back as markup, e.g. to edit a sent message
+     */
+    const toMarkup = (nodes) => nodes.map(node => {
+        if (node.type === 'text') return node.text;
+        const name = Object.keys(TAGS).find(key => TAGS[key] === node.type);
+        const opening = node.type === 'color' ? `[color=${node.color}]` : `[${name}]`;
+        return `${opening}${toMarkup(node.children)}[/${name}]`;
+    }).join('');
+
+    return {
+        FONTS,
+        isColor,
+        parse,
+        plainText,
+        hasFormatting,
+        buildFormatting,
+        toMarkup
+    };
+}));
@@ -496,9 +496,55 @@ class WebRTCManager {
     /**
      * Handle call end from remote peer
      */
-    handleCallEnd() {
+    handleCallEnd(message = {}) {
+        const wasRinging = !!this.pendingCall;
         this.cleanupCall();
-        this.app.showNotification('Call ended by other user', 'info');
+
+        if (message.reason === 'answered_elsewhere') {
+            this.app.showNotification('Call answered on another device', 'info');
+        } else if (message.reason === 'rejected' || message.reason === 'busy') {
+            // Declined from another of our devices - nothing to report
+        } else if (message.reason === 'timeout') {
+            this.app.showNotification(wasRinging ? 'Missed call' : 'Call timed out', 'info');
+        } else if (message.reason === 'cancelled' || wasRinging) {
+            this.app.showNotification('Missed call', 'info');
+        } else if (message.reason === 'disconnected') {
+            this.app.showNotification('Call dropped - the other user disconnected', 'warning');
+        } else {
+            this.app.showNotification('Call ended by other user', 'info');
+        }
+    }
+
+    /**
+     * Handle server notice that the call could not be placed
+     */
+    handleCallFailed(message) {
+        if (!this.currentCall || this.currentCall.buddyId !== message.toUserId) return;
+
+        const reasons = {
+            offline: 'User is offline',
+            timeout: 'No answer',
+            not_allowed: message.message || 'You cannot call this user',
+            already_in_call: 'You are already in a call'
+        };
+
+        this.app.showNotification(reasons[message.reason] || 'Call failed', 'warning');
+        this.cleanupCall();
+    }
+
+    /**
+     * Handle server confirmation that the buddy's phone is ringing
+     */
+    handleCallRinging(message) {
+        if (!this.currentCall || this.currentCall.buddyId !== message.toUserId) return;
+
+        this.currentCall.callId = message.callId;
+        this.currentCall.status = 'ringing';
+
+        const statusElement = document.getElementById('callStatus');
+        if (statusElement) {
+            statusElement.textContent = 'Ringing...';
+        }
     }
 
     /**
@@ -728,8 +774,14 @@ class WebRTCManager {
             case 'ice_candidate':
                 this.handleICECandidate(message);
                 break;
+            case 'call_ringing':
+                this.handleCallRinging(message);
+                break;
+            case 'call_failed':
+                this.handleCallFailed(message);
+                break;
             case 'call_end':
-                this.handleCallEnd();
+                this.handleCallEnd(message);
                 break;
         }
     }
@@ -739,17 +791,8 @@ class WebRTCManager {
 document.addEventListener('DOMContentLoaded', function() {
     setTimeout(() => {
         if (window.app) {
+            // Call signaling messages are routed here by YM7App.handleIncomingMessage
             window.webrtcManager = new WebRTCManager(window.app);
-            
-            // Extend app to handle WebRTC messages
-            const originalHandleMessage = window.app.handleWebSocketMessage;
-            window.app.handleWebSocketMessage = function(message) {
-                if (message.type && message.type.startsWith('call_') || message.type === 'ice_candidate') {
-                    window.webrtcManager.handleWebRTCMessage(message);
-                } else {
-                    originalHandleMessage.call(this, message);
-                }
-            };
         }
     }, 100);
 });
@@ -12,13 +12,24 @@ class YM7App {
         this.reconnectAttempts = 0;
         this.initialized = false;
 
+        // Reconnect sync: stable per-browser device id and last position seen
+        this.deviceId = this.loadDeviceId();
+        this.syncCursor = { lastMessageId: null, lastEventId: null };
+        this.isSynced = false;
+
         this.buddies = {};
         this.pendingRequests = [];
         this.unreadCount = 0;
 
         this.status = "online";
+        this.statusMessage = null;
+        this.recentStatusMessages = [];
+        this.autoAway = false;
         this.statusTimer = null;
 
+        // Settings kept on the server (see /api/users/preferences)
+        this.preferences = { emoticons: true };
+
         // Configuration with fallbacks
         this.WS_BASE = window.YM7_CONFIG?.WS_BASE || 'wss://ym.betahobby.dpdns.org/ym7-ws';
         this.API_BASE = window.YM7_CONFIG?.API_BASE || '/ym7-api';
@@ -29,7 +40,8 @@ class YM7App {
             ONLINE: 'online',
             AWAY: 'away',
             OFFLINE: 'offline',
-            BUSY: 'busy'
+            BUSY: 'busy',
+            INVISIBLE: 'invisible'
         };
 
         this.init();
@@ -145,6 +157,45 @@ class YM7App {
     /* -----------------------------------------------------
        TOKEN MANAGEMENT
     ----------------------------------------------------- */
+    loadDeviceId() {
+        let deviceId = localStorage.getItem("ym7_device_id");
+        if (!deviceId) {
+            deviceId = window.crypto?.randomUUID
+                ? window.crypto.randomUUID()
+                : Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+            localStorage.setItem("ym7_device_id", deviceId);
+        }
+        return deviceId;
+    }
+
+    loadSyncCursor() {
+        this.syncCursor = { lastMessageId: null, lastEventId: null };
+
+        const saved = localStorage.getItem("ym7_sync_cursor");
+        if (!saved || !this.currentUser) return;
+
+        try {
+            const cursor = JSON.parse(saved);
+            // Cursors belong to the account that stored them
+            if (cursor.userId === this.currentUser.id) {
+                this.syncCursor = {
+                    lastMessageId: cursor.lastMessageId ?? null,
+                    lastEventId: cursor.lastEventId ?? null
+                };
+            }
+        } catch (error) {
+            console.error('Error parsing sync cursor:', error);
+        }
+    }
+
+    saveSyncCursor() {
+        if (!this.currentUser) return;
+        localStorage.setItem("ym7_sync_cursor", JSON.stringify({
+            userId: this.currentUser.id,
+            ...this.syncCursor
+        }));
+    }
+
     loadTokens() {
         this.accessToken = localStorage.getItem("ym7_access_token");
         this.refreshTokenValue = localStorage.getItem("ym7_refresh_token");
@@ -158,6 +209,8 @@ class YM7App {
                 this.currentUser = null;
             }
         }
+
+        this.loadSyncCursor();
     }
 
     saveTokens(accessToken, refreshToken, user) {
@@ -168,7 +221,8 @@ class YM7App {
         localStorage.setItem("ym7_access_token", accessToken);
         localStorage.setItem("ym7_refresh_token", refreshToken);
         localStorage.setItem("ym7_user", JSON.stringify(user));
-        
+
+        this.loadSyncCursor();
         this.showMainInterface();
     }
 
@@ -180,6 +234,8 @@ class YM7App {
         localStorage.removeItem("ym7_access_token");
         localStorage.removeItem("ym7_refresh_token");
         localStorage.removeItem("ym7_user");
+        localStorage.removeItem("ym7_sync_cursor");
+        this.syncCursor = { lastMessageId: null, lastEventId: null };
         
         this.showLoginInterface();
     }
@@ -271,13 +327,20 @@ class YM7App {
         }
 
         try {
-            const wsUrl = `${this.WS_BASE}?token=${encodeURIComponent(this.accessToken)}`;
-            this.ws = new WebSocket(wsUrl);
+            this.ws = new WebSocket(this.WS_BASE);
 
             this.ws.onopen = () => {
                 this.isConnected = true;
                 this.reconnectAttempts = 0;
+                this.isSynced = false;
                 console.log('WebSocket connected');
+
+                // Authenticate this device; sync starts once the server accepts
+                this.sendWS({
+                    type: 'authenticate',
+                    token: this.accessToken,
+                    deviceId: this.deviceId
+                });
                 
                 // Load initial data when connected
                 this.loadInitialData();
@@ -336,6 +399,72 @@ class YM7App {
         }
     }
 
+    /* -----------------------------------------------------
+       RECONNECT SYNC
+    ----------------------------------------------------- */
+    requestSync() {
+        const request = { type: 'sync' };
+        if (this.syncCursor.lastMessageId != null) request.lastMessageId = this.syncCursor.lastMessageId;
+        if (this.syncCursor.lastEventId != null) request.lastEventId = this.syncCursor.lastEventId;
+        this.sendWS(request);
+    }
+
+    noteSyncPosition(msg) {
+        let advanced = false;
+
+        if (msg.type === 'private_message' && Number.isInteger(msg.messageId) &&
+            msg.messageId > (this.syncCursor.lastMessageId || 0)) {
+            this.syncCursor.lastMessageId = msg.messageId;
+            advanced = true;
+        }
+        if (Number.isInteger(msg.eventId) && msg.eventId > (this.syncCursor.lastEventId || 0)) {
+            this.syncCursor.lastEventId = msg.eventId;
+            advanced = true;
+        }
+
+        // Until sync finishes a live message may be ahead of undelivered ones
+        if (advanced && this.isSynced) {
+            this.saveSyncCursor();
+        }
+    }
+
+    handleSyncComplete(msg) {
+        this.syncCursor = {
+            lastMessageId: msg.lastMessageId,
+            lastEventId: msg.lastEventId
+        };
+        this.saveSyncCursor();
+
+        this.isSynced = !msg.hasMore;
+
+        if (msg.hasMore) {
+            this.requestSync();
+            return;
+        }
+
+        // Anything sent before the connection dropped and never acknowledged
+        if (window.chatManager?.resendPendingMessages) {
+            window.chatManager.resendPendingMessages();
+        }
+
+        this.queryBuddyPresence();
+
+        if (msg.messageCount > 0 || msg.eventCount > 0) {
+            console.log(`Sync caught up on ${msg.messageCount} messages and ${msg.eventCount} events`);
+        }
+    }
+
+    // Refresh buddy statuses that may have changed while disconnected
+    queryBuddyPresence() {
+        const userIds = (Array.isArray(this.buddies) ? this.buddies : [])
+            .map(buddy => buddy.id)
+            .slice(0, 100);
+
+        if (userIds.length > 0) {
+            this.sendWS({ type: 'presence_query', userIds });
+        }
+    }
+
     /* -----------------------------------------------------
        INITIAL DATA LOADING
     ----------------------------------------------------- */
@@ -345,7 +474,9 @@ class YM7App {
         try {
             await Promise.all([
                 this.fetchBuddyList(),
-                this.fetchPendingRequests()
+                this.fetchPendingRequests(),
+                this.fetchStatusMessageHistory(),
+                this.fetchPreferences()
             ]);
             console.log('Initial data loaded successfully');
         } catch (error) {
@@ -382,43 +513,224 @@ class YM7App {
         }
     }
 
-    async updateStatus(status) {
+    async fetchStatusMessageHistory() {
+        const res = await this.authenticatedFetch('/api/users/status-messages');
+        if (!res || !res.ok) return;
+
+        const data = await res.json();
+        this.recentStatusMessages = data.statusMessages || [];
+        this.renderStatusSelect();
+    }
+
+    async fetchPreferences() {
+        const res = await this.authenticatedFetch('/api/users/preferences');
+        if (!res || !res.ok) return;
+
+        const data = await res.json();
+        this.applyPreferences(data.preferences);
+    }
+
+    /**
+     * Change some settings; other devices hear about it as preferences_updated
+     */
+    async updatePreferences(changes) {
+        const res = await this.authenticatedFetch('/api/users/preferences', {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+        if (!res || !res.ok) {
+            this.showNotification('Settings could not be saved', 'error');
+            return;
+        }
+
+        const data = await res.json();
+        this.applyPreferences(data.preferences);
+    }
+
+    applyPreferences(preferences) {
+        this.preferences = { ...this.preferences, ...preferences };
+
+        // Open chat windows redraw with the new settings
+        if (window.chatManager?.applyPreferences) {
+            window.chatManager.applyPreferences();
+        }
+    }
+
+    /**
+     * Change status; statusMessage undefined keeps the custom message,
+     * null clears it, {text, emoji, expiresInMinutes} sets it
+     */
+    async updateStatus(status, statusMessage = undefined) {
         if (!this.accessToken) return;
 
+        const update = { type: 'status_update', status };
+        if (statusMessage !== undefined) update.statusMessage = statusMessage;
+
+        // Live connection: the server confirms with status_updated
+        if (this.sendWS(update)) {
+            return;
+        }
+
         try {
             const response = await this.authenticatedFetch('/api/auth/profile', {
                 method: 'PUT',
                 body: JSON.stringify({ status })
             });
 
-            if (response.ok) {
-                this.status = status;
-                
-                // Send status update via WebSocket
-                this.sendWS({ type: 'status_update', status });
-                
-                // Update status select if exists
-                const statusSelect = document.getElementById('statusSelect');
-                if (statusSelect) statusSelect.value = status;
+            if (!response.ok) return;
+
+            if (statusMessage !== undefined) {
+                const messageResponse = await this.authenticatedFetch('/api/users/status-message', {
+                    method: statusMessage ? 'PUT' : 'DELETE',
+                    body: statusMessage ? JSON.stringify(statusMessage) : undefined
+                });
+
+                if (messageResponse.ok) {
+                    const data = await messageResponse.json();
+                    this.applyStatus(status, data.statusMessage);
+                    return;
+                }
             }
+
+            this.applyStatus(status);
         } catch (error) {
             console.error('Error updating status:', error);
         }
     }
 
+    applyStatus(status, statusMessage = this.statusMessage) {
+        this.status = status;
+        this.statusMessage = statusMessage || null;
+
+        // Keep the recent list in step locally; the server keeps the real history
+        if (this.statusMessage) {
+            const { text, emoji } = this.statusMessage;
+            this.recentStatusMessages = [
+                { text, emoji },
+                ...this.recentStatusMessages.filter(entry => entry.text !== text)
+            ].slice(0, 10);
+        }
+
+        this.renderStatusSelect();
+    }
+
+    formatStatusMessage(statusMessage) {
+        if (!statusMessage) return '';
+        return statusMessage.emoji ? `${statusMessage.emoji} ${statusMessage.text}` : statusMessage.text;
+    }
+
+    renderStatusSelect() {
+        const statusSelect = document.getElementById('statusSelect');
+        if (!statusSelect) return;
+
+        // Stored messages arrive HTML-escaped, so they go in via innerHTML
+        const recentGroup = document.getElementById('recentStatusMessages');
+        if (recentGroup) {
+            recentGroup.innerHTML = this.recentStatusMessages
+                .map((entry, index) => `<option value="recent:${index}">${this.formatStatusMessage(entry)}</option>`)
+                .join('');
+            recentGroup.hidden = this.recentStatusMessages.length === 0;
+        }
+
+        const currentOption = document.getElementById('currentStatusMessage');
+        if (currentOption) {
+            currentOption.innerHTML = this.formatStatusMessage(this.statusMessage);
+            currentOption.hidden = !this.statusMessage;
+        }
+
+        statusSelect.value = this.statusMessage ? 'current' : this.status;
+    }
+
+    selectStatusOption(value) {
+        this.autoAway = false;
+
+        if (value === 'current') return;
+
+        if (value === 'custom') {
+            this.showStatusMessageModal();
+            return;
+        }
+
+        if (value.startsWith('recent:')) {
+            const entry = this.recentStatusMessages[Number(value.slice(7))];
+            if (entry) {
+                this.updateStatus(this.status, {
+                    text: this.decodeHtml(entry.text),
+                    emoji: entry.emoji ? this.decodeHtml(entry.emoji) : null
+                });
+            }
+            return;
+        }
+
+        // Picking a plain status clears the custom message
+        this.updateStatus(value, null);
+    }
+
+    showStatusMessageModal() {
+        // Put the selector back until the user actually saves
+        this.renderStatusSelect();
+
+        document.getElementById('statusMessageText').value = this.statusMessage ? this.decodeHtml(this.statusMessage.text) : '';
+        document.getElementById('statusEmoji').value = this.statusMessage?.emoji ? this.decodeHtml(this.statusMessage.emoji) : '';
+        document.getElementById('statusMessageExpiry').value = '';
+        document.getElementById('statusMessageBusy').checked = this.status === this.STATUS.BUSY;
+
+        this.showModal('statusMessageModal');
+        document.getElementById('statusMessageText').focus();
+    }
+
+    saveCustomStatus() {
+        const text = document.getElementById('statusMessageText').value.trim();
+        if (!text) {
+            this.showNotification('Please enter a status message', 'error');
+            return;
+        }
+
+        const emoji = document.getElementById('statusEmoji').value.trim();
+        const expiry = document.getElementById('statusMessageExpiry').value;
+        const busy = document.getElementById('statusMessageBusy').checked;
+
+        // Invisible stays invisible; otherwise the busy box decides
+        let status = this.status;
+        if (status !== this.STATUS.INVISIBLE) {
+            status = busy ? this.STATUS.BUSY : this.STATUS.ONLINE;
+        }
+
+        this.updateStatus(status, {
+            text,
+            emoji: emoji || null,
+            expiresInMinutes: expiry ? Number(expiry) : null
+        });
+
+        this.closeAllModals();
+    }
+
+    decodeHtml(html) {
+        const textarea = document.createElement('textarea');
+        textarea.innerHTML = html;
+        return textarea.value;
+    }
+
     /* -----------------------------------------------------
        STATUS MANAGEMENT
     ----------------------------------------------------- */
     scheduleAwayStatus() {
         clearTimeout(this.statusTimer);
         this.statusTimer = setTimeout(() => {
-            this.updateStatus(this.STATUS.AWAY);
+            // Only auto-away from online; busy and invisible were picked on purpose
+            if (this.status === this.STATUS.ONLINE) {
+                this.autoAway = true;
+                this.updateStatus(this.STATUS.AWAY);
+            }
         }, 300000); // 5 minutes
     }
 
     setOnlineStatus() {
         clearTimeout(this.statusTimer);
-        this.updateStatus(this.STATUS.ONLINE);
+        if (this.autoAway) {
+            this.autoAway = false;
+            this.updateStatus(this.STATUS.ONLINE);
+        }
     }
 
     /* -----------------------------------------------------
@@ -438,9 +750,33 @@ class YM7App {
             return;
         }
 
+        this.routeMessage(msg);
+    }
+
+    routeMessage(msg) {
+        this.noteSyncPosition(msg);
+
         switch (msg.type) {
             case 'auth_success':
                 console.log('WebSocket authentication successful');
+                if (msg.status) this.applyStatus(msg.status, msg.statusMessage);
+                this.requestSync();
+                break;
+
+            case 'status_updated':
+                this.applyStatus(msg.status, msg.statusMessage);
+                break;
+
+            case 'sync_messages':
+                (msg.messages || []).forEach(message => this.routeMessage(message));
+                break;
+
+            case 'sync_events':
+                (msg.events || []).forEach(syncEvent => this.routeMessage(syncEvent));
+                break;
+
+            case 'sync_complete':
+                this.handleSyncComplete(msg);
                 break;
 
             case 'private_message':
@@ -451,7 +787,15 @@ class YM7App {
 
             case 'buddy_status_change':
                 if (window.buddiesManager?.updateBuddyStatus) {
-                    window.buddiesManager.updateBuddyStatus(msg.userId, msg.status);
+                    window.buddiesManager.updateBuddyStatus(msg.userId, msg.status, msg.statusMessage);
+                }
+                break;
+
+            case 'presence_update':
+                if (window.buddiesManager?.updateBuddyStatus) {
+                    Object.entries(msg.statuses || {}).forEach(([userId, status]) => {
+                        window.buddiesManager.updateBuddyStatus(Number(userId), status);
+                    });
                 }
                 break;
 
@@ -461,6 +805,11 @@ class YM7App {
                 }
                 break;
 
+            case 'buddy_added':
+            case 'buddy_removed':
+                this.fetchBuddyList();
+                break;
+
             case 'typing_start':
             case 'typing_stop':
                 if (window.chatManager?.handleTypingIndicator) {
@@ -468,12 +817,77 @@ class YM7App {
                 }
                 break;
 
+            case 'message_ack':
+                if (window.chatManager?.handleMessageAck) {
+                    window.chatManager.handleMessageAck(msg);
+                }
+                break;
+
+            case 'message_delivered':
+                if (window.chatManager?.handleMessageDelivered) {
+                    window.chatManager.handleMessageDelivered(msg);
+                }
+                break;
+
+            case 'message_edited':
+                if (window.chatManager?.handleMessageEdited) {
+                    window.chatManager.handleMessageEdited(msg);
+                }
+                break;
+
+            case 'reaction_update':
+                if (window.chatManager?.handleReactionUpdate) {
+                    window.chatManager.handleReactionUpdate(msg);
+                }
+                break;
+
+            case 'message_deleted':
+                if (window.chatManager?.handleMessageDeleted) {
+                    window.chatManager.handleMessageDeleted(msg);
+                }
+                break;
+
+            case 'error':
+                if (msg.clientMessageId && window.chatManager?.handleSendError) {
+                    window.chatManager.handleSendError(msg);
+                } else if (msg.messageId != null && window.chatManager?.handleMessageError) {
+                    window.chatManager.handleMessageError(msg);
+                } else {
+                    console.warn('WebSocket error message:', msg.message);
+                }
+                break;
+
             case 'message_read':
                 if (window.chatManager?.handleMessageRead) {
                     window.chatManager.handleMessageRead(msg);
                 }
                 break;
 
+            case 'call_invitation':
+            case 'call_ringing':
+            case 'call_response':
+            case 'call_failed':
+            case 'ice_candidate':
+            case 'call_end':
+                if (window.webrtcManager?.handleWebRTCMessage) {
+                    window.webrtcManager.handleWebRTCMessage(msg);
+                }
+                break;
+
+            case 'file_offer':
+            case 'file_response':
+            case 'file_signal':
+            case 'file_cancel':
+            case 'file_offer_failed':
+                if (window.fileTransferManager?.handleFileTransferMessage) {
+                    window.fileTransferManager.handleFileTransferMessage(msg);
+                }
+                break;
+
+            case 'preferences_updated':
+                this.applyPreferences(msg.preferences);
+                break;
+
             case 'notification':
                 this.showNotification(msg.message, msg.level || 'info');
                 break;
@@ -505,6 +919,13 @@ class YM7App {
     /* -----------------------------------------------------
        MODAL MANAGEMENT
     ----------------------------------------------------- */
+    showModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.classList.remove('hidden');
+        }
+    }
+
     closeAllModals() {
         const modals = document.querySelectorAll('.ym7-modal');
         modals.forEach(modal => {
@@ -571,6 +992,14 @@ function logout() {
     }
 }
 
+function updateStatus(value) {
+    window.app?.selectStatusOption(value);
+}
+
+function saveCustomStatus() {
+    window.app?.saveCustomStatus();
+}
+
 function minimizeChat(buddyId) {
     window.chatManager?.minimizeChat?.(buddyId);
 }